@@ -1,645 +1,6604 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
 import { initializeApp } from 'firebase/app';
 import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, onSnapshot, updateDoc, arrayUnion, collection, serverTimestamp, addDoc, query, orderBy, limit, getDoc } from 'firebase/firestore';
-import { Play, Pause, Send, Users, Link as LinkIcon, LogIn, PlusCircle, CheckCircle, XCircle, MessageSquare, Settings, Film, Sparkles, Loader2, Lightbulb, BotMessageSquare } from 'lucide-react';
+import { getFirestore, doc, setDoc, onSnapshot, updateDoc, deleteDoc, arrayUnion, arrayRemove, deleteField, increment, runTransaction, writeBatch, collection, serverTimestamp, addDoc, query, where, orderBy, startAfter, limit, getDoc, getDocs } from 'firebase/firestore';
+import Hls from 'hls.js';
+import dashjs from 'dashjs';
+import VimeoPlayer from '@vimeo/player';
+import { jsonPatchSentinels, queryItems, createRoomState } from './roomStoreCore.mjs';
+import { AI_PURPOSES, createAiProvider, reserveAiRequest, buildAiSettlePatch, estimateAiRequestCost } from './aiProviders.mjs';
+import { ROOM_STATUS, ROOM_INACTIVE_CLOSE_MS, HEARTBEAT_INTERVAL_MS, PRESENCE_PRUNE_MS, CLOSED_DIRECTORY_PATCH, ROLES, ROOM_TOGGLE_SETTINGS, timestampToMillis, getExpectedPosition, createVideoSessionId, isParticipant, getActiveParticipants, isRoomInactive, buildCloseUpdate, getUserRole, isRoomHost, canControlPlayback, canChangeVideo, canModerate, getActingHostId, createParticipant, sha256Hex, createPasswordSalt, derivePasswordKey, hashInviteToken, planJoin, MODERATION_MODES, buildModerationPrompt, parseModerationVerdict, applyChatModeration, describeModerationReason } from './roomRules.mjs';
+import { Send, Users, Link as LinkIcon, LogIn, PlusCircle, CheckCircle, XCircle, MessageSquare, Film, Sparkles, Loader2, Lightbulb, BotMessageSquare, Crown, Shield, ShieldOff, UserMinus, Ban, Lock, Unlock, ListVideo, ThumbsUp, ChevronUp, ChevronDown, Trash2, SkipForward, Subtitles, Upload, Plus, Minus, Hourglass, Reply, Pencil, SmilePlus, Copy, Ticket, KeyRound, DoorOpen, EyeOff, Mic, MicOff, Video as VideoIcon, VideoOff, Headphones, PhoneOff, Volume2, VolumeX, FileVideo, AlertTriangle, ScreenShare, ScreenShareOff, Languages, Download, History, Wifi, WifiOff, CalendarClock, CalendarPlus, Globe, Power } from 'lucide-react';
 
 // Variáveis globais do ambiente (serão injetadas pelo Canvas)
 const firebaseConfigJson = typeof __firebase_config !== 'undefined' ? __firebase_config : '{}';
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-watch-party-app-gemini'; // Alterado para novo ID se necessário
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+const roomServerUrl = typeof __room_server_url !== 'undefined' ? __room_server_url : null; // Ex: 'ws://localhost:8787' (ver server.mjs)
+const aiProviderConfigJson = typeof __ai_provider_config !== 'undefined' ? __ai_provider_config : '{}'; // Ex: '{"type":"openai","baseUrl":"http://localhost:8080/v1"}'
 
 const firebaseConfig = JSON.parse(firebaseConfigJson);
 
-// Inicialização do Firebase
+// Inicialização do Firebase (opcional: sem configuração, as salas usam o servidor WebSocket ou ficam em memória)
 let app;
 let auth;
 let db;
 
-try {
-    app = initializeApp(firebaseConfig);
-    auth = getAuth(app);
-    db = getFirestore(app);
-} catch (error) {
-    console.error("Erro ao inicializar Firebase:", error);
+if (firebaseConfig.projectId) {
+    try {
+        app = initializeApp(firebaseConfig);
+        auth = getAuth(app);
+        db = getFirestore(app);
+    } catch (error) {
+        console.error("Erro ao inicializar Firebase:", error);
+    }
 }
 
+const FIRESTORE_MOVE_BATCH_SIZE = 250; // Itens por lote em moveItems: cada um são duas escritas e um lote aceita 500
+
+/*
+ * RoomStore: interface única de armazenamento/transporte para estado da sala, chat e presença.
+ *   getRoom(roomId): Promise<dados | null>
+ *   createRoom(roomId, dados): Promise
+ *   updateRoom(roomId, patch, { ifMatch, deleteItems }?): Promise<boolean>
+ *       patch aceita caminhos com ponto ('participants.uid.lastSeen') e os sentinelas abaixo;
+ *       com ifMatch ({ campo: valor }), só aplica se todos os campos tiverem exatamente esses valores (null: campo inexistente);
+ *       deleteItems ([{ collectionName, id }]) remove itens na mesma operação e também é condição: se algum já não existir, nada é aplicado
+ *       (com patch vazio, serve para remover um item só se ninguém o removeu antes)
+ *   subscribeRoom(roomId, onChange(dados | null, { hasPendingWrites }), onError): cancelar()
+ *   setDirectoryEntry(roomId, dados): Promise — grava (substituindo) a entrada da sala no diretório
+ *   updateDirectoryEntry(roomId, patch, { ifMatch }?): Promise<boolean> — ifMatch como em updateRoom, sobre a entrada
+ *   subscribeDirectory({ where, orderBy, direction, limit }, onChange(entradas), onError): cancelar()
+ *       o diretório é uma coleção à parte, só com os campos públicos das salas (título, miniatura, participantes, status, host),
+ *       mantida pelo host de cada sala: senha, convites e participantes do documento da sala nunca chegam ao lobby
+ *   addItem(roomId, coleção, dados): Promise<id>
+ *   updateItem(roomId, coleção, id, patch, { ifMatch }?): Promise<boolean> — ifMatch como em updateRoom, sobre o item
+ *   deleteItem(roomId, coleção, id): Promise
+ *   updateItems(roomId, coleção, [{ id, patch }]): Promise — aplica todas as alterações de uma vez
+ *   moveItems(roomId, origem, destino, campos): Promise<quantidade> — move todos os itens da coleção (com o mesmo id, mais os campos);
+ *       cada item sai da origem na mesma escrita em que chega ao destino, então repetir depois de uma falha só completa o que faltou
+ *   subscribeItems(roomId, coleção, { where, orderBy, direction, startAfter, limit }, onChange(itens), onError): cancelar()
+ *       where ({ campo: valor }) mantém só os itens com exatamente esses valores; startAfter (com orderBy) é o cursor de paginação:
+ *       só vêm os itens depois desse valor do campo ordenado
+ *   subscribeConnection(onChange(conectado)): cancelar() — chamado já com o estado atual e a cada queda ou retorno da conexão
+ *   addReaction(videoKey, dados): Promise<id> — reações são do vídeo (chave de getVideoKey), não da sala
+ *   subscribeReactions(videoKey, { limit }, onChange(reações mais recentes primeiro), onError): cancelar()
+ *   saveProfile(userId, dados): Promise — mescla os campos no perfil do usuário (nome, avatar, cor, idioma)
+ *   subscribeProfiles(userIds, onChange({ userId: perfil }), onError): cancelar() — perfis inexistentes ficam de fora
+ *   joinRoom?(roomId, { displayName, password, inviteToken }): Promise<{ result } | { error, passwordRequired? }> — só nos backends
+ *       que verificam a entrada no servidor (ver planJoin em roomRules.mjs); nos demais, o lobby aplica planJoin no cliente
+ *   setRoomPassword(roomId, senha | null): Promise — define ou remove a senha; a sala só ganha hasPassword (e, fora do servidor
+ *       de salas, o sal), a chave derivada nunca fica no documento da sala
+ *   verifyRoomPassword?(roomId, sala, senha): Promise<boolean> — nos backends sem joinRoom, usada pelo planJoin do lobby
+ *   requestAi?(roomId, pergunta, { onToken, purpose }): Promise<{ text } | { error }> — só no servidor de salas, que chama o provedor;
+ *     purpose (AI_PURPOSES) escolhe os limites que o pedido consome
+ *       e é o único a escrever em aiUsage; nos demais backends o próprio cliente reserva, chama e acerta o uso (limites só entre clientes)
+ *   moderatesChat: boolean — o próprio backend aplica a moderação do chat ao aceitar mensagens e edições (servidor de salas),
+ *       desviando as retidas para chatReview e recusando as bloqueadas com messageKey; nos demais, quem envia aplica
+ *   closesInactiveRooms: boolean — o próprio backend encerra as salas inativas (servidor WebSocket); nos demais, quem passa pelo lobby encerra
+ *   serverTimestamp(), deleteField(), arrayUnion(...valores), arrayRemove(...valores), increment(n)
+ */
+const createFirestoreRoomStore = (firestore, roomsAppId) => {
+    // O SDK não expõe o estado da própria conexão: o navegador avisa quedas da rede local, e um snapshot da sala
+    // vindo do cache (fromCache) depois de já ter chegado do servidor revela que o Firestore ficou inalcançável
+    const connectionListeners = new Set();
+    let isBrowserOnline = navigator.onLine;
+    let isServerUnreachable = false;
+    let isConnected = isBrowserOnline;
+    const updateConnection = () => {
+        const next = isBrowserOnline && !isServerUnreachable;
+        if (next === isConnected) return;
+        isConnected = next;
+        connectionListeners.forEach(listener => listener(next));
+    };
+    const handleBrowserConnection = () => {
+        isBrowserOnline = navigator.onLine;
+        updateConnection();
+    };
+    window.addEventListener('online', handleBrowserConnection);
+    window.addEventListener('offline', handleBrowserConnection);
+
+    const roomsPath = `artifacts/${roomsAppId}/public/data/watchPartyRooms`;
+    const profilesPath = `artifacts/${roomsAppId}/public/data/userProfiles`;
+    const directoryPath = `artifacts/${roomsAppId}/public/data/roomDirectory`;
+    const reactionsCollection = (videoKey) => collection(firestore, `artifacts/${roomsAppId}/public/data/videoReactions/${videoKey}/reactions`);
+    const roomDoc = (roomId) => doc(firestore, roomsPath, roomId);
+    const itemsCollection = (roomId, collectionName) => collection(firestore, `${roomsPath}/${roomId}/${collectionName}`);
+    // Condição do ifMatch sobre um snapshot (null também aceita o campo inexistente)
+    const matchesSnapshot = (snap, ifMatch) => snap.exists() && Object.entries(ifMatch || {}).every(([field, value]) => (snap.get(field) ?? null) === (value ?? null));
+    const buildConstraints = ({ where: filters, orderBy: orderField, direction = 'asc', startAfter: cursor, limit: maxItems } = {}) => {
+        const constraints = Object.entries(filters || {}).map(([field, value]) => where(field, '==', value));
+        if (orderField) constraints.push(orderBy(orderField, direction));
+        if (orderField && cursor !== undefined) constraints.push(startAfter(cursor));
+        if (maxItems) constraints.push(limit(maxItems));
+        return constraints;
+    };
+
+    return {
+        getRoom: async (roomId) => {
+            const snap = await getDoc(roomDoc(roomId));
+            return snap.exists() ? snap.data() : null;
+        },
+        createRoom: (roomId, data) => setDoc(roomDoc(roomId), data),
+        updateRoom: async (roomId, patch, { ifMatch, deleteItems = [] } = {}) => {
+            if (!ifMatch && deleteItems.length === 0) {
+                await updateDoc(roomDoc(roomId), patch);
+                return true;
+            }
+            return runTransaction(firestore, async (transaction) => {
+                const snap = await transaction.get(roomDoc(roomId));
+                if (!matchesSnapshot(snap, ifMatch)) return false;
+                const itemRefs = deleteItems.map(({ collectionName, id }) => doc(itemsCollection(roomId, collectionName), id));
+                const itemSnaps = await Promise.all(itemRefs.map(itemRef => transaction.get(itemRef)));
+                if (itemSnaps.some(itemSnap => !itemSnap.exists())) return false;
+                if (Object.keys(patch).length > 0) transaction.update(roomDoc(roomId), patch);
+                itemRefs.forEach(itemRef => transaction.delete(itemRef));
+                return true;
+            });
+        },
+        // Com includeMetadataChanges, chegam também as mudanças só de metadados (escrita confirmada, conexão perdida ou retomada)
+        subscribeRoom: (roomId, onChange, onError) => {
+            let hasReachedServer = false;
+            const unsubscribe = onSnapshot(roomDoc(roomId), { includeMetadataChanges: true }, (snap) => {
+                if (!snap.metadata.fromCache) hasReachedServer = true;
+                if (hasReachedServer) {
+                    isServerUnreachable = snap.metadata.fromCache;
+                    updateConnection();
+                }
+                // 'estimate' evita âncoras nulas enquanto o serverTimestamp ainda não foi confirmado
+                onChange(snap.exists() ? snap.data({ serverTimestamps: 'estimate' }) : null, { hasPendingWrites: snap.metadata.hasPendingWrites });
+            }, onError);
+            return () => {
+                unsubscribe();
+                // Sem a sala, não há mais como observar o servidor; fica valendo só o estado da rede
+                isServerUnreachable = false;
+                updateConnection();
+            };
+        },
+        setDirectoryEntry: (roomId, data) => setDoc(doc(firestore, directoryPath, roomId), { ...data, id: roomId }),
+        updateDirectoryEntry: async (roomId, patch, { ifMatch } = {}) => {
+            const entryRef = doc(firestore, directoryPath, roomId);
+            return runTransaction(firestore, async (transaction) => {
+                if (!matchesSnapshot(await transaction.get(entryRef), ifMatch)) return false;
+                transaction.update(entryRef, patch);
+                return true;
+            });
+        },
+        subscribeDirectory: (options, onChange, onError) => onSnapshot(query(collection(firestore, directoryPath), ...buildConstraints(options)), (querySnapshot) => {
+            onChange(querySnapshot.docs.map(entrySnap => entrySnap.data()));
+        }, onError),
+        addItem: async (roomId, collectionName, data) => (await addDoc(itemsCollection(roomId, collectionName), data)).id,
+        updateItem: async (roomId, collectionName, id, patch, { ifMatch } = {}) => {
+            const itemRef = doc(itemsCollection(roomId, collectionName), id);
+            if (!ifMatch) {
+                await updateDoc(itemRef, patch);
+                return true;
+            }
+            return runTransaction(firestore, async (transaction) => {
+                if (!matchesSnapshot(await transaction.get(itemRef), ifMatch)) return false;
+                transaction.update(itemRef, patch);
+                return true;
+            });
+        },
+        updateItems: (roomId, collectionName, updates) => {
+            const batch = writeBatch(firestore);
+            updates.forEach(({ id, patch }) => batch.update(doc(itemsCollection(roomId, collectionName), id), patch));
+            return batch.commit();
+        },
+        deleteItem: (roomId, collectionName, id) => deleteDoc(doc(itemsCollection(roomId, collectionName), id)),
+        // Lotes atômicos: nenhum item fica nas duas coleções nem em nenhuma, e o id mantido torna a repetição idempotente
+        moveItems: async (roomId, fromCollection, toCollection, extraFields = {}) => {
+            const { docs } = await getDocs(itemsCollection(roomId, fromCollection));
+            for (let start = 0; start < docs.length; start += FIRESTORE_MOVE_BATCH_SIZE) {
+                const batch = writeBatch(firestore);
+                docs.slice(start, start + FIRESTORE_MOVE_BATCH_SIZE).forEach(itemSnap => {
+                    batch.set(doc(itemsCollection(roomId, toCollection), itemSnap.id), { ...itemSnap.data(), ...extraFields });
+                    batch.delete(itemSnap.ref);
+                });
+                await batch.commit();
+            }
+            return docs.length;
+        },
+        subscribeItems: (roomId, collectionName, options, onChange, onError) => onSnapshot(query(itemsCollection(roomId, collectionName), ...buildConstraints(options)), (querySnapshot) => {
+            const items = [];
+            querySnapshot.forEach((itemDoc) => {
+                items.push({ id: itemDoc.id, ...itemDoc.data() });
+            });
+            onChange(items);
+        }, onError),
+        subscribeConnection: (onChange) => {
+            connectionListeners.add(onChange);
+            onChange(isConnected);
+            return () => connectionListeners.delete(onChange);
+        },
+        addReaction: async (videoKey, data) => (await addDoc(reactionsCollection(videoKey), data)).id,
+        subscribeReactions: (videoKey, { limit: maxItems }, onChange, onError) => onSnapshot(query(reactionsCollection(videoKey), orderBy('timestamp', 'desc'), limit(maxItems)), (querySnapshot) => {
+            onChange(querySnapshot.docs.map(reactionDoc => ({ id: reactionDoc.id, ...reactionDoc.data() })));
+        }, onError),
+        saveProfile: (userId, data) => setDoc(doc(firestore, profilesPath, userId), data, { merge: true }),
+        // Um listener por perfil: consultas com 'in' aceitam poucos IDs e a lista muda a cada entrada na sala
+        subscribeProfiles: (userIds, onChange, onError) => {
+            const profiles = {};
+            const unsubscribes = userIds.map(userId => onSnapshot(doc(firestore, profilesPath, userId), (snap) => {
+                if (snap.exists()) profiles[userId] = snap.data();
+                else delete profiles[userId];
+                onChange({ ...profiles });
+            }, onError));
+            return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+        },
+        // Sem servidor para conferir a entrada, a chave vira o id de um documento da subcoleção passwordKeys: quem sabe a senha
+        // acha o documento. As regras de segurança precisam permitir get e negar list nela (e escrita só a hosts); sem isso,
+        // qualquer leitor lista as chaves. Chaves de senhas anteriores não valem mais, porque o sal muda junto.
+        setRoomPassword: async (roomId, password) => {
+            const batch = writeBatch(firestore);
+            if (!password) {
+                batch.update(roomDoc(roomId), { hasPassword: deleteField(), passwordSalt: deleteField() });
+            } else {
+                const passwordSalt = createPasswordSalt();
+                const passwordKey = await derivePasswordKey(password, passwordSalt);
+                batch.set(doc(itemsCollection(roomId, 'passwordKeys'), passwordKey), { createdAt: serverTimestamp() });
+                batch.update(roomDoc(roomId), { hasPassword: true, passwordSalt });
+            }
+            await batch.commit();
+        },
+        verifyRoomPassword: async (roomId, room, password) => {
+            const passwordKey = await derivePasswordKey(password, room.passwordSalt);
+            return (await getDoc(doc(itemsCollection(roomId, 'passwordKeys'), passwordKey))).exists();
+        },
+        moderatesChat: false,
+        closesInactiveRooms: false,
+        serverTimestamp,
+        deleteField,
+        arrayUnion,
+        arrayRemove,
+        increment
+    };
+};
+
+// Backend em memória: roda sem Firebase nem servidor (uma aba), útil para desenvolvimento e para isolar a sincronização.
+// O estado e as operações vêm de roomStoreCore.mjs, o mesmo núcleo do server.mjs.
+const createMemoryRoomStore = () => {
+    const listeners = new Set(); // { roomId, collectionName (null para a sala), emit }
+    const directoryListeners = new Set(); // { emit }
+    const profileListeners = new Set(); // { userIds, emit }
+    const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+    // Notificações assíncronas, como nos backends reais
+    const state = createRoomState({
+        onRoomChange: (roomId, collectionName) => listeners.forEach(listener => {
+            if (listener.roomId === roomId && listener.collectionName === collectionName) setTimeout(listener.emit, 0);
+        }),
+        onDirectoryChange: () => directoryListeners.forEach(listener => setTimeout(listener.emit, 0)),
+        onProfileChange: (userId) => profileListeners.forEach(listener => {
+            if (listener.userIds.includes(userId)) setTimeout(listener.emit, 0);
+        })
+    });
+    const listen = (listener) => {
+        listeners.add(listener);
+        setTimeout(listener.emit, 0);
+        return () => listeners.delete(listener);
+    };
+    const passwordKeys = new Map(); // roomId -> chave da senha, fora do documento da sala como nos outros backends
+
+    return {
+        getRoom: async (roomId) => clone(state.getRoom(roomId)),
+        createRoom: async (roomId, data) => state.createRoom(roomId, data),
+        updateRoom: async (roomId, patch, options) => state.updateRoom(roomId, patch, options),
+        subscribeRoom: (roomId, onChange) => listen({
+            roomId,
+            collectionName: null,
+            emit: () => onChange(clone(state.getRoom(roomId)), { hasPendingWrites: false })
+        }),
+        setDirectoryEntry: async (roomId, data) => state.setDirectoryEntry(roomId, data),
+        updateDirectoryEntry: async (roomId, patch, options) => state.updateDirectoryEntry(roomId, patch, options),
+        subscribeDirectory: (options, onChange) => {
+            const listener = { emit: () => onChange(clone(state.queryDirectory(options))) };
+            directoryListeners.add(listener);
+            setTimeout(listener.emit, 0);
+            return () => directoryListeners.delete(listener);
+        },
+        addItem: async (roomId, collectionName, data) => state.addItem(roomId, collectionName, data),
+        updateItem: async (roomId, collectionName, id, patch, options) => state.updateItem(roomId, collectionName, id, patch, options),
+        updateItems: async (roomId, collectionName, updates) => state.updateItems(roomId, collectionName, updates),
+        deleteItem: async (roomId, collectionName, id) => state.deleteItem(roomId, collectionName, id),
+        moveItems: async (roomId, fromCollection, toCollection, extraFields) => state.moveItems(roomId, fromCollection, toCollection, extraFields),
+        subscribeItems: (roomId, collectionName, options, onChange) => listen({
+            roomId,
+            collectionName,
+            emit: () => onChange(clone(state.queryItems(roomId, collectionName, options)))
+        }),
+        // Tudo acontece nesta aba: a "conexão" nunca cai
+        subscribeConnection: (onChange) => {
+            onChange(true);
+            return () => {};
+        },
+        // Reações guardadas como coleção de um escopo por vídeo, fora de qualquer sala
+        addReaction: async (videoKey, data) => state.addItem(`videos/${videoKey}`, 'reactions', data),
+        subscribeReactions: (videoKey, { limit: maxItems }, onChange) => listen({
+            roomId: `videos/${videoKey}`,
+            collectionName: 'reactions',
+            emit: () => onChange(clone(state.queryItems(`videos/${videoKey}`, 'reactions', { orderBy: 'timestamp', direction: 'desc', limit: maxItems })))
+        }),
+        saveProfile: async (userId, data) => state.saveProfile(userId, data),
+        subscribeProfiles: (userIds, onChange) => {
+            const listener = { userIds, emit: () => onChange(clone(state.getProfiles(userIds))) };
+            profileListeners.add(listener);
+            setTimeout(listener.emit, 0);
+            return () => profileListeners.delete(listener);
+        },
+        setRoomPassword: async (roomId, password) => {
+            if (!password) {
+                passwordKeys.delete(roomId);
+                state.updateRoom(roomId, { hasPassword: jsonPatchSentinels.deleteField(), passwordSalt: jsonPatchSentinels.deleteField() });
+                return;
+            }
+            const passwordSalt = createPasswordSalt();
+            passwordKeys.set(roomId, await derivePasswordKey(password, passwordSalt));
+            state.updateRoom(roomId, { hasPassword: true, passwordSalt });
+        },
+        verifyRoomPassword: async (roomId, room, password) => await derivePasswordKey(password, room.passwordSalt) === passwordKeys.get(roomId),
+        moderatesChat: false,
+        closesInactiveRooms: false,
+        ...jsonPatchSentinels
+    };
+};
+
+const WS_RECONNECT_DELAY_MS = 2000;
+const WS_IDENTITY_REJECTED_CODE = 4401; // Código com que o servidor fecha a conexão de uma identidade que não é deste navegador
+
+// Identidade local persistida no navegador. O segredo prova ao servidor de salas que o id é deste navegador:
+// o primeiro a se apresentar com um id fica dono dele
+const getLocalIdentity = () => {
+    const readOrCreate = (key) => {
+        let value = localStorage.getItem(key);
+        if (!value) {
+            value = crypto.randomUUID();
+            localStorage.setItem(key, value);
+        }
+        return value;
+    };
+    return { userId: readOrCreate('cinesync-local-user-id'), secret: readOrCreate('cinesync-local-user-secret') };
+};
+
+// Cliente do servidor WebSocket (server.mjs); reconecta sozinho, se identifica e refaz as inscrições.
+// O servidor confere cada operação com o papel de quem a fez e nunca entrega os segredos da sala
+const createWebSocketRoomStore = (url, identity) => {
+    let socket = null;
+    let nextId = 1;
+    const pendingRequests = new Map(); // requestId -> { resolve, reject, onToken }
+    let serverAiProviderName = null; // Informado pelo servidor ao aceitar a identificação
+    const subscriptions = new Map(); // subscriptionId -> { message, onChange, onError }
+    const connectionListeners = new Set();
+    const outbox = [];
+
+    const connect = () => {
+        socket = new WebSocket(url);
+        socket.onopen = () => {
+            // A identificação vai antes de tudo: o servidor recusa operações de conexões anônimas
+            socket.send(JSON.stringify({ type: 'hello', ...identity }));
+            subscriptions.forEach(subscription => socket.send(JSON.stringify(subscription.message)));
+            outbox.splice(0).forEach(raw => socket.send(raw));
+            connectionListeners.forEach(listener => listener(true));
+        };
+        socket.onmessage = (event) => {
+            const message = JSON.parse(event.data);
+            if (message.type === 'snapshot') {
+                subscriptions.get(message.subscriptionId)?.onChange(message.data);
+                return;
+            }
+            if (message.type === 'directoryChange') {
+                subscriptions.get(message.subscriptionId)?.onPartialChange?.([{ id: message.id, item: message.entry }]);
+                return;
+            }
+            if (message.type === 'itemChange') {
+                subscriptions.get(message.subscriptionId)?.onPartialChange?.(message.changes);
+                return;
+            }
+            if (message.type === 'welcome') {
+                serverAiProviderName = message.aiProviderName;
+                return;
+            }
+            // Trechos da resposta da IA, antes do resultado do requestAi
+            if (message.type === 'aiToken') {
+                pendingRequests.get(message.requestId)?.onToken?.(message.token);
+                return;
+            }
+            if (message.type === 'subscriptionError') {
+                subscriptions.get(message.subscriptionId)?.onError?.(new Error(message.error));
+                return;
+            }
+            const pending = pendingRequests.get(message.requestId);
+            if (!pending) return;
+            pendingRequests.delete(message.requestId);
+            if (message.error) pending.reject(Object.assign(new Error(message.error), { messageKey: message.messageKey, messageParams: message.messageParams }));
+            else pending.resolve(message.result);
+        };
+        socket.onclose = (event) => {
+            // Avisa antes de rejeitar as requisições, para quem as tratar já saber que está sem conexão
+            connectionListeners.forEach(listener => listener(false));
+            const error = new Error("Conexão com o servidor de salas perdida.");
+            pendingRequests.forEach(pending => pending.reject(error));
+            pendingRequests.clear();
+            // Requisições ainda não enviadas já foram rejeitadas: não podem sair depois da reconexão
+            // (quem as fez já as guardou para reenviar, e o quadro antigo aplicaria a ação duas vezes)
+            outbox.splice(0);
+            subscriptions.forEach(subscription => subscription.onError?.(error));
+            if (event.code === WS_IDENTITY_REJECTED_CODE) {
+                console.error("O servidor de salas recusou a identidade deste navegador:", event.reason);
+                return;
+            }
+            setTimeout(connect, WS_RECONNECT_DELAY_MS);
+        };
+    };
+
+    const request = (type, params, { onToken } = {}) => new Promise((resolve, reject) => {
+        const requestId = nextId++;
+        pendingRequests.set(requestId, { resolve, reject, onToken });
+        const raw = JSON.stringify({ requestId, type, ...params });
+        if (socket.readyState === WebSocket.OPEN) socket.send(raw);
+        else outbox.push(raw);
+    });
+
+    // Inscrições pendentes são enviadas no onopen, inclusive depois de uma reconexão
+    const subscribe = (message, onChange, onError, onPartialChange) => {
+        const subscriptionId = nextId++;
+        const subscription = { message: { ...message, subscriptionId }, onChange, onError, onPartialChange };
+        subscriptions.set(subscriptionId, subscription);
+        if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(subscription.message));
+        return () => {
+            subscriptions.delete(subscriptionId);
+            if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'unsubscribe', subscriptionId }));
+        };
+    };
+
+    // Diretório e coleções: o servidor manda a lista inteira ao inscrever e depois só os itens que mudaram
+    // (null: saiu da consulta); a ordem e o limite são reaplicados aqui sobre a cópia local
+    const subscribeQuery = (message, onChange, onError) => {
+        const entries = new Map();
+        const emit = () => onChange(queryItems(entries.values(), message.options));
+        return subscribe(message, (list) => {
+            entries.clear();
+            list.forEach(entry => entries.set(entry.id, entry));
+            emit();
+        }, onError, (changes) => {
+            changes.forEach(({ id, item }) => {
+                if (item) entries.set(id, item);
+                else entries.delete(id);
+            });
+            emit();
+        });
+    };
+
+    connect();
+
+    return {
+        getRoom: (roomId) => request('getRoom', { roomId }),
+        createRoom: (roomId, data) => request('createRoom', { roomId, data }),
+        updateRoom: (roomId, patch, { ifMatch, deleteItems } = {}) => request('updateRoom', { roomId, patch, ifMatch, deleteItems }),
+        joinRoom: (roomId, joinRequest) => request('joinRoom', { roomId, request: joinRequest }),
+        setRoomPassword: (roomId, password) => request('setRoomPassword', { roomId, password }),
+        subscribeRoom: (roomId, onChange, onError) => subscribe({ type: 'subscribeRoom', roomId }, (data) => onChange(data, { hasPendingWrites: false }), onError),
+        setDirectoryEntry: (roomId, data) => request('setDirectoryEntry', { roomId, data }),
+        updateDirectoryEntry: (roomId, patch, { ifMatch } = {}) => request('updateDirectoryEntry', { roomId, patch, ifMatch }),
+        subscribeDirectory: (options, onChange, onError) => subscribeQuery({ type: 'subscribeDirectory', options }, onChange, onError),
+        addItem: (roomId, collectionName, data) => request('addItem', { roomId, collectionName, data }),
+        updateItem: (roomId, collectionName, id, patch, { ifMatch } = {}) => request('updateItem', { roomId, collectionName, id, patch, ifMatch }),
+        updateItems: (roomId, collectionName, updates) => request('updateItems', { roomId, collectionName, updates }),
+        deleteItem: (roomId, collectionName, id) => request('deleteItem', { roomId, collectionName, id }),
+        moveItems: (roomId, fromCollection, toCollection, extraFields) => request('moveItems', { roomId, fromCollection, toCollection, extraFields }),
+        subscribeItems: (roomId, collectionName, options, onChange, onError) => subscribeQuery({ type: 'subscribeItems', roomId, collectionName, options }, onChange, onError),
+        subscribeConnection: (onChange) => {
+            connectionListeners.add(onChange);
+            onChange(socket.readyState === WebSocket.OPEN);
+            return () => connectionListeners.delete(onChange);
+        },
+        // O servidor guarda as reações como coleção de um escopo por vídeo, fora de qualquer sala
+        addReaction: (videoKey, data) => request('addItem', { roomId: `videos/${videoKey}`, collectionName: 'reactions', data }),
+        subscribeReactions: (videoKey, { limit: maxItems }, onChange, onError) => subscribeQuery({
+            type: 'subscribeItems',
+            roomId: `videos/${videoKey}`,
+            collectionName: 'reactions',
+            options: { orderBy: 'timestamp', direction: 'desc', limit: maxItems }
+        }, onChange, onError),
+        saveProfile: (userId, data) => request('saveProfile', { userId, data }),
+        subscribeProfiles: (userIds, onChange, onError) => subscribe({ type: 'subscribeProfiles', userIds }, onChange, onError),
+        requestAi: (roomId, prompt, { onToken, purpose } = {}) => request('requestAi', { roomId, prompt, purpose }, { onToken }),
+        getAiProviderName: () => serverAiProviderName,
+        moderatesChat: true,
+        closesInactiveRooms: true, // Ver sweepInactiveRooms em server.mjs
+        ...jsonPatchSentinels
+    };
+};
+
+// Prioridade: servidor WebSocket configurado, depois Firestore, e por fim memória local
+const roomStore = roomServerUrl
+    ? createWebSocketRoomStore(roomServerUrl, getLocalIdentity())
+    : db ? createFirestoreRoomStore(db, appId) : createMemoryRoomStore();
+
 const SYNC_THRESHOLD = 1.5; // Segundos de diferença para forçar a sincronização do seek
+const DRIFT_TOLERANCE = 0.15; // Segundos de diferença tolerados sem nenhuma correção
+const MAX_RATE_ADJUSTMENT = 0.05; // Variação máxima da velocidade (±5%) usada para corrigir pequenas diferenças
+const DRIFT_CORRECTION_GAIN = 0.1; // Ajuste de velocidade aplicado por segundo de diferença
+const SYNC_INTERVAL_MS = 1000; // Intervalo da verificação de sincronização local
+const RESYNC_CATCHUP_MS = 20000; // Após uma reconexão, janela em que diferenças moderadas são alcançadas pela velocidade, sem seek
+const RESYNC_CATCHUP_LIMIT = 5; // Diferença máxima (s) corrigida pela velocidade durante essa janela
+const MAX_RESYNC_RATE_ADJUSTMENT = 0.25; // Variação máxima da velocidade (±25%) durante essa janela
+const LISTENER_RETRY_DELAY_MS = 5000; // Espera antes de refazer as inscrições depois de um erro
+const CONNECTION_STATES = { ONLINE: 'online', OFFLINE: 'offline', RESYNCING: 'resyncing' };
+const SCHEDULE_TICK_MS = 500; // Atualização da contagem regressiva de uma sessão agendada
+const SCHEDULE_DEFAULT_DURATION_MS = 2 * 60 * 60 * 1000; // Duração do convite .ics quando a do vídeo ainda não é conhecida
+const DIRECTORY_LIMIT = 50; // Salas públicas carregadas no lobby
+const DIRECTORY_ACTIVITY_STEP_MS = 10 * 60 * 1000; // Precisão do lastActivityAt do diretório: sem outras mudanças, a entrada é regravada nesse intervalo
+const THUMBNAIL_CAPTURE_POSITION = 5; // Segundo do vídeo em que o quadro da miniatura é capturado
+const THUMBNAIL_WIDTH = 320; // Largura (px) da miniatura capturada; a altura segue a proporção do vídeo
+const PROBE_TIMEOUT_MS = 15000; // Tempo máximo da checagem local de um vídeo antes de carregá-lo na sala
+const AVATAR_SIZE = 96; // Lado (px) do avatar enviado, recortado no centro da imagem
+const PROFILE_NAME_MAX_LENGTH = 40;
+const CHAT_COLORS = ['#a5b4fc', '#f9a8d4', '#86efac', '#fcd34d', '#67e8f9', '#fca5a5', '#c4b5fd', '#fdba74']; // Cores de nome no chat
+const OFFLINE_QUEUEABLE_ACTIONS = ['PLAY', 'PAUSE', 'SEEK']; // Ações do player guardadas (e condensadas em uma) enquanto a conexão está fora
+const CLOCK_SAMPLE_COUNT = 5; // Quantidade de amostras mantidas para estimar o relógio do servidor
+const REMOTE_EVENT_WINDOW_MS = 2000; // Tempo em que um evento do player ainda é atribuído à sincronização e não ao usuário
+const YOUTUBE_SEEK_DETECTION_THRESHOLD = 2; // Salto (s) no tempo do YouTube interpretado como seek do usuário
+const MAX_SUBTITLE_FILE_BYTES = 900 * 1024; // Legendas enviadas ficam em um documento do Firestore (limite de 1 MiB)
+const SUBTITLE_OFFSET_STEP = 0.5; // Passo (s) do ajuste de atraso das legendas
+const SUBTITLE_FETCH_ATTEMPTS = 3; // Tentativas de baixar uma legenda por URL antes de desistir (até o usuário escolhê-la de novo)
+const SUBTITLE_RETRY_DELAY_MS = 2000; // Espera antes da segunda tentativa; dobra a cada nova falha
+const BUFFERING_GRACE_MS = 1500; // Travadas mais curtas que isso não pausam a sala
+const READY_CHECK_TIMEOUT_MS = 20000; // Tempo máximo de espera para todos carregarem antes de iniciar
+const CHAT_PAGE_SIZE = 50; // Mensagens carregadas por página do histórico do chat
+const CHAT_SCROLL_TOP_THRESHOLD = 40; // Distância (px) do topo do chat que dispara o carregamento de mensagens antigas
+const CHAT_REPLY_PREVIEW_LENGTH = 80; // Trecho da mensagem original guardado em uma resposta
+const CHAT_REACTIONS = { like: '👍', heart: '❤️', laugh: '😂', wow: '😮', sad: '😢', fire: '🔥' }; // Chave gravada no documento -> emoji exibido
+const LANGUAGES = { // Idiomas da interface e do chat: rótulo no seletor e nome usado nos pedidos à IA
+    'pt-BR': { label: 'Português', promptName: 'Português Brasileiro' },
+    en: { label: 'English', promptName: 'inglês' },
+    es: { label: 'Español', promptName: 'espanhol' }
+};
+const CHAT_AUTO_TRANSLATE_RECENT = 20; // Tradução automática só alcança as mensagens mais recentes (não o histórico inteiro)
+const TRANSLATION_CLAIM_TIMEOUT_MS = 60000; // Depois disso, a tradução reservada por outro leitor (que pode ter saído) fica livre de novo
+const REACTION_FLOAT_MS = 3000; // Tempo que uma reação flutua sobre o vídeo
+const REACTION_COOLDOWN_MS = 400; // Intervalo mínimo entre reações enviadas pelo mesmo usuário
+const REACTION_REPLAY_INTERVAL_MS = 250; // Frequência com que o replay confere as reações gravadas
+const REACTION_DENSITY_BUCKETS = 60; // Colunas do gráfico de intensidade das reações
+const REACTION_HISTORY_LIMIT = 1000; // Reações mais recentes do vídeo carregadas para o replay e o gráfico
+const SESSION_REPLAY_ITEM_MS = 6000; // Tempo que cada mensagem ou ação do replay da sessão fica sobre o vídeo
+const SESSION_REPLAY_VISIBLE_ITEMS = 4; // Itens do replay da sessão exibidos ao mesmo tempo
+const CHAT_SUBTITLE_SECONDS = 5; // Duração de cada mensagem na legenda SRT exportada
+const DANMAKU_SCROLL_SECONDS = 8; // Tempo que cada mensagem leva para atravessar a tela na legenda ASS exportada
+const DANMAKU_LANES = 10; // Faixas horizontais usadas pelas mensagens na legenda ASS
+const LOCAL_FILE_URL_PREFIX = 'local:'; // currentVideoUrl de arquivos locais: 'local:<hash>'
+const LIVE_SHARE_URL_PREFIX = 'live:'; // currentVideoUrl do compartilhamento de tela: 'live:<sessão>'
+const LOCAL_FILE_HASH_CHUNK_BYTES = 1024 * 1024; // Trechos do início e do fim do arquivo usados na impressão digital
+const LOCAL_FILE_DURATION_TOLERANCE = 1; // Diferença de duração (s) ainda considerada o mesmo arquivo
+const VOICE_ICE_SERVERS = []; // Só candidatos locais: a chamada funciona P2P na mesma rede, sem STUN/TURN
+const VOICE_LEVEL_INTERVAL_MS = 100; // Frequência da medição de volume das vozes
+const VOICE_SPEAKING_THRESHOLD = 0.04; // Nível RMS a partir do qual alguém está falando
+const VOICE_SPEAKING_HOLD_MS = 600; // Tempo que alguém continua "falando" após o último pico (evita o volume do vídeo oscilar)
+const VOICE_DUCKING_FACTOR = 0.3; // Fração do volume do vídeo mantida enquanto alguém fala
+const PUSH_TO_TALK_KEY = 'KeyT'; // Tecla segurada no modo aperte para falar
 const GEMINI_API_KEY = ""; // Deixe em branco, o Canvas injetará em runtime
+const AI_RESERVATION_ATTEMPTS = 3; // Tentativas de reserva quando outro pedido grava em aiUsage ao mesmo tempo
 
-// Componente Modal Genérico
-const Modal = ({ isOpen, onClose, title, children, size = "md" }) => {
-    if (!isOpen) return null;
-    const sizeClasses = {
-        sm: "max-w-sm",
-        md: "max-w-md",
-        lg: "max-w-lg",
-        xl: "max-w-xl"
+// __ai_provider_config escolhe o provedor (ver aiProviders.mjs); com o servidor de salas, vale o provedor configurado nele
+const aiProvider = createAiProvider({ apiKey: GEMINI_API_KEY, ...JSON.parse(aiProviderConfigJson) });
+const getAiProviderName = () => roomStore.getAiProviderName?.() || aiProvider.name;
+
+// Velocidade que fecha gradualmente uma pequena diferença, sem saltos visíveis no vídeo
+const getCorrectedPlaybackRate = (baseRate, drift, maxAdjustment = MAX_RATE_ADJUSTMENT) => {
+    if (Math.abs(drift) <= DRIFT_TOLERANCE) return baseRate;
+    const adjustment = Math.max(-maxAdjustment, Math.min(maxAdjustment, drift * DRIFT_CORRECTION_GAIN));
+    return baseRate * (1 + adjustment);
+};
+
+// A fila é ordenada por votos e, em caso de empate, pela posição definida ao adicionar ou reordenar
+const sortQueue = (items) => [...items].sort((a, b) =>
+    (b.votes?.length || 0) - (a.votes?.length || 0) || a.position - b.position
+);
+
+// Tipos de fonte suportados pelo player; os de embed usam o iframe do próprio serviço em vez do <video>
+const SOURCE_TYPES = {
+    NATIVE: 'native',
+    HLS: 'hls',
+    DASH: 'dash',
+    YOUTUBE: 'youtube',
+    VIMEO: 'vimeo',
+    LOCAL: 'local', // Arquivo que cada participante tem no próprio computador; a URL da sala só identifica o arquivo
+    LIVE: 'live' // Tela ou aba compartilhada pelo host via WebRTC; não há posição para sincronizar
+};
+const EMBED_SOURCE_TYPES = [SOURCE_TYPES.YOUTUBE, SOURCE_TYPES.VIMEO];
+
+// Detecta o tipo de fonte pela URL (e o ID do vídeo, no caso de embeds)
+const detectSourceType = (url = '') => {
+    if (url.startsWith(LOCAL_FILE_URL_PREFIX)) return { type: SOURCE_TYPES.LOCAL };
+    if (url.startsWith(LIVE_SHARE_URL_PREFIX)) return { type: SOURCE_TYPES.LIVE };
+    const youTubeMatch = url.match(/(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/|live\/)|youtu\.be\/)([\w-]{11})/);
+    if (youTubeMatch) return { type: SOURCE_TYPES.YOUTUBE, videoId: youTubeMatch[1] };
+    const vimeoMatch = url.match(/vimeo\.com\/(?:video\/)?(\d+)/);
+    if (vimeoMatch) return { type: SOURCE_TYPES.VIMEO, videoId: vimeoMatch[1] };
+    if (/\.m3u8(?:[?#]|$)/i.test(url)) return { type: SOURCE_TYPES.HLS };
+    if (/\.mpd(?:[?#]|$)/i.test(url)) return { type: SOURCE_TYPES.DASH };
+    return { type: SOURCE_TYPES.NATIVE };
+};
+
+// Miniatura pública de vídeos do YouTube/Vimeo; as demais fontes usam o quadro capturado na prévia ou pelo host
+const getVideoThumbnailUrl = (url) => {
+    const source = detectSourceType(url);
+    if (source.type === SOURCE_TYPES.YOUTUBE) return `https://i.ytimg.com/vi/${source.videoId}/hqdefault.jpg`;
+    if (source.type === SOURCE_TYPES.VIMEO) return `https://vumbnail.com/${source.videoId}.jpg`;
+    return null;
+};
+
+// Nome do arquivo no fim da URL, usado como título de vídeos que não têm outro
+const getUrlFileName = (url) => {
+    try {
+        return decodeURIComponent(new URL(url).pathname.split('/').pop()) || null;
+    } catch (e) {
+        return null;
+    }
+};
+
+/*
+ * Adaptadores de player. Todos expõem a mesma interface, usada pela sincronização da sala:
+ *   play(): Promise, pause(), seek(segundos), getCurrentTime(), getDuration(),
+ *   isPaused(), isEnded(), isReady(), setPlaybackRate(taxa), getVolume(), setVolume(0..1), supportsRateCorrection, destroy()
+ * e repassam os eventos 'play', 'pause', 'seeking', 'seeked', 'ended', 'waiting', 'canplay' e 'error' para eventsRef.current.
+ * HLS e DASH também emitem 'codecs' ({ video, audio }) quando o manifesto informa os codecs da faixa escolhida.
+ */
+const emitPlayerEvent = (eventsRef, name, ...args) => eventsRef.current?.[name]?.(...args);
+
+// <video> nativo; attachSource permite que HLS/DASH controlem como a fonte é anexada ao elemento
+const createNativeAdapter = (video, url, eventsRef, attachSource) => {
+    const listeners = {
+        play: () => emitPlayerEvent(eventsRef, 'play'),
+        pause: () => emitPlayerEvent(eventsRef, 'pause'),
+        seeking: () => emitPlayerEvent(eventsRef, 'seeking'),
+        seeked: () => emitPlayerEvent(eventsRef, 'seeked'),
+        ended: () => emitPlayerEvent(eventsRef, 'ended'),
+        waiting: () => emitPlayerEvent(eventsRef, 'waiting'),
+        stalled: () => emitPlayerEvent(eventsRef, 'waiting'),
+        playing: () => emitPlayerEvent(eventsRef, 'canplay'),
+        canplay: () => emitPlayerEvent(eventsRef, 'canplay'),
+        error: () => emitPlayerEvent(eventsRef, 'error', video.error?.message)
     };
+    Object.entries(listeners).forEach(([name, listener]) => video.addEventListener(name, listener));
 
-    return (
-        <div className="fixed inset-0 bg-black bg-opacity-60 backdrop-blur-sm flex justify-center items-center z-50 p-4">
-            <div className={`bg-gray-800 p-6 rounded-lg shadow-xl w-full ${sizeClasses[size]} text-white`}>
-                <div className="flex justify-between items-center mb-4">
-                    <h3 className="text-xl font-semibold">{title}</h3>
-                    <button onClick={onClose} className="text-gray-400 hover:text-white">
-                        <XCircle size={24} />
-                    </button>
-                </div>
-                {children}
-            </div>
-        </div>
-    );
+    let detachSource = null;
+    if (attachSource) {
+        detachSource = attachSource(video, url);
+    } else {
+        video.src = url;
+        video.load();
+    }
+
+    return {
+        play: () => video.play(),
+        pause: () => video.pause(),
+        seek: (time) => { video.currentTime = time; },
+        getCurrentTime: () => video.currentTime,
+        getDuration: () => video.duration || 0,
+        isPaused: () => video.paused,
+        isEnded: () => video.ended,
+        isReady: () => video.readyState >= 1, // HAVE_METADATA
+        setPlaybackRate: (rate) => { video.playbackRate = rate; },
+        getVolume: () => video.volume,
+        setVolume: (volume) => { video.volume = volume; },
+        supportsRateCorrection: true,
+        destroy: () => {
+            Object.entries(listeners).forEach(([name, listener]) => video.removeEventListener(name, listener));
+            if (detachSource) detachSource();
+            video.removeAttribute('src');
+            video.load();
+        }
+    };
 };
 
-// Componente Principal App
-function App() {
-    const [currentUser, setCurrentUser] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const [isAuthReady, setIsAuthReady] = useState(false);
-    const [roomIdFromInput, setRoomIdFromInput] = useState(''); // Renomeado para evitar conflito
-    const [currentRoomId, setCurrentRoomId] = useState(''); // Estado para o ID da sala atual
-    const [displayName, setDisplayName] = useState('');
-    const [enteredRoom, setEnteredRoom] = useState(false);
-    const [showNameModal, setShowNameModal] = useState(false);
-    const [nameInput, setNameInput] = useState('');
-    const [error, setError] = useState('');
+const createHlsAdapter = (video, url, eventsRef) => createNativeAdapter(video, url, eventsRef, () => {
+    // Safari reproduz HLS nativamente
+    if (video.canPlayType('application/vnd.apple.mpegurl')) {
+        video.src = url;
+        return null;
+    }
+    if (!Hls.isSupported()) {
+        emitPlayerEvent(eventsRef, 'error', "HLS não é suportado neste navegador.");
+        return null;
+    }
+    const hls = new Hls();
+    hls.on(Hls.Events.ERROR, (event, data) => {
+        if (data.fatal) emitPlayerEvent(eventsRef, 'error', `HLS: ${data.details}`);
+    });
+    hls.on(Hls.Events.MANIFEST_PARSED, (event, data) => {
+        const level = data.levels[data.levels.length - 1];
+        if (level) emitPlayerEvent(eventsRef, 'codecs', { video: level.videoCodec || null, audio: level.audioCodec || null });
+    });
+    hls.loadSource(url);
+    hls.attachMedia(video);
+    return () => hls.destroy();
+});
 
-    useEffect(() => {
-        if (!auth) {
-            setError("Firebase Auth não inicializado.");
-            return;
+const createDashAdapter = (video, url, eventsRef) => createNativeAdapter(video, url, eventsRef, () => {
+    const dashPlayer = dashjs.MediaPlayer().create();
+    dashPlayer.on(dashjs.MediaPlayer.events.ERROR, (e) => {
+        emitPlayerEvent(eventsRef, 'error', `DASH: ${e.error?.message || e.error || 'erro desconhecido'}`);
+    });
+    dashPlayer.on(dashjs.MediaPlayer.events.STREAM_INITIALIZED, () => {
+        emitPlayerEvent(eventsRef, 'codecs', {
+            video: dashPlayer.getCurrentTrackFor('video')?.codec || null,
+            audio: dashPlayer.getCurrentTrackFor('audio')?.codec || null
+        });
+    });
+    dashPlayer.initialize(video, url, false);
+    return () => dashPlayer.reset();
+});
+
+let youTubeApiPromise = null;
+const loadYouTubeApi = () => {
+    if (window.YT?.Player) return Promise.resolve(window.YT);
+    if (!youTubeApiPromise) {
+        youTubeApiPromise = new Promise((resolve, reject) => {
+            const previousCallback = window.onYouTubeIframeAPIReady;
+            window.onYouTubeIframeAPIReady = () => {
+                if (previousCallback) previousCallback();
+                resolve(window.YT);
+            };
+            const script = document.createElement('script');
+            script.src = 'https://www.youtube.com/iframe_api';
+            script.onerror = () => {
+                youTubeApiPromise = null;
+                reject(new Error("Não foi possível carregar a API do YouTube."));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return youTubeApiPromise;
+};
+
+const createYouTubeAdapter = (container, videoId, eventsRef) => {
+    // O YT.Player substitui o elemento recebido por um iframe, então ele não pode ser gerenciado pelo React
+    const mount = document.createElement('div');
+    container.appendChild(mount);
+    let player = null;
+    let ready = false;
+    let destroyed = false;
+    let paused = true;
+    let ended = false;
+    let buffering = false;
+    let rate = 1;
+    let lastTime = 0;
+    let lastCheckedAt = Date.now();
+    let seekPollId = null;
+
+    loadYouTubeApi().then((YT) => {
+        if (destroyed) return;
+        player = new YT.Player(mount, {
+            videoId,
+            width: '100%',
+            height: '100%',
+            playerVars: { playsinline: 1, rel: 0 },
+            events: {
+                onReady: () => {
+                    ready = true;
+                    emitPlayerEvent(eventsRef, 'canplay');
+                },
+                onStateChange: ({ data }) => {
+                    if (data === YT.PlayerState.BUFFERING) {
+                        buffering = true;
+                        emitPlayerEvent(eventsRef, 'waiting');
+                        return; // BUFFERING não altera o estado lógico para não gerar play/pause falsos durante um seek
+                    }
+                    if (buffering) {
+                        buffering = false;
+                        emitPlayerEvent(eventsRef, 'canplay');
+                    }
+                    if (data === YT.PlayerState.PLAYING) {
+                        ended = false;
+                        if (paused) {
+                            paused = false;
+                            emitPlayerEvent(eventsRef, 'play');
+                        }
+                    } else if (data === YT.PlayerState.PAUSED && !paused) {
+                        paused = true;
+                        emitPlayerEvent(eventsRef, 'pause');
+                    } else if (data === YT.PlayerState.ENDED) {
+                        paused = true;
+                        ended = true;
+                        emitPlayerEvent(eventsRef, 'ended');
+                    }
+                },
+                onError: ({ data }) => emitPlayerEvent(eventsRef, 'error', `YouTube (código ${data})`)
+            }
+        });
+
+        // A API do YouTube não emite eventos de seek: detecta saltos comparando o tempo atual com o esperado
+        seekPollId = setInterval(() => {
+            if (!ready) return;
+            const now = Date.now();
+            const time = player.getCurrentTime();
+            const playing = player.getPlayerState() === YT.PlayerState.PLAYING;
+            const expectedTime = playing ? lastTime + ((now - lastCheckedAt) / 1000) * rate : lastTime;
+            if (Math.abs(time - expectedTime) > YOUTUBE_SEEK_DETECTION_THRESHOLD) {
+                emitPlayerEvent(eventsRef, 'seeking');
+                emitPlayerEvent(eventsRef, 'seeked');
+            }
+            lastTime = time;
+            lastCheckedAt = now;
+        }, 500);
+    }).catch((e) => emitPlayerEvent(eventsRef, 'error', e.message));
+
+    return {
+        play: () => {
+            if (ready) player.playVideo();
+            return Promise.resolve();
+        },
+        pause: () => { if (ready) player.pauseVideo(); },
+        seek: (time) => {
+            if (!ready) return;
+            player.seekTo(time, true);
+            lastTime = time;
+            lastCheckedAt = Date.now();
+            emitPlayerEvent(eventsRef, 'seeked');
+        },
+        getCurrentTime: () => (ready ? player.getCurrentTime() : 0),
+        getDuration: () => (ready ? player.getDuration() : 0),
+        isPaused: () => paused,
+        isEnded: () => ended,
+        isReady: () => ready,
+        // O YouTube só aceita velocidades discretas (0.25, 0.5, ...), então não há correção gradual
+        setPlaybackRate: (newRate) => {
+            if (!ready || newRate === rate) return;
+            rate = newRate;
+            player.setPlaybackRate(newRate);
+        },
+        getVolume: () => (ready ? player.getVolume() / 100 : 1),
+        setVolume: (volume) => { if (ready) player.setVolume(Math.round(volume * 100)); },
+        supportsRateCorrection: false,
+        destroy: () => {
+            destroyed = true;
+            clearInterval(seekPollId);
+            if (player) player.destroy();
+            mount.remove();
         }
-        const unsubscribe = onAuthStateChanged(auth, async (user) => {
-            if (user) {
-                setCurrentUser(user);
-                const uId = user.uid || crypto.randomUUID();
-                setUserId(uId);
-                const storedName = localStorage.getItem(`displayName-${uId}`);
-                if (storedName) {
-                    setDisplayName(storedName);
-                    setShowNameModal(false);
-                } else {
-                    setShowNameModal(true);
+    };
+};
+
+const createVimeoAdapter = (container, videoId, eventsRef) => {
+    const mount = document.createElement('div');
+    mount.className = 'w-full h-full';
+    container.appendChild(mount);
+    const player = new VimeoPlayer(mount, { id: videoId, responsive: true });
+    // A API do Vimeo é assíncrona; o estado é mantido em cache a partir dos eventos
+    const state = { ready: false, paused: true, ended: false, currentTime: 0, duration: 0, rate: 1, volume: 1 };
+
+    player.ready()
+        .then(() => player.getDuration())
+        .then((duration) => {
+            state.duration = duration;
+            state.ready = true;
+            emitPlayerEvent(eventsRef, 'canplay');
+        })
+        .catch((e) => emitPlayerEvent(eventsRef, 'error', `Vimeo: ${e.message}`));
+    player.on('play', () => {
+        state.paused = false;
+        state.ended = false;
+        emitPlayerEvent(eventsRef, 'play');
+    });
+    player.on('pause', () => {
+        state.paused = true;
+        emitPlayerEvent(eventsRef, 'pause');
+    });
+    player.on('ended', () => {
+        state.paused = true;
+        state.ended = true;
+        emitPlayerEvent(eventsRef, 'ended');
+    });
+    player.on('timeupdate', ({ seconds, duration }) => {
+        state.currentTime = seconds;
+        state.duration = duration;
+    });
+    player.on('volumechange', ({ volume }) => { state.volume = volume; });
+    player.on('seeking', () => emitPlayerEvent(eventsRef, 'seeking'));
+    player.on('bufferstart', () => emitPlayerEvent(eventsRef, 'waiting'));
+    player.on('bufferend', () => emitPlayerEvent(eventsRef, 'canplay'));
+    player.on('seeked', ({ seconds }) => {
+        state.currentTime = seconds;
+        emitPlayerEvent(eventsRef, 'seeked');
+    });
+    player.on('error', (e) => emitPlayerEvent(eventsRef, 'error', `Vimeo: ${e.message}`));
+
+    return {
+        play: () => player.play(),
+        pause: () => { player.pause().catch(() => {}); },
+        seek: (time) => {
+            state.currentTime = time;
+            player.setCurrentTime(time).catch((e) => console.warn("Falha ao buscar no Vimeo:", e));
+        },
+        getCurrentTime: () => state.currentTime,
+        getDuration: () => state.duration,
+        isPaused: () => state.paused,
+        isEnded: () => state.ended,
+        isReady: () => state.ready,
+        // Mudança de velocidade no Vimeo depende do plano do dono do vídeo; a correção usa apenas seek
+        setPlaybackRate: (rate) => {
+            if (rate === state.rate) return;
+            state.rate = rate;
+            player.setPlaybackRate(rate).catch(() => {});
+        },
+        getVolume: () => state.volume,
+        setVolume: (volume) => {
+            state.volume = volume;
+            player.setVolume(volume).catch(() => {});
+        },
+        supportsRateCorrection: false,
+        destroy: () => {
+            player.destroy().catch(() => {});
+            mount.remove();
+        }
+    };
+};
+
+// Transmissão ao vivo (compartilhamento de tela): o <video> toca o MediaStream recebido. Pausa e seek não existem
+// para a sala, então só os eventos de buffering são repassados. muted evita que o host ouça o próprio áudio.
+const createLiveAdapter = (video, stream, eventsRef, muted) => {
+    const listeners = {
+        waiting: () => emitPlayerEvent(eventsRef, 'waiting'),
+        playing: () => emitPlayerEvent(eventsRef, 'canplay'),
+        canplay: () => emitPlayerEvent(eventsRef, 'canplay')
+    };
+    Object.entries(listeners).forEach(([name, listener]) => video.addEventListener(name, listener));
+    video.srcObject = stream;
+    video.muted = muted;
+    // Sem interação prévia o navegador pode bloquear autoplay com som: começa mudo e o usuário liga o áudio nos controles
+    video.play().catch(() => {
+        video.muted = true;
+        video.play().catch(e => console.warn("Falha ao iniciar a transmissão:", e));
+    });
+
+    return {
+        play: () => video.play(),
+        pause: () => {},
+        seek: () => {},
+        getCurrentTime: () => video.currentTime,
+        getDuration: () => 0,
+        isPaused: () => video.paused,
+        isEnded: () => false,
+        isReady: () => video.readyState >= 1,
+        setPlaybackRate: () => {},
+        getVolume: () => video.volume,
+        setVolume: (volume) => { video.volume = volume; },
+        supportsRateCorrection: false,
+        destroy: () => {
+            Object.entries(listeners).forEach(([name, listener]) => video.removeEventListener(name, listener));
+            video.srcObject = null;
+            video.muted = false;
+        }
+    };
+};
+
+// Cria o adaptador adequado à URL; target é o <video> para fontes nativas ou o contêiner do iframe para embeds
+const createPlayerAdapter = (sourceType, target, url, eventsRef) => {
+    switch (sourceType) {
+        case SOURCE_TYPES.HLS: return createHlsAdapter(target, url, eventsRef);
+        case SOURCE_TYPES.DASH: return createDashAdapter(target, url, eventsRef);
+        case SOURCE_TYPES.YOUTUBE: return createYouTubeAdapter(target, detectSourceType(url).videoId, eventsRef);
+        case SOURCE_TYPES.VIMEO: return createVimeoAdapter(target, detectSourceType(url).videoId, eventsRef);
+        default: return createNativeAdapter(target, url, eventsRef);
+    }
+};
+
+// Duração de um vídeo lida só dos metadados (null se o navegador não conseguir abrir o arquivo)
+const readMediaDuration = (url) => new Promise((resolve) => {
+    const video = document.createElement('video');
+    video.preload = 'metadata';
+    video.onloadedmetadata = () => resolve(Number.isFinite(video.duration) ? video.duration : null);
+    video.onerror = () => resolve(null);
+    video.src = url;
+});
+
+// Quadro atual do <video> como JPEG pequeno (data URL); null se o vídeo de outra origem não permitir a leitura dos pixels
+const captureVideoFrame = (video) => {
+    if (!video?.videoWidth) return null;
+    const canvas = document.createElement('canvas');
+    canvas.width = THUMBNAIL_WIDTH;
+    canvas.height = Math.round(THUMBNAIL_WIDTH * video.videoHeight / video.videoWidth);
+    try {
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.6);
+    } catch (e) {
+        console.warn("Não foi possível capturar a miniatura do vídeo:", e);
+        return null;
+    }
+};
+
+// Metadados da checagem como ficam na sala e na fila: só com miniaturas que sejam URLs; o quadro capturado (data URL)
+// vai para a coleção thumbnails, para não pesar no documento da sala reenviado a cada heartbeat
+const getStoredVideoMeta = (metadata) => metadata && {
+    ...metadata,
+    thumbnailUrl: metadata.thumbnailUrl?.startsWith('data:') ? null : metadata.thumbnailUrl
+};
+
+// Guarda o quadro capturado na checagem como documento próprio, associado à URL do vídeo (como as legendas)
+const saveVideoThumbnail = (roomId, videoUrl, metadata) => {
+    if (!metadata?.thumbnailUrl?.startsWith('data:')) return;
+    roomStore.addItem(roomId, 'thumbnails', { videoUrl, url: metadata.thumbnailUrl, addedAt: roomStore.serverTimestamp() })
+        .catch(e => console.warn("Falha ao salvar a miniatura do vídeo:", e));
+};
+
+// Carrega o vídeo escondido, só neste navegador, para validar a fonte antes de trocá-la para a sala inteira.
+// Resolve com { title, duration, width, height, codecs, thumbnailUrl } ou rejeita com o erro do player.
+const probeVideoSource = (url) => new Promise((resolve, reject) => {
+    const sourceType = detectSourceType(url).type;
+    const isEmbed = EMBED_SOURCE_TYPES.includes(sourceType);
+    const target = document.createElement(isEmbed ? 'div' : 'video');
+    // Fora da tela, mas dentro do documento: os iframes do YouTube/Vimeo não carregam soltos
+    Object.assign(target.style, { position: 'fixed', left: '-10000px', top: '0', width: '320px', height: '180px' });
+    if (!isEmbed) target.muted = true;
+    document.body.appendChild(target);
+
+    const metadata = { title: isEmbed ? null : getUrlFileName(url), duration: null, width: null, height: null, codecs: null, thumbnailUrl: getVideoThumbnailUrl(url) };
+    let adapter = null;
+    let settled = false;
+    let isCapturing = false;
+    const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutId);
+        eventsRef.current = null;
+        adapter?.destroy();
+        target.remove();
+        if (error) reject(error);
+        else resolve(metadata);
+    };
+    const timeoutId = setTimeout(() => finish(new Error("Tempo esgotado ao carregar o vídeo.")), PROBE_TIMEOUT_MS);
+    const eventsRef = {
+        current: {
+            codecs: (codecs) => { metadata.codecs = codecs; },
+            error: (message) => finish(new Error(message || "O navegador não conseguiu abrir o vídeo.")),
+            canplay: () => {
+                if (isCapturing) return;
+                const duration = adapter?.getDuration();
+                metadata.duration = Number.isFinite(duration) && duration > 0 ? duration : null; // Transmissões ao vivo não têm duração
+                if (isEmbed) {
+                    finish();
+                    return;
                 }
-            } else {
-                try {
-                    if (initialAuthToken) {
-                        await signInWithCustomToken(auth, initialAuthToken);
+                metadata.width = target.videoWidth || null;
+                metadata.height = target.videoHeight || null;
+                // Quadro de prévia um pouco depois do início, que costuma ser preto
+                isCapturing = true;
+                adapter.seek(Math.min(THUMBNAIL_CAPTURE_POSITION, (metadata.duration || 0) / 2));
+            },
+            seeked: () => {
+                if (!isCapturing) return;
+                metadata.thumbnailUrl = captureVideoFrame(target);
+                finish();
+            }
+        }
+    };
+    adapter = createPlayerAdapter(sourceType, target, url, eventsRef);
+    if (settled) adapter.destroy(); // Erro emitido já durante a criação do adaptador
+});
+
+// Hash FNV-1a de 32 bits: o mesmo usuário recebe sempre o mesmo identicon e a mesma cor padrão
+const hashSeed = (seed) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        hash = Math.imul(hash ^ seed.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+// Identicon 5x5 espelhado em SVG, para quem não enviou uma imagem
+const buildIdenticonUrl = (seed) => {
+    const hash = hashSeed(seed);
+    const cells = [];
+    for (let row = 0; row < 5; row++) {
+        for (let col = 0; col < 3; col++) {
+            if (!((hash >>> (row * 3 + col)) & 1)) continue;
+            cells.push(`<rect x="${col}" y="${row}" width="1" height="1"/>`);
+            if (col < 2) cells.push(`<rect x="${4 - col}" y="${row}" width="1" height="1"/>`);
+        }
+    }
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="-0.5 -0.5 6 6"><rect x="-0.5" y="-0.5" width="6" height="6" fill="#374151"/><g fill="hsl(${hash % 360},65%,60%)">${cells.join('')}</g></svg>`;
+    return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+};
+
+const getProfileColor = (userId, profile) => profile?.color || CHAT_COLORS[hashSeed(userId || '') % CHAT_COLORS.length];
+
+// Recorta o centro da imagem escolhida e reduz para AVATAR_SIZE, para caber no documento do perfil
+const resizeAvatarImage = async (file) => {
+    const bitmap = await createImageBitmap(file);
+    const side = Math.min(bitmap.width, bitmap.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = AVATAR_SIZE;
+    canvas.height = AVATAR_SIZE;
+    canvas.getContext('2d').drawImage(bitmap, (bitmap.width - side) / 2, (bitmap.height - side) / 2, side, side, 0, 0, AVATAR_SIZE, AVATAR_SIZE);
+    bitmap.close();
+    return canvas.toDataURL('image/jpeg', 0.8);
+};
+
+// Impressão digital de um arquivo local: nome, tamanho, duração e SHA-256 do início e do fim do conteúdo
+// (ler o arquivo inteiro levaria muito tempo em filmes de vários GB)
+const fingerprintLocalFile = async (file, objectUrl) => {
+    const head = await file.slice(0, LOCAL_FILE_HASH_CHUNK_BYTES).arrayBuffer();
+    const tail = await file.slice(Math.max(LOCAL_FILE_HASH_CHUNK_BYTES, file.size - LOCAL_FILE_HASH_CHUNK_BYTES)).arrayBuffer();
+    const data = new Uint8Array(head.byteLength + tail.byteLength);
+    data.set(new Uint8Array(head), 0);
+    data.set(new Uint8Array(tail), head.byteLength);
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return {
+        name: file.name,
+        size: file.size,
+        duration: await readMediaDuration(objectUrl),
+        hash: Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+    };
+};
+
+// Diferenças entre o arquivo escolhido pelo participante e o declarado pelo host (lista vazia = mesmo arquivo)
+const compareLocalFiles = (expected, actual) => {
+    const differences = [];
+    if (expected.size !== actual.size) differences.push('size');
+    if (expected.duration && actual.duration && Math.abs(expected.duration - actual.duration) > LOCAL_FILE_DURATION_TOLERANCE) differences.push('duration');
+    if (expected.hash !== actual.hash) differences.push('content');
+    return differences;
+};
+
+// Situação do arquivo local de um participante: 'missing' (ainda não escolheu), 'different' ou 'match'
+const getLocalFileStatus = (participant, roomLocalFile) => {
+    if (!participant.localFile || participant.localFile.expectedHash !== roomLocalFile.hash) return 'missing';
+    return participant.localFile.hash === roomLocalFile.hash ? 'match' : 'different';
+};
+
+const formatFileSize = (bytes, language) => {
+    const [value, unit, digits] = bytes >= 1024 ** 3 ? [bytes / 1024 ** 3, 'gigabyte', 2] : [bytes / 1024 ** 2, 'megabyte', 1];
+    return new Intl.NumberFormat(language, { style: 'unit', unit, maximumFractionDigits: digits, minimumFractionDigits: digits }).format(value);
+};
+
+// Converte SRT para WebVTT: cabeçalho obrigatório e vírgula decimal trocada por ponto nos tempos
+const srtToVtt = (srt) => {
+    const body = srt.replace(/^\uFEFF/, '').replace(/\r/g, '').trim()
+        .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2');
+    return `WEBVTT\n\n${body}\n`;
+};
+
+const toVtt = (text) => (/^\uFEFF?WEBVTT/.test(text.trimStart()) ? text : srtToVtt(text));
+
+const parseVttTimestamp = (timestamp) => {
+    const parts = timestamp.split(':').map(Number);
+    return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+const formatVttTimestamp = (seconds) => {
+    const totalMillis = Math.round(Math.max(0, seconds) * 1000);
+    const hours = Math.floor(totalMillis / 3600000);
+    const minutes = Math.floor((totalMillis % 3600000) / 60000);
+    const secs = Math.floor((totalMillis % 60000) / 1000);
+    const millis = totalMillis % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(millis, 3)}`;
+};
+
+// Desloca todos os tempos das cues (offset positivo atrasa a legenda)
+const shiftVttTimestamps = (vtt, offsetSeconds) => {
+    if (!offsetSeconds) return vtt;
+    return vtt.replace(/^([\d:.]+)\s+-->\s+([\d:.]+)(.*)$/gm, (line, start, end, settings) =>
+        `${formatVttTimestamp(parseVttTimestamp(start) + offsetSeconds)} --> ${formatVttTimestamp(parseVttTimestamp(end) + offsetSeconds)}${settings}`
+    );
+};
+
+// Mensagens do chat escritas durante um vídeo, na ordem em que aparecem nele (base das legendas exportadas)
+const getChatCues = (messages, videoUrl) => messages
+    .filter(msg => msg.videoUrl === videoUrl && typeof msg.videoPosition === 'number' && !msg.deleted)
+    .map(msg => ({ start: msg.videoPosition, text: `${msg.displayName || msg.userId}: ${msg.text.replace(/\s*\n\s*/g, ' ')}` }))
+    .sort((a, b) => a.start - b.start);
+
+// Chat como legenda SRT: cada mensagem aparece por alguns segundos no momento em que foi escrita
+const buildChatSrt = (messages, videoUrl) => getChatCues(messages, videoUrl)
+    .map((cue, index) => `${index + 1}\n${formatVttTimestamp(cue.start).replace('.', ',')} --> ${formatVttTimestamp(cue.start + CHAT_SUBTITLE_SECONDS).replace('.', ',')}\n${cue.text}\n`)
+    .join('\n');
+
+// Chat como legenda ASS no estilo "danmaku": as mensagens atravessam a tela da direita para a esquerda,
+// na primeira faixa livre (ou, com todas ocupadas, na que libera primeiro)
+const buildChatAss = (messages, videoUrl) => {
+    const width = 1280;
+    const fontSize = 36;
+    const laneFreeAt = Array(DANMAKU_LANES).fill(-Infinity);
+    const formatAssTimestamp = (seconds) => formatVttTimestamp(seconds).replace(/^0/, '').slice(0, -1);
+    const dialogues = getChatCues(messages, videoUrl).map(cue => {
+        const text = cue.text.replace(/[{}\\]/g, '');
+        const textWidth = text.length * fontSize * 0.6;
+        const freeLane = laneFreeAt.findIndex(freeAt => freeAt <= cue.start);
+        const lane = freeLane !== -1 ? freeLane : laneFreeAt.indexOf(Math.min(...laneFreeAt));
+        // A faixa libera quando o fim da mensagem já entrou inteiro na tela
+        laneFreeAt[lane] = cue.start + DANMAKU_SCROLL_SECONDS * textWidth / (width + textWidth);
+        const y = fontSize * (lane + 1);
+        return `Dialogue: 0,${formatAssTimestamp(cue.start)},${formatAssTimestamp(cue.start + DANMAKU_SCROLL_SECONDS)},Danmaku,,0,0,0,,{\\an4\\move(${width},${y},${-Math.round(textWidth)},${y})}${text}`;
+    });
+    return [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        `PlayResX: ${width}`,
+        'PlayResY: 720',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        `Style: Danmaku,Arial,${fontSize},&H00FFFFFF,&H00FFFFFF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,2,0,4,0,0,0,1`,
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        ...dialogues,
+        ''
+    ].join('\n');
+};
+
+// Estado de cada participante exibido na lista
+const PRESENCE_STATUS = {
+    WATCHING: 'watching',
+    PAUSED: 'paused',
+    BUFFERING: 'buffering',
+    AWAY: 'away'
+};
+
+const PRESENCE_STATUS_DISPLAY = {
+    [PRESENCE_STATUS.WATCHING]: { label: 'presence.watching', color: 'bg-green-400' },
+    [PRESENCE_STATUS.PAUSED]: { label: 'presence.paused', color: 'bg-gray-400' },
+    [PRESENCE_STATUS.BUFFERING]: { label: 'presence.buffering', color: 'bg-yellow-400' },
+    [PRESENCE_STATUS.AWAY]: { label: 'presence.away', color: 'bg-red-400' }
+};
+
+// Remove o participante e, se ele for o dono, passa a posse para um co-host ativo ou para quem está há mais tempo na sala
+const buildLeavePayload = (roomData, uid, serverNow) => {
+    const payload = { [`participants.${uid}`]: roomStore.deleteField() };
+    let coHostIds = (roomData?.coHostIds || []).filter(id => id !== uid);
+    if (roomData?.hostId === uid) {
+        const remaining = getActiveParticipants(roomData, serverNow).filter(p => p.id !== uid);
+        const successor = remaining.find(p => coHostIds.includes(p.id)) ||
+            remaining.sort((a, b) => (timestampToMillis(a.joinedAt) || 0) - (timestampToMillis(b.joinedAt) || 0))[0];
+        if (successor) {
+            payload.hostId = successor.id;
+            coHostIds = coHostIds.filter(id => id !== successor.id);
+        }
+    }
+    payload.coHostIds = coHostIds;
+    // A transmissão de tela depende de quem compartilha: sai junto com ele
+    if (roomData?.liveShare?.hostId === uid) {
+        Object.assign(payload, { liveShare: roomStore.deleteField(), currentVideoUrl: '', currentVideoMeta: roomStore.deleteField(), isPlaying: false, currentTime: 0, videoSessionId: createVideoSessionId() });
+    }
+    return payload;
+};
+
+// Entrada pública da sala no diretório: só o que o lobby mostra, sem nada do controle de acesso.
+// lastActivityAt vai arredondado para DIRECTORY_ACTIVITY_STEP_MS, então a entrada só muda de fato quando há o que mostrar
+const buildDirectoryEntry = (roomData, serverNow, thumbnailUrl) => ({
+    lastActivityAt: Math.floor(serverNow / DIRECTORY_ACTIVITY_STEP_MS) * DIRECTORY_ACTIVITY_STEP_MS,
+    title: roomData.title || '',
+    description: roomData.description || '',
+    thumbnailUrl: thumbnailUrl || null,
+    participantCount: getActiveParticipants(roomData, serverNow).length,
+    status: roomData.status || ROOM_STATUS.OPEN,
+    hostId: roomData.hostId,
+    hostName: roomData.participants?.[roomData.hostId]?.displayName || null,
+    isPublic: Boolean(roomData.isPublic && !roomData.isPrivate),
+    passwordProtected: Boolean(roomData.hasPassword),
+    scheduledStartAt: roomData.scheduledStartAt || null,
+    isLive: Boolean(roomData.liveShare),
+    nowPlaying: roomData.currentVideoUrl && !roomData.liveShare ? {
+        title: roomData.currentVideoMeta?.title || roomData.localFile?.name || null,
+        duration: roomData.currentVideoMeta?.duration || null,
+        height: roomData.currentVideoMeta?.height || null
+    } : null
+});
+
+// Verificação de prontos: a reprodução começa em `position` quando todos marcarem readyFor com este id
+const createReadyCheck = (position) => ({
+    id: crypto.randomUUID().slice(0, 8),
+    position,
+    startedAt: roomStore.serverTimestamp()
+});
+
+/*
+ * Conexões WebRTC em malha (uma RTCPeerConnection por participante), usadas pela chamada de voz/vídeo e pelo
+ * compartilhamento de tela. A sinalização trafega pela coleção 'signals' da sala (ver subscribeSignals).
+ * Cada entrada tem um sessionId; sinais de sessões antigas são ignorados. isInitiator(peerId) decide quem faz a
+ * oferta (por padrão, quem tem o menor userId). As conexões já nascem com transceivers de áudio e vídeo,
+ * então ligar ou desligar a câmera é só um replaceTrack, sem renegociar.
+ *   syncPeers([{ id, sessionId }]), handleSignal(sinal), replaceTrack('audio' | 'video', track), destroy()
+ */
+const createPeerMesh = ({ userId, sessionId, getLocalTracks, sendSignal, onRemoteStream, isInitiator = (peerId) => userId < peerId }) => {
+    const peers = new Map(); // peerId -> { pc, remoteSessionId, pendingCandidates, send }
+    const earlyCandidates = new Map(); // Candidatos que chegaram antes da oferta: peerId -> [sinal]
+
+    const attachLocalTracks = (pc) => {
+        const tracks = getLocalTracks();
+        pc.getTransceivers().forEach(transceiver => {
+            transceiver.direction = 'sendrecv';
+            transceiver.sender.replaceTrack(tracks[transceiver.receiver.track.kind] || null).catch(e => console.warn("Falha ao anexar mídia local:", e));
+        });
+    };
+
+    const closePeer = (peerId) => {
+        const peer = peers.get(peerId);
+        if (!peer) return;
+        peer.pc.close();
+        peers.delete(peerId);
+        onRemoteStream(peerId, null);
+    };
+
+    const createPeer = (peerId, remoteSessionId) => {
+        closePeer(peerId);
+        const pc = new RTCPeerConnection({ iceServers: VOICE_ICE_SERVERS });
+        const remoteStream = new MediaStream();
+        const send = (signal) => sendSignal({ to: peerId, toSession: remoteSessionId, ...signal });
+        const peer = { pc, remoteSessionId, pendingCandidates: [], send };
+        peers.set(peerId, peer);
+        pc.onicecandidate = ({ candidate }) => {
+            if (candidate) send({ kind: 'candidate', candidate: candidate.toJSON() });
+        };
+        pc.ontrack = ({ track }) => {
+            remoteStream.addTrack(track);
+            onRemoteStream(peerId, remoteStream);
+        };
+        pc.onconnectionstatechange = () => {
+            // A próxima sincronização de participantes recria a conexão se o par continuar na chamada
+            if (pc.connectionState === 'failed' && peers.get(peerId) === peer) closePeer(peerId);
+        };
+        (earlyCandidates.get(peerId) || [])
+            .filter(signal => signal.fromSession === remoteSessionId)
+            .forEach(signal => peer.pendingCandidates.push(signal.candidate));
+        earlyCandidates.delete(peerId);
+        return peer;
+    };
+
+    const flushCandidates = (peer) => {
+        peer.pendingCandidates.forEach(candidate => peer.pc.addIceCandidate(candidate).catch(e => console.warn("Candidato ICE inválido:", e)));
+        peer.pendingCandidates = [];
+    };
+
+    const handleSignal = async (signal) => {
+        if (signal.toSession !== sessionId) return;
+        let peer = peers.get(signal.from);
+        const isCurrentSession = peer?.remoteSessionId === signal.fromSession;
+        try {
+            switch (signal.kind) {
+                case 'offer':
+                    if (!isCurrentSession) peer = createPeer(signal.from, signal.fromSession);
+                    await peer.pc.setRemoteDescription(signal.description);
+                    attachLocalTracks(peer.pc);
+                    await peer.pc.setLocalDescription(await peer.pc.createAnswer());
+                    peer.send({ kind: 'answer', description: { type: peer.pc.localDescription.type, sdp: peer.pc.localDescription.sdp } });
+                    flushCandidates(peer);
+                    break;
+                case 'answer':
+                    if (!isCurrentSession || peer.pc.signalingState !== 'have-local-offer') return;
+                    await peer.pc.setRemoteDescription(signal.description);
+                    flushCandidates(peer);
+                    break;
+                case 'candidate':
+                    if (!isCurrentSession) {
+                        earlyCandidates.set(signal.from, [...(earlyCandidates.get(signal.from) || []), signal]);
+                    } else if (peer.pc.remoteDescription) {
+                        await peer.pc.addIceCandidate(signal.candidate);
                     } else {
-                        await signInAnonymously(auth);
+                        peer.pendingCandidates.push(signal.candidate);
                     }
-                } catch (authError) {
-                    console.error("Erro no login:", authError);
-                    setError("Falha na autenticação. Tente recarregar a página.");
+                    break;
+                default: return;
+            }
+        } catch (e) {
+            console.warn("Falha ao processar sinal da chamada:", e);
+        }
+    };
+
+    const syncPeers = (remotePeers) => {
+        const remoteIds = new Set(remotePeers.map(p => p.id));
+        [...peers.keys()].filter(peerId => !remoteIds.has(peerId)).forEach(closePeer);
+        remotePeers.forEach(async ({ id: peerId, sessionId: remoteSessionId }) => {
+            if (peers.get(peerId)?.remoteSessionId === remoteSessionId || !isInitiator(peerId)) return;
+            const peer = createPeer(peerId, remoteSessionId);
+            peer.pc.addTransceiver('audio');
+            peer.pc.addTransceiver('video');
+            attachLocalTracks(peer.pc);
+            try {
+                await peer.pc.setLocalDescription(await peer.pc.createOffer());
+                peer.send({ kind: 'offer', description: { type: peer.pc.localDescription.type, sdp: peer.pc.localDescription.sdp } });
+            } catch (e) {
+                console.warn("Falha ao iniciar conexão da chamada:", e);
+            }
+        });
+    };
+
+    return {
+        syncPeers,
+        handleSignal,
+        replaceTrack: (kind, track) => peers.forEach(({ pc }) => pc.getTransceivers()
+            .filter(transceiver => transceiver.receiver.track.kind === kind)
+            .forEach(transceiver => transceiver.sender.replaceTrack(track).catch(e => console.warn("Falha ao trocar mídia:", e)))),
+        destroy: () => [...peers.keys()].forEach(closePeer)
+    };
+};
+
+// Entrega, em ordem e uma única vez, os sinais de um canal ('call' ou 'share') endereçados a este usuário e os apaga
+const subscribeSignals = (roomId, userId, channel, onSignal) => {
+    const handledSignalIds = new Set();
+    return roomStore.subscribeItems(roomId, 'signals', { where: { to: userId, channel } }, (signals) => {
+        signals
+            .filter(signal => !handledSignalIds.has(signal.id))
+            .sort((a, b) => (timestampToMillis(a.timestamp) ?? Infinity) - (timestampToMillis(b.timestamp) ?? Infinity))
+            .forEach(signal => {
+                handledSignalIds.add(signal.id);
+                onSignal(signal);
+                roomStore.deleteItem(roomId, 'signals', signal.id).catch(e => console.warn("Falha ao apagar sinal:", e));
+            });
+    }, (err) => {
+        console.error("Erro ao ouvir sinalização:", err);
+    });
+};
+
+// Leitura única de uma coleção: resolve com o primeiro snapshot e cancela a inscrição
+const fetchItems = (roomId, collectionName, options = {}) => new Promise((resolve, reject) => {
+    const unsubscribe = roomStore.subscribeItems(roomId, collectionName, options, (items) => {
+        resolve(items);
+        setTimeout(() => unsubscribe(), 0);
+    }, (err) => {
+        reject(err);
+        setTimeout(() => unsubscribe(), 0);
+    });
+});
+
+// Diferença entre o relógio do servidor e o local, medida fora de uma sala: grava um serverTimestamp no próprio perfil
+// e compara o valor confirmado com o meio da ida e volta
+const measureServerClockOffset = async (uid) => {
+    const sentAt = Date.now();
+    await roomStore.saveProfile(uid, { clockProbeAt: roomStore.serverTimestamp() });
+    const localMidpoint = (sentAt + Date.now()) / 2;
+    const serverMillis = await new Promise((resolve, reject) => {
+        const unsubscribe = roomStore.subscribeProfiles([uid], (profiles) => {
+            const millis = timestampToMillis(profiles[uid]?.clockProbeAt);
+            if (millis === null) return;
+            resolve(millis);
+            setTimeout(() => unsubscribe(), 0);
+        }, (err) => {
+            reject(err);
+            setTimeout(() => unsubscribe(), 0);
+        });
+    });
+    return serverMillis - localMidpoint;
+};
+
+// Encerra a sala (ver buildCloseUpdate) e leva o chat para a coleção chatArchive, com o id de cada mensagem;
+// só o cliente cuja escrita condicional valeu faz o arquivamento
+const closeRoom = async (roomData, reason, closedBy, serverNow) => {
+    const { patch, ifMatch } = buildCloseUpdate(roomData, { reason, closedBy, serverNow }, roomStore);
+    const closed = await roomStore.updateRoom(roomData.id, patch, { ifMatch });
+    if (!closed) return false;
+    // O diretório é só vitrine: uma falha aqui não pode impedir o arquivamento do chat de uma sala já encerrada
+    await roomStore.updateDirectoryEntry(roomData.id, CLOSED_DIRECTORY_PATCH)
+        .catch(e => console.warn("Falha ao atualizar a sala no diretório:", e));
+    await roomStore.moveItems(roomData.id, 'chat', 'chatArchive', { archiveId: crypto.randomUUID() });
+    return true;
+};
+
+const downloadTextFile = (filename, text, type) => {
+    const url = URL.createObjectURL(new Blob([text], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Log da sessão: ações de reprodução (coleção events) e mensagens do chat intercaladas pelo horário do servidor
+const buildSessionTimeline = (events, messages) => [
+    ...events.map(event => ({ ...event, kind: 'event' })),
+    ...messages.filter(msg => !msg.deleted).map(msg => ({ ...msg, kind: 'chat' }))
+].sort((a, b) => (timestampToMillis(a.timestamp) ?? Infinity) - (timestampToMillis(b.timestamp) ?? Infinity));
+
+// Sessões anteriores de um vídeo para o replay, da mais recente para a mais antiga; cada uma com seus itens na ordem do vídeo
+const groupReplaySessions = (timeline, currentSessionId) => {
+    const sessions = new Map();
+    timeline.forEach(item => {
+        if (!item.videoSessionId || item.videoSessionId === currentSessionId || typeof item.videoPosition !== 'number') return;
+        if (!sessions.has(item.videoSessionId)) sessions.set(item.videoSessionId, { id: item.videoSessionId, startedAt: timestampToMillis(item.timestamp), items: [] });
+        sessions.get(item.videoSessionId).items.push(item);
+    });
+    return [...sessions.values()]
+        .map(session => ({ ...session, items: session.items.sort((a, b) => a.videoPosition - b.videoPosition) }))
+        .sort((a, b) => (b.startedAt ?? 0) - (a.startedAt ?? 0));
+};
+
+// Texto de uma ação do log, no idioma da interface (ex.: "Ana pausou em 1:23")
+const describeSessionEvent = (event, t) => t(`events.${event.type}`, {
+    name: event.displayName || event.userId,
+    position: formatVideoTime(event.videoPosition || 0),
+    url: event.videoUrl
+});
+
+// Transcrição em Markdown: um título por vídeo, com o horário e o momento do vídeo de cada mensagem e ação
+const buildSessionMarkdown = (roomId, timeline, t, language) => {
+    const lines = [`# ${t('export.markdownTitle', { roomId })}`, '', `_${t('export.exportedAt', { date: new Date().toLocaleString(language) })}_`];
+    let currentUrl = null;
+    timeline.forEach(item => {
+        if (item.videoUrl && item.videoUrl !== currentUrl) {
+            currentUrl = item.videoUrl;
+            lines.push('', `## ${t('export.videoHeading', { url: currentUrl })}`, '');
+        }
+        const sentAt = timestampToMillis(item.timestamp);
+        const prefix = [sentAt !== null && `**${formatClockTime(sentAt, language)}**`, typeof item.videoPosition === 'number' && `\`@${formatVideoTime(item.videoPosition)}\``].filter(Boolean).join(' · ');
+        const body = item.kind === 'chat' ? `**${item.displayName || item.userId}**: ${item.text}` : `_${describeSessionEvent(item, t)}_`;
+        lines.push(`- ${prefix ? `${prefix} · ` : ''}${body}`);
+    });
+    return `${lines.join('\n')}\n`;
+};
+
+// Entrada na sala pelos backends que não a verificam no servidor (sem joinRoom): o próprio cliente aplica planJoin.
+// Convites e reabertura dependem de uma escrita condicional, que falha se outro cliente chegou antes.
+const joinRoomInClient = async (roomId, uid, request) => {
+    const room = await roomStore.getRoom(roomId);
+    const plan = await planJoin(room, roomId, uid, request, roomStore, (password) => roomStore.verifyRoomPassword(roomId, room, password));
+    if (plan.error) return plan;
+    const applied = await roomStore.updateRoom(roomId, plan.patch, { ifMatch: plan.ifMatch });
+    if (applied) return { result: plan.result };
+    return { error: plan.result === 'reopened' ? 'lobby.error.roomClosed' : 'lobby.error.invalidInvite' };
+};
+
+// Opções para escrever campos do próprio participante só se a entrada ainda existir: depois de uma expulsão
+// ou limpeza, uma escrita aninhada recriaria a entrada sem lastSeen (participante fantasma)
+const ifParticipant = (uid) => ({ ifMatch: { [`participants.${uid}.id`]: uid } });
+
+// Chave das reações de um vídeo: o hash da URL, para o mesmo vídeo reunir as reações de todas as salas e sessões
+const getVideoKey = (url) => sha256Hex(url);
+
+// Link que abre o app direto na sala (?room=...); com convite (&invite=...), pula senha e sala de espera
+const buildRoomLink = (roomId, inviteToken) => {
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set('room', roomId);
+    if (inviteToken) url.searchParams.set('invite', inviteToken);
+    return url.toString();
+};
+
+// Convite de calendário (.ics) de uma sessão agendada; textos escapados e linhas dobradas em 75 caracteres (RFC 5545)
+const buildRoomIcs = ({ roomId, title, startsAt, durationMs, description }) => {
+    const formatIcsDate = (ms) => new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const escapeIcsText = (text) => text.replace(/\\/g, '\\\\').replace(/[;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+    // RFC 5545: linhas de até 75 octetos em UTF-8 (a continuação começa com espaço), sem partir um caractere ao meio
+    const foldIcsLine = (line) => {
+        const encoder = new TextEncoder();
+        const segments = [''];
+        let segmentBytes = 0;
+        for (const char of line) {
+            const charBytes = encoder.encode(char).length;
+            const maxBytes = segments.length === 1 ? 75 : 74;
+            if (segmentBytes + charBytes > maxBytes) {
+                segments.push('');
+                segmentBytes = 0;
+            }
+            segments[segments.length - 1] += char;
+            segmentBytes += charBytes;
+        }
+        return segments.join('\r\n ');
+    };
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//CineSync//Watch Party//PT',
+        'BEGIN:VEVENT',
+        `UID:${roomId}-${startsAt}@cinesync`,
+        `DTSTAMP:${formatIcsDate(Date.now())}`,
+        `DTSTART:${formatIcsDate(startsAt)}`,
+        `DTEND:${formatIcsDate(startsAt + durationMs)}`,
+        `SUMMARY:${escapeIcsText(title)}`,
+        `DESCRIPTION:${escapeIcsText(description)}`,
+        `URL:${buildRoomLink(roomId)}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+    return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
+
+// Posição do vídeo no formato exibido no chat (m:ss ou h:mm:ss)
+const formatVideoTime = (seconds) => {
+    const total = Math.floor(Math.max(0, seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+// Separa um texto em trechos comuns e marcações @m:ss / @h:mm:ss, que viram links para aquele momento do vídeo
+const TIMECODE_PATTERN = /@((?:\d{1,2}:[0-5]\d|\d{1,3}):[0-5]\d)(?![\d:])/g;
+const splitTimecodes = (text) => {
+    const parts = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(TIMECODE_PATTERN)) {
+        if (match.index > lastIndex) parts.push({ text: text.slice(lastIndex, match.index) });
+        parts.push({ text: match[0], seconds: parseVttTimestamp(match[1]) });
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) parts.push({ text: text.slice(lastIndex) });
+    return parts;
+};
+
+// Idioma inicial pelo navegador, quando o usuário ainda não escolheu um
+const getDefaultLanguage = () => {
+    const browserLanguage = (navigator.language || '').toLowerCase();
+    return Object.keys(LANGUAGES).find(code => code !== 'pt-BR' && browserLanguage.startsWith(code)) || 'pt-BR';
+};
+
+// Catálogos de mensagens da interface; plurais usam { one, other } com o parâmetro {count}
+const MESSAGES = {
+    'pt-BR': {
+        'moderation.mode.off': "Desligada",
+        'moderation.mode.block': "Bloquear",
+        'moderation.mode.mask': "Mascarar",
+        'moderation.mode.flag': "Enviar para revisão",
+        'presence.watching': "Assistindo",
+        'presence.paused': "Pausado",
+        'presence.buffering': "Carregando",
+        'presence.away': "Ausente",
+        'localFile.difference.size': "tamanho",
+        'localFile.difference.duration': "duração",
+        'localFile.difference.content': "conteúdo",
+        'ai.costLimit': "Esta sala atingiu o limite de gastos com IA.",
+        'ai.roomRateLimit': "Muitos pedidos à IA nesta sala. Aguarde um minuto.",
+        'ai.userRateLimit': "Você fez muitos pedidos à IA. Aguarde um minuto.",
+        'lobby.error.auth': "Falha na autenticação. Tente recarregar a página.",
+        'lobby.error.nameRequired': "Por favor, insira um nome de exibição.",
+        'lobby.error.notReady': "Aguarde a inicialização ou defina um nome de exibição.",
+        'lobby.error.createFailed': "Falha ao criar sala. Tente novamente.",
+        'lobby.error.roomIdRequired': "Por favor, insira um ID de sala.",
+        'lobby.error.roomNotFound': "Sala não encontrada.",
+        'lobby.error.invalidInvite': "Convite inválido ou já utilizado.",
+        'lobby.error.wrongPassword': "Senha incorreta.",
+        'lobby.error.passwordRequired': "Esta sala é protegida por senha.",
+        'lobby.error.privateRoom': "Esta sala é privada. Peça um link de convite ao host.",
+        'lobby.error.joinFailed': "Falha ao entrar na sala. Verifique o ID e tente novamente.",
+        'lobby.error.joinDenied': "O host recusou sua entrada na sala.",
+        'lobby.loadingAuth': "Carregando autenticação...",
+        'lobby.language': "Idioma",
+        'lobby.namePlaceholder': "Seu nome",
+        'lobby.waitingApproval': "Aguardando um host aprovar sua entrada na sala {roomId}...",
+        'common.cancel': "Cancelar",
+        'lobby.tagline': "Assista vídeos com amigos, em perfeita sincronia e com IA!",
+        'lobby.userId': "Seu ID de Usuário: {userId}",
+        'lobby.createRoom': "Criar Nova Sala",
+        'lobby.nameNeededToCreate': "Defina seu nome para criar uma sala.",
+        'lobby.or': "OU",
+        'lobby.joinExisting': "Entrar em uma Sala Existente",
+        'lobby.roomIdPlaceholder': "Digite o ID da Sala",
+        'lobby.passwordPlaceholder': "Senha da sala",
+        'lobby.joinRoom': "Entrar na Sala",
+        'lobby.nameNeededToJoin': "Defina seu nome para entrar em uma sala.",
+        'lobby.footer': "Desenvolvido para fins demonstrativos.",
+        'room.leave.banned': "Você foi banido desta sala.",
+        'room.leave.inactive': "Você ficou inativo por muito tempo e saiu da sala.",
+        'room.leave.kicked': "Você foi removido da sala.",
+        'room.leave.notFound': "Sala não encontrada ou foi excluída.",
+        'room.error.connection': "Erro de conexão com a sala.",
+        'room.error.screenShareDenied': "Não foi possível compartilhar a tela.",
+        'room.error.screenShareStart': "Falha ao iniciar o compartilhamento de tela.",
+        'room.error.screenShareStop': "Falha ao encerrar o compartilhamento de tela.",
+        'room.error.videoLocked': "O host bloqueou a troca de vídeo.",
+        'room.error.playbackLocked': "O host bloqueou os controles de reprodução.",
+        'room.error.emptyUrl': "URL do vídeo não pode ser vazia.",
+        'room.error.useLocalFileButton': "Use o botão \"Arquivo local\" para escolher um arquivo do seu computador.",
+        'room.error.syncFailed': "Falha ao sincronizar ação. Verifique sua conexão.",
+        'room.error.permissionsFailed': "Falha ao atualizar permissões da sala.",
+        'room.error.inviteFailed': "Falha ao criar o convite.",
+        'room.error.videoLoad': "Erro ao carregar vídeo. Verifique a URL e o formato. ({details})",
+        'room.error.noDetails': "Detalhes indisponíveis",
+        'room.error.unsupportedFile': "O navegador não consegue reproduzir este arquivo.",
+        'room.error.localFileRead': "Falha ao ler o arquivo local.",
+        'room.error.queueAdvance': "Falha ao tocar o próximo vídeo da fila.",
+        'room.error.microphone': "Não foi possível acessar o microfone.",
+        'room.error.callJoin': "Falha ao entrar na chamada.",
+        'room.error.callLeave': "Falha ao sair da chamada.",
+        'room.error.camera': "Não foi possível acessar a câmera.",
+        'room.error.queueAdd': "Falha ao adicionar vídeo à fila.",
+        'room.error.queueUpdate': "Falha ao atualizar a fila.",
+        'room.error.subtitleLoad': "Não foi possível carregar a legenda \"{label}\".",
+        'room.error.subtitleAdd': "Falha ao adicionar legenda.",
+        'room.error.subtitleTooLarge': "Arquivo de legenda muito grande. Use uma URL para arquivos acima de 900 KB.",
+        'room.error.subtitleRemove': "Falha ao remover legenda.",
+        'room.error.subtitleOffset': "Falha ao ajustar o atraso da legenda.",
+        'room.error.chatSend': "Falha ao enviar mensagem.",
+        'room.error.chatUpdate': "Falha ao atualizar a mensagem.",
+        'room.error.reaction': "Falha ao enviar reação.",
+        'moderation.defaultAiReason': "conteúdo impróprio",
+        'moderation.blocked': "Mensagem bloqueada pela moderação ({reason}).",
+        'moderation.editBlocked': "Edição bloqueada pela moderação ({reason}).",
+        'moderation.reason.terms': "filtro: {terms}",
+        'moderation.reason.ai': "IA: {reason}",
+        'ai.translateFailed': "Falha ao traduzir a mensagem: {message}",
+        'ai.reservationConflict': "Outro pedido à IA acabou de ser feito. Tente novamente.",
+        'ai.providerError': "Erro {provider}: {message}",
+        'ai.nothingToSummarize': "Não há mensagens no chat para resumir.",
+        'chat.deleted': "Mensagem apagada",
+        'chat.jumpToMoment': "Ir para este momento do vídeo",
+        'room.loading': "Carregando dados da sala...",
+        'room.title': "Sala:",
+        'room.owner': "Dono da sala: {name}",
+        'common.youSuffix': "(Você)",
+        'room.locks.both': "Reprodução e troca de vídeo restritas aos hosts",
+        'room.locks.playback': "Reprodução restrita aos hosts",
+        'room.locks.video': "Troca de vídeo restrita aos hosts",
+        'live.sharedBy': "Ao vivo: tela de {name}",
+        'room.access.private': "Sala privada",
+        'room.access.password': "protegida por senha",
+        'room.access.waitingRoom': "com sala de espera",
+        'room.copyLinkTitle': "Copiar o link da sala",
+        'room.copyLink': "Copiar link",
+        'room.inviteTitle': "Link que entra direto na sala, sem senha nem sala de espera; vale para uma única pessoa",
+        'room.invite': "Convite de uso único",
+        'room.leave': "Sair da Sala",
+        'room.linkCopied': "Link copiado!",
+        'room.copyBelow': "Copie o link abaixo:",
+        'room.inviteSingleUse': "O convite funciona uma única vez.",
+        'live.badge': "AO VIVO",
+        'live.connecting': "Conectando à transmissão...",
+        'localFile.mismatch': "O arquivo escolhido é diferente do arquivo do host ({differences}).",
+        'localFile.yours': "Seu arquivo: {name}",
+        'localFile.useAnyway': "Usar mesmo assim",
+        'localFile.chooseAnother': "Escolher outro",
+        'localFile.pickPrompt': "O host escolheu um arquivo local. Selecione a sua cópia para assistir junto:",
+        'localFile.choose': "Escolher arquivo",
+        'player.empty': "Nenhum vídeo carregado. Insira uma URL abaixo.",
+        'player.unsupported': "Seu navegador não suporta o elemento de vídeo.",
+        'localFile.differentParticipants': "Arquivo diferente do host: {names}. A sincronização pode não bater.",
+        'localFile.missingParticipants': "Ainda sem o arquivo: {names}",
+        'reactions.densityTitle': "Intensidade das reações ao longo do vídeo",
+        'reactions.count': { one: "{count} reação", other: "{count} reações" },
+        'reactions.reactNow': "Reagir neste momento",
+        'reactions.replayTitle': "Mostra as reações de quem já assistiu este vídeo nos mesmos momentos",
+        'reactions.replay': "Reviver reações",
+        'player.urlPlaceholder': "URL do vídeo (.mp4, .webm, .m3u8, .mpd, YouTube ou Vimeo)",
+        'player.load': "Carregar Vídeo",
+        'live.stop': "Parar compartilhamento",
+        'live.startTitle': "Transmite uma aba, janela ou a tela inteira para a sala",
+        'live.start': "Compartilhar tela",
+        'localFile.buttonTitle': "Cada participante escolhe a própria cópia do mesmo arquivo",
+        'localFile.button': "Arquivo local",
+        'queue.add': "Adicionar à Fila",
+        'controls.title': "Controles da sala:",
+        'controls.playback': "Reprodução",
+        'controls.video': "Troca de vídeo",
+        'controls.unlock': "Liberar para todos",
+        'controls.lock': "Restringir aos hosts",
+        'controls.waitForBufferingTitle': "Pausa a sala enquanto alguém estiver carregando o vídeo",
+        'controls.waitForBuffering': "Esperar quem está carregando",
+        'controls.privateTitle': "Sem senha nem sala de espera, só entra quem tiver um convite",
+        'controls.private': "Privada",
+        'controls.waitingRoomTitle': "Cada entrada sem convite precisa ser aprovada por um host",
+        'controls.waitingRoom': "Sala de espera",
+        'controls.newPassword': "Nova senha",
+        'controls.setPassword': "Definir senha",
+        'controls.removePassword': "Remover senha",
+        'moderation.title': "Moderação do chat",
+        'moderation.aiCheckTitle': "Classifica cada mensagem com {provider} além do filtro de termos",
+        'moderation.aiCheck': "IA",
+        'moderation.termsPlaceholder': "Um termo por linha (palavra ou /expressão/i)",
+        'moderation.saveTerms': "Salvar filtro",
+        'readyCheck.startTitle': "Pausa e só continua quando todos estiverem prontos",
+        'readyCheck.start': "Verificar prontos",
+        'readyCheck.waiting': { one: "Aguardando todos carregarem o vídeo ({ready}/{count} pronto)", other: "Aguardando todos carregarem o vídeo ({ready}/{count} prontos)" },
+        'readyCheck.startNow': "Começar agora",
+        'buffering.paused': "Pausado enquanto {names} carrega o vídeo",
+        'buffering.someone': "alguém",
+        'subtitles.unavailable': "Legendas compartilhadas não estão disponíveis para vídeos do YouTube/Vimeo.",
+        'subtitles.off': "Legenda desativada",
+        'subtitles.offset': "Atraso: {offset}s",
+        'subtitles.earlier': "Adiantar legenda",
+        'subtitles.later': "Atrasar legenda",
+        'subtitles.reset': "zerar",
+        'subtitles.remove': "Remover legenda selecionada",
+        'subtitles.labelPlaceholder': "Nome (opcional)",
+        'subtitles.languagePlaceholder': "Idioma (ex: pt-BR)",
+        'subtitles.file': "Arquivo .srt/.vtt",
+        'subtitles.urlPlaceholder': "ou URL da legenda",
+        'subtitles.add': "Adicionar",
+        'queue.title': { one: "Fila ({count} vídeo)", other: "Fila ({count} vídeos)" },
+        'queue.empty': "A fila está vazia. O próximo vídeo adicionado tocará ao fim do atual.",
+        'queue.moveUp': "Mover para cima",
+        'queue.moveDown': "Mover para baixo",
+        'queue.next': "Próximo",
+        'queue.addedBy': "adicionado por {name}",
+        'queue.vote': "Votar",
+        'queue.playNow': "Tocar agora",
+        'queue.remove': "Remover da fila",
+        'waitingRoom.title': { one: "Sala de espera ({count} pedido)", other: "Sala de espera ({count} pedidos)" },
+        'waitingRoom.approve': "Aprovar entrada",
+        'waitingRoom.deny': "Recusar entrada",
+        'moderation.reviewTitle': { one: "{count} mensagem em revisão", other: "{count} mensagens em revisão" },
+        'moderation.approve': "Aprovar mensagem",
+        'moderation.delete': "Apagar mensagem",
+        'call.title': "Chamada",
+        'call.leave': "Sair da chamada",
+        'call.join': "Entrar na chamada",
+        'call.unmuteMic': "Ativar microfone",
+        'call.muteMic': "Silenciar microfone",
+        'call.cameraOff': "Desligar câmera",
+        'call.cameraOn': "Ligar câmera",
+        'call.pushToTalkTitle': "O microfone só abre enquanto a tecla T ou o botão estiverem pressionados",
+        'call.pushToTalk': "Aperte para falar",
+        'call.holdToTalk': "Segure para falar (T)",
+        'call.duckingTitle': "Abaixa o volume do vídeo enquanto alguém fala",
+        'call.ducking': "Abaixar vídeo",
+        'call.unmutePeer': "Ouvir participante",
+        'call.mutePeer': "Silenciar para mim",
+        'participants.title': { one: "{count} participante", other: "{count} participantes" },
+        'participants.owner': "Dono",
+        'participants.cohost': "Co-host",
+        'participants.ready': "Pronto",
+        'participants.inCall': "Na chamada",
+        'participants.localFileDifferent': "Arquivo local diferente do host",
+        'participants.localFileMissing': "Ainda não escolheu o arquivo local",
+        'participants.demote': "Remover co-host",
+        'participants.promote': "Promover a co-host",
+        'participants.transfer': "Transferir posse da sala",
+        'participants.kick': "Remover da sala",
+        'participants.ban': "Banir da sala",
+        'chat.title': "Chat",
+        'ai.providerTitle': "IA: {provider}",
+        'ai.usage': "{provider} · sala {room} · você {user}",
+        'ai.summaryTitle': "Gerar resumo da conversa com IA",
+        'ai.summary': "Resumo ✨",
+        'chat.languageTitle': "Seu idioma: a interface usa este idioma, as mensagens são traduzidas para ele e a IA responde nele",
+        'chat.autoTranslate': "Traduzir automaticamente",
+        'chat.loadOlder': "Carregar mensagens anteriores",
+        'chat.empty': "Nenhuma mensagem ainda.",
+        'chat.goToOriginal': "Ir para a mensagem original",
+        'common.save': "Salvar",
+        'chat.original': "Original: {text}",
+        'chat.removeReaction': "Remover reação",
+        'chat.react': "Reagir",
+        'chat.otherVideo': "Enviada durante outro vídeo",
+        'chat.sending': "Enviando...",
+        'chat.edited': "(editada)",
+        'chat.translated': "traduzida",
+        'moderation.awaitingReview': "Aguardando revisão",
+        'chat.reply': "Responder",
+        'chat.translateTo': "Traduzir para {language}",
+        'chat.edit': "Editar",
+        'chat.delete': "Apagar",
+        'chat.replyingTo': "Respondendo a",
+        'chat.cancelReply': "Cancelar resposta",
+        'ai.suggestion': "Sugestão IA:",
+        'ai.useSuggestion': "Usar esta sugestão",
+        'chat.placeholder': "Digite sua mensagem... (@1:23 marca um momento do vídeo)",
+        'ai.suggestTitle': "Sugerir comentário com IA",
+        'ai.suggest': "Sugerir comentário",
+        'chat.send': "Enviar mensagem",
+        'ai.summaryModalTitle': "✨ Resumo da Conversa (IA)",
+        'ai.summarizing': "Gerando resumo...",
+        'ai.summaryFailed': "Não foi possível gerar o resumo.",
+        'events.PLAY': "{name} deu play em {position}",
+        'events.PAUSE': "{name} pausou em {position}",
+        'events.SEEK': "{name} pulou para {position}",
+        'events.CHANGE_VIDEO': "{name} trocou o vídeo para {url}",
+        'events.READY_CHECK': "{name} iniciou uma verificação de prontos em {position}",
+        'events.START_NOW': "{name} começou sem esperar todos em {position}",
+        'export.button': "Exportar",
+        'export.buttonTitle': "Baixar o log da sessão ou o chat como legenda",
+        'export.title': "Exportar sessão",
+        'export.description': "Baixe o registro completo da sala (ações de reprodução e chat) ou o chat do vídeo atual como legenda, para assistir de novo com os comentários.",
+        'export.json': "Log completo (JSON)",
+        'export.markdown': "Transcrição (Markdown)",
+        'export.srt': "Chat como legenda (SRT)",
+        'export.ass': "Chat estilo danmaku (ASS)",
+        'export.preparing': "Preparando arquivo...",
+        'export.markdownTitle': "Sessão da sala {roomId}",
+        'export.exportedAt': "Exportado em {date}",
+        'export.videoHeading': "Vídeo: {url}",
+        'export.noVideoChat': "Nenhuma mensagem do chat foi escrita durante o vídeo atual.",
+        'room.error.exportFailed': "Falha ao exportar a sessão.",
+        'room.error.replayLoad': "Falha ao carregar as sessões anteriores deste vídeo.",
+        'replay.session': "Replay da sessão",
+        'replay.sessionTitle': "Mostra o chat e as ações de uma sessão anterior deste vídeo nos mesmos momentos",
+        'replay.loading': "Carregando sessões...",
+        'replay.noSessions': "Nenhuma sessão anterior deste vídeo.",
+        'replay.sessionOption': { one: "{date} · {count} item", other: "{date} · {count} itens" },
+        'connection.online': "Conectado",
+        'connection.offline': "Sem conexão",
+        'connection.offlineTitle': "Play, pausa e seek feitos agora ficam guardados e são aplicados à sala quando a conexão voltar",
+        'connection.resyncing': "Reconectando e sincronizando...",
+        'connection.queued': { one: "{count} ação aguardando", other: "{count} ações aguardando" },
+        'connection.actionNeedsConnection': "Sem conexão: esta ação só pode ser feita quando a conexão voltar.",
+        'connection.offlineActionsDiscarded': "A reprodução da sala mudou enquanto você estava sem conexão; suas ações foram descartadas.",
+        'lobby.error.scheduleInPast': "Escolha uma data e hora no futuro para a sessão.",
+        'lobby.error.scheduleVideoRequired': "Informe o vídeo que será exibido na sessão agendada.",
+        'lobby.error.scheduleUnsupportedSource': "Sessões agendadas precisam de um vídeo por URL (arquivos locais e telas compartilhadas não podem ser carregados antes).",
+        'schedule.toggle': "Agendar para mais tarde",
+        'schedule.titlePlaceholder': "Título da sessão (opcional)",
+        'schedule.startsAt': "Data e hora de início",
+        'schedule.videoPlaceholder': "URL do vídeo",
+        'schedule.create': "Agendar Sessão",
+        'schedule.startsAtLabel': "Começa em {date}",
+        'schedule.waiting': { one: "{count} pessoa esperando. Converse no chat enquanto isso!", other: "{count} pessoas esperando. Converse no chat enquanto isso!" },
+        'schedule.addToCalendar': "Adicionar à agenda (.ics)",
+        'schedule.startNow': "Começar agora",
+        'schedule.cancel': "Cancelar agendamento",
+        'schedule.notStarted': "A sessão ainda não começou: o vídeo inicia sozinho no horário marcado.",
+        'schedule.defaultTitle': "Watch party CineSync ({roomId})",
+        'schedule.icsDescription': "Entre na sala: {link}\nVídeo: {url}",
+        'room.error.scheduleUpdate': "Falha ao atualizar o agendamento.",
+        'lobby.error.roomClosed': "Esta sala foi encerrada.",
+        'room.leave.closed': "A sala foi encerrada.",
+        'room.error.closeFailed': "Falha ao encerrar a sala.",
+        'room.close': "Encerrar sala",
+        'room.closeTitle': "Remove todos da sala e arquiva o chat; você pode reabri-la depois pelo lobby",
+        'controls.public': "Pública",
+        'controls.publicTitle': "Lista a sala no diretório do lobby",
+        'controls.publicHiddenTitle': "Salas privadas não aparecem no diretório, mesmo marcadas como públicas",
+        'controls.roomTitlePlaceholder': "Título da sala",
+        'controls.roomDescriptionPlaceholder': "Descrição (aparece no diretório)",
+        'controls.saveDetails': "Salvar detalhes",
+        'directory.title': "Salas públicas",
+        'directory.empty': "Nenhuma sala pública ativa no momento.",
+        'directory.untitled': "Sala sem título",
+        'directory.live': "Transmissão de tela ao vivo",
+        'directory.nowPlaying': "Assistindo: {video}",
+        'directory.nothingPlaying': "Nenhum vídeo carregado",
+        'directory.join': "Entrar",
+        'directory.reopen': "Reabrir",
+        'directory.myRooms': "Minhas salas",
+        'directory.status.open': "Aberta",
+        'directory.status.closed': "Encerrada",
+        'profile.title': "Seu perfil",
+        'profile.edit': "Editar perfil",
+        'profile.uploadAvatar': "Enviar imagem",
+        'profile.useIdenticon': "Usar avatar gerado",
+        'profile.chatColor': "Cor do nome no chat",
+        'profile.save': "Salvar perfil",
+        'profile.error.saveFailed': "Falha ao salvar o perfil. Tente novamente.",
+        'profile.error.loadFailed': "Não foi possível carregar seu perfil.",
+        'profile.error.avatarType': "Escolha um arquivo de imagem para o avatar.",
+        'profile.error.avatarRead': "Não foi possível ler a imagem escolhida.",
+        'probe.checking': "Verificando o vídeo...",
+        'probe.failed': "Não foi possível reproduzir este vídeo neste navegador ({details}).",
+        'probe.codecs': "Codecs: {codecs}",
+        'probe.audioOnly': "Nenhuma imagem encontrada: o arquivo parece ter só áudio.",
+        'probe.noDuration': "Duração desconhecida (transmissão ao vivo ou ainda não informada).",
+        'probe.useAnyway': "Usar mesmo assim",
+        'lobby.error.scheduleVideoInvalid': "Não foi possível carregar o vídeo da sessão. Confira a URL.",
+        'player.urlPlaceholderQueueOnly': "Só os hosts trocam o vídeo: cole uma URL para sugerir na fila",
+        'moderation.reason.both': "filtro: {terms}; IA: {reason}",
+        'moderation.heldEdit': "(edição)",
+        'moderation.discardHeld': "Desistir desta mensagem",
+        'directory.hostedBy': "Host: {name}",
+        'directory.untitledVideo': "vídeo sem título",
+        'chat.error.loadOlder': "Falha ao carregar mensagens anteriores.",
+        'ai.translationRateLimit': "Muitas traduções nesta sala. Aguarde um minuto.",
+        'ai.translationCostLimit': "Esta sala atingiu o limite de gastos com traduções.",
+        'ai.autoTranslatePaused': "Tradução automática pausada: {reason}"
+    },
+    en: {
+        'moderation.mode.off': "Off",
+        'moderation.mode.block': "Block",
+        'moderation.mode.mask': "Mask",
+        'moderation.mode.flag': "Send for review",
+        'presence.watching': "Watching",
+        'presence.paused': "Paused",
+        'presence.buffering': "Loading",
+        'presence.away': "Away",
+        'localFile.difference.size': "size",
+        'localFile.difference.duration': "duration",
+        'localFile.difference.content': "content",
+        'ai.costLimit': "This room has reached its AI spending limit.",
+        'ai.roomRateLimit': "Too many AI requests in this room. Please wait a minute.",
+        'ai.userRateLimit': "You have made too many AI requests. Please wait a minute.",
+        'lobby.error.auth': "Authentication failed. Try reloading the page.",
+        'lobby.error.nameRequired': "Please enter a display name.",
+        'lobby.error.notReady': "Wait for initialization or set a display name.",
+        'lobby.error.createFailed': "Failed to create the room. Please try again.",
+        'lobby.error.roomIdRequired': "Please enter a room ID.",
+        'lobby.error.roomNotFound': "Room not found.",
+        'lobby.error.invalidInvite': "Invalid or already used invite.",
+        'lobby.error.wrongPassword': "Wrong password.",
+        'lobby.error.passwordRequired': "This room is password protected.",
+        'lobby.error.privateRoom': "This room is private. Ask the host for an invite link.",
+        'lobby.error.joinFailed': "Failed to join the room. Check the ID and try again.",
+        'lobby.error.joinDenied': "The host declined your request to join.",
+        'lobby.loadingAuth': "Loading authentication...",
+        'lobby.language': "Language",
+        'lobby.namePlaceholder': "Your name",
+        'lobby.waitingApproval': "Waiting for a host to approve your entry to room {roomId}...",
+        'common.cancel': "Cancel",
+        'lobby.tagline': "Watch videos with friends, perfectly in sync and with AI!",
+        'lobby.userId': "Your User ID: {userId}",
+        'lobby.createRoom': "Create New Room",
+        'lobby.nameNeededToCreate': "Set your name to create a room.",
+        'lobby.or': "OR",
+        'lobby.joinExisting': "Join an Existing Room",
+        'lobby.roomIdPlaceholder': "Enter the Room ID",
+        'lobby.passwordPlaceholder': "Room password",
+        'lobby.joinRoom': "Join Room",
+        'lobby.nameNeededToJoin': "Set your name to join a room.",
+        'lobby.footer': "Built for demonstration purposes.",
+        'room.leave.banned': "You have been banned from this room.",
+        'room.leave.inactive': "You were inactive for too long and left the room.",
+        'room.leave.kicked': "You have been removed from the room.",
+        'room.leave.notFound': "Room not found or it was deleted.",
+        'room.error.connection': "Connection error with the room.",
+        'room.error.screenShareDenied': "Could not share the screen.",
+        'room.error.screenShareStart': "Failed to start screen sharing.",
+        'room.error.screenShareStop': "Failed to stop screen sharing.",
+        'room.error.videoLocked': "The host has locked video changes.",
+        'room.error.playbackLocked': "The host has locked the playback controls.",
+        'room.error.emptyUrl': "The video URL cannot be empty.",
+        'room.error.useLocalFileButton': "Use the \"Local file\" button to pick a file from your computer.",
+        'room.error.syncFailed': "Failed to sync the action. Check your connection.",
+        'room.error.permissionsFailed': "Failed to update room permissions.",
+        'room.error.inviteFailed': "Failed to create the invite.",
+        'room.error.videoLoad': "Error loading the video. Check the URL and format. ({details})",
+        'room.error.noDetails': "No details available",
+        'room.error.unsupportedFile': "The browser cannot play this file.",
+        'room.error.localFileRead': "Failed to read the local file.",
+        'room.error.queueAdvance': "Failed to play the next video in the queue.",
+        'room.error.microphone': "Could not access the microphone.",
+        'room.error.callJoin': "Failed to join the call.",
+        'room.error.callLeave': "Failed to leave the call.",
+        'room.error.camera': "Could not access the camera.",
+        'room.error.queueAdd': "Failed to add the video to the queue.",
+        'room.error.queueUpdate': "Failed to update the queue.",
+        'room.error.subtitleLoad': "Could not load the subtitle \"{label}\".",
+        'room.error.subtitleAdd': "Failed to add the subtitle.",
+        'room.error.subtitleTooLarge': "Subtitle file too large. Use a URL for files over 900 KB.",
+        'room.error.subtitleRemove': "Failed to remove the subtitle.",
+        'room.error.subtitleOffset': "Failed to adjust the subtitle delay.",
+        'room.error.chatSend': "Failed to send the message.",
+        'room.error.chatUpdate': "Failed to update the message.",
+        'room.error.reaction': "Failed to send the reaction.",
+        'moderation.defaultAiReason': "inappropriate content",
+        'moderation.blocked': "Message blocked by moderation ({reason}).",
+        'moderation.editBlocked': "Edit blocked by moderation ({reason}).",
+        'moderation.reason.terms': "filter: {terms}",
+        'moderation.reason.ai': "AI: {reason}",
+        'ai.translateFailed': "Failed to translate the message: {message}",
+        'ai.reservationConflict': "Another AI request was just made. Please try again.",
+        'ai.providerError': "{provider} error: {message}",
+        'ai.nothingToSummarize': "There are no chat messages to summarize.",
+        'chat.deleted': "Message deleted",
+        'chat.jumpToMoment': "Jump to this moment in the video",
+        'room.loading': "Loading room data...",
+        'room.title': "Room:",
+        'room.owner': "Room owner: {name}",
+        'common.youSuffix': "(You)",
+        'room.locks.both': "Playback and video changes restricted to hosts",
+        'room.locks.playback': "Playback restricted to hosts",
+        'room.locks.video': "Video changes restricted to hosts",
+        'live.sharedBy': "Live: {name}'s screen",
+        'room.access.private': "Private room",
+        'room.access.password': "password protected",
+        'room.access.waitingRoom': "with waiting room",
+        'room.copyLinkTitle': "Copy the room link",
+        'room.copyLink': "Copy link",
+        'room.inviteTitle': "Link that joins the room directly, without password or waiting room; valid for a single person",
+        'room.invite': "Single-use invite",
+        'room.leave': "Leave Room",
+        'room.linkCopied': "Link copied!",
+        'room.copyBelow': "Copy the link below:",
+        'room.inviteSingleUse': "The invite works only once.",
+        'live.badge': "LIVE",
+        'live.connecting': "Connecting to the stream...",
+        'localFile.mismatch': "The chosen file is different from the host's file ({differences}).",
+        'localFile.yours': "Your file: {name}",
+        'localFile.useAnyway': "Use it anyway",
+        'localFile.chooseAnother': "Choose another",
+        'localFile.pickPrompt': "The host picked a local file. Select your copy to watch together:",
+        'localFile.choose': "Choose file",
+        'player.empty': "No video loaded. Enter a URL below.",
+        'player.unsupported': "Your browser does not support the video element.",
+        'localFile.differentParticipants': "File different from the host's: {names}. Sync may be off.",
+        'localFile.missingParticipants': "Still without the file: {names}",
+        'reactions.densityTitle': "Reaction intensity throughout the video",
+        'reactions.count': { one: "{count} reaction", other: "{count} reactions" },
+        'reactions.reactNow': "React at this moment",
+        'reactions.replayTitle': "Shows reactions from people who already watched this video at the same moments",
+        'reactions.replay': "Replay reactions",
+        'player.urlPlaceholder': "Video URL (.mp4, .webm, .m3u8, .mpd, YouTube or Vimeo)",
+        'player.load': "Load Video",
+        'live.stop': "Stop sharing",
+        'live.startTitle': "Streams a tab, window or the whole screen to the room",
+        'live.start': "Share screen",
+        'localFile.buttonTitle': "Each participant picks their own copy of the same file",
+        'localFile.button': "Local file",
+        'queue.add': "Add to Queue",
+        'controls.title': "Room controls:",
+        'controls.playback': "Playback",
+        'controls.video': "Video changes",
+        'controls.unlock': "Allow everyone",
+        'controls.lock': "Restrict to hosts",
+        'controls.waitForBufferingTitle': "Pauses the room while someone is loading the video",
+        'controls.waitForBuffering': "Wait for whoever is loading",
+        'controls.privateTitle': "No password or waiting room; only people with an invite can join",
+        'controls.private': "Private",
+        'controls.waitingRoomTitle': "Every entry without an invite must be approved by a host",
+        'controls.waitingRoom': "Waiting room",
+        'controls.newPassword': "New password",
+        'controls.setPassword': "Set password",
+        'controls.removePassword': "Remove password",
+        'moderation.title': "Chat moderation",
+        'moderation.aiCheckTitle': "Classifies every message with {provider} in addition to the term filter",
+        'moderation.aiCheck': "AI",
+        'moderation.termsPlaceholder': "One term per line (word or /expression/i)",
+        'moderation.saveTerms': "Save filter",
+        'readyCheck.startTitle': "Pauses and only resumes when everyone is ready",
+        'readyCheck.start': "Ready check",
+        'readyCheck.waiting': { one: "Waiting for everyone to load the video ({ready}/{count} ready)", other: "Waiting for everyone to load the video ({ready}/{count} ready)" },
+        'readyCheck.startNow': "Start now",
+        'buffering.paused': "Paused while {names} loads the video",
+        'buffering.someone': "someone",
+        'subtitles.unavailable': "Shared subtitles are not available for YouTube/Vimeo videos.",
+        'subtitles.off': "Subtitles off",
+        'subtitles.offset': "Delay: {offset}s",
+        'subtitles.earlier': "Show subtitles earlier",
+        'subtitles.later': "Show subtitles later",
+        'subtitles.reset': "reset",
+        'subtitles.remove': "Remove selected subtitle",
+        'subtitles.labelPlaceholder': "Name (optional)",
+        'subtitles.languagePlaceholder': "Language (e.g. en)",
+        'subtitles.file': ".srt/.vtt file",
+        'subtitles.urlPlaceholder': "or subtitle URL",
+        'subtitles.add': "Add",
+        'queue.title': { one: "Queue ({count} video)", other: "Queue ({count} videos)" },
+        'queue.empty': "The queue is empty. The next video added will play when the current one ends.",
+        'queue.moveUp': "Move up",
+        'queue.moveDown': "Move down",
+        'queue.next': "Next",
+        'queue.addedBy': "added by {name}",
+        'queue.vote': "Vote",
+        'queue.playNow': "Play now",
+        'queue.remove': "Remove from queue",
+        'waitingRoom.title': { one: "Waiting room ({count} request)", other: "Waiting room ({count} requests)" },
+        'waitingRoom.approve': "Approve entry",
+        'waitingRoom.deny': "Decline entry",
+        'moderation.reviewTitle': { one: "{count} message under review", other: "{count} messages under review" },
+        'moderation.approve': "Approve message",
+        'moderation.delete': "Delete message",
+        'call.title': "Call",
+        'call.leave': "Leave call",
+        'call.join': "Join call",
+        'call.unmuteMic': "Unmute microphone",
+        'call.muteMic': "Mute microphone",
+        'call.cameraOff': "Turn camera off",
+        'call.cameraOn': "Turn camera on",
+        'call.pushToTalkTitle': "The microphone only opens while the T key or the button is held down",
+        'call.pushToTalk': "Push to talk",
+        'call.holdToTalk': "Hold to talk (T)",
+        'call.duckingTitle': "Lowers the video volume while someone speaks",
+        'call.ducking': "Lower video",
+        'call.unmutePeer': "Listen to participant",
+        'call.mutePeer': "Mute for me",
+        'participants.title': { one: "{count} participant", other: "{count} participants" },
+        'participants.owner': "Owner",
+        'participants.cohost': "Co-host",
+        'participants.ready': "Ready",
+        'participants.inCall': "In the call",
+        'participants.localFileDifferent': "Local file different from the host's",
+        'participants.localFileMissing': "Has not picked the local file yet",
+        'participants.demote': "Remove co-host",
+        'participants.promote': "Promote to co-host",
+        'participants.transfer': "Transfer room ownership",
+        'participants.kick': "Remove from room",
+        'participants.ban': "Ban from room",
+        'chat.title': "Chat",
+        'ai.providerTitle': "AI: {provider}",
+        'ai.usage': "{provider} · room {room} · you {user}",
+        'ai.summaryTitle': "Generate a chat summary with AI",
+        'ai.summary': "Summary ✨",
+        'chat.languageTitle': "Your language: the interface uses it, messages are translated into it and the AI answers in it",
+        'chat.autoTranslate': "Translate automatically",
+        'chat.loadOlder': "Load earlier messages",
+        'chat.empty': "No messages yet.",
+        'chat.goToOriginal': "Go to the original message",
+        'common.save': "Save",
+        'chat.original': "Original: {text}",
+        'chat.removeReaction': "Remove reaction",
+        'chat.react': "React",
+        'chat.otherVideo': "Sent during another video",
+        'chat.sending': "Sending...",
+        'chat.edited': "(edited)",
+        'chat.translated': "translated",
+        'moderation.awaitingReview': "Awaiting review",
+        'chat.reply': "Reply",
+        'chat.translateTo': "Translate into {language}",
+        'chat.edit': "Edit",
+        'chat.delete': "Delete",
+        'chat.replyingTo': "Replying to",
+        'chat.cancelReply': "Cancel reply",
+        'ai.suggestion': "AI suggestion:",
+        'ai.useSuggestion': "Use this suggestion",
+        'chat.placeholder': "Type your message... (@1:23 marks a moment in the video)",
+        'ai.suggestTitle': "Suggest a comment with AI",
+        'ai.suggest': "Suggest comment",
+        'chat.send': "Send message",
+        'ai.summaryModalTitle': "✨ Chat Summary (AI)",
+        'ai.summarizing': "Generating summary...",
+        'ai.summaryFailed': "Could not generate the summary.",
+        'events.PLAY': "{name} played at {position}",
+        'events.PAUSE': "{name} paused at {position}",
+        'events.SEEK': "{name} jumped to {position}",
+        'events.CHANGE_VIDEO': "{name} changed the video to {url}",
+        'events.READY_CHECK': "{name} started a ready check at {position}",
+        'events.START_NOW': "{name} started without waiting for everyone at {position}",
+        'export.button': "Export",
+        'export.buttonTitle': "Download the session log or the chat as subtitles",
+        'export.title': "Export session",
+        'export.description': "Download the full room log (playback actions and chat) or the current video's chat as subtitles, to rewatch it with the comments.",
+        'export.json': "Full log (JSON)",
+        'export.markdown': "Transcript (Markdown)",
+        'export.srt': "Chat as subtitles (SRT)",
+        'export.ass': "Danmaku-style chat (ASS)",
+        'export.preparing': "Preparing file...",
+        'export.markdownTitle': "Room {roomId} session",
+        'export.exportedAt': "Exported on {date}",
+        'export.videoHeading': "Video: {url}",
+        'export.noVideoChat': "No chat messages were written during the current video.",
+        'room.error.exportFailed': "Failed to export the session.",
+        'room.error.replayLoad': "Failed to load previous sessions of this video.",
+        'replay.session': "Session replay",
+        'replay.sessionTitle': "Shows the chat and actions from a previous session of this video at the same moments",
+        'replay.loading': "Loading sessions...",
+        'replay.noSessions': "No previous sessions of this video.",
+        'replay.sessionOption': { one: "{date} · {count} item", other: "{date} · {count} items" },
+        'connection.online': "Connected",
+        'connection.offline': "Offline",
+        'connection.offlineTitle': "Play, pause and seek done now are kept and applied to the room when the connection returns",
+        'connection.resyncing': "Reconnecting and syncing...",
+        'connection.queued': { one: "{count} action waiting", other: "{count} actions waiting" },
+        'connection.actionNeedsConnection': "Offline: this action can only be done once the connection is back.",
+        'connection.offlineActionsDiscarded': "The room's playback changed while you were offline; your actions were discarded.",
+        'lobby.error.scheduleInPast': "Pick a future date and time for the session.",
+        'lobby.error.scheduleVideoRequired': "Enter the video to be shown in the scheduled session.",
+        'lobby.error.scheduleUnsupportedSource': "Scheduled sessions need a video URL (local files and shared screens cannot be loaded in advance).",
+        'schedule.toggle': "Schedule for later",
+        'schedule.titlePlaceholder': "Session title (optional)",
+        'schedule.startsAt': "Start date and time",
+        'schedule.videoPlaceholder': "Video URL",
+        'schedule.create': "Schedule Session",
+        'schedule.startsAtLabel': "Starts on {date}",
+        'schedule.waiting': { one: "{count} person waiting. Chat in the meantime!", other: "{count} people waiting. Chat in the meantime!" },
+        'schedule.addToCalendar': "Add to calendar (.ics)",
+        'schedule.startNow': "Start now",
+        'schedule.cancel': "Cancel schedule",
+        'schedule.notStarted': "The session has not started yet: the video starts by itself at the scheduled time.",
+        'schedule.defaultTitle': "CineSync watch party ({roomId})",
+        'schedule.icsDescription': "Join the room: {link}\nVideo: {url}",
+        'room.error.scheduleUpdate': "Failed to update the schedule.",
+        'lobby.error.roomClosed': "This room has been closed.",
+        'room.leave.closed': "The room was closed.",
+        'room.error.closeFailed': "Failed to close the room.",
+        'room.close': "Close room",
+        'room.closeTitle': "Removes everyone from the room and archives the chat; you can reopen it later from the lobby",
+        'controls.public': "Public",
+        'controls.publicTitle': "Lists the room in the lobby directory",
+        'controls.publicHiddenTitle': "Private rooms are not listed in the directory, even when marked as public",
+        'controls.roomTitlePlaceholder': "Room title",
+        'controls.roomDescriptionPlaceholder': "Description (shown in the directory)",
+        'controls.saveDetails': "Save details",
+        'directory.title': "Public rooms",
+        'directory.empty': "No active public rooms right now.",
+        'directory.untitled': "Untitled room",
+        'directory.live': "Live screen share",
+        'directory.nowPlaying': "Watching: {video}",
+        'directory.nothingPlaying': "No video loaded",
+        'directory.join': "Join",
+        'directory.reopen': "Reopen",
+        'directory.myRooms': "My rooms",
+        'directory.status.open': "Open",
+        'directory.status.closed': "Closed",
+        'profile.title': "Your profile",
+        'profile.edit': "Edit profile",
+        'profile.uploadAvatar': "Upload image",
+        'profile.useIdenticon': "Use generated avatar",
+        'profile.chatColor': "Name color in chat",
+        'profile.save': "Save profile",
+        'profile.error.saveFailed': "Failed to save the profile. Please try again.",
+        'profile.error.loadFailed': "Could not load your profile.",
+        'profile.error.avatarType': "Pick an image file for the avatar.",
+        'profile.error.avatarRead': "Could not read the chosen image.",
+        'probe.checking': "Checking the video...",
+        'probe.failed': "This video could not be played in this browser ({details}).",
+        'probe.codecs': "Codecs: {codecs}",
+        'probe.audioOnly': "No picture found: the file seems to be audio only.",
+        'probe.noDuration': "Unknown duration (live stream or not reported yet).",
+        'probe.useAnyway': "Use it anyway",
+        'lobby.error.scheduleVideoInvalid': "Could not load the session video. Check the URL.",
+        'player.urlPlaceholderQueueOnly': "Only hosts can change the video: paste a URL to suggest it for the queue",
+        'moderation.reason.both': "filter: {terms}; AI: {reason}",
+        'moderation.heldEdit': "(edit)",
+        'moderation.discardHeld': "Discard this message",
+        'directory.hostedBy': "Host: {name}",
+        'directory.untitledVideo': "untitled video",
+        'chat.error.loadOlder': "Failed to load earlier messages.",
+        'ai.translationRateLimit': "Too many translations in this room. Please wait a minute.",
+        'ai.translationCostLimit': "This room has reached its translation spending limit.",
+        'ai.autoTranslatePaused': "Automatic translation paused: {reason}"
+    },
+    es: {
+        'moderation.mode.off': "Desactivada",
+        'moderation.mode.block': "Bloquear",
+        'moderation.mode.mask': "Enmascarar",
+        'moderation.mode.flag': "Enviar a revisión",
+        'presence.watching': "Viendo",
+        'presence.paused': "En pausa",
+        'presence.buffering': "Cargando",
+        'presence.away': "Ausente",
+        'localFile.difference.size': "tamaño",
+        'localFile.difference.duration': "duración",
+        'localFile.difference.content': "contenido",
+        'ai.costLimit': "Esta sala alcanzó el límite de gasto en IA.",
+        'ai.roomRateLimit': "Demasiadas solicitudes a la IA en esta sala. Espera un minuto.",
+        'ai.userRateLimit': "Hiciste demasiadas solicitudes a la IA. Espera un minuto.",
+        'lobby.error.auth': "Error de autenticación. Intenta recargar la página.",
+        'lobby.error.nameRequired': "Por favor, introduce un nombre visible.",
+        'lobby.error.notReady': "Espera a que termine la inicialización o define un nombre visible.",
+        'lobby.error.createFailed': "No se pudo crear la sala. Inténtalo de nuevo.",
+        'lobby.error.roomIdRequired': "Por favor, introduce un ID de sala.",
+        'lobby.error.roomNotFound': "Sala no encontrada.",
+        'lobby.error.invalidInvite': "Invitación no válida o ya utilizada.",
+        'lobby.error.wrongPassword': "Contraseña incorrecta.",
+        'lobby.error.passwordRequired': "Esta sala está protegida con contraseña.",
+        'lobby.error.privateRoom': "Esta sala es privada. Pide un enlace de invitación al anfitrión.",
+        'lobby.error.joinFailed': "No se pudo entrar en la sala. Revisa el ID e inténtalo de nuevo.",
+        'lobby.error.joinDenied': "El anfitrión rechazó tu entrada en la sala.",
+        'lobby.loadingAuth': "Cargando autenticación...",
+        'lobby.language': "Idioma",
+        'lobby.namePlaceholder': "Tu nombre",
+        'lobby.waitingApproval': "Esperando a que un anfitrión apruebe tu entrada en la sala {roomId}...",
+        'common.cancel': "Cancelar",
+        'lobby.tagline': "¡Mira vídeos con amigos, en perfecta sincronía y con IA!",
+        'lobby.userId': "Tu ID de Usuario: {userId}",
+        'lobby.createRoom': "Crear Nueva Sala",
+        'lobby.nameNeededToCreate': "Define tu nombre para crear una sala.",
+        'lobby.or': "O",
+        'lobby.joinExisting': "Entrar en una Sala Existente",
+        'lobby.roomIdPlaceholder': "Escribe el ID de la Sala",
+        'lobby.passwordPlaceholder': "Contraseña de la sala",
+        'lobby.joinRoom': "Entrar en la Sala",
+        'lobby.nameNeededToJoin': "Define tu nombre para entrar en una sala.",
+        'lobby.footer': "Desarrollado con fines demostrativos.",
+        'room.leave.banned': "Has sido expulsado permanentemente de esta sala.",
+        'room.leave.inactive': "Estuviste inactivo demasiado tiempo y saliste de la sala.",
+        'room.leave.kicked': "Has sido retirado de la sala.",
+        'room.leave.notFound': "Sala no encontrada o eliminada.",
+        'room.error.connection': "Error de conexión con la sala.",
+        'room.error.screenShareDenied': "No se pudo compartir la pantalla.",
+        'room.error.screenShareStart': "No se pudo iniciar el uso compartido de pantalla.",
+        'room.error.screenShareStop': "No se pudo detener el uso compartido de pantalla.",
+        'room.error.videoLocked': "El anfitrión bloqueó el cambio de vídeo.",
+        'room.error.playbackLocked': "El anfitrión bloqueó los controles de reproducción.",
+        'room.error.emptyUrl': "La URL del vídeo no puede estar vacía.",
+        'room.error.useLocalFileButton': "Usa el botón \"Archivo local\" para elegir un archivo de tu ordenador.",
+        'room.error.syncFailed': "No se pudo sincronizar la acción. Revisa tu conexión.",
+        'room.error.permissionsFailed': "No se pudieron actualizar los permisos de la sala.",
+        'room.error.inviteFailed': "No se pudo crear la invitación.",
+        'room.error.videoLoad': "Error al cargar el vídeo. Revisa la URL y el formato. ({details})",
+        'room.error.noDetails': "Detalles no disponibles",
+        'room.error.unsupportedFile': "El navegador no puede reproducir este archivo.",
+        'room.error.localFileRead': "No se pudo leer el archivo local.",
+        'room.error.queueAdvance': "No se pudo reproducir el siguiente vídeo de la cola.",
+        'room.error.microphone': "No se pudo acceder al micrófono.",
+        'room.error.callJoin': "No se pudo entrar en la llamada.",
+        'room.error.callLeave': "No se pudo salir de la llamada.",
+        'room.error.camera': "No se pudo acceder a la cámara.",
+        'room.error.queueAdd': "No se pudo añadir el vídeo a la cola.",
+        'room.error.queueUpdate': "No se pudo actualizar la cola.",
+        'room.error.subtitleLoad': "No se pudo cargar el subtítulo \"{label}\".",
+        'room.error.subtitleAdd': "No se pudo añadir el subtítulo.",
+        'room.error.subtitleTooLarge': "Archivo de subtítulos demasiado grande. Usa una URL para archivos de más de 900 KB.",
+        'room.error.subtitleRemove': "No se pudo eliminar el subtítulo.",
+        'room.error.subtitleOffset': "No se pudo ajustar el retraso del subtítulo.",
+        'room.error.chatSend': "No se pudo enviar el mensaje.",
+        'room.error.chatUpdate': "No se pudo actualizar el mensaje.",
+        'room.error.reaction': "No se pudo enviar la reacción.",
+        'moderation.defaultAiReason': "contenido inapropiado",
+        'moderation.blocked': "Mensaje bloqueado por la moderación ({reason}).",
+        'moderation.editBlocked': "Edición bloqueada por la moderación ({reason}).",
+        'moderation.reason.terms': "filtro: {terms}",
+        'moderation.reason.ai': "IA: {reason}",
+        'ai.translateFailed': "No se pudo traducir el mensaje: {message}",
+        'ai.reservationConflict': "Se acaba de hacer otra solicitud a la IA. Inténtalo de nuevo.",
+        'ai.providerError': "Error de {provider}: {message}",
+        'ai.nothingToSummarize': "No hay mensajes en el chat para resumir.",
+        'chat.deleted': "Mensaje eliminado",
+        'chat.jumpToMoment': "Ir a este momento del vídeo",
+        'room.loading': "Cargando datos de la sala...",
+        'room.title': "Sala:",
+        'room.owner': "Dueño de la sala: {name}",
+        'common.youSuffix': "(Tú)",
+        'room.locks.both': "Reproducción y cambio de vídeo restringidos a los anfitriones",
+        'room.locks.playback': "Reproducción restringida a los anfitriones",
+        'room.locks.video': "Cambio de vídeo restringido a los anfitriones",
+        'live.sharedBy': "En directo: pantalla de {name}",
+        'room.access.private': "Sala privada",
+        'room.access.password': "protegida con contraseña",
+        'room.access.waitingRoom': "con sala de espera",
+        'room.copyLinkTitle': "Copiar el enlace de la sala",
+        'room.copyLink': "Copiar enlace",
+        'room.inviteTitle': "Enlace que entra directamente en la sala, sin contraseña ni sala de espera; vale para una sola persona",
+        'room.invite': "Invitación de un solo uso",
+        'room.leave': "Salir de la Sala",
+        'room.linkCopied': "¡Enlace copiado!",
+        'room.copyBelow': "Copia el enlace de abajo:",
+        'room.inviteSingleUse': "La invitación funciona una sola vez.",
+        'live.badge': "EN DIRECTO",
+        'live.connecting': "Conectando con la transmisión...",
+        'localFile.mismatch': "El archivo elegido es diferente del archivo del anfitrión ({differences}).",
+        'localFile.yours': "Tu archivo: {name}",
+        'localFile.useAnyway': "Usarlo de todos modos",
+        'localFile.chooseAnother': "Elegir otro",
+        'localFile.pickPrompt': "El anfitrión eligió un archivo local. Selecciona tu copia para verlo juntos:",
+        'localFile.choose': "Elegir archivo",
+        'player.empty': "No hay ningún vídeo cargado. Introduce una URL abajo.",
+        'player.unsupported': "Tu navegador no admite el elemento de vídeo.",
+        'localFile.differentParticipants': "Archivo diferente del anfitrión: {names}. La sincronización puede no coincidir.",
+        'localFile.missingParticipants': "Todavía sin el archivo: {names}",
+        'reactions.densityTitle': "Intensidad de las reacciones a lo largo del vídeo",
+        'reactions.count': { one: "{count} reacción", other: "{count} reacciones" },
+        'reactions.reactNow': "Reaccionar en este momento",
+        'reactions.replayTitle': "Muestra las reacciones de quienes ya vieron este vídeo en los mismos momentos",
+        'reactions.replay': "Revivir reacciones",
+        'player.urlPlaceholder': "URL del vídeo (.mp4, .webm, .m3u8, .mpd, YouTube o Vimeo)",
+        'player.load': "Cargar Vídeo",
+        'live.stop': "Dejar de compartir",
+        'live.startTitle': "Transmite una pestaña, ventana o la pantalla completa a la sala",
+        'live.start': "Compartir pantalla",
+        'localFile.buttonTitle': "Cada participante elige su propia copia del mismo archivo",
+        'localFile.button': "Archivo local",
+        'queue.add': "Añadir a la Cola",
+        'controls.title': "Controles de la sala:",
+        'controls.playback': "Reproducción",
+        'controls.video': "Cambio de vídeo",
+        'controls.unlock': "Permitir a todos",
+        'controls.lock': "Restringir a los anfitriones",
+        'controls.waitForBufferingTitle': "Pausa la sala mientras alguien está cargando el vídeo",
+        'controls.waitForBuffering': "Esperar a quien está cargando",
+        'controls.privateTitle': "Sin contraseña ni sala de espera; solo entra quien tenga una invitación",
+        'controls.private': "Privada",
+        'controls.waitingRoomTitle': "Cada entrada sin invitación debe ser aprobada por un anfitrión",
+        'controls.waitingRoom': "Sala de espera",
+        'controls.newPassword': "Nueva contraseña",
+        'controls.setPassword': "Definir contraseña",
+        'controls.removePassword': "Quitar contraseña",
+        'moderation.title': "Moderación del chat",
+        'moderation.aiCheckTitle': "Clasifica cada mensaje con {provider} además del filtro de términos",
+        'moderation.aiCheck': "IA",
+        'moderation.termsPlaceholder': "Un término por línea (palabra o /expresión/i)",
+        'moderation.saveTerms': "Guardar filtro",
+        'readyCheck.startTitle': "Pausa y solo continúa cuando todos estén listos",
+        'readyCheck.start': "Comprobar listos",
+        'readyCheck.waiting': { one: "Esperando a que todos carguen el vídeo ({ready}/{count} listo)", other: "Esperando a que todos carguen el vídeo ({ready}/{count} listos)" },
+        'readyCheck.startNow': "Empezar ahora",
+        'buffering.paused': "En pausa mientras {names} carga el vídeo",
+        'buffering.someone': "alguien",
+        'subtitles.unavailable': "Los subtítulos compartidos no están disponibles para vídeos de YouTube/Vimeo.",
+        'subtitles.off': "Subtítulos desactivados",
+        'subtitles.offset': "Retraso: {offset}s",
+        'subtitles.earlier': "Adelantar subtítulo",
+        'subtitles.later': "Retrasar subtítulo",
+        'subtitles.reset': "restablecer",
+        'subtitles.remove': "Eliminar el subtítulo seleccionado",
+        'subtitles.labelPlaceholder': "Nombre (opcional)",
+        'subtitles.languagePlaceholder': "Idioma (ej: es)",
+        'subtitles.file': "Archivo .srt/.vtt",
+        'subtitles.urlPlaceholder': "o URL del subtítulo",
+        'subtitles.add': "Añadir",
+        'queue.title': { one: "Cola ({count} vídeo)", other: "Cola ({count} vídeos)" },
+        'queue.empty': "La cola está vacía. El próximo vídeo añadido sonará al terminar el actual.",
+        'queue.moveUp': "Subir",
+        'queue.moveDown': "Bajar",
+        'queue.next': "Siguiente",
+        'queue.addedBy': "añadido por {name}",
+        'queue.vote': "Votar",
+        'queue.playNow': "Reproducir ahora",
+        'queue.remove': "Quitar de la cola",
+        'waitingRoom.title': { one: "Sala de espera ({count} solicitud)", other: "Sala de espera ({count} solicitudes)" },
+        'waitingRoom.approve': "Aprobar entrada",
+        'waitingRoom.deny': "Rechazar entrada",
+        'moderation.reviewTitle': { one: "{count} mensaje en revisión", other: "{count} mensajes en revisión" },
+        'moderation.approve': "Aprobar mensaje",
+        'moderation.delete': "Eliminar mensaje",
+        'call.title': "Llamada",
+        'call.leave': "Salir de la llamada",
+        'call.join': "Entrar en la llamada",
+        'call.unmuteMic': "Activar micrófono",
+        'call.muteMic': "Silenciar micrófono",
+        'call.cameraOff': "Apagar cámara",
+        'call.cameraOn': "Encender cámara",
+        'call.pushToTalkTitle': "El micrófono solo se abre mientras la tecla T o el botón estén pulsados",
+        'call.pushToTalk': "Pulsar para hablar",
+        'call.holdToTalk': "Mantén pulsado para hablar (T)",
+        'call.duckingTitle': "Baja el volumen del vídeo mientras alguien habla",
+        'call.ducking': "Bajar vídeo",
+        'call.unmutePeer': "Escuchar al participante",
+        'call.mutePeer': "Silenciar para mí",
+        'participants.title': { one: "{count} participante", other: "{count} participantes" },
+        'participants.owner': "Dueño",
+        'participants.cohost': "Coanfitrión",
+        'participants.ready': "Listo",
+        'participants.inCall': "En la llamada",
+        'participants.localFileDifferent': "Archivo local diferente del anfitrión",
+        'participants.localFileMissing': "Todavía no eligió el archivo local",
+        'participants.demote': "Quitar coanfitrión",
+        'participants.promote': "Ascender a coanfitrión",
+        'participants.transfer': "Transferir la propiedad de la sala",
+        'participants.kick': "Retirar de la sala",
+        'participants.ban': "Expulsar de la sala",
+        'chat.title': "Chat",
+        'ai.providerTitle': "IA: {provider}",
+        'ai.usage': "{provider} · sala {room} · tú {user}",
+        'ai.summaryTitle': "Generar un resumen de la conversación con IA",
+        'ai.summary': "Resumen ✨",
+        'chat.languageTitle': "Tu idioma: la interfaz lo usa, los mensajes se traducen a él y la IA responde en él",
+        'chat.autoTranslate': "Traducir automáticamente",
+        'chat.loadOlder': "Cargar mensajes anteriores",
+        'chat.empty': "Todavía no hay mensajes.",
+        'chat.goToOriginal': "Ir al mensaje original",
+        'common.save': "Guardar",
+        'chat.original': "Original: {text}",
+        'chat.removeReaction': "Quitar reacción",
+        'chat.react': "Reaccionar",
+        'chat.otherVideo': "Enviado durante otro vídeo",
+        'chat.sending': "Enviando...",
+        'chat.edited': "(editado)",
+        'chat.translated': "traducido",
+        'moderation.awaitingReview': "Esperando revisión",
+        'chat.reply': "Responder",
+        'chat.translateTo': "Traducir al {language}",
+        'chat.edit': "Editar",
+        'chat.delete': "Eliminar",
+        'chat.replyingTo': "Respondiendo a",
+        'chat.cancelReply': "Cancelar respuesta",
+        'ai.suggestion': "Sugerencia IA:",
+        'ai.useSuggestion': "Usar esta sugerencia",
+        'chat.placeholder': "Escribe tu mensaje... (@1:23 marca un momento del vídeo)",
+        'ai.suggestTitle': "Sugerir un comentario con IA",
+        'ai.suggest': "Sugerir comentario",
+        'chat.send': "Enviar mensaje",
+        'ai.summaryModalTitle': "✨ Resumen de la Conversación (IA)",
+        'ai.summarizing': "Generando resumen...",
+        'ai.summaryFailed': "No se pudo generar el resumen.",
+        'events.PLAY': "{name} reprodujo en {position}",
+        'events.PAUSE': "{name} pausó en {position}",
+        'events.SEEK': "{name} saltó a {position}",
+        'events.CHANGE_VIDEO': "{name} cambió el vídeo a {url}",
+        'events.READY_CHECK': "{name} inició una comprobación de listos en {position}",
+        'events.START_NOW': "{name} empezó sin esperar a todos en {position}",
+        'export.button': "Exportar",
+        'export.buttonTitle': "Descargar el registro de la sesión o el chat como subtítulos",
+        'export.title': "Exportar sesión",
+        'export.description': "Descarga el registro completo de la sala (acciones de reproducción y chat) o el chat del vídeo actual como subtítulos, para volver a verlo con los comentarios.",
+        'export.json': "Registro completo (JSON)",
+        'export.markdown': "Transcripción (Markdown)",
+        'export.srt': "Chat como subtítulos (SRT)",
+        'export.ass': "Chat estilo danmaku (ASS)",
+        'export.preparing': "Preparando archivo...",
+        'export.markdownTitle': "Sesión de la sala {roomId}",
+        'export.exportedAt': "Exportado el {date}",
+        'export.videoHeading': "Vídeo: {url}",
+        'export.noVideoChat': "No se escribió ningún mensaje del chat durante el vídeo actual.",
+        'room.error.exportFailed': "No se pudo exportar la sesión.",
+        'room.error.replayLoad': "No se pudieron cargar las sesiones anteriores de este vídeo.",
+        'replay.session': "Repetir sesión",
+        'replay.sessionTitle': "Muestra el chat y las acciones de una sesión anterior de este vídeo en los mismos momentos",
+        'replay.loading': "Cargando sesiones...",
+        'replay.noSessions': "No hay sesiones anteriores de este vídeo.",
+        'replay.sessionOption': { one: "{date} · {count} elemento", other: "{date} · {count} elementos" },
+        'connection.online': "Conectado",
+        'connection.offline': "Sin conexión",
+        'connection.offlineTitle': "El play, la pausa y los saltos hechos ahora se guardan y se aplican a la sala cuando vuelva la conexión",
+        'connection.resyncing': "Reconectando y sincronizando...",
+        'connection.queued': { one: "{count} acción en espera", other: "{count} acciones en espera" },
+        'connection.actionNeedsConnection': "Sin conexión: esta acción solo se puede hacer cuando vuelva la conexión.",
+        'connection.offlineActionsDiscarded': "La reproducción de la sala cambió mientras estabas sin conexión; tus acciones se descartaron.",
+        'lobby.error.scheduleInPast': "Elige una fecha y hora futuras para la sesión.",
+        'lobby.error.scheduleVideoRequired': "Indica el vídeo que se mostrará en la sesión programada.",
+        'lobby.error.scheduleUnsupportedSource': "Las sesiones programadas necesitan un vídeo por URL (los archivos locales y las pantallas compartidas no se pueden cargar antes).",
+        'schedule.toggle': "Programar para más tarde",
+        'schedule.titlePlaceholder': "Título de la sesión (opcional)",
+        'schedule.startsAt': "Fecha y hora de inicio",
+        'schedule.videoPlaceholder': "URL del vídeo",
+        'schedule.create': "Programar Sesión",
+        'schedule.startsAtLabel': "Empieza el {date}",
+        'schedule.waiting': { one: "{count} persona esperando. ¡Charla en el chat mientras tanto!", other: "{count} personas esperando. ¡Charla en el chat mientras tanto!" },
+        'schedule.addToCalendar': "Añadir al calendario (.ics)",
+        'schedule.startNow': "Empezar ahora",
+        'schedule.cancel': "Cancelar programación",
+        'schedule.notStarted': "La sesión aún no ha empezado: el vídeo se inicia solo a la hora programada.",
+        'schedule.defaultTitle': "Watch party de CineSync ({roomId})",
+        'schedule.icsDescription': "Entra en la sala: {link}\nVídeo: {url}",
+        'room.error.scheduleUpdate': "No se pudo actualizar la programación.",
+        'lobby.error.roomClosed': "Esta sala fue cerrada.",
+        'room.leave.closed': "La sala fue cerrada.",
+        'room.error.closeFailed': "Error al cerrar la sala.",
+        'room.close': "Cerrar sala",
+        'room.closeTitle': "Saca a todos de la sala y archiva el chat; puedes reabrirla después desde el lobby",
+        'controls.public': "Pública",
+        'controls.publicTitle': "Muestra la sala en el directorio del lobby",
+        'controls.publicHiddenTitle': "Las salas privadas no aparecen en el directorio, aunque estén marcadas como públicas",
+        'controls.roomTitlePlaceholder': "Título de la sala",
+        'controls.roomDescriptionPlaceholder': "Descripción (aparece en el directorio)",
+        'controls.saveDetails': "Guardar detalles",
+        'directory.title': "Salas públicas",
+        'directory.empty': "No hay salas públicas activas en este momento.",
+        'directory.untitled': "Sala sin título",
+        'directory.live': "Transmisión de pantalla en vivo",
+        'directory.nowPlaying': "Viendo: {video}",
+        'directory.nothingPlaying': "Ningún video cargado",
+        'directory.join': "Entrar",
+        'directory.reopen': "Reabrir",
+        'directory.myRooms': "Mis salas",
+        'directory.status.open': "Abierta",
+        'directory.status.closed': "Cerrada",
+        'profile.title': "Tu perfil",
+        'profile.edit': "Editar perfil",
+        'profile.uploadAvatar': "Subir imagen",
+        'profile.useIdenticon': "Usar avatar generado",
+        'profile.chatColor': "Color del nombre en el chat",
+        'profile.save': "Guardar perfil",
+        'profile.error.saveFailed': "Error al guardar el perfil. Inténtalo de nuevo.",
+        'profile.error.loadFailed': "No se pudo cargar tu perfil.",
+        'profile.error.avatarType': "Elige un archivo de imagen para el avatar.",
+        'profile.error.avatarRead': "No se pudo leer la imagen elegida.",
+        'probe.checking': "Verificando el video...",
+        'probe.failed': "No se pudo reproducir este video en este navegador ({details}).",
+        'probe.codecs': "Códecs: {codecs}",
+        'probe.audioOnly': "No se encontró imagen: el archivo parece ser solo audio.",
+        'probe.noDuration': "Duración desconocida (transmisión en vivo o aún no informada).",
+        'probe.useAnyway': "Usar de todos modos",
+        'lobby.error.scheduleVideoInvalid': "No se pudo cargar el video de la sesión. Revisa la URL.",
+        'player.urlPlaceholderQueueOnly': "Solo los hosts cambian el video: pega una URL para sugerirla en la cola",
+        'moderation.reason.both': "filtro: {terms}; IA: {reason}",
+        'moderation.heldEdit': "(edición)",
+        'moderation.discardHeld': "Descartar este mensaje",
+        'directory.hostedBy': "Anfitrión: {name}",
+        'directory.untitledVideo': "video sin título",
+        'chat.error.loadOlder': "Error al cargar los mensajes anteriores.",
+        'ai.translationRateLimit': "Demasiadas traducciones en esta sala. Espera un minuto.",
+        'ai.translationCostLimit': "Esta sala alcanzó el límite de gasto en traducciones.",
+        'ai.autoTranslatePaused': "Traducción automática en pausa: {reason}"
+    }
+};
+
+// Tradutor do idioma escolhido: cai para pt-BR e, por último, para a própria chave; {param} é substituído pelos valores
+// Parâmetros também podem ser mensagens ({ key, params }), traduzidas junto; assim um erro guardado
+// como chave muda de idioma com a interface mesmo quando o texto dele inclui outra mensagem do catálogo
+const createTranslator = (language) => {
+    const pluralRules = new Intl.PluralRules(language);
+    const numberFormat = new Intl.NumberFormat(language);
+    const translate = (key, params = {}) => {
+        let message = MESSAGES[language]?.[key] ?? MESSAGES['pt-BR'][key] ?? key;
+        if (typeof message === 'object') message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            const value = params[name];
+            if (value && typeof value === 'object') return translate(value.key, value.params);
+            return typeof value === 'number' ? numberFormat.format(value) : String(value);
+        });
+    };
+    return translate;
+};
+
+const formatClockTime = (ms, language) => new Date(ms).toLocaleTimeString(language, { hour: '2-digit', minute: '2-digit' });
+
+// Duração por extenso no formato do idioma (ex.: "1 h 5 min"); segundos só aparecem em vídeos com menos de uma hora
+const formatDuration = (seconds, language) => {
+    const total = Math.round(seconds);
+    const parts = [[Math.floor(total / 3600), 'hour'], [Math.floor((total % 3600) / 60), 'minute'], [total < 3600 ? total % 60 : 0, 'second']]
+        .filter(([value]) => value > 0);
+    if (parts.length === 0) parts.push([0, 'second']);
+    return parts.map(([value, unit]) => new Intl.NumberFormat(language, { style: 'unit', unit, unitDisplay: 'short' }).format(value)).join(' ');
+};
+
+// Resumo dos metadados de um vídeo para cabeçalho, fila e diretório: duração e resolução
+const formatVideoMeta = (meta, language) => [
+    meta?.duration ? formatDuration(meta.duration, language) : null,
+    meta?.height ? `${meta.height}p` : null
+].filter(Boolean).join(' · ');
+
+const formatCost = (usd, language) => new Intl.NumberFormat(language, { style: 'currency', currency: 'USD', maximumFractionDigits: 3 }).format(usd);
+
+
+// Quantidade de reações em cada trecho do vídeo, para o gráfico de intensidade
+const getReactionDensity = (reactions, duration) => {
+    const counts = new Array(REACTION_DENSITY_BUCKETS).fill(0);
+    reactions.forEach(({ videoPosition }) => {
+        if (typeof videoPosition !== 'number' || videoPosition < 0 || videoPosition > duration) return;
+        counts[Math.min(REACTION_DENSITY_BUCKETS - 1, Math.floor(videoPosition / duration * REACTION_DENSITY_BUCKETS))]++;
+    });
+    return counts;
+};
+
+// Componente Modal Genérico
+const Modal = ({ isOpen, onClose, title, children, size = "md" }) => {
+    if (!isOpen) return null;
+    const sizeClasses = {
+        sm: "max-w-sm",
+        md: "max-w-md",
+        lg: "max-w-lg",
+        xl: "max-w-xl"
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-60 backdrop-blur-sm flex justify-center items-center z-50 p-4">
+            <div className={`bg-gray-800 p-6 rounded-lg shadow-xl w-full ${sizeClasses[size]} text-white`}>
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-semibold">{title}</h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white">
+                        <XCircle size={24} />
+                    </button>
+                </div>
+                {children}
+            </div>
+        </div>
+    );
+};
+
+const Avatar = ({ userId, profile, size = 20, className = "" }) => (
+    <img
+        src={profile?.avatarUrl || buildIdenticonUrl(userId || '')}
+        alt=""
+        width={size}
+        height={size}
+        className={`rounded-full shrink-0 object-cover ${className}`}
+        style={{ width: size, height: size }}
+    />
+);
+
+// Miniatura de um participante da chamada; o <video> também toca o áudio, por isso continua montado com a câmera desligada
+const VoiceTile = ({ stream, label, showVideo, muted, speaking, mirrored, children }) => {
+    const mediaRef = useRef(null);
+
+    useEffect(() => {
+        if (mediaRef.current) mediaRef.current.srcObject = stream;
+    }, [stream]);
+
+    return (
+        <div className={`relative w-28 aspect-video bg-gray-900 rounded-md overflow-hidden ring-2 ${speaking ? 'ring-green-400' : 'ring-transparent'}`}>
+            <video ref={mediaRef} autoPlay playsInline muted={muted} className={`w-full h-full object-cover ${showVideo ? '' : 'invisible'} ${mirrored ? '-scale-x-100' : ''}`} />
+            {!showVideo && <div className="absolute inset-0 flex items-center justify-center text-2xl font-semibold text-gray-400">{label.charAt(0).toUpperCase()}</div>}
+            <span className="absolute bottom-0 inset-x-0 px-1 bg-black/60 text-[10px] truncate">{label}</span>
+            {children}
+        </div>
+    );
+};
+
+// Componente Principal App
+function App() {
+    const [userId, setUserId] = useState(null);
+    const [isAuthReady, setIsAuthReady] = useState(false);
+    const [roomIdFromInput, setRoomIdFromInput] = useState(''); // Renomeado para evitar conflito
+    const [currentRoomId, setCurrentRoomId] = useState(''); // Estado para o ID da sala atual
+    const [displayName, setDisplayName] = useState('');
+    const [profile, setProfile] = useState(null); // Perfil salvo no store: nome, avatar, cor do chat e idioma
+    const [isProfileReady, setIsProfileReady] = useState(false);
+    const [enteredRoom, setEnteredRoom] = useState(false);
+    const [showProfileModal, setShowProfileModal] = useState(false);
+    const [nameInput, setNameInput] = useState('');
+    const [avatarInput, setAvatarInput] = useState(null); // Data URL do avatar escolhido; null usa o identicon
+    const [colorInput, setColorInput] = useState('');
+    const [isSavingProfile, setIsSavingProfile] = useState(false);
+    const [passwordInput, setPasswordInput] = useState('');
+    const [isPasswordRequired, setIsPasswordRequired] = useState(false);
+    const [pendingJoinRoomId, setPendingJoinRoomId] = useState(''); // Sala em que aguardamos aprovação do host
+    const [showScheduleForm, setShowScheduleForm] = useState(false);
+    const [scheduleTitleInput, setScheduleTitleInput] = useState('');
+    const [scheduleAtInput, setScheduleAtInput] = useState(''); // Valor do datetime-local, no fuso do navegador
+    const [scheduleVideoInput, setScheduleVideoInput] = useState('');
+    const [isProbingSchedule, setIsProbingSchedule] = useState(false);
+    const [publicRooms, setPublicRooms] = useState([]);
+    const [ownedRooms, setOwnedRooms] = useState([]);
+    const closingRoomIdsRef = useRef(new Set()); // Salas inativas cujo encerramento este cliente já tentou
+    const [serverClockOffset, setServerClockOffset] = useState(null); // Relógio do servidor visto do lobby (null até ser medido)
+    const [error, setError] = useState(''); // Chave do catálogo de mensagens, traduzida ao exibir
+    const [language, setLanguage] = useState(getDefaultLanguage);
+    const t = useMemo(() => createTranslator(language), [language]);
+    // Link de convite (?room=...&invite=...) lido uma única vez ao abrir o app
+    const [deepLink] = useState(() => {
+        const params = new URLSearchParams(window.location.search);
+        return params.get('room') ? { roomId: params.get('room'), inviteToken: params.get('invite') } : null;
+    });
+    const deepLinkHandledRef = useRef(false);
+
+    useEffect(() => {
+        const handleUserReady = (uId) => setUserId(uId);
+
+        if (!auth || roomServerUrl) {
+            // Sem Firebase, ou com o servidor WebSocket (que só conhece a identidade local): identidade persistida no navegador
+            handleUserReady(getLocalIdentity().userId);
+            setIsAuthReady(true);
+            return;
+        }
+        const unsubscribe = onAuthStateChanged(auth, async (user) => {
+            if (user) {
+                handleUserReady(user.uid || crypto.randomUUID());
+            } else {
+                try {
+                    if (initialAuthToken) {
+                        await signInWithCustomToken(auth, initialAuthToken);
+                    } else {
+                        await signInAnonymously(auth);
+                    }
+                } catch (authError) {
+                    console.error("Erro no login:", authError);
+                    setError('lobby.error.auth');
+                }
+            }
+            setIsAuthReady(true);
+        });
+        return () => unsubscribe();
+    }, []);
+
+    // Perfil do próprio usuário; edições feitas em outra aba também chegam por aqui
+    useEffect(() => {
+        if (!userId) return;
+        const unsubscribe = roomStore.subscribeProfiles([userId], (profiles) => {
+            // Um perfil sem nome só tem a medição do relógio (clockProbeAt): conta como inexistente
+            const storedProfile = profiles[userId];
+            if (storedProfile?.displayName) {
+                setProfile(storedProfile);
+                setDisplayName(storedProfile.displayName);
+                if (LANGUAGES[storedProfile.language]) setLanguage(storedProfile.language);
+                setIsProfileReady(true);
+                return;
+            }
+            // Nome e idioma de versões anteriores, guardados só no navegador, viram o perfil inicial
+            const legacyName = localStorage.getItem(`displayName-${userId}`);
+            const legacyLanguage = localStorage.getItem(`language-${userId}`);
+            if (legacyName) {
+                const legacyProfile = {
+                    displayName: legacyName,
+                    avatarUrl: null,
+                    color: getProfileColor(userId, null),
+                    language: LANGUAGES[legacyLanguage] ? legacyLanguage : getDefaultLanguage()
+                };
+                roomStore.saveProfile(userId, { ...legacyProfile, updatedAt: roomStore.serverTimestamp() }).then(() => {
+                    localStorage.removeItem(`displayName-${userId}`);
+                    localStorage.removeItem(`language-${userId}`);
+                }).catch(e => {
+                    // Sem a migração, segue com os valores antigos só nesta sessão e abre o editor para salvar o perfil de novo
+                    console.warn("Falha ao migrar o nome salvo no navegador:", e);
+                    setProfile(legacyProfile);
+                    setDisplayName(legacyProfile.displayName);
+                    setLanguage(legacyProfile.language);
+                    setNameInput(legacyProfile.displayName);
+                    setAvatarInput(null);
+                    setColorInput(legacyProfile.color);
+                    setError('profile.error.saveFailed');
+                    setIsProfileReady(true);
+                    setShowProfileModal(true);
+                });
+                return;
+            }
+            setIsProfileReady(true);
+            setShowProfileModal(true);
+        }, (err) => {
+            console.error("Erro ao carregar o perfil:", err);
+            setError('profile.error.loadFailed');
+            setIsProfileReady(true);
+            setShowProfileModal(true);
+        });
+        return () => unsubscribe();
+    }, [userId]);
+
+    // reason: chave do catálogo com o motivo da saída (vazia quando o próprio usuário sai)
+    const handleLeaveRoom = useCallback((reason) => {
+        setEnteredRoom(false);
+        setCurrentRoomId('');
+        setError(reason || '');
+    }, []);
+
+    // O idioma fica salvo no perfil; antes de o perfil existir, vai junto com ele ao salvar
+    const changeLanguage = useCallback((newLanguage) => {
+        setLanguage(newLanguage);
+        if (userId && displayName) {
+            roomStore.saveProfile(userId, { language: newLanguage, updatedAt: roomStore.serverTimestamp() })
+                .catch(e => console.warn("Falha ao salvar o idioma no perfil:", e));
+        }
+    }, [userId, displayName]);
+
+    const openProfileEditor = useCallback(() => {
+        setNameInput(displayName);
+        setAvatarInput(profile?.avatarUrl || null);
+        setColorInput(getProfileColor(userId, profile));
+        setError('');
+        setShowProfileModal(true);
+    }, [displayName, profile, userId]);
+
+    const handleAvatarFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        if (!file.type.startsWith('image/')) {
+            setError('profile.error.avatarType');
+            return;
+        }
+        try {
+            setAvatarInput(await resizeAvatarImage(file));
+            setError('');
+        } catch (err) {
+            console.error("Erro ao ler a imagem do avatar:", err);
+            setError('profile.error.avatarRead');
+        }
+    };
+
+    // O nome não é regravado nas mensagens antigas: a sala resolve o nome atual pelo perfil ao exibir
+    const handleProfileSubmit = async () => {
+        const newName = nameInput.trim().slice(0, PROFILE_NAME_MAX_LENGTH);
+        if (!newName) {
+            setError('lobby.error.nameRequired');
+            return;
+        }
+        const newProfile = { displayName: newName, avatarUrl: avatarInput, color: colorInput || getProfileColor(userId, null), language };
+        setIsSavingProfile(true);
+        try {
+            await roomStore.saveProfile(userId, { ...newProfile, updatedAt: roomStore.serverTimestamp() });
+            setProfile(current => ({ ...current, ...newProfile }));
+            setDisplayName(newName);
+            setShowProfileModal(false);
+            setError('');
+        } catch (e) {
+            console.error("Erro ao salvar o perfil:", e);
+            setError('profile.error.saveFailed');
+        } finally {
+            setIsSavingProfile(false);
+        }
+    };
+
+    // schedule ({ title, videoUrl, videoMeta, startsAt }) cria a sala já com o vídeo carregado e a reprodução marcada para startsAt
+    const createRoom = async (schedule = null) => {
+        if (!userId || !displayName) {
+            setError('lobby.error.notReady');
+            return;
+        }
+        const newRoomId = crypto.randomUUID().slice(0, 8);
+        try {
+            await roomStore.createRoom(newRoomId, {
+                id: newRoomId,
+                status: ROOM_STATUS.OPEN,
+                title: schedule?.title || '',
+                description: '',
+                isPublic: false,
+                currentVideoUrl: schedule?.videoUrl || '',
+                ...(schedule && {
+                    currentSourceType: detectSourceType(schedule.videoUrl).type,
+                    currentVideoMeta: getStoredVideoMeta(schedule.videoMeta),
+                    scheduledStartAt: schedule.startsAt
+                }),
+                videoSessionId: createVideoSessionId(),
+                isPlaying: false,
+                currentTime: 0,
+                anchorAt: roomStore.serverTimestamp(),
+                playbackRate: 1,
+                hostId: userId,
+                coHostIds: [],
+                bannedIds: [],
+                lockPlayback: false,
+                lockVideo: false,
+                createdAt: roomStore.serverTimestamp(),
+                participants: {
+                    [userId]: createParticipant(userId, displayName, roomStore)
+                }
+            });
+            if (schedule) saveVideoThumbnail(newRoomId, schedule.videoUrl, schedule.videoMeta);
+            setCurrentRoomId(newRoomId); // Atualiza o ID da sala atual
+            setEnteredRoom(true);
+            setError('');
+        } catch (e) {
+            console.error("Erro ao criar sala:", e);
+            setError('lobby.error.createFailed');
+        }
+    };
+
+    const scheduleRoom = async () => {
+        const startsAt = new Date(scheduleAtInput).getTime();
+        const videoUrl = scheduleVideoInput.trim();
+        if (!Number.isFinite(startsAt) || startsAt <= Date.now()) {
+            setError('lobby.error.scheduleInPast');
+            return;
+        }
+        if (!videoUrl) {
+            setError('lobby.error.scheduleVideoRequired');
+            return;
+        }
+        // Arquivos locais e transmissões de tela não têm como ser carregados antes da hora
+        if ([SOURCE_TYPES.LOCAL, SOURCE_TYPES.LIVE].includes(detectSourceType(videoUrl).type)) {
+            setError('lobby.error.scheduleUnsupportedSource');
+            return;
+        }
+        // O vídeo é checado agora para ninguém descobrir um link quebrado só na hora marcada
+        setIsProbingSchedule(true);
+        let videoMeta;
+        try {
+            videoMeta = await probeVideoSource(videoUrl);
+        } catch (e) {
+            console.warn("Vídeo da sessão agendada não pôde ser carregado:", e);
+            setError('lobby.error.scheduleVideoInvalid');
+            return;
+        } finally {
+            setIsProbingSchedule(false);
+        }
+        createRoom({ title: scheduleTitleInput.trim(), videoUrl, videoMeta, startsAt });
+    };
+
+    const enterRoom = (targetRoomId) => {
+        setIsPasswordRequired(false);
+        setPasswordInput('');
+        setCurrentRoomId(targetRoomId); // Atualiza o ID da sala atual
+        setEnteredRoom(true);
+        setError('');
+    };
+
+    const joinRoom = async (targetRoomId, inviteToken = null) => {
+        if (!userId || !displayName) {
+            setError('lobby.error.notReady');
+            return;
+        }
+        if (!targetRoomId) {
+            setError('lobby.error.roomIdRequired');
+            return;
+        }
+        try {
+            const existingRoom = await roomStore.getRoom(targetRoomId);
+            if (!existingRoom) {
+                setError('lobby.error.roomNotFound');
+                return;
+            }
+            // Sem o relógio do servidor, a sala não é julgada inativa: um relógio local adiantado encerraria salas em uso
+            const serverNow = serverClockOffset === null ? null : Date.now() + serverClockOffset;
+            if (!roomStore.closesInactiveRooms && serverNow !== null && !existingRoom.bannedIds?.includes(userId) && isRoomInactive(existingRoom, serverNow)) {
+                await closeRoom(existingRoom, 'inactive', userId, serverNow);
+            }
+            const request = { displayName, password: passwordInput, inviteToken };
+            const outcome = roomStore.joinRoom
+                ? await roomStore.joinRoom(targetRoomId, request)
+                : await joinRoomInClient(targetRoomId, userId, request);
+            if (outcome.error) {
+                if (outcome.passwordRequired) setIsPasswordRequired(true);
+                setError(outcome.error);
+                return;
+            }
+            if (outcome.result === 'waiting') {
+                setIsPasswordRequired(false);
+                setPasswordInput('');
+                setPendingJoinRoomId(targetRoomId);
+                setError('');
+                return;
+            }
+            if (outcome.result === 'reopened') {
+                // O restante da entrada o próprio dono regrava ao entrar
+                roomStore.updateDirectoryEntry(targetRoomId, { status: ROOM_STATUS.OPEN })
+                    .catch(e => console.warn("Falha ao atualizar a sala no diretório:", e));
+            }
+            enterRoom(targetRoomId);
+        } catch (e) {
+            console.error("Erro ao entrar na sala:", e);
+            setError('lobby.error.joinFailed');
+        }
+    };
+
+    // Versão mais recente de joinRoom, para o efeito do link não depender da função recriada a cada render
+    const joinRoomRef = useRef(joinRoom);
+    joinRoomRef.current = joinRoom;
+
+    // Entra pelo link assim que houver usuário e nome definidos
+    useEffect(() => {
+        if (!deepLink || deepLinkHandledRef.current || !userId || !displayName) return;
+        deepLinkHandledRef.current = true;
+        // Tira os parâmetros da barra de endereço para o convite já usado não ser reenviado ao recarregar
+        window.history.replaceState(null, '', window.location.pathname + window.location.hash);
+        setRoomIdFromInput(deepLink.roomId);
+        joinRoomRef.current(deepLink.roomId, deepLink.inviteToken);
+    }, [deepLink, userId, displayName]);
+
+    // Sala de espera: entra quando um host aprovar; pedido removido sem aprovação significa recusa
+    useEffect(() => {
+        if (!pendingJoinRoomId || !userId) return;
+        const unsubscribe = roomStore.subscribeRoom(pendingJoinRoomId, (data) => {
+            if (!data) {
+                setPendingJoinRoomId('');
+                setError('room.leave.notFound');
+            } else if (isParticipant(data, userId)) {
+                setPendingJoinRoomId('');
+                enterRoom(pendingJoinRoomId);
+            } else if (data.bannedIds?.includes(userId)) {
+                setPendingJoinRoomId('');
+                setError('room.leave.banned');
+            } else if (!data.joinRequests?.[userId]) {
+                setPendingJoinRoomId('');
+                setError('lobby.error.joinDenied');
+            }
+        }, (err) => {
+            console.error("Erro ao aguardar aprovação:", err);
+            setError('room.error.connection');
+        });
+        return () => unsubscribe();
+    }, [pendingJoinRoomId, userId]);
+
+    // Relógio do servidor para julgar a inatividade das salas do diretório; medido uma vez, depois que o perfil foi salvo
+    const hasSavedProfile = Boolean(profile?.updatedAt);
+    useEffect(() => {
+        if (!userId || !hasSavedProfile || serverClockOffset !== null) return;
+        let cancelled = false;
+        measureServerClockOffset(userId)
+            .then(offset => { if (!cancelled) setServerClockOffset(offset); })
+            .catch(e => console.warn("Falha ao medir o relógio do servidor:", e));
+        return () => { cancelled = true; };
+    }, [userId, hasSavedProfile, serverClockOffset]);
+
+    // Diretório do lobby: salas públicas abertas e as salas deste usuário (onde o dono pode reabrir as encerradas).
+    // As entradas vêm da coleção do diretório, mantida pelo host de cada sala, e nunca do documento da sala.
+    useEffect(() => {
+        if (!userId || enteredRoom) return;
+        const unsubscribePublic = roomStore.subscribeDirectory({ where: { isPublic: true, status: ROOM_STATUS.OPEN }, limit: DIRECTORY_LIMIT }, (entries) => {
+            // Sem o relógio do servidor nada é considerado abandonado
+            const serverNow = serverClockOffset === null ? null : Date.now() + serverClockOffset;
+            const isAbandoned = (entry) => serverNow !== null && !(entry.scheduledStartAt > serverNow)
+                && serverNow - Math.max(entry.lastActivityAt ?? 0, entry.scheduledStartAt || 0) > ROOM_INACTIVE_CLOSE_MS;
+            // Sem um backend que as encerre, quem encontra uma sala abandonada confere o documento da sala e a encerra (a escrita
+            // condicional resolve a corrida entre visitantes e com um host que voltou); as demais aparecem com as mais cheias primeiro
+            if (!roomStore.closesInactiveRooms) entries.filter(entry => isAbandoned(entry) && !closingRoomIdsRef.current.has(entry.id)).forEach(entry => {
+                closingRoomIdsRef.current.add(entry.id);
+                roomStore.getRoom(entry.id)
+                    .then(room => (room && isRoomInactive(room, serverNow) ? closeRoom(room, 'inactive', userId, serverNow) : false))
+                    .catch(e => console.warn("Falha ao encerrar sala inativa:", e));
+            });
+            setPublicRooms(entries
+                .filter(entry => !isAbandoned(entry) && (entry.participantCount > 0 || entry.scheduledStartAt > Date.now()))
+                .sort((a, b) => b.participantCount - a.participantCount));
+        }, (err) => {
+            console.error("Erro ao ouvir o diretório de salas:", err);
+        });
+        const unsubscribeOwned = roomStore.subscribeDirectory({ where: { hostId: userId } }, (entries) => {
+            setOwnedRooms(entries.sort((a, b) => (b.lastActivityAt ?? 0) - (a.lastActivityAt ?? 0)));
+        }, (err) => {
+            console.error("Erro ao ouvir as salas do usuário:", err);
+        });
+        return () => {
+            unsubscribePublic();
+            unsubscribeOwned();
+        };
+    }, [userId, enteredRoom, serverClockOffset]);
+
+    const cancelJoinRequest = () => {
+        const targetRoomId = pendingJoinRoomId;
+        setPendingJoinRoomId('');
+        roomStore.updateRoom(targetRoomId, { [`joinRequests.${userId}`]: roomStore.deleteField() })
+            .catch(e => console.warn("Falha ao cancelar pedido de entrada:", e));
+    };
+
+    if (!isAuthReady || (userId && !isProfileReady)) {
+        return <div className="min-h-screen bg-gray-900 flex items-center justify-center text-white"><div className="animate-pulse">{t('lobby.loadingAuth')}</div></div>;
+    }
+
+    // Editor de perfil: obrigatório no primeiro acesso, depois aberto pelo lobby ou de dentro da sala
+    const profileModal = showProfileModal && userId && (
+        <Modal isOpen={showProfileModal} onClose={() => { if (displayName) setShowProfileModal(false); }} title={t('profile.title')}>
+            <div className="space-y-4">
+                <div className="flex items-center gap-3">
+                    <Avatar userId={userId} profile={{ avatarUrl: avatarInput }} size={64} />
+                    <div className="flex flex-col gap-1 text-sm">
+                        <label className="cursor-pointer text-indigo-300 hover:text-indigo-200 flex items-center">
+                            <Upload size={14} className="mr-1" /> {t('profile.uploadAvatar')}
+                            <input type="file" accept="image/*" onChange={handleAvatarFile} className="hidden" />
+                        </label>
+                        {avatarInput && (
+                            <button onClick={() => setAvatarInput(null)} className="text-left text-gray-400 hover:text-white">
+                                {t('profile.useIdenticon')}
+                            </button>
+                        )}
+                    </div>
+                </div>
+                <input
+                    type="text"
+                    value={nameInput}
+                    onChange={(e) => setNameInput(e.target.value)}
+                    onKeyPress={(e) => e.key === 'Enter' && handleProfileSubmit()}
+                    placeholder={t('lobby.namePlaceholder')}
+                    maxLength={PROFILE_NAME_MAX_LENGTH}
+                    className="w-full p-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
+                />
+                <div>
+                    <p className="text-sm text-gray-400 mb-1">{t('profile.chatColor')}</p>
+                    <div className="flex flex-wrap gap-2">
+                        {CHAT_COLORS.map(color => (
+                            <button
+                                key={color}
+                                onClick={() => setColorInput(color)}
+                                className={`w-7 h-7 rounded-full border-2 ${(colorInput || getProfileColor(userId, null)) === color ? 'border-white' : 'border-transparent'}`}
+                                style={{ backgroundColor: color }}
+                                aria-label={color}
+                            />
+                        ))}
+                    </div>
+                    <p className="text-sm font-semibold mt-2" style={{ color: colorInput || getProfileColor(userId, null) }}>{nameInput.trim() || t('lobby.namePlaceholder')}</p>
+                </div>
+                <select
+                    value={language}
+                    onChange={(e) => changeLanguage(e.target.value)}
+                    className="w-full p-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
+                    aria-label={t('lobby.language')}
+                >
+                    {Object.entries(LANGUAGES).map(([code, { label }]) => <option key={code} value={code}>{label}</option>)}
+                </select>
+                {error && <p className="text-red-400 text-sm">{t(error)}</p>}
+                <button
+                    onClick={handleProfileSubmit}
+                    disabled={isSavingProfile}
+                    className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg flex items-center justify-center"
+                >
+                    {isSavingProfile ? <Loader2 size={20} className="mr-2 animate-spin" /> : <CheckCircle size={20} className="mr-2" />} {t('profile.save')}
+                </button>
+            </div>
+        </Modal>
+    );
+
+    if (profileModal && !displayName) {
+        return profileModal;
+    }
+
+    if (pendingJoinRoomId) {
+        return (
+            <div className="min-h-screen bg-gray-900 text-white flex flex-col items-center justify-center p-4 space-y-4">
+                <Loader2 size={40} className="animate-spin text-indigo-400" />
+                <p className="text-lg">{t('lobby.waitingApproval', { roomId: pendingJoinRoomId })}</p>
+                <button onClick={cancelJoinRequest} className="bg-gray-600 hover:bg-gray-500 text-white font-semibold py-2 px-4 rounded-lg flex items-center">
+                    <XCircle size={20} className="mr-2" /> {t('common.cancel')}
+                </button>
+            </div>
+        );
+    }
+
+    if (!enteredRoom || !currentRoomId || !displayName) {
+        return (
+            <div className="min-h-screen bg-gray-900 text-white flex flex-col items-center justify-center p-4">
+                <header className="mb-12 text-center">
+                    <h1 className="text-5xl font-bold text-indigo-400 mb-2 flex items-center justify-center">
+                        <Film size={48} className="mr-3" /> CineSync <Sparkles size={30} className="ml-2 text-yellow-400" />
+                    </h1>
+                    <p className="text-xl text-gray-400">{t('lobby.tagline')}</p>
+                    {userId && <p className="text-sm text-gray-500 mt-2">{t('lobby.userId', { userId })}</p>}
+                    {displayName && (
+                        <button onClick={openProfileEditor} className="mt-3 inline-flex items-center gap-2 text-sm text-gray-300 hover:text-white" title={t('profile.edit')}>
+                            <Avatar userId={userId} profile={profile} size={28} />
+                            <span style={{ color: getProfileColor(userId, profile) }}>{displayName}</span>
+                            <Pencil size={14} />
+                        </button>
+                    )}
+                </header>
+                {profileModal}
+                
+                {error && <div className="bg-red-500 text-white p-3 rounded-md mb-6 max-w-md w-full text-center">{t(error)}</div>}
+
+                <div className="bg-gray-800 p-8 rounded-xl shadow-2xl w-full max-w-md">
+                    <div className="mb-6 flex items-center gap-2 text-sm text-gray-300">
+                        <Languages size={18} className="text-indigo-400 shrink-0" />
+                        <select
+                            value={language}
+                            onChange={(e) => changeLanguage(e.target.value)}
+                            className="w-full p-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
+                            aria-label={t('lobby.language')}
+                        >
+                            {Object.entries(LANGUAGES).map(([code, { label }]) => <option key={code} value={code}>{label}</option>)}
+                        </select>
+                    </div>
+                    <div className="mb-6">
+                        <button
+                            onClick={() => createRoom()}
+                            disabled={!userId || !displayName}
+                            className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-600 text-white font-semibold py-3 px-4 rounded-lg flex items-center justify-center text-lg transition-colors duration-150"
+                        >
+                            <PlusCircle size={22} className="mr-2" /> {t('lobby.createRoom')}
+                        </button>
+                        {!displayName && <p className="text-xs text-yellow-400 mt-1 text-center">{t('lobby.nameNeededToCreate')}</p>}
+                        <button
+                            onClick={() => setShowScheduleForm(!showScheduleForm)}
+                            className="w-full mt-2 text-sm text-indigo-300 hover:text-indigo-200 flex items-center justify-center"
+                        >
+                            <CalendarClock size={16} className="mr-1" /> {t('schedule.toggle')}
+                        </button>
+                        {showScheduleForm && (
+                            <div className="mt-3 space-y-2">
+                                <input
+                                    type="text"
+                                    placeholder={t('schedule.titlePlaceholder')}
+                                    value={scheduleTitleInput}
+                                    onChange={(e) => setScheduleTitleInput(e.target.value)}
+                                    className="w-full p-2 rounded-lg bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
+                                />
+                                <input
+                                    type="datetime-local"
+                                    value={scheduleAtInput}
+                                    onChange={(e) => setScheduleAtInput(e.target.value)}
+                                    className="w-full p-2 rounded-lg bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
+                                    aria-label={t('schedule.startsAt')}
+                                />
+                                <input
+                                    type="text"
+                                    placeholder={t('schedule.videoPlaceholder')}
+                                    value={scheduleVideoInput}
+                                    onChange={(e) => setScheduleVideoInput(e.target.value)}
+                                    className="w-full p-2 rounded-lg bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
+                                />
+                                <button
+                                    onClick={scheduleRoom}
+                                    disabled={!userId || !displayName || isProbingSchedule}
+                                    className="w-full bg-indigo-500 hover:bg-indigo-600 disabled:bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg flex items-center justify-center"
+                                >
+                                    {isProbingSchedule ? <Loader2 size={18} className="mr-2 animate-spin" /> : <CalendarClock size={18} className="mr-2" />} {t('schedule.create')}
+                                </button>
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="text-center text-gray-400 my-4">{t('lobby.or')}</div>
+
+                    <div>
+                        <h2 className="text-xl font-semibold mb-3 text-center">{t('lobby.joinExisting')}</h2>
+                        <input
+                            type="text"
+                            placeholder={t('lobby.roomIdPlaceholder')}
+                            value={roomIdFromInput} // Controlado pelo estado
+                            onChange={(e) => { setRoomIdFromInput(e.target.value); setIsPasswordRequired(false); }}
+                            className="w-full p-3 rounded-lg bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500 mb-3"
+                        />
+                        {isPasswordRequired && (
+                            <input
+                                type="password"
+                                placeholder={t('lobby.passwordPlaceholder')}
+                                value={passwordInput}
+                                onChange={(e) => setPasswordInput(e.target.value)}
+                                onKeyPress={(e) => e.key === 'Enter' && joinRoom(roomIdFromInput.trim())}
+                                className="w-full p-3 rounded-lg bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500 mb-3"
+                            />
+                        )}
+                        <button
+                            onClick={() => joinRoom(roomIdFromInput.trim())}
+                            disabled={!userId || !displayName}
+                            className="w-full bg-green-600 hover:bg-green-700 disabled:bg-gray-600 text-white font-semibold py-3 px-4 rounded-lg flex items-center justify-center text-lg transition-colors duration-150"
+                        >
+                            <LogIn size={22} className="mr-2" /> {t('lobby.joinRoom')}
+                        </button>
+                        {!displayName && <p className="text-xs text-yellow-400 mt-1 text-center">{t('lobby.nameNeededToJoin')}</p>}
+                    </div>
+                </div>
+
+                {ownedRooms.length > 0 && (
+                    <div className="w-full max-w-3xl mt-8">
+                        <h2 className="text-xl font-semibold mb-3">{t('directory.myRooms')}</h2>
+                        <div className="space-y-2">
+                            {ownedRooms.map(room => {
+                                const isClosed = room.status === ROOM_STATUS.CLOSED;
+                                return (
+                                    <div key={room.id} className="bg-gray-800 p-3 rounded-lg flex items-center gap-3">
+                                        <span className={`text-xs px-2 py-0.5 rounded ${isClosed ? 'bg-gray-600 text-gray-300' : 'bg-green-700 text-green-100'}`}>
+                                            {t(isClosed ? 'directory.status.closed' : 'directory.status.open')}
+                                        </span>
+                                        <span className="flex-1 truncate" title={room.id}>{room.title || room.id}</span>
+                                        {room.isPublic && <Globe size={16} className="text-indigo-300 shrink-0" title={t('controls.public')} />}
+                                        <button
+                                            onClick={() => joinRoom(room.id)}
+                                            disabled={!displayName}
+                                            className="text-sm bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-600 px-3 py-1 rounded flex items-center"
+                                        >
+                                            {isClosed ? <><DoorOpen size={16} className="mr-1" /> {t('directory.reopen')}</> : <><LogIn size={16} className="mr-1" /> {t('directory.join')}</>}
+                                        </button>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+                )}
+
+                <div className="w-full max-w-3xl mt-8">
+                    <h2 className="text-xl font-semibold mb-3 flex items-center"><Globe size={22} className="mr-2 text-indigo-400" /> {t('directory.title')}</h2>
+                    {publicRooms.length === 0 ? (
+                        <p className="text-gray-500 text-sm">{t('directory.empty')}</p>
+                    ) : (
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            {publicRooms.map(room => {
+                                return (
+                                    <div key={room.id} className="bg-gray-800 rounded-lg overflow-hidden flex flex-col">
+                                        <div className="aspect-video bg-gray-700 flex items-center justify-center">
+                                            {room.thumbnailUrl ? <img src={room.thumbnailUrl} alt="" className="w-full h-full object-cover" /> : <Film size={40} className="text-gray-500" />}
+                                        </div>
+                                        <div className="p-3 flex-1 flex flex-col">
+                                            <h3 className="font-semibold truncate flex items-center">
+                                                {room.passwordProtected && <Lock size={14} className="mr-1 text-yellow-400 shrink-0" title={t('room.access.password')} />}
+                                                {room.title || t('directory.untitled')}
+                                            </h3>
+                                            {room.description && <p className="text-sm text-gray-400 line-clamp-2">{room.description}</p>}
+                                            <p className="text-xs text-gray-400 mt-1 flex items-center"><Users size={12} className="mr-1" /> {t('participants.title', { count: room.participantCount })}</p>
+                                            {room.hostName && <p className="text-xs text-gray-400 truncate">{t('directory.hostedBy', { name: room.hostName })}</p>}
+                                            <p className="text-xs text-gray-500 truncate mt-1">
+                                                {room.scheduledStartAt > Date.now()
+                                                    ? t('schedule.startsAtLabel', { date: new Date(room.scheduledStartAt).toLocaleString(language, { dateStyle: 'medium', timeStyle: 'short' }) })
+                                                    : room.isLive ? t('directory.live') : room.nowPlaying ? t('directory.nowPlaying', { video: [room.nowPlaying.title || t('directory.untitledVideo'), formatVideoMeta(room.nowPlaying, language)].filter(Boolean).join(' · ') }) : t('directory.nothingPlaying')}
+                                            </p>
+                                            <button
+                                                onClick={() => { setRoomIdFromInput(room.id); joinRoom(room.id); }}
+                                                disabled={!userId || !displayName}
+                                                className="mt-3 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 text-white text-sm font-semibold py-2 px-3 rounded-lg flex items-center justify-center"
+                                            >
+                                                <LogIn size={16} className="mr-1" /> {t('directory.join')}
+                                            </button>
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+                </div>
+                 <footer className="mt-12 text-center text-gray-500 text-sm">
+                    <p>&copy; {new Date().getFullYear()} CineSync. {t('lobby.footer')}</p>
+                    <p>App ID: {appId}</p>
+                </footer>
+            </div>
+        );
+    }
+
+    return (
+        <>
+            {profileModal}
+            <Room roomId={currentRoomId} userId={userId} displayName={displayName} language={language} t={t} onLanguageChange={changeLanguage} onEditProfile={openProfileEditor} onLeave={handleLeaveRoom} />
+        </>
+    );
+}
+
+// Componente Room
+function Room({ roomId, userId, displayName, language, t, onLanguageChange, onEditProfile, onLeave }) {
+    const [roomData, setRoomData] = useState(null);
+    const [liveChatMessages, setLiveChatMessages] = useState([]); // Página mais recente, acompanhada em tempo real
+    const [olderChatMessages, setOlderChatMessages] = useState([]); // Páginas anteriores, lidas uma vez pelo cursor
+    const chatMessages = useMemo(() => [...olderChatMessages, ...liveChatMessages], [olderChatMessages, liveChatMessages]);
+    const [queueItems, setQueueItems] = useState([]);
+    const [subtitleTracks, setSubtitleTracks] = useState([]);
+    const [videoThumbnails, setVideoThumbnails] = useState({}); // URL do vídeo -> quadro capturado na checagem (coleção thumbnails)
+    const videoThumbnailsRef = useRef({});
+    const [loadedSubtitles, setLoadedSubtitles] = useState({}); // id da legenda -> conteúdo WebVTT
+    const [subtitleBlobUrls, setSubtitleBlobUrls] = useState({});
+    const requestedSubtitlesRef = useRef(new Set());
+    const failedSubtitleIdsRef = useRef(new Set()); // Legendas por URL que esgotaram as tentativas
+    const [subtitleRetryEpoch, setSubtitleRetryEpoch] = useState(0); // Incrementado para tentar de novo uma legenda que falhou
+    const [selectedSubtitleId, setSelectedSubtitleId] = useState('');
+    const [subtitleUrlInput, setSubtitleUrlInput] = useState('');
+    const [subtitleLabelInput, setSubtitleLabelInput] = useState('');
+    const [subtitleLanguageInput, setSubtitleLanguageInput] = useState('');
+    const [isChatHistoryExhausted, setIsChatHistoryExhausted] = useState(false); // A última página lida veio incompleta
+    const [isLoadingOlderMessages, setIsLoadingOlderMessages] = useState(false);
+    const liveChatMessagesRef = useRef([]);
+    const [replyingTo, setReplyingTo] = useState(null);
+    const [editingMessageId, setEditingMessageId] = useState(null);
+    const [editingText, setEditingText] = useState('');
+    const [reactionPickerId, setReactionPickerId] = useState(null);
+    const chatContainerRef = useRef(null);
+    const chatScrollRef = useRef({ restoreFrom: null, stickToBottom: true }); // Altura antes de carregar mensagens antigas / se o chat está no fim
+    const [videoReactions, setVideoReactions] = useState([]); // Reações gravadas para o vídeo atual, de todas as salas e sessões
+    const [videoKey, setVideoKey] = useState(null); // Chave das reações do vídeo atual (getVideoKey)
+    const [floatingReactions, setFloatingReactions] = useState([]);
+    const [replayReactions, setReplayReactions] = useState(false);
+    const [videoDuration, setVideoDuration] = useState(0);
+    const seenReactionIdsRef = useRef(null); // Ids já recebidos; null até o primeiro snapshot
+    const lastReactionSentAtRef = useRef(0);
+    const replayPositionRef = useRef(null); // Posição do player na última verificação do replay
+    const [isSessionReplayOn, setIsSessionReplayOn] = useState(false);
+    const [replaySessions, setReplaySessions] = useState(null); // Sessões anteriores do vídeo atual; null enquanto carrega
+    const [replaySessionId, setReplaySessionId] = useState(null);
+    const [replayFeed, setReplayFeed] = useState([]); // Mensagens e ações do replay exibidas sobre o vídeo
+    const [showExportModal, setShowExportModal] = useState(false);
+    const [isExportingSession, setIsExportingSession] = useState(false);
+    const [roomPasswordInput, setRoomPasswordInput] = useState('');
+    const [shareLink, setShareLink] = useState(null); // { url, copied, isInvite } do último link gerado
+    const [callSessionId, setCallSessionId] = useState(null); // Sessão deste cliente na chamada; null fora dela
+    const [localStream, setLocalStream] = useState(null);
+    const [remoteStreams, setRemoteStreams] = useState({}); // id do participante -> MediaStream
+    const [isMicMuted, setIsMicMuted] = useState(false);
+    const [isCameraOn, setIsCameraOn] = useState(false);
+    const [isPushToTalk, setIsPushToTalk] = useState(false);
+    const [isTalkKeyHeld, setIsTalkKeyHeld] = useState(false);
+    const [mutedPeerIds, setMutedPeerIds] = useState([]); // Participantes silenciados só para este usuário
+    const [speakingPeerIds, setSpeakingPeerIds] = useState([]);
+    const [isDuckingEnabled, setIsDuckingEnabled] = useState(true);
+    const localStreamRef = useRef(null);
+    const voiceMeshRef = useRef(null);
+    const duckedVolumeRef = useRef(null); // Volume do vídeo antes de ser abaixado; null quando não está abaixado
+    const [localFileUrls, setLocalFileUrls] = useState({}); // hash do arquivo da sala -> object URL da cópia deste usuário
+    const [localFileCheck, setLocalFileCheck] = useState(null); // { objectUrl, fingerprint, differences } aguardando confirmação
+    const [isReadingLocalFile, setIsReadingLocalFile] = useState(false);
+    const localFileUrlsRef = useRef({});
+    const [liveStream, setLiveStream] = useState(null); // Tela compartilhada: a própria (host) ou a recebida (espectadores)
+    const shareStreamRef = useRef(null); // Stream do getDisplayMedia enquanto este usuário compartilha
+    const shareMeshRef = useRef(null);
+    const [newMessage, setNewMessage] = useState('');
+    const [videoUrlInput, setVideoUrlInput] = useState('');
+    const [videoProbe, setVideoProbe] = useState(null); // { url, destination: 'room' | 'queue', status: 'probing' | 'ready' | 'error', metadata, details }
+    const probeIdRef = useRef(0); // Descarta o resultado de checagens canceladas ou substituídas
+    const videoRef = useRef(null); // <video> usado pelas fontes nativas, HLS e DASH
+    const embedContainerRef = useRef(null); // Contêiner dos iframes do YouTube/Vimeo
+    const playerRef = useRef(null); // Adaptador do player ativo
+    const playerEventsRef = useRef({});
+    const isSeekingRef = useRef(false);
+    const isBufferingRef = useRef(false);
+    const hasLoadedRef = useRef(false); // O vídeo atual já pode ser reproduzido neste cliente
+    const lastReportedStatusRef = useRef(null);
+    const lastHeartbeatAtRef = useRef(Date.now());
+    const isLeavingRef = useRef(false);
+    // Erros guardados como chave do catálogo e parâmetros, traduzidos só ao exibir (como no App)
+    const [error, setErrorMessage] = useState(null);
+    const setError = useCallback((key, params) => setErrorMessage(key ? { key, params } : null), []);
+    const roomDataRef = useRef(null);
+    const hasPendingWritesRef = useRef(false);
+    const clockSamplesRef = useRef([]); // Amostras { offset, rtt } usadas para estimar o relógio do servidor
+    const clockOffsetRef = useRef(0); // Diferença estimada (ms) entre o relógio do servidor e o local
+    const remoteEventsRef = useRef({ play: 0, pause: 0, seek: 0 }); // Momento em que a sincronização disparou cada evento do player
+    const [connectionState, setConnectionState] = useState(CONNECTION_STATES.ONLINE);
+    const connectionStateRef = useRef(CONNECTION_STATES.ONLINE);
+    const [listenerEpoch, setListenerEpoch] = useState(0); // Incrementado para refazer todas as inscrições da sala
+    const listenerRetryTimeoutRef = useRef(null);
+    const offlineActionsRef = useRef(null); // { count, lastType, base: { videoSessionId, anchorAt } } das ações feitas sem conexão
+    const [offlineActionCount, setOfflineActionCount] = useState(0);
+    const catchUpUntilRef = useRef(0); // Fim da janela de correção suave após uma reconexão
+    const [scheduleNow, setScheduleNow] = useState(() => Date.now()); // Horário do servidor usado na contagem regressiva
+    const isStartingScheduleRef = useRef(false);
+
+    // Estados das funções de IA
+    const [isSummarizing, setIsSummarizing] = useState(false);
+    const [summary, setSummary] = useState('');
+    const [showSummaryModal, setShowSummaryModal] = useState(false);
+    const [isSuggestingComment, setIsSuggestingComment] = useState(false);
+    const [suggestedComment, setSuggestedComment] = useState('');
+    const [aiError, setAiErrorMessage] = useState(null);
+    const setAiError = useCallback((key, params) => setAiErrorMessage(key ? { key, params } : null), []);
+    const [autoTranslate, setAutoTranslate] = useState(() => localStorage.getItem(`autoTranslate-${userId}`) === 'true');
+    const [translatingMessageIds, setTranslatingMessageIds] = useState([]);
+    const translationRequestsRef = useRef(new Set()); // `${id}:${idioma}:${texto}` já pedidos nesta sessão (evita repetir enquanto o cache não chega)
+    const [isModeratingMessage, setIsModeratingMessage] = useState(false);
+    const [heldMessages, setHeldMessages] = useState([]); // Mensagens e edições retidas pela moderação (todas para hosts, as próprias para os demais)
+    const [profiles, setProfiles] = useState({}); // userId -> perfil de quem aparece na sala (participantes, chat e fila)
+    const [moderationTermsInput, setModerationTermsInput] = useState('');
+    const [roomTitleInput, setRoomTitleInput] = useState('');
+    const [roomDescriptionInput, setRoomDescriptionInput] = useState('');
+    const thumbnailSessionRef = useRef(null); // videoSessionId cuja miniatura este cliente já tentou capturar
+    const capturedThumbnailRef = useRef(null); // { videoSessionId, url } do quadro capturado, usado só na entrada do diretório
+    const directorySyncRef = useRef(null); // Última entrada do diretório (JSON) gravada por este cliente como host
+
+    // Refaz as inscrições depois de um erro; sem conexão, quem refaz é a própria reconexão
+    const retryListeners = useCallback(() => {
+        if (connectionStateRef.current === CONNECTION_STATES.OFFLINE) return;
+        clearTimeout(listenerRetryTimeoutRef.current);
+        listenerRetryTimeoutRef.current = setTimeout(() => setListenerEpoch(epoch => epoch + 1), LISTENER_RETRY_DELAY_MS);
+    }, []);
+
+    useEffect(() => () => clearTimeout(listenerRetryTimeoutRef.current), []);
+
+    useEffect(() => {
+        // O offset do relógio vem do lastSeen gravado pelo heartbeat, lido quando a própria inscrição da sala o confirma
+        let heartbeatSentAt = null; // Envio do heartbeat mais antigo ainda não confirmado
+        let confirmedLastSeen; // Último lastSeen confirmado pelo servidor (undefined até o primeiro snapshot)
+
+        const sendHeartbeat = async () => {
+            if (heartbeatSentAt === null) heartbeatSentAt = Date.now();
+            // Sem condição: se a entrada já foi removida, sobra só lastSeen, que não conta como participante e é limpo
+            await roomStore.updateRoom(roomId, { [`participants.${userId}.lastSeen`]: roomStore.serverTimestamp() });
+            lastHeartbeatAtRef.current = Date.now();
+        };
+
+        const measureClock = async (rounds) => {
+            if (!userId || !roomId || connectionStateRef.current === CONNECTION_STATES.OFFLINE) return;
+            // Não escreve na sala de quem foi removido
+            if (roomDataRef.current && !isParticipant(roomDataRef.current, userId)) return;
+            for (let i = 0; i < rounds; i++) {
+                try {
+                    await sendHeartbeat();
+                } catch (e) {
+                    console.warn("Falha ao atualizar lastSeen:", e);
+                    return;
+                }
+            }
+        };
+
+        // Snapshots agrupados casam o valor mais novo com o envio mais antigo: a amostra só fica com ida-e-volta maior
+        const recordClockSample = (data) => {
+            const serverMillis = timestampToMillis(data.participants[userId].lastSeen);
+            if (serverMillis === null || serverMillis === confirmedLastSeen) return;
+            const isFirstSnapshot = confirmedLastSeen === undefined;
+            confirmedLastSeen = serverMillis;
+            if (isFirstSnapshot) {
+                measureClock(3); // Algumas amostras logo ao entrar para não depender do relógio local
+                return;
+            }
+            if (heartbeatSentAt === null) return;
+            const rtt = Date.now() - heartbeatSentAt;
+            const samples = [...clockSamplesRef.current, { offset: serverMillis - (heartbeatSentAt + rtt / 2), rtt }].slice(-CLOCK_SAMPLE_COUNT);
+            heartbeatSentAt = null;
+            clockSamplesRef.current = samples;
+            // A amostra com menor ida-e-volta é a mais confiável
+            clockOffsetRef.current = samples.reduce((best, sample) => sample.rtt < best.rtt ? sample : best).offset;
+        };
+
+        const unsubscribeRoom = roomStore.subscribeRoom(roomId, (data, { hasPendingWrites }) => {
+            if (data) {
+                if (data.status === ROOM_STATUS.CLOSED) {
+                    onLeave('room.leave.closed');
+                    return;
+                }
+                if (!isParticipant(data, userId)) {
+                    if (isLeavingRef.current) return;
+                    if (data.bannedIds?.includes(userId)) {
+                        onLeave('room.leave.banned');
+                    } else if (Date.now() - lastHeartbeatAtRef.current > PRESENCE_PRUNE_MS) {
+                        onLeave('room.leave.inactive');
+                    } else {
+                        onLeave('room.leave.kicked');
+                    }
+                    return;
+                }
+                hasPendingWritesRef.current = hasPendingWrites;
+                roomDataRef.current = data;
+                setRoomData(data);
+                if (!hasPendingWrites) recordClockSample(data);
+            } else {
+                onLeave('room.leave.notFound');
+            }
+        }, (err) => {
+            console.error("Erro ao ouvir dados da sala:", err);
+            setError('room.error.connection');
+            retryListeners();
+        });
+
+        const unsubscribeQueue = roomStore.subscribeItems(roomId, 'queue', {}, (items) => {
+            setQueueItems(sortQueue(items));
+        }, (err) => {
+            console.error("Erro ao ouvir fila:", err);
+            retryListeners();
+        });
+
+        const unsubscribeSubtitles = roomStore.subscribeItems(roomId, 'subtitles', {}, (tracks) => {
+            setSubtitleTracks(tracks);
+        }, (err) => {
+            console.error("Erro ao ouvir legendas:", err);
+            retryListeners();
+        });
+
+        const unsubscribeThumbnails = roomStore.subscribeItems(roomId, 'thumbnails', { orderBy: 'addedAt' }, (thumbnails) => {
+            // O quadro mais recente de cada URL prevalece
+            videoThumbnailsRef.current = Object.fromEntries(thumbnails.map(thumbnail => [thumbnail.videoUrl, thumbnail.url]));
+            setVideoThumbnails(videoThumbnailsRef.current);
+        }, (err) => {
+            console.error("Erro ao ouvir miniaturas:", err);
+            retryListeners();
+        });
+
+        // Remove entradas abandonadas (e as que só têm lastSeen); apenas o participante ativo com menor ID faz isso, para evitar escritas repetidas
+        const pruneStaleParticipants = async () => {
+            const data = roomDataRef.current;
+            if (!data?.participants) return;
+            const serverNow = Date.now() + clockOffsetRef.current;
+            const activeIds = getActiveParticipants(data, serverNow).map(p => p.id).sort();
+            if (activeIds[0] !== userId) return;
+            const staleIds = Object.entries(data.participants)
+                .filter(([id, p]) => id !== userId && (!isParticipant(data, id) || serverNow - (timestampToMillis(p.lastSeen) ?? 0) > PRESENCE_PRUNE_MS))
+                .map(([id]) => id);
+            if (staleIds.length === 0) return;
+            const payload = staleIds.includes(data.hostId) ? buildLeavePayload(data, data.hostId, serverNow) : {};
+            staleIds.forEach(id => { payload[`participants.${id}`] = roomStore.deleteField(); });
+            try {
+                await roomStore.updateRoom(roomId, payload);
+            } catch (e) {
+                console.warn("Falha ao remover participantes inativos:", e);
+            }
+        };
+
+        const intervalId = setInterval(() => {
+            measureClock(1);
+            pruneStaleParticipants();
+        }, HEARTBEAT_INTERVAL_MS);
+
+        // Ao fechar a aba, tenta sair da sala sem aguardar a confirmação
+        const handlePageHide = () => {
+            isLeavingRef.current = true;
+            roomStore.updateRoom(roomId, buildLeavePayload(roomDataRef.current, userId, Date.now() + clockOffsetRef.current))
+                .catch(e => console.warn("Falha ao sair da sala:", e));
+        };
+        window.addEventListener('pagehide', handlePageHide);
+
+
+        return () => {
+            unsubscribeRoom();
+            unsubscribeQueue();
+            unsubscribeSubtitles();
+            unsubscribeThumbnails();
+            clearInterval(intervalId);
+            window.removeEventListener('pagehide', handlePageHide);
+        };
+    }, [roomId, userId, onLeave, retryListeners, listenerEpoch, setError]);
+
+    // O histórico carregado é de uma sala só
+    useEffect(() => {
+        setOlderChatMessages([]);
+        setIsChatHistoryExhausted(false);
+    }, [roomId]);
+
+    // Acompanha só a página mais recente; o histórico vem de loadOlderMessages e não recebe edições posteriores
+    useEffect(() => {
+        if (!roomId) return;
+        liveChatMessagesRef.current = [];
+        const unsubscribeChat = roomStore.subscribeItems(roomId, 'chat', { orderBy: 'timestamp', direction: 'desc', limit: CHAT_PAGE_SIZE }, (messages) => {
+            const live = [...messages].reverse(); // A mais nova fica embaixo
+            // Com o histórico carregado, quem sai da página por causa das novas passa para ele, sem abrir um buraco entre os dois
+            const dropped = liveChatMessagesRef.current.filter(msg => !live.some(item => item.id === msg.id));
+            liveChatMessagesRef.current = live;
+            if (dropped.length > 0) setOlderChatMessages(older => (older.length > 0 ? [...older, ...dropped] : older));
+            setLiveChatMessages(live);
+        }, (err) => {
+            console.error("Erro ao ouvir chat:", err);
+            retryListeners();
+        });
+        return () => unsubscribeChat();
+    }, [roomId, retryListeners, listenerEpoch]);
+
+    // Fila de revisão da moderação (chatReview): mensagens retidas nunca entram no chat, então só hosts e o próprio autor as recebem
+    const canReviewMessages = isRoomHost(roomData, userId);
+    useEffect(() => {
+        setHeldMessages([]);
+        if (!roomId || !userId) return;
+        const options = canReviewMessages ? { orderBy: 'timestamp' } : { where: { userId } };
+        const unsubscribeHeld = roomStore.subscribeItems(roomId, 'chatReview', options, (messages) => {
+            setHeldMessages(messages);
+        }, (err) => {
+            console.error("Erro ao ouvir mensagens retidas:", err);
+            retryListeners();
+        });
+        return () => unsubscribeHeld();
+    }, [roomId, userId, canReviewMessages, retryListeners, listenerEpoch]);
+
+    // Perfis de todos que aparecem na sala; a lista vira string para a inscrição só mudar quando entra alguém novo
+    const profileUserIds = useMemo(() => [...new Set([
+        userId,
+        ...Object.keys(roomData?.participants || {}),
+        ...chatMessages.flatMap(msg => [msg.userId, msg.replyTo?.userId]),
+        ...queueItems.map(item => item.addedBy)
+    ].filter(Boolean))].sort().join(','), [userId, roomData?.participants, chatMessages, queueItems]);
+
+    useEffect(() => {
+        const unsubscribe = roomStore.subscribeProfiles(profileUserIds.split(','), setProfiles, (err) => {
+            console.warn("Falha ao ouvir os perfis da sala:", err);
+        });
+        return () => unsubscribe();
+    }, [profileUserIds]);
+
+    // Nome atual pelo perfil; o nome gravado junto com a mensagem ou o participante fica como reserva
+    const getDisplayName = useCallback((uid, fallback) => profiles[uid]?.displayName || fallback || uid, [profiles]);
+
+    // Mantém o nome do participante em dia depois de uma troca no perfil (lobby e diretório leem o da sala)
+    useEffect(() => {
+        const participant = roomDataRef.current?.participants?.[userId];
+        if (!participant || participant.displayName === displayName) return;
+        roomStore.updateRoom(roomId, { [`participants.${userId}.displayName`]: displayName }, ifParticipant(userId))
+            .catch(e => console.warn("Falha ao atualizar o nome na sala:", e));
+    }, [displayName, roomId, userId]);
+
+    // Campo do filtro acompanha a configuração salva na sala
+    const moderationTermsText = (roomData?.moderation?.terms || []).join('\n');
+    useEffect(() => {
+        setModerationTermsInput(moderationTermsText);
+    }, [moderationTermsText]);
+
+    // Título e descrição exibidos no diretório também acompanham a sala
+    const roomTitle = roomData?.title || '';
+    const roomDescription = roomData?.description || '';
+    useEffect(() => {
+        setRoomTitleInput(roomTitle);
+        setRoomDescriptionInput(roomDescription);
+    }, [roomTitle, roomDescription]);
+
+    // Mantém a mensagem visível no lugar ao inserir o histórico acima dela, ou acompanha o fim do chat
+    const isRoomLoaded = roomData !== null;
+    useLayoutEffect(() => {
+        const container = chatContainerRef.current;
+        if (!container) return;
+        const { restoreFrom, stickToBottom } = chatScrollRef.current;
+        if (restoreFrom !== null) {
+            container.scrollTop += container.scrollHeight - restoreFrom;
+            chatScrollRef.current.restoreFrom = null;
+        } else if (stickToBottom) {
+            container.scrollTop = container.scrollHeight;
+        }
+    }, [chatMessages, isRoomLoaded]);
+
+    // Marca um evento que será disparado pela própria sincronização; embeds podem nunca emiti-lo, por isso a marca expira
+    const markRemoteEvent = (name) => {
+        remoteEventsRef.current[name] = Date.now();
+    };
+    const isRemoteEventPending = (name) => Date.now() - remoteEventsRef.current[name] < REMOTE_EVENT_WINDOW_MS;
+    const consumeRemoteEvent = (name) => {
+        const pending = isRemoteEventPending(name);
+        remoteEventsRef.current[name] = 0;
+        return pending;
+    };
+
+    // Aproxima o player da posição esperada: seek para diferenças grandes, ajuste de velocidade para pequenas
+    const syncPlayer = useCallback(() => {
+        const player = playerRef.current;
+        const data = roomDataRef.current;
+        // Enquanto a escrita local não for confirmada, a âncora usa o relógio local e não é confiável
+        if (!player || !data || !data.currentVideoUrl || isSeekingRef.current || hasPendingWritesRef.current) return;
+        if (offlineActionsRef.current) return; // O estado local tem ações ainda não enviadas: não volta para o estado antigo da sala
+        if (data.liveShare) return; // Transmissão ao vivo: todos veem o mesmo instante, não há posição a corrigir
+        if (!player.isReady()) return; // Sem metadados ainda não é possível dar play nem fazer seek
+        // Vídeo terminou e a sala ainda não avançou a fila: não reinicia nem tenta alcançar a âncora
+        if (player.isEnded() && data.isPlaying) return;
+
+        if (data.isPlaying && player.isPaused()) {
+            markRemoteEvent('play');
+            player.play().catch(e => {
+                remoteEventsRef.current.play = 0;
+                console.warn("Erro ao tentar dar play automático:", e);
+            });
+        } else if (!data.isPlaying && !player.isPaused()) {
+            markRemoteEvent('pause');
+            player.pause();
+        }
+
+        if (isBufferingRef.current) return; // Seeks durante o buffering só atrasam ainda mais quem está travado
+
+        const baseRate = data.playbackRate || 1;
+        const expectedPosition = getExpectedPosition(data, Date.now() + clockOffsetRef.current);
+        const drift = expectedPosition - player.getCurrentTime();
+        // Logo após uma reconexão, alcança a sala acelerando ou desacelerando em vez de pular
+        const isCatchingUp = catchUpUntilRef.current > Date.now() && data.isPlaying && player.supportsRateCorrection;
+        if (isCatchingUp && Math.abs(drift) <= DRIFT_TOLERANCE) catchUpUntilRef.current = 0;
+        if (Math.abs(drift) > (isCatchingUp ? RESYNC_CATCHUP_LIMIT : SYNC_THRESHOLD) || (!data.isPlaying && Math.abs(drift) > DRIFT_TOLERANCE)) {
+            markRemoteEvent('seek');
+            player.seek(expectedPosition);
+            player.setPlaybackRate(baseRate);
+        } else {
+            player.setPlaybackRate(data.isPlaying && player.supportsRateCorrection
+                ? getCorrectedPlaybackRate(baseRate, drift, isCatchingUp ? MAX_RESYNC_RATE_ADJUSTMENT : MAX_RATE_ADJUSTMENT)
+                : baseRate);
+        }
+    }, []);
+
+    const currentVideoUrl = roomData?.currentVideoUrl;
+    const currentSourceType = currentVideoUrl ? (roomData.currentSourceType || detectSourceType(currentVideoUrl).type) : null;
+    const isEmbedSource = EMBED_SOURCE_TYPES.includes(currentSourceType);
+    const videoSessionId = roomData?.videoSessionId;
+    const isLocalSource = currentSourceType === SOURCE_TYPES.LOCAL;
+    const roomLocalFile = isLocalSource ? roomData.localFile : null;
+    const isLiveSource = currentSourceType === SOURCE_TYPES.LIVE;
+    const liveShareSessionId = isLiveSource ? roomData.liveShare?.sessionId : null;
+    const liveShareHostId = isLiveSource ? roomData.liveShare?.hostId : null;
+    const isSharingHost = Boolean(liveShareSessionId) && liveShareHostId === userId;
+    // Arquivos locais só tocam depois que o participante escolhe a própria cópia; a transmissão usa liveStream
+    const playbackUrl = isLocalSource ? localFileUrls[roomLocalFile?.hash] : isLiveSource ? null : currentVideoUrl;
+
+    // Recria o adaptador sempre que o vídeo da sala muda
+    useEffect(() => {
+        if (!(isLiveSource ? liveStream : playbackUrl)) return;
+        const target = isEmbedSource ? embedContainerRef.current : videoRef.current;
+        if (!target) return;
+        hasLoadedRef.current = false;
+        duckedVolumeRef.current = null;
+        const adapter = isLiveSource
+            ? createLiveAdapter(target, liveStream, playerEventsRef, isSharingHost)
+            : createPlayerAdapter(currentSourceType, target, playbackUrl, playerEventsRef);
+        playerRef.current = adapter;
+        return () => {
+            adapter.destroy();
+            if (playerRef.current === adapter) playerRef.current = null;
+        };
+    }, [playbackUrl, liveStream, isLiveSource, isSharingHost, currentSourceType, isEmbedSource, videoSessionId]);
+
+    // Só encerra se a sala ainda estiver nesta transmissão (outro vídeo pode já ter sido carregado)
+    const stopScreenShare = useCallback(async (sessionId) => {
+        shareStreamRef.current?.getTracks().forEach(track => track.stop());
+        shareStreamRef.current = null;
+        try {
+            await roomStore.updateRoom(roomId, {
+                currentVideoUrl: '',
+                currentVideoMeta: roomStore.deleteField(),
+                liveShare: roomStore.deleteField(),
+                isPlaying: false,
+                currentTime: 0,
+                anchorAt: roomStore.serverTimestamp(),
+                videoSessionId: createVideoSessionId(),
+                lastActionBy: userId
+            }, { ifMatch: { 'liveShare.sessionId': sessionId } });
+        } catch (e) {
+            console.error("Erro ao encerrar transmissão:", e);
+            setError('room.error.screenShareStop');
+        }
+    }, [roomId, userId, setError]);
+
+    // Compartilhamento de tela: quem compartilha oferece o stream a cada espectador; espectadores só recebem
+    useEffect(() => {
+        if (!liveShareSessionId) return;
+        const createShareSignalSender = (sessionId) => (signal) => roomStore.addItem(roomId, 'signals', { ...signal, channel: 'share', from: userId, fromSession: sessionId, timestamp: roomStore.serverTimestamp() })
+            .catch(e => console.warn("Falha ao enviar sinal da transmissão:", e));
+        if (isSharingHost) {
+            const stream = shareStreamRef.current;
+            if (!stream) {
+                // A página foi recarregada durante a transmissão e o stream se perdeu
+                stopScreenShare(liveShareSessionId);
+                return;
+            }
+            setLiveStream(stream);
+            const mesh = createPeerMesh({
+                userId,
+                sessionId: liveShareSessionId,
+                isInitiator: () => true,
+                getLocalTracks: () => ({ audio: stream.getAudioTracks()[0], video: stream.getVideoTracks()[0] }),
+                sendSignal: createShareSignalSender(liveShareSessionId),
+                onRemoteStream: () => {}
+            });
+            shareMeshRef.current = mesh;
+            const unsubscribeSignals = subscribeSignals(roomId, userId, 'share', mesh.handleSignal);
+            return () => {
+                unsubscribeSignals();
+                mesh.destroy();
+                shareMeshRef.current = null;
+                setLiveStream(null);
+                // A sala passou para outro vídeo: libera a captura de tela
+                if (roomDataRef.current?.liveShare?.sessionId !== liveShareSessionId && shareStreamRef.current === stream) {
+                    stream.getTracks().forEach(track => track.stop());
+                    shareStreamRef.current = null;
+                }
+            };
+        }
+        const viewerSessionId = crypto.randomUUID().slice(0, 8);
+        const mesh = createPeerMesh({
+            userId,
+            sessionId: viewerSessionId,
+            isInitiator: () => false,
+            getLocalTracks: () => ({}),
+            sendSignal: createShareSignalSender(viewerSessionId),
+            onRemoteStream: (peerId, stream) => {
+                if (peerId === liveShareHostId) setLiveStream(stream);
+            }
+        });
+        const unsubscribeSignals = subscribeSignals(roomId, userId, 'share', mesh.handleSignal);
+        // Publicar a sessão faz o host (re)abrir a conexão com este espectador
+        roomStore.updateRoom(roomId, { [`participants.${userId}.liveSession`]: viewerSessionId }, ifParticipant(userId))
+            .catch(e => console.warn("Falha ao entrar na transmissão:", e));
+        return () => {
+            unsubscribeSignals();
+            mesh.destroy();
+            setLiveStream(null);
+        };
+    }, [roomId, userId, liveShareSessionId, liveShareHostId, isSharingHost, stopScreenShare]);
+
+    useEffect(() => {
+        if (!isSharingHost || !shareMeshRef.current) return;
+        shareMeshRef.current.syncPeers(getActiveParticipants(roomData, Date.now() + clockOffsetRef.current)
+            .filter(p => p.id !== userId && p.liveSession)
+            .map(p => ({ id: p.id, sessionId: p.liveSession })));
+    }, [roomData, userId, isSharingHost]);
+
+    const startScreenShare = async () => {
+        if (!canChangeVideo(roomData, userId)) return;
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+        } catch (e) {
+            console.error("Erro ao capturar a tela:", e);
+            setError('room.error.screenShareDenied');
+            return;
+        }
+        const sessionId = crypto.randomUUID().slice(0, 8);
+        shareStreamRef.current = stream;
+        // O botão "Parar de compartilhar" do próprio navegador encerra a transmissão
+        stream.getVideoTracks()[0].addEventListener('ended', () => stopScreenShare(sessionId));
+        try {
+            await roomStore.updateRoom(roomId, {
+                currentVideoUrl: `${LIVE_SHARE_URL_PREFIX}${sessionId}`,
+                currentSourceType: SOURCE_TYPES.LIVE,
+                currentVideoMeta: roomStore.deleteField(),
+                liveShare: { hostId: userId, sessionId },
+                localFile: roomStore.deleteField(),
+                videoSessionId: createVideoSessionId(),
+                isPlaying: true,
+                currentTime: 0,
+                anchorAt: roomStore.serverTimestamp(),
+                playbackRate: 1,
+                readyCheck: roomStore.deleteField(),
+                pausedForBuffering: false,
+                lastActionBy: userId
+            });
+            setError('');
+        } catch (e) {
+            stream.getTracks().forEach(track => track.stop());
+            shareStreamRef.current = null;
+            console.error("Erro ao iniciar transmissão:", e);
+            setError('room.error.screenShareStart');
+        }
+    };
+
+    useEffect(() => () => Object.values(localFileUrlsRef.current).forEach(url => URL.revokeObjectURL(url)), []);
+
+    const showFloatingReaction = useCallback((reaction) => {
+        if (!CHAT_REACTIONS[reaction]) return;
+        const id = crypto.randomUUID();
+        setFloatingReactions(current => [...current, { id, emoji: CHAT_REACTIONS[reaction], left: 5 + Math.random() * 85 }]);
+        setTimeout(() => setFloatingReactions(current => current.filter(item => item.id !== id)), REACTION_FLOAT_MS);
+    }, []);
+
+    useEffect(() => {
+        setVideoKey(null);
+        if (!currentVideoUrl) return;
+        let isCurrent = true;
+        getVideoKey(currentVideoUrl)
+            .then(key => { if (isCurrent) setVideoKey(key); })
+            .catch(e => console.warn("Falha ao calcular a chave do vídeo:", e));
+        return () => { isCurrent = false; };
+    }, [currentVideoUrl]);
+
+    // Reações do vídeo atual: as que chegam agora flutuam para todos; as antigas alimentam o replay e o gráfico
+    useEffect(() => {
+        seenReactionIdsRef.current = null;
+        setVideoReactions([]);
+        setVideoDuration(0);
+        if (!videoKey) return;
+        const unsubscribeReactions = roomStore.subscribeReactions(videoKey, { limit: REACTION_HISTORY_LIMIT }, (items) => {
+            const seenIds = seenReactionIdsRef.current;
+            if (seenIds) {
+                const serverNow = Date.now() + clockOffsetRef.current;
+                items.filter(item => !seenIds.has(item.id)).forEach(item => {
+                    const sentAt = timestampToMillis(item.timestamp);
+                    if (sentAt === null || serverNow - sentAt < REACTION_FLOAT_MS) showFloatingReaction(item.reaction);
+                });
+            }
+            seenReactionIdsRef.current = new Set(items.map(item => item.id));
+            setVideoReactions(items);
+        }, (err) => {
+            console.error("Erro ao ouvir reações:", err);
+            retryListeners();
+        });
+        return () => unsubscribeReactions();
+    }, [videoKey, showFloatingReaction, retryListeners, listenerEpoch]);
+
+    // Sessões anteriores do vídeo atual (ações do log e chat), carregadas quando o replay da sessão é ligado
+    useEffect(() => {
+        setReplaySessions(null);
+        setReplayFeed([]);
+        if (!isSessionReplayOn || !roomId || !currentVideoUrl) return;
+        let cancelled = false;
+        Promise.all([
+            fetchItems(roomId, 'events', { where: { videoUrl: currentVideoUrl } }),
+            fetchItems(roomId, 'chat', { where: { videoUrl: currentVideoUrl } })
+        ]).then(([events, messages]) => {
+            if (cancelled) return;
+            const sessions = groupReplaySessions(buildSessionTimeline(events, messages), videoSessionId);
+            setReplaySessions(sessions);
+            setReplaySessionId(sessions[0]?.id ?? null);
+        }).catch(e => {
+            console.error("Erro ao carregar sessões para o replay:", e);
+            if (!cancelled) setError('room.error.replayLoad');
+        });
+        return () => { cancelled = true; };
+    }, [isSessionReplayOn, roomId, currentVideoUrl, videoSessionId, setError]);
+
+    const replayItems = useMemo(
+        () => replaySessions?.find(session => session.id === replaySessionId)?.items || [],
+        [replaySessions, replaySessionId]
+    );
+
+    const showReplayItem = useCallback((item) => {
+        const key = crypto.randomUUID();
+        setReplayFeed(current => [...current, { key, item }].slice(-SESSION_REPLAY_VISIBLE_ITEMS));
+        setTimeout(() => setReplayFeed(current => current.filter(entry => entry.key !== key)), SESSION_REPLAY_ITEM_MS);
+    }, []);
+
+    // Acompanha a duração para o gráfico e, com o replay ligado, mostra as reações, mensagens e ações de sessões anteriores no mesmo momento
+    useEffect(() => {
+        replayPositionRef.current = null;
+        const intervalId = setInterval(() => {
+            const player = playerRef.current;
+            if (!player?.isReady()) return;
+            const duration = player.getDuration();
+            if (duration && Number.isFinite(duration)) setVideoDuration(duration);
+            const position = player.getCurrentTime();
+            const lastPosition = replayPositionRef.current;
+            replayPositionRef.current = position;
+            // Saltos maiores que o limite de sincronização são seeks: não despejam o que estava no trecho pulado
+            if (lastPosition === null || player.isPaused() || position <= lastPosition || position - lastPosition > SYNC_THRESHOLD) return;
+            const isInStep = (item) => item.videoPosition > lastPosition && item.videoPosition <= position;
+            if (replayReactions) {
+                videoReactions
+                    .filter(item => item.videoSessionId !== videoSessionId && isInStep(item))
+                    .forEach(item => showFloatingReaction(item.reaction));
+            }
+            replayItems.filter(isInStep).forEach(showReplayItem);
+        }, REACTION_REPLAY_INTERVAL_MS);
+        return () => clearInterval(intervalId);
+    }, [replayReactions, videoReactions, videoSessionId, showFloatingReaction, replayItems, showReplayItem]);
+
+    useEffect(() => {
+        if (roomData) syncPlayer();
+    }, [roomData, syncPlayer]);
+
+    useEffect(() => {
+        const intervalId = setInterval(syncPlayer, SYNC_INTERVAL_MS);
+        return () => clearInterval(intervalId);
+    }, [syncPlayer]);
+
+    // Informa à sala que este cliente já carregou o vídeo da verificação de prontos em andamento
+    const reportReady = useCallback(() => {
+        const data = roomDataRef.current;
+        const readyCheckId = data?.readyCheck?.id;
+        if (!readyCheckId || !hasLoadedRef.current || isBufferingRef.current || data.participants?.[userId]?.readyFor === readyCheckId) return;
+        roomStore.updateRoom(roomId, { [`participants.${userId}.readyFor`]: readyCheckId }, ifParticipant(userId))
+            .catch(e => console.warn("Falha ao confirmar carregamento:", e));
+    }, [roomId, userId]);
+
+    // Executadas apenas pelo host responsável: iniciar após a verificação de prontos, pausar/retomar por buffering e manter o diretório
+    const runHostAutomation = useCallback(() => {
+        const data = roomDataRef.current;
+        if (!data || hasPendingWritesRef.current || connectionStateRef.current !== CONNECTION_STATES.ONLINE) return;
+        const serverNow = Date.now() + clockOffsetRef.current;
+        if (getActingHostId(data, serverNow) !== userId) return;
+        const activeParticipants = getActiveParticipants(data, serverNow);
+        let updatePayload = null;
+
+        if (data.readyCheck) {
+            const startedAt = timestampToMillis(data.readyCheck.startedAt);
+            const everyoneReady = activeParticipants.every(p => p.readyFor === data.readyCheck.id);
+            const timedOut = startedAt !== null && serverNow - startedAt > READY_CHECK_TIMEOUT_MS;
+            if (everyoneReady || timedOut) {
+                updatePayload = { readyCheck: roomStore.deleteField(), isPlaying: true, currentTime: data.readyCheck.position, anchorAt: roomStore.serverTimestamp() };
+            }
+        } else if (data.waitForBuffering && !data.liveShare) { // A transmissão de tela não tem posição para esperar
+            const isStalled = (p) => p.status === PRESENCE_STATUS.BUFFERING && serverNow - (timestampToMillis(p.statusAt) ?? serverNow) > BUFFERING_GRACE_MS;
+            if (data.isPlaying && activeParticipants.some(isStalled)) {
+                updatePayload = { isPlaying: false, currentTime: getExpectedPosition(data, serverNow), anchorAt: roomStore.serverTimestamp(), pausedForBuffering: true };
+            } else if (!data.isPlaying && data.pausedForBuffering && !activeParticipants.some(p => p.status === PRESENCE_STATUS.BUFFERING)) {
+                updatePayload = { isPlaying: true, anchorAt: roomStore.serverTimestamp(), pausedForBuffering: false };
+            }
+        }
+
+        if (updatePayload) {
+            roomStore.updateRoom(roomId, updatePayload)
+                .catch(e => console.warn("Falha na automação da sala:", e));
+        }
+
+        // Miniatura para o diretório: um quadro do vídeo, uma vez por vídeo, quando ele já passou da abertura.
+        // Fica só neste cliente e na entrada do diretório, fora do documento da sala.
+        const sourceType = data.currentVideoUrl ? (data.currentSourceType || detectSourceType(data.currentVideoUrl).type) : null;
+        const video = videoRef.current;
+        if ([SOURCE_TYPES.NATIVE, SOURCE_TYPES.HLS, SOURCE_TYPES.DASH].includes(sourceType)
+            && !data.currentVideoMeta?.thumbnailUrl
+            && !videoThumbnailsRef.current[data.currentVideoUrl]
+            && thumbnailSessionRef.current !== data.videoSessionId
+            && video?.currentTime >= THUMBNAIL_CAPTURE_POSITION) {
+            thumbnailSessionRef.current = data.videoSessionId;
+            const url = captureVideoFrame(video);
+            if (url) capturedThumbnailRef.current = { videoSessionId: data.videoSessionId, url };
+        }
+
+        // Entrada do diretório e lastActivityAt da sala: gravados só quando a entrada muda; o lastActivityAt arredondado
+        // muda a cada DIRECTORY_ACTIVITY_STEP_MS, o que mostra ao lobby que a sala continua em uso
+        const thumbnailUrl = (capturedThumbnailRef.current?.videoSessionId === data.videoSessionId && capturedThumbnailRef.current.url)
+            || data.currentVideoMeta?.thumbnailUrl || videoThumbnailsRef.current[data.currentVideoUrl] || getVideoThumbnailUrl(data.currentVideoUrl);
+        const entry = buildDirectoryEntry(data, serverNow, thumbnailUrl);
+        const entryKey = JSON.stringify(entry);
+        if (entryKey !== directorySyncRef.current) {
+            directorySyncRef.current = entryKey;
+            Promise.all([
+                roomStore.setDirectoryEntry(roomId, entry),
+                roomStore.updateRoom(roomId, { lastActivityAt: entry.lastActivityAt }, { ifMatch: { status: ROOM_STATUS.OPEN } })
+            ]).catch(e => {
+                directorySyncRef.current = null;
+                console.warn("Falha ao atualizar a sala no diretório:", e);
+            });
+        }
+    }, [roomId, userId]);
+
+    useEffect(() => {
+        reportReady();
+        runHostAutomation();
+    }, [roomData, reportReady, runHostAutomation]);
+
+    useEffect(() => {
+        const intervalId = setInterval(runHostAutomation, SYNC_INTERVAL_MS);
+        return () => clearInterval(intervalId);
+    }, [runHostAutomation]);
+
+    // Acrescenta uma ação de reprodução ao log da sessão; uma falha aqui não desfaz a ação já aplicada à sala
+    const logSessionEvent = useCallback((event) => {
+        roomStore.addItem(roomId, 'events', { ...event, userId, displayName, timestamp: roomStore.serverTimestamp() })
+            .catch(e => console.warn("Falha ao registrar ação no log da sessão:", e));
+    }, [roomId, userId, displayName]);
+
+    // Inicia a sessão agendada; a escrita condicional garante que só o primeiro cliente a chegar aqui a aplique
+    const startScheduledParty = useCallback(async (anchorAt) => {
+        const data = roomDataRef.current;
+        if (isStartingScheduleRef.current || !data?.scheduledStartAt) return;
+        isStartingScheduleRef.current = true;
+        try {
+            const started = await roomStore.updateRoom(roomId, {
+                isPlaying: true,
+                currentTime: 0,
+                anchorAt,
+                scheduledStartAt: roomStore.deleteField(),
+                readyCheck: roomStore.deleteField(),
+                pausedForBuffering: false,
+                lastActionBy: userId
+            }, { ifMatch: { scheduledStartAt: data.scheduledStartAt } });
+            if (started) logSessionEvent({ type: 'PLAY', videoUrl: data.currentVideoUrl, videoSessionId: data.videoSessionId, videoPosition: 0 });
+        } catch (e) {
+            console.warn("Falha ao iniciar a sessão agendada:", e);
+        } finally {
+            isStartingScheduleRef.current = false;
+        }
+    }, [roomId, userId, logSessionEvent]);
+
+    // Sessão agendada: a contagem usa o relógio do servidor e, no horário, qualquer participante inicia a reprodução.
+    // A âncora é o próprio horário agendado, então quem grava com atraso não desloca a posição de ninguém.
+    const scheduledStartAt = roomData?.scheduledStartAt ?? null;
+    useEffect(() => {
+        if (scheduledStartAt === null) return;
+        const tick = () => {
+            const serverNow = Date.now() + clockOffsetRef.current;
+            setScheduleNow(serverNow);
+            if (serverNow >= scheduledStartAt && connectionStateRef.current === CONNECTION_STATES.ONLINE) startScheduledParty(scheduledStartAt);
+        };
+        tick();
+        const intervalId = setInterval(tick, SCHEDULE_TICK_MS);
+        return () => clearInterval(intervalId);
+    }, [scheduledStartAt, startScheduledParty]);
+
+    const cancelSchedule = async () => {
+        try {
+            await roomStore.updateRoom(roomId, { scheduledStartAt: roomStore.deleteField() });
+            setError('');
+        } catch (e) {
+            console.error("Erro ao cancelar o agendamento:", e);
+            setError('room.error.scheduleUpdate');
+        }
+    };
+
+    const downloadRoomIcs = () => {
+        const duration = roomData.currentVideoMeta?.duration || videoDuration;
+        const ics = buildRoomIcs({
+            roomId,
+            title: roomData.title || t('schedule.defaultTitle', { roomId }),
+            startsAt: scheduledStartAt,
+            durationMs: duration ? duration * 1000 : SCHEDULE_DEFAULT_DURATION_MS,
+            description: t('schedule.icsDescription', { link: buildRoomLink(roomId), url: roomData.currentVideoUrl })
+        });
+        downloadTextFile(`cinesync-${roomId}.ics`, ics, 'text/calendar');
+    };
+
+    // Ações feitas sem conexão viram uma só: o que vale é o estado do player local quando a conexão voltar.
+    // base guarda a versão da sala vista antes delas, para saber se outra pessoa mudou a reprodução nesse meio-tempo.
+    const queueOfflineAction = useCallback((type) => {
+        const data = roomDataRef.current;
+        const queued = offlineActionsRef.current;
+        offlineActionsRef.current = {
+            count: (queued?.count || 0) + 1,
+            lastType: type,
+            base: queued?.base || { videoSessionId: data?.videoSessionId, anchorAt: timestampToMillis(data?.anchorAt) }
+        };
+        setOfflineActionCount(offlineActionsRef.current.count);
+    }, []);
+
+    // Na reconexão: aplica as ações guardadas se a sala não mudou desde então; senão, o estado do servidor prevalece
+    const reconcileOfflineActions = useCallback(async () => {
+        const queued = offlineActionsRef.current;
+        if (!queued) return;
+        try {
+            const serverRoom = await roomStore.getRoom(roomId);
+            const player = playerRef.current;
+            const changedMeanwhile = !serverRoom
+                || serverRoom.videoSessionId !== queued.base.videoSessionId
+                || timestampToMillis(serverRoom.anchorAt) !== queued.base.anchorAt;
+            if (changedMeanwhile || !player || !canControlPlayback(serverRoom, userId)) {
+                setError('connection.offlineActionsDiscarded');
+                return;
+            }
+            const position = player.getCurrentTime();
+            const applied = await roomStore.updateRoom(roomId, {
+                isPlaying: !player.isPaused(),
+                currentTime: position,
+                anchorAt: roomStore.serverTimestamp(),
+                readyCheck: roomStore.deleteField(),
+                pausedForBuffering: false,
+                lastActionBy: userId
+            }, { ifMatch: { videoSessionId: queued.base.videoSessionId } });
+            if (applied) {
+                logSessionEvent({ type: queued.lastType, videoUrl: serverRoom.currentVideoUrl, videoSessionId: queued.base.videoSessionId, videoPosition: Math.round(position * 10) / 10 });
+            } else {
+                setError('connection.offlineActionsDiscarded');
+            }
+        } catch (e) {
+            console.error("Erro ao aplicar ações feitas sem conexão:", e);
+            setError('room.error.syncFailed');
+        } finally {
+            offlineActionsRef.current = null;
+            setOfflineActionCount(0);
+        }
+    }, [roomId, userId, setError, logSessionEvent]);
+
+    // Acompanha a conexão com o backend; ao voltar, refaz as inscrições, aplica as ações guardadas e sincroniza sem saltos
+    useEffect(() => roomStore.subscribeConnection((isConnected) => {
+        const wasOffline = connectionStateRef.current === CONNECTION_STATES.OFFLINE;
+        if (!isConnected) {
+            connectionStateRef.current = CONNECTION_STATES.OFFLINE;
+            setConnectionState(CONNECTION_STATES.OFFLINE);
+            return;
+        }
+        if (!wasOffline) return;
+        connectionStateRef.current = CONNECTION_STATES.RESYNCING;
+        setConnectionState(CONNECTION_STATES.RESYNCING);
+        setError('');
+        setListenerEpoch(epoch => epoch + 1);
+        catchUpUntilRef.current = Date.now() + RESYNC_CATCHUP_MS;
+        reconcileOfflineActions().finally(() => {
+            if (connectionStateRef.current !== CONNECTION_STATES.RESYNCING) return;
+            connectionStateRef.current = CONNECTION_STATES.ONLINE;
+            setConnectionState(CONNECTION_STATES.ONLINE);
+        });
+    }), [reconcileOfflineActions, setError]);
+
+    // Resolve com true quando a ação foi gravada na sala
+    const handlePlayerAction = useCallback(async (action) => {
+        if (!roomData || (!playerRef.current && action.type !== 'CHANGE_VIDEO')) return false;
+        const player = playerRef.current;
+        let updatePayload = {};
+
+        if (['READY_CHECK', 'START_NOW'].includes(action.type) && !isRoomHost(roomData, userId)) return false;
+        if (roomData.liveShare && action.type !== 'CHANGE_VIDEO') return false; // Sem pausa nem seek durante a transmissão
+        if (roomData.scheduledStartAt && action.type !== 'CHANGE_VIDEO') {
+            // O próximo ciclo de sincronização devolve o player ao início
+            setError('schedule.notStarted');
+            return false;
+        }
+        if (action.type === 'CHANGE_VIDEO' ? !canChangeVideo(roomData, userId) : !canControlPlayback(roomData, userId)) {
+            // O próximo ciclo de sincronização desfaz a ação local
+            setError(action.type === 'CHANGE_VIDEO' ? 'room.error.videoLocked' : 'room.error.playbackLocked');
+            return false;
+        }
+        if (connectionStateRef.current !== CONNECTION_STATES.ONLINE) {
+            if (OFFLINE_QUEUEABLE_ACTIONS.includes(action.type)) queueOfflineAction(action.type);
+            else setError('connection.actionNeedsConnection');
+            return false;
+        }
+
+        switch (action.type) {
+            case 'PLAY':
+                // Um play manual encerra qualquer espera (verificação de prontos ou pausa por buffering)
+                updatePayload = { isPlaying: true, currentTime: player.getCurrentTime(), anchorAt: roomStore.serverTimestamp(), readyCheck: roomStore.deleteField(), pausedForBuffering: false, lastActionBy: userId };
+                break;
+            case 'PAUSE':
+                updatePayload = { isPlaying: false, currentTime: player.getCurrentTime(), anchorAt: roomStore.serverTimestamp(), readyCheck: roomStore.deleteField(), pausedForBuffering: false, lastActionBy: userId };
+                break;
+            case 'READY_CHECK': {
+                const position = getExpectedPosition(roomData, Date.now() + clockOffsetRef.current);
+                updatePayload = { isPlaying: false, currentTime: position, anchorAt: roomStore.serverTimestamp(), readyCheck: createReadyCheck(position), pausedForBuffering: false, lastActionBy: userId };
+                break;
+            }
+            case 'START_NOW':
+                if (!roomData.readyCheck) return false;
+                updatePayload = { isPlaying: true, currentTime: roomData.readyCheck.position, anchorAt: roomStore.serverTimestamp(), readyCheck: roomStore.deleteField(), lastActionBy: userId };
+                break;
+            case 'SEEK':
+                updatePayload = { currentTime: action.payload.time, anchorAt: roomStore.serverTimestamp(), isPlaying: !player.isPaused(), lastActionBy: userId };
+                break;
+            case 'CHANGE_VIDEO':
+                if (!action.payload.url.trim()) {
+                    setError('room.error.emptyUrl');
+                    return false;
+                }
+                if (detectSourceType(action.payload.url).type === SOURCE_TYPES.LOCAL && !action.payload.localFile) {
+                    setError('room.error.useLocalFileButton');
+                    return false;
+                }
+                updatePayload = { 
+                    currentVideoUrl: action.payload.url, 
+                    currentSourceType: detectSourceType(action.payload.url).type,
+                    currentVideoMeta: action.payload.metadata || roomStore.deleteField(),
+                    localFile: action.payload.localFile || roomStore.deleteField(),
+                    liveShare: roomStore.deleteField(),
+                    videoSessionId: createVideoSessionId(),
+                    isPlaying: false, 
+                    currentTime: 0,
+                    anchorAt: roomStore.serverTimestamp(),
+                    playbackRate: 1,
+                    subtitleOffset: 0,
+                    // Numa sessão agendada o vídeo só fica carregado: quem inicia é o horário marcado
+                    readyCheck: roomData.scheduledStartAt ? roomStore.deleteField() : createReadyCheck(0),
+                    pausedForBuffering: false,
+                    lastActionBy: userId
+                };
+                break;
+            default: return false;
+        }
+        
+        if (Object.keys(updatePayload).length > 0) {
+            try {
+                await roomStore.updateRoom(roomId, updatePayload);
+                setError('');
+            } catch (e) {
+                // A conexão caiu durante a escrita: guarda a ação para quando ela voltar
+                if (connectionStateRef.current !== CONNECTION_STATES.ONLINE && OFFLINE_QUEUEABLE_ACTIONS.includes(action.type)) {
+                    queueOfflineAction(action.type);
+                    return false;
                 }
+                console.error("Erro ao atualizar estado da sala:", e);
+                setError('room.error.syncFailed');
+                return false;
             }
-            setIsAuthReady(true);
-        });
-        return () => unsubscribe();
-    }, []);
+            logSessionEvent({
+                type: action.type,
+                videoUrl: updatePayload.currentVideoUrl ?? roomData.currentVideoUrl,
+                videoSessionId: updatePayload.videoSessionId ?? roomData.videoSessionId,
+                videoPosition: Math.round(updatePayload.currentTime * 10) / 10
+            });
+            return true;
+        }
+        return false;
+    }, [roomData, userId, roomId, setError, logSessionEvent, queueOfflineAction]);
 
-    const handleNameSubmit = () => {
-        if (nameInput.trim()) {
-            setDisplayName(nameInput.trim());
-            if (userId) {
-                localStorage.setItem(`displayName-${userId}`, nameInput.trim());
+    // Baixa o log da sessão: JSON completo, transcrição em Markdown ou o chat do vídeo atual como legenda (SRT/ASS)
+    const exportSession = async (format) => {
+        setIsExportingSession(true);
+        try {
+            const [events, messages] = await Promise.all([
+                fetchItems(roomId, 'events', { orderBy: 'timestamp' }),
+                fetchItems(roomId, 'chat', { orderBy: 'timestamp' })
+            ]);
+            const filePrefix = `cinesync-${roomId}`;
+            if (format === 'json') {
+                const withIsoTime = (item) => ({ ...item, timestamp: timestampToMillis(item.timestamp) !== null ? new Date(timestampToMillis(item.timestamp)).toISOString() : null });
+                const data = { roomId, exportedAt: new Date().toISOString(), events: events.map(withIsoTime), chat: messages.map(withIsoTime) };
+                downloadTextFile(`${filePrefix}.json`, JSON.stringify(data, null, 2), 'application/json');
+            } else if (format === 'markdown') {
+                downloadTextFile(`${filePrefix}.md`, buildSessionMarkdown(roomId, buildSessionTimeline(events, messages), t, language), 'text/markdown');
+            } else {
+                if (getChatCues(messages, currentVideoUrl).length === 0) {
+                    setError('export.noVideoChat');
+                    return;
+                }
+                const subtitle = format === 'srt' ? buildChatSrt(messages, currentVideoUrl) : buildChatAss(messages, currentVideoUrl);
+                downloadTextFile(`${filePrefix}-chat.${format}`, subtitle, format === 'srt' ? 'application/x-subrip' : 'text/x-ssa');
             }
-            setShowNameModal(false);
             setError('');
-        } else {
-            setError("Por favor, insira um nome de exibição.");
+            setShowExportModal(false);
+        } catch (e) {
+            console.error("Erro ao exportar a sessão:", e);
+            setError('room.error.exportFailed');
+        } finally {
+            setIsExportingSession(false);
         }
     };
 
-    const createRoom = async () => {
-        if (!db || !userId || !displayName) {
-            setError("Aguarde a inicialização ou defina um nome de exibição.");
-            return;
+    const handleModerationAction = async (action) => {
+        if (!roomData) return;
+        const role = getUserRole(roomData, userId);
+        const targetId = action.payload?.targetId;
+        let updatePayload = {};
+
+        switch (action.type) {
+            case 'TOGGLE_SETTING':
+                if (role === ROLES.VIEWER || !ROOM_TOGGLE_SETTINGS.includes(action.payload.setting)) return;
+                updatePayload = { [action.payload.setting]: !roomData[action.payload.setting] };
+                if (action.payload.setting === 'waitForBuffering') updatePayload.pausedForBuffering = false;
+                break;
+            case 'PROMOTE_COHOST':
+                if (role !== ROLES.OWNER) return;
+                updatePayload = { coHostIds: roomStore.arrayUnion(targetId) };
+                break;
+            case 'DEMOTE_COHOST':
+                if (role !== ROLES.OWNER) return;
+                updatePayload = { coHostIds: roomStore.arrayRemove(targetId) };
+                break;
+            case 'TRANSFER_OWNERSHIP':
+                if (role !== ROLES.OWNER || !isParticipant(roomData, targetId)) return;
+                // O dono anterior continua como co-host
+                updatePayload = { hostId: targetId, coHostIds: [...(roomData.coHostIds || []).filter(id => id !== targetId), userId] };
+                break;
+            case 'KICK':
+                if (!canModerate(roomData, userId, targetId)) return;
+                updatePayload = { [`participants.${targetId}`]: roomStore.deleteField(), coHostIds: roomStore.arrayRemove(targetId) };
+                break;
+            case 'BAN':
+                if (!canModerate(roomData, userId, targetId)) return;
+                updatePayload = { [`participants.${targetId}`]: roomStore.deleteField(), coHostIds: roomStore.arrayRemove(targetId), bannedIds: roomStore.arrayUnion(targetId) };
+                break;
+            case 'APPROVE_JOIN': {
+                const request = roomData.joinRequests?.[targetId];
+                if (role === ROLES.VIEWER || !request || roomData.bannedIds?.includes(targetId)) return;
+                updatePayload = { [`participants.${targetId}`]: createParticipant(targetId, request.displayName, roomStore), [`joinRequests.${targetId}`]: roomStore.deleteField() };
+                break;
+            }
+            case 'DENY_JOIN':
+                if (role === ROLES.VIEWER) return;
+                updatePayload = { [`joinRequests.${targetId}`]: roomStore.deleteField() };
+                break;
+            case 'SET_MODERATION': {
+                if (role === ROLES.VIEWER) return;
+                const { mode, terms, aiCheck } = action.payload;
+                if (mode !== undefined) {
+                    if (!Object.values(MODERATION_MODES).includes(mode)) return;
+                    updatePayload['moderation.mode'] = mode;
+                }
+                if (terms !== undefined) updatePayload['moderation.terms'] = terms.split('\n').map(term => term.trim()).filter(Boolean);
+                if (aiCheck !== undefined) updatePayload['moderation.aiCheck'] = aiCheck;
+                break;
+            }
+            case 'UPDATE_DETAILS':
+                if (role === ROLES.VIEWER) return;
+                updatePayload = { title: action.payload.title.trim(), description: action.payload.description.trim() };
+                break;
+            case 'SET_PASSWORD':
+                if (role === ROLES.VIEWER) return;
+                setRoomPasswordInput('');
+                // A chave derivada fica fora do documento da sala: a interface só lê hasPassword
+                try {
+                    await roomStore.setRoomPassword(roomId, action.payload.password || null);
+                    setError('');
+                } catch (e) {
+                    console.error("Erro ao definir a senha da sala:", e);
+                    setError('room.error.permissionsFailed');
+                }
+                return;
+            default: return;
         }
-        const newRoomId = crypto.randomUUID().slice(0, 8);
-        const roomRef = doc(db, `artifacts/${appId}/public/data/watchPartyRooms`, newRoomId);
+
         try {
-            await setDoc(roomRef, {
-                id: newRoomId,
-                currentVideoUrl: '',
-                isPlaying: false,
-                currentTime: 0,
-                hostId: userId,
-                createdAt: serverTimestamp(),
-                participants: {
-                    [userId]: { displayName, joinedAt: serverTimestamp(), lastSeen: serverTimestamp() }
-                }
-            });
-            setCurrentRoomId(newRoomId); // Atualiza o ID da sala atual
-            setEnteredRoom(true);
+            await roomStore.updateRoom(roomId, updatePayload);
             setError('');
         } catch (e) {
-            console.error("Erro ao criar sala:", e);
-            setError("Falha ao criar sala. Tente novamente.");
+            console.error("Erro ao aplicar ação de moderação:", e);
+            setError('room.error.permissionsFailed');
+        }
+    };
+
+
+    // Gera o link da sala (ou um convite de uso único, só para hosts) e tenta copiá-lo; se a cópia falhar, o link fica visível
+    const shareRoomLink = async (withInvite) => {
+        let inviteToken = null;
+        if (withInvite) {
+            if (!isRoomHost(roomData, userId)) return;
+            inviteToken = crypto.randomUUID().replace(/-/g, '');
+            try {
+                // Só o hash vai para a sala; o token em si existe apenas no link
+                const tokenHash = await hashInviteToken(roomId, inviteToken);
+                await roomStore.updateRoom(roomId, {
+                    [`inviteTokens.${tokenHash}`]: { id: tokenHash, createdBy: userId, createdAt: roomStore.serverTimestamp() }
+                });
+            } catch (e) {
+                console.error("Erro ao criar convite:", e);
+                setError('room.error.inviteFailed');
+                return;
+            }
+        }
+        const url = buildRoomLink(roomId, inviteToken);
+        let copied = true;
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (e) {
+            console.warn("Não foi possível copiar o link:", e);
+            copied = false;
+        }
+        setShareLink({ url, copied, isInvite: withInvite });
+    };
+
+    // Eventos disparados pela própria sincronização são ignorados para não serem reenviados à sala
+    const onPlay = () => {
+        if (consumeRemoteEvent('play')) return;
+        handlePlayerAction({ type: 'PLAY' });
+    };
+    const onPause = () => {
+        if (consumeRemoteEvent('pause')) return;
+        if (playerRef.current?.isEnded()) return; // O fim do vídeo é tratado por onEnded
+        handlePlayerAction({ type: 'PAUSE' });
+    };
+    
+    const onSeeked = () => {
+      if (consumeRemoteEvent('seek')) return;
+      if (playerRef.current && isSeekingRef.current) {
+        isSeekingRef.current = false;
+        handlePlayerAction({ type: 'SEEK', payload: { time: playerRef.current.getCurrentTime() } });
+      }
+    };
+    const onSeeking = () => {
+        if (playerRef.current && !isRemoteEventPending('seek')) { // Só marca como seeking se o usuário iniciou a busca
+            isSeekingRef.current = true;
         }
     };
 
-    const joinRoom = async () => { // Modificado para usar roomIdFromInput
-        if (!db || !userId || !displayName) {
-            setError("Aguarde a inicialização ou defina um nome de exibição.");
+    const onPlayerError = (message) => {
+        console.error("Erro no player de vídeo:", message);
+        setError('room.error.videoLoad', { details: message || { key: 'room.error.noDetails' } });
+    };
+
+    // Checa o vídeo só neste navegador antes de trocá-lo para todos; a troca espera a confirmação no cartão de prévia
+    const previewVideoSource = async (destination) => {
+        const url = videoUrlInput.trim();
+        if (!url) {
+            setError('room.error.emptyUrl');
             return;
         }
-        if (!roomIdFromInput.trim()) {
-            setError("Por favor, insira um ID de sala.");
+        if ([SOURCE_TYPES.LOCAL, SOURCE_TYPES.LIVE].includes(detectSourceType(url).type)) {
+            setError('room.error.useLocalFileButton');
             return;
         }
-        const roomRef = doc(db, `artifacts/${appId}/public/data/watchPartyRooms`, roomIdFromInput);
+        const probeId = ++probeIdRef.current;
+        setVideoProbe({ url, destination, status: 'probing', metadata: null });
+        setError('');
         try {
-            const roomSnap = await getDoc(roomRef);
-            if (roomSnap.exists()) {
-                await updateDoc(roomRef, {
-                    [`participants.${userId}`]: { displayName, joinedAt: serverTimestamp(), lastSeen: serverTimestamp() }
-                });
-                setCurrentRoomId(roomIdFromInput); // Atualiza o ID da sala atual
-                setEnteredRoom(true);
-                setError('');
+            const metadata = await probeVideoSource(url);
+            if (probeIdRef.current === probeId) setVideoProbe({ url, destination, status: 'ready', metadata });
+        } catch (e) {
+            console.warn("Vídeo não passou na checagem:", e);
+            if (probeIdRef.current === probeId) setVideoProbe({ url, destination, status: 'error', metadata: null, details: e.message });
+        }
+    };
+
+    const cancelVideoProbe = () => {
+        probeIdRef.current++;
+        setVideoProbe(null);
+    };
+
+    // Confirma o vídeo checado; com erro na checagem, "usar mesmo assim" segue sem metadados
+    // O campo da URL só é limpo se o vídeo entrou mesmo na fila ou na sala; numa falha, fica para tentar de novo
+    const confirmVideoProbe = async () => {
+        const { url, destination, metadata } = videoProbe;
+        cancelVideoProbe();
+        const storedMeta = getStoredVideoMeta(metadata);
+        const applied = destination === 'queue'
+            ? await addToQueue(url, storedMeta)
+            : await handlePlayerAction({ type: 'CHANGE_VIDEO', payload: { url, metadata: storedMeta } });
+        if (!applied) return;
+        saveVideoThumbnail(roomId, url, metadata);
+        setVideoUrlInput('');
+    };
+
+    const readLocalFile = async (file) => {
+        const objectUrl = URL.createObjectURL(file);
+        setIsReadingLocalFile(true);
+        try {
+            return { objectUrl, fingerprint: await fingerprintLocalFile(file, objectUrl) };
+        } catch (e) {
+            URL.revokeObjectURL(objectUrl);
+            throw e;
+        } finally {
+            setIsReadingLocalFile(false);
+        }
+    };
+
+    // Passa a tocar a cópia local e informa à sala se ela confere com o arquivo declarado pelo host
+    const applyLocalFile = (objectUrl, fingerprint, expectedHash) => {
+        localFileUrlsRef.current = { ...localFileUrlsRef.current, [expectedHash]: objectUrl };
+        setLocalFileUrls(localFileUrlsRef.current);
+        setLocalFileCheck(null);
+        roomStore.updateRoom(roomId, { [`participants.${userId}.localFile`]: { expectedHash, hash: fingerprint.hash } }, ifParticipant(userId))
+            .catch(e => console.warn("Falha ao informar o arquivo local:", e));
+    };
+
+    // Host: declara um arquivo do próprio computador como vídeo da sala
+    const handleLocalFileDeclare = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const { objectUrl, fingerprint } = await readLocalFile(file);
+            if (fingerprint.duration === null) {
+                URL.revokeObjectURL(objectUrl);
+                setError('room.error.unsupportedFile');
+                return;
+            }
+            applyLocalFile(objectUrl, fingerprint, fingerprint.hash);
+            handlePlayerAction({ type: 'CHANGE_VIDEO', payload: { url: `${LOCAL_FILE_URL_PREFIX}${fingerprint.hash}`, localFile: fingerprint } });
+        } catch (err) {
+            console.error("Erro ao ler arquivo local:", err);
+            setError('room.error.localFileRead');
+        }
+    };
+
+    // Participante: escolhe a própria cópia; se a impressão digital não conferir, pede confirmação antes de usar
+    const handleLocalFilePick = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file || !roomLocalFile) return;
+        try {
+            const { objectUrl, fingerprint } = await readLocalFile(file);
+            const differences = compareLocalFiles(roomLocalFile, fingerprint);
+            if (differences.length === 0) {
+                applyLocalFile(objectUrl, fingerprint, roomLocalFile.hash);
             } else {
-                setError("Sala não encontrada.");
+                if (localFileCheck) URL.revokeObjectURL(localFileCheck.objectUrl);
+                setLocalFileCheck({ objectUrl, fingerprint, differences });
+            }
+        } catch (err) {
+            console.error("Erro ao ler arquivo local:", err);
+            setError('room.error.localFileRead');
+        }
+    };
+
+    const discardLocalFileCheck = () => {
+        URL.revokeObjectURL(localFileCheck.objectUrl);
+        setLocalFileCheck(null);
+    };
+
+    // Troca o vídeo da sala pelo item da fila (ou encerra a reprodução se não houver próximo).
+    // Todos os participantes recebem 'ended'; a atualização condicional ao videoSessionId garante que só o primeiro avance.
+    const advanceQueue = async (item, endedPosition = 0) => {
+        // Com a troca de vídeo restrita, só quem pode trocar avança a fila (inclusive no fim do vídeo)
+        if (!canChangeVideo(roomData, userId)) return;
+        const ifMatch = { videoSessionId: roomData?.videoSessionId };
+        try {
+            if (!item) {
+                await roomStore.updateRoom(roomId, { isPlaying: false, currentTime: endedPosition, anchorAt: roomStore.serverTimestamp() }, { ifMatch });
+                return;
+            }
+            const nextSessionId = createVideoSessionId();
+            const advanced = await roomStore.updateRoom(roomId, {
+                currentVideoUrl: item.url,
+                currentSourceType: detectSourceType(item.url).type,
+                currentVideoMeta: item.metadata || roomStore.deleteField(),
+                localFile: roomStore.deleteField(),
+                liveShare: roomStore.deleteField(),
+                videoSessionId: nextSessionId,
+                isPlaying: false,
+                currentTime: 0,
+                anchorAt: roomStore.serverTimestamp(),
+                playbackRate: 1,
+                subtitleOffset: 0,
+                readyCheck: createReadyCheck(0), // Começa sozinho assim que todos carregarem
+                pausedForBuffering: false,
+                lastActionBy: userId
+            }, { ifMatch, deleteItems: [{ collectionName: 'queue', id: item.id }] }); // Troca e remoção juntas: o item só é tocado uma vez
+            if (advanced) {
+                logSessionEvent({ type: 'CHANGE_VIDEO', videoUrl: item.url, videoSessionId: nextSessionId, videoPosition: 0, fromQueue: true });
             }
+            setError('');
         } catch (e) {
-            console.error("Erro ao entrar na sala:", e);
-            setError("Falha ao entrar na sala. Verifique o ID e tente novamente.");
+            console.error("Erro ao avançar a fila:", e);
+            setError('room.error.queueAdvance');
         }
     };
 
-    if (!isAuthReady) {
-        return <div className="min-h-screen bg-gray-900 flex items-center justify-center text-white"><div className="animate-pulse">Carregando autenticação...</div></div>;
-    }
-    
-    if (showNameModal && isAuthReady && userId) {
-        return (
-            <Modal isOpen={showNameModal} onClose={() => { if(displayName) setShowNameModal(false) }} title="Defina seu Nome de Exibição">
-                <div className="space-y-4">
-                    <input
-                        type="text"
-                        value={nameInput}
-                        onChange={(e) => setNameInput(e.target.value)}
-                        placeholder="Seu nome"
-                        className="w-full p-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
-                    />
-                    {error && <p className="text-red-400 text-sm">{error}</p>}
-                    <button
-                        onClick={handleNameSubmit}
-                        className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-lg flex items-center justify-center"
-                    >
-                        <CheckCircle size={20} className="mr-2" /> Salvar Nome
-                    </button>
-                </div>
-            </Modal>
-        );
-    }
+    const onEnded = () => {
+        if (playerRef.current) {
+            advanceQueue(queueItems[0], playerRef.current.getDuration());
+        }
+    };
 
+    // Publica o estado do participante (assistindo, pausado, carregando, ausente) apenas quando ele muda
+    const reportPresenceStatus = useCallback(() => {
+        const player = playerRef.current;
+        let status = PRESENCE_STATUS.PAUSED;
+        if (document.visibilityState === 'hidden') status = PRESENCE_STATUS.AWAY;
+        else if (isBufferingRef.current) status = PRESENCE_STATUS.BUFFERING;
+        else if (player && !player.isPaused()) status = PRESENCE_STATUS.WATCHING;
+        if (status === lastReportedStatusRef.current || isLeavingRef.current) return;
+        lastReportedStatusRef.current = status;
+        roomStore.updateRoom(roomId, {
+            [`participants.${userId}.status`]: status,
+            [`participants.${userId}.statusAt`]: roomStore.serverTimestamp()
+        }, ifParticipant(userId))
+            .catch(e => console.warn("Falha ao atualizar status:", e));
+    }, [roomId, userId]);
 
-    if (!enteredRoom || !currentRoomId || !displayName) {
-        return (
-            <div className="min-h-screen bg-gray-900 text-white flex flex-col items-center justify-center p-4">
-                <header className="mb-12 text-center">
-                    <h1 className="text-5xl font-bold text-indigo-400 mb-2 flex items-center justify-center">
-                        <Film size={48} className="mr-3" /> CineSync <Sparkles size={30} className="ml-2 text-yellow-400" />
-                    </h1>
-                    <p className="text-xl text-gray-400">Assista vídeos com amigos, em perfeita sincronia e com IA!</p>
-                    {userId && <p className="text-sm text-gray-500 mt-2">Seu ID de Usuário: {userId}</p>}
-                </header>
-                
-                {error && <div className="bg-red-500 text-white p-3 rounded-md mb-6 max-w-md w-full text-center">{error}</div>}
+    useEffect(() => {
+        reportPresenceStatus();
+        document.addEventListener('visibilitychange', reportPresenceStatus);
+        return () => document.removeEventListener('visibilitychange', reportPresenceStatus);
+    }, [reportPresenceStatus]);
 
-                <div className="bg-gray-800 p-8 rounded-xl shadow-2xl w-full max-w-md">
-                    <div className="mb-6">
-                        <button
-                            onClick={createRoom}
-                            disabled={!userId || !displayName}
-                            className="w-full bg-indigo-600 hover:bg-indigo-700 disabled:bg-gray-600 text-white font-semibold py-3 px-4 rounded-lg flex items-center justify-center text-lg transition-colors duration-150"
-                        >
-                            <PlusCircle size={22} className="mr-2" /> Criar Nova Sala
-                        </button>
-                        {!displayName && <p className="text-xs text-yellow-400 mt-1 text-center">Defina seu nome para criar uma sala.</p>}
-                    </div>
+    playerEventsRef.current = {
+        play: () => {
+            reportPresenceStatus();
+            onPlay();
+        },
+        pause: () => {
+            reportPresenceStatus();
+            onPause();
+        },
+        seeking: onSeeking,
+        seeked: onSeeked,
+        ended: () => {
+            reportPresenceStatus();
+            onEnded();
+        },
+        waiting: () => {
+            isBufferingRef.current = true;
+            reportPresenceStatus();
+        },
+        canplay: () => {
+            isBufferingRef.current = false;
+            hasLoadedRef.current = true;
+            reportPresenceStatus();
+            reportReady();
+        },
+        error: onPlayerError
+    };
 
-                    <div className="text-center text-gray-400 my-4">OU</div>
+    // Conexões da chamada de voz/vídeo
+    useEffect(() => {
+        if (!callSessionId) return;
+        const mesh = createPeerMesh({
+            userId,
+            sessionId: callSessionId,
+            getLocalTracks: () => ({
+                audio: localStreamRef.current?.getAudioTracks()[0],
+                video: localStreamRef.current?.getVideoTracks()[0]
+            }),
+            sendSignal: (signal) => roomStore.addItem(roomId, 'signals', { ...signal, channel: 'call', from: userId, fromSession: callSessionId, timestamp: roomStore.serverTimestamp() })
+                .catch(e => console.warn("Falha ao enviar sinal da chamada:", e)),
+            onRemoteStream: (peerId, stream) => setRemoteStreams(current => {
+                const next = { ...current };
+                if (stream) next[peerId] = stream;
+                else delete next[peerId];
+                return next;
+            })
+        });
+        voiceMeshRef.current = mesh;
+        const unsubscribeSignals = subscribeSignals(roomId, userId, 'call', mesh.handleSignal);
+        return () => {
+            unsubscribeSignals();
+            mesh.destroy();
+            voiceMeshRef.current = null;
+            setRemoteStreams({});
+        };
+    }, [roomId, userId, callSessionId]);
 
-                    <div>
-                        <h2 className="text-xl font-semibold mb-3 text-center">Entrar em uma Sala Existente</h2>
-                        <input
-                            type="text"
-                            placeholder="Digite o ID da Sala"
-                            value={roomIdFromInput} // Controlado pelo estado
-                            onChange={(e) => setRoomIdFromInput(e.target.value)}
-                            className="w-full p-3 rounded-lg bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500 mb-3"
-                        />
-                        <button
-                            onClick={joinRoom} // Modificado para não passar argumento
-                            disabled={!userId || !displayName}
-                            className="w-full bg-green-600 hover:bg-green-700 disabled:bg-gray-600 text-white font-semibold py-3 px-4 rounded-lg flex items-center justify-center text-lg transition-colors duration-150"
-                        >
-                            <LogIn size={22} className="mr-2" /> Entrar na Sala
-                        </button>
-                        {!displayName && <p className="text-xs text-yellow-400 mt-1 text-center">Defina seu nome para entrar em uma sala.</p>}
-                    </div>
-                </div>
-                 <footer className="mt-12 text-center text-gray-500 text-sm">
-                    <p>&copy; {new Date().getFullYear()} CineSync. Desenvolvido para fins demonstrativos.</p>
-                    <p>App ID: {appId}</p>
-                </footer>
-            </div>
-        );
-    }
+    useEffect(() => {
+        if (!callSessionId || !voiceMeshRef.current) return;
+        voiceMeshRef.current.syncPeers(getActiveParticipants(roomData, Date.now() + clockOffsetRef.current)
+            .filter(p => p.id !== userId && p.call?.sessionId)
+            .map(p => ({ id: p.id, sessionId: p.call.sessionId })));
+    }, [roomData, userId, callSessionId]);
 
-    return <Room roomId={currentRoomId} userId={userId} displayName={displayName} onLeave={() => {setEnteredRoom(false); setCurrentRoomId('');}} />;
-}
+    // Libera microfone, câmera e captura de tela ao sair da sala
+    useEffect(() => () => {
+        localStreamRef.current?.getTracks().forEach(track => track.stop());
+        shareStreamRef.current?.getTracks().forEach(track => track.stop());
+    }, []);
 
-// Componente Room
-function Room({ roomId, userId, displayName, onLeave }) {
-    const [roomData, setRoomData] = useState(null);
-    const [chatMessages, setChatMessages] = useState([]);
-    const [newMessage, setNewMessage] = useState('');
-    const [videoUrlInput, setVideoUrlInput] = useState('');
-    const videoRef = useRef(null);
-    const [isSeeking, setIsSeeking] = useState(false);
-    const [error, setError] = useState('');
-    const lastFirestoreUpdateTimeRef = useRef(0);
+    // Microfone aberto: sem mudo e, no modo aperte para falar, só enquanto a tecla/botão estiver pressionado
+    useEffect(() => {
+        localStream?.getAudioTracks().forEach(track => {
+            track.enabled = !isMicMuted && (!isPushToTalk || isTalkKeyHeld);
+        });
+    }, [localStream, isMicMuted, isPushToTalk, isTalkKeyHeld]);
 
-    // Estados para Gemini API
-    const [isSummarizing, setIsSummarizing] = useState(false);
-    const [summary, setSummary] = useState('');
-    const [showSummaryModal, setShowSummaryModal] = useState(false);
-    const [isSuggestingComment, setIsSuggestingComment] = useState(false);
-    const [suggestedComment, setSuggestedComment] = useState('');
-    const [geminiError, setGeminiError] = useState('');
+    useEffect(() => {
+        if (!callSessionId || !isPushToTalk) return;
+        const isTyping = (e) => ['INPUT', 'TEXTAREA'].includes(e.target.tagName);
+        const handleKeyDown = (e) => {
+            if (e.code === PUSH_TO_TALK_KEY && !e.repeat && !isTyping(e)) setIsTalkKeyHeld(true);
+        };
+        const handleKeyUp = (e) => {
+            if (e.code === PUSH_TO_TALK_KEY) setIsTalkKeyHeld(false);
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        window.addEventListener('keyup', handleKeyUp);
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            window.removeEventListener('keyup', handleKeyUp);
+            setIsTalkKeyHeld(false);
+        };
+    }, [callSessionId, isPushToTalk]);
 
-    const roomRef = doc(db, `artifacts/${appId}/public/data/watchPartyRooms`, roomId);
-    const chatRef = collection(db, `artifacts/${appId}/public/data/watchPartyRooms/${roomId}/chat`);
+    // Detecta quem está falando pelo nível de áudio de cada participante (silenciados localmente não contam)
+    useEffect(() => {
+        const entries = Object.entries(remoteStreams).filter(([, stream]) => stream.getAudioTracks().length > 0);
+        if (entries.length === 0) {
+            setSpeakingPeerIds([]);
+            return;
+        }
+        const audioContext = new AudioContext();
+        const analysers = entries.map(([peerId, stream]) => {
+            const analyser = audioContext.createAnalyser();
+            analyser.fftSize = 512;
+            audioContext.createMediaStreamSource(stream).connect(analyser);
+            return { peerId, analyser, samples: new Float32Array(analyser.fftSize), lastSpokeAt: 0 };
+        });
+        const intervalId = setInterval(() => {
+            const now = Date.now();
+            analysers.forEach(entry => {
+                entry.analyser.getFloatTimeDomainData(entry.samples);
+                const rms = Math.sqrt(entry.samples.reduce((sum, sample) => sum + sample * sample, 0) / entry.samples.length);
+                if (rms > VOICE_SPEAKING_THRESHOLD) entry.lastSpokeAt = now;
+            });
+            const speaking = analysers.filter(entry => now - entry.lastSpokeAt < VOICE_SPEAKING_HOLD_MS).map(entry => entry.peerId);
+            setSpeakingPeerIds(current => (current.join('|') === speaking.join('|') ? current : speaking));
+        }, VOICE_LEVEL_INTERVAL_MS);
+        return () => {
+            clearInterval(intervalId);
+            audioContext.close();
+        };
+    }, [remoteStreams]);
 
+    // Abaixa o volume do vídeo enquanto alguém fala e devolve o volume anterior depois
+    const isSomeoneSpeaking = speakingPeerIds.some(peerId => !mutedPeerIds.includes(peerId));
     useEffect(() => {
-        const unsubscribeRoom = onSnapshot(roomRef, (docSnap) => {
-            if (docSnap.exists()) {
-                const data = docSnap.data();
-                setRoomData(data);
-                if (videoRef.current && data.currentVideoUrl && videoRef.current.src !== data.currentVideoUrl) {
-                    videoRef.current.src = data.currentVideoUrl;
-                    videoRef.current.load();
-                }
-            } else {
-                setError("Sala não encontrada ou foi excluída.");
-                onLeave();
+        const player = playerRef.current;
+        if (!player?.isReady()) return;
+        if (isDuckingEnabled && isSomeoneSpeaking && duckedVolumeRef.current === null) {
+            duckedVolumeRef.current = player.getVolume();
+            player.setVolume(duckedVolumeRef.current * VOICE_DUCKING_FACTOR);
+        } else if ((!isDuckingEnabled || !isSomeoneSpeaking) && duckedVolumeRef.current !== null) {
+            player.setVolume(duckedVolumeRef.current);
+            duckedVolumeRef.current = null;
+        }
+    }, [isDuckingEnabled, isSomeoneSpeaking]);
+
+    const joinCall = async () => {
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true }, video: false });
+        } catch (e) {
+            console.error("Erro ao acessar o microfone:", e);
+            setError('room.error.microphone');
+            return;
+        }
+        const sessionId = crypto.randomUUID().slice(0, 8);
+        try {
+            await roomStore.updateRoom(roomId, { [`participants.${userId}.call`]: { sessionId, camera: false } }, ifParticipant(userId));
+            localStreamRef.current = stream;
+            setLocalStream(stream);
+            setIsCameraOn(false);
+            setCallSessionId(sessionId);
+        } catch (e) {
+            stream.getTracks().forEach(track => track.stop());
+            console.error("Erro ao entrar na chamada:", e);
+            setError('room.error.callJoin');
+        }
+    };
+
+    const leaveCall = async () => {
+        localStreamRef.current?.getTracks().forEach(track => track.stop());
+        localStreamRef.current = null;
+        setLocalStream(null);
+        setCallSessionId(null);
+        setIsCameraOn(false);
+        try {
+            await roomStore.updateRoom(roomId, { [`participants.${userId}.call`]: roomStore.deleteField() }, ifParticipant(userId));
+        } catch (e) {
+            console.error("Erro ao sair da chamada:", e);
+            setError('room.error.callLeave');
+        }
+    };
+
+    const toggleCamera = async () => {
+        const stream = localStreamRef.current;
+        if (!stream) return;
+        const currentTrack = stream.getVideoTracks()[0];
+        let nextTrack = null;
+        if (currentTrack) {
+            currentTrack.stop();
+            stream.removeTrack(currentTrack);
+        } else {
+            try {
+                nextTrack = (await navigator.mediaDevices.getUserMedia({ video: { width: 320, height: 180 } })).getVideoTracks()[0];
+            } catch (e) {
+                console.error("Erro ao acessar a câmera:", e);
+                setError('room.error.camera');
+                return;
             }
-        }, (err) => {
-            console.error("Erro ao ouvir dados da sala:", err);
-            setError("Erro de conexão com a sala.");
-        });
+            stream.addTrack(nextTrack);
+        }
+        voiceMeshRef.current?.replaceTrack('video', nextTrack);
+        setLocalStream(new MediaStream(stream.getTracks())); // Nova referência para a miniatura local atualizar
+        setIsCameraOn(Boolean(nextTrack));
+        roomStore.updateRoom(roomId, { [`participants.${userId}.call.camera`]: Boolean(nextTrack) }, ifParticipant(userId))
+            .catch(e => console.warn("Falha ao atualizar estado da câmera:", e));
+    };
+
+    const togglePeerMuted = (peerId) => {
+        setMutedPeerIds(current => (current.includes(peerId) ? current.filter(id => id !== peerId) : [...current, peerId]));
+    };
+
+    const handleLeaveRoom = async () => {
+        isLeavingRef.current = true;
+        try {
+            await roomStore.updateRoom(roomId, buildLeavePayload(roomData, userId, Date.now() + clockOffsetRef.current));
+        } catch (e) {
+            console.warn("Falha ao remover participante da sala:", e);
+        }
+        onLeave();
+    };
+
+    // Só o dono encerra a sala para todos; quem estiver nela volta ao lobby
+    const handleCloseRoom = async () => {
+        isLeavingRef.current = true;
+        try {
+            const serverNow = Date.now() + clockOffsetRef.current;
+            // A última escrita de atividade do host pode ainda não ter chegado a este snapshot: tenta de novo com a sala relida
+            const closed = await closeRoom(roomData, 'owner', userId, serverNow)
+                || await closeRoom(await roomStore.getRoom(roomId), 'owner', userId, serverNow);
+            if (!closed) throw new Error("A sala mudou durante o encerramento.");
+            onLeave();
+        } catch (e) {
+            isLeavingRef.current = false;
+            console.error("Erro ao encerrar a sala:", e);
+            setError('room.error.closeFailed');
+        }
+    };
 
-        const q = query(chatRef, orderBy('timestamp', 'asc'), limit(100)); // Aumentado limite de chat
-        const unsubscribeChat = onSnapshot(q, (querySnapshot) => {
-            const messages = [];
-            querySnapshot.forEach((doc) => {
-                messages.push({ id: doc.id, ...doc.data() });
+    // metadata: resultado da checagem do vídeo (null se ela falhou e o usuário adicionou mesmo assim).
+    // Resolve com true se o item entrou na fila.
+    const addToQueue = async (url, metadata) => {
+        try {
+            await roomStore.addItem(roomId, 'queue', {
+                url,
+                metadata: metadata || null,
+                addedBy: userId,
+                addedByName: displayName,
+                addedAt: roomStore.serverTimestamp(),
+                position: Date.now(),
+                votes: []
             });
-            setChatMessages(messages);
-        }, (err) => {
-            console.error("Erro ao ouvir chat:", err);
-        });
-        
-        const intervalId = setInterval(async () => {
-            if (userId && roomId) {
-                try {
-                    await updateDoc(roomRef, {
-                        [`participants.${userId}.lastSeen`]: serverTimestamp()
-                    });
-                } catch (e) {
-                    console.warn("Falha ao atualizar lastSeen:", e);
+            setError('');
+            return true;
+        } catch (e) {
+            console.error("Erro ao adicionar à fila:", e);
+            setError('room.error.queueAdd');
+            return false;
+        }
+    };
+
+    const handleQueueAction = async (action) => {
+        const item = action.payload.item;
+        try {
+            switch (action.type) {
+                case 'VOTE':
+                    await roomStore.updateItem(roomId, 'queue', item.id, { votes: item.votes?.includes(userId) ? roomStore.arrayRemove(userId) : roomStore.arrayUnion(userId) });
+                    break;
+                case 'MOVE': {
+                    // Troca de posição com o vizinho; itens mais votados continuam à frente
+                    const neighbor = queueItems[queueItems.findIndex(i => i.id === item.id) + action.payload.direction];
+                    if (!neighbor || (neighbor.votes?.length || 0) !== (item.votes?.length || 0)) return;
+                    await roomStore.updateItems(roomId, 'queue', [
+                        { id: item.id, patch: { position: neighbor.position } },
+                        { id: neighbor.id, patch: { position: item.position } }
+                    ]);
+                    break;
                 }
+                case 'REMOVE':
+                    if (!isRoomHost(roomData, userId)) return;
+                    await roomStore.deleteItem(roomId, 'queue', item.id);
+                    break;
+                default: return;
+            }
+            setError('');
+        } catch (e) {
+            console.error("Erro ao atualizar fila:", e);
+            setError('room.error.queueUpdate');
+        }
+    };
+
+    // Legendas pertencem à URL do vídeo, então voltam a aparecer se o mesmo vídeo for carregado de novo
+    const currentSubtitles = useMemo(() => subtitleTracks.filter(track => track.videoUrl === currentVideoUrl), [subtitleTracks, currentVideoUrl]);
+    const subtitleOffset = roomData?.subtitleOffset || 0;
+
+    // Legendas por URL são baixadas e convertidas no cliente, já que o offset exige reescrever os tempos.
+    // Uma falha é tentada de novo com espera crescente; esgotadas as tentativas, escolher a legenda outra vez recomeça
+    useEffect(() => {
+        const requested = requestedSubtitlesRef.current;
+        const retries = new Map(); // timeoutId -> id da legenda
+        const loadSubtitle = (track, attempt) => {
+            fetch(track.url)
+                .then(response => {
+                    if (!response.ok) throw new Error(response.statusText);
+                    return response.text();
+                })
+                .then(text => setLoadedSubtitles(prev => ({ ...prev, [track.id]: toVtt(text) })))
+                .catch(e => {
+                    if (attempt + 1 < SUBTITLE_FETCH_ATTEMPTS) {
+                        const timeoutId = setTimeout(() => {
+                            retries.delete(timeoutId);
+                            loadSubtitle(track, attempt + 1);
+                        }, SUBTITLE_RETRY_DELAY_MS * 2 ** attempt);
+                        retries.set(timeoutId, track.id);
+                        return;
+                    }
+                    console.warn("Falha ao carregar legenda:", e);
+                    failedSubtitleIdsRef.current.add(track.id);
+                    setError('room.error.subtitleLoad', { label: track.label });
+                });
+        };
+        currentSubtitles.forEach(track => {
+            if (track.vtt || !track.url || requested.has(track.id) || failedSubtitleIdsRef.current.has(track.id)) return;
+            requested.add(track.id);
+            loadSubtitle(track, 0);
+        });
+        return () => retries.forEach((trackId, timeoutId) => {
+            // A próxima execução do efeito recomeça as legendas que ainda esperavam uma nova tentativa
+            clearTimeout(timeoutId);
+            requested.delete(trackId);
+        });
+    }, [currentSubtitles, subtitleRetryEpoch, setError]);
+
+    const selectSubtitle = (trackId) => {
+        setSelectedSubtitleId(trackId);
+        if (failedSubtitleIdsRef.current.delete(trackId)) {
+            requestedSubtitlesRef.current.delete(trackId);
+            setSubtitleRetryEpoch(epoch => epoch + 1);
+        }
+    };
+
+    useEffect(() => {
+        const urls = {};
+        currentSubtitles.forEach(track => {
+            const vtt = track.vtt || loadedSubtitles[track.id];
+            if (vtt) {
+                urls[track.id] = URL.createObjectURL(new Blob([shiftVttTimestamps(vtt, subtitleOffset)], { type: 'text/vtt' }));
             }
-        }, 30000);
+        });
+        setSubtitleBlobUrls(urls);
+        return () => Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+    }, [currentSubtitles, loadedSubtitles, subtitleOffset]);
 
+    // Cada participante escolhe sua própria faixa; as demais ficam desativadas
+    useEffect(() => {
+        if (!videoRef.current) return;
+        videoRef.current.querySelectorAll('track').forEach(trackElement => {
+            trackElement.track.mode = trackElement.dataset.subtitleId === selectedSubtitleId ? 'showing' : 'disabled';
+        });
+    }, [selectedSubtitleId, subtitleBlobUrls]);
 
-        return () => {
-            unsubscribeRoom();
-            unsubscribeChat();
-            clearInterval(intervalId);
-        };
-    }, [roomId, userId, onLeave]); // Adicionado onLeave
+    const addSubtitle = async (track) => {
+        if (!isRoomHost(roomData, userId) || !currentVideoUrl) return;
+        try {
+            const subtitleId = await roomStore.addItem(roomId, 'subtitles', {
+                ...track,
+                label: subtitleLabelInput.trim() || track.label,
+                language: subtitleLanguageInput.trim() || 'und',
+                videoUrl: currentVideoUrl,
+                addedBy: userId,
+                addedAt: roomStore.serverTimestamp()
+            });
+            setSelectedSubtitleId(subtitleId);
+            setSubtitleLabelInput('');
+            setSubtitleLanguageInput('');
+            setError('');
+        } catch (e) {
+            console.error("Erro ao adicionar legenda:", e);
+            setError('room.error.subtitleAdd');
+        }
+    };
 
-    useEffect(() => {
-        if (!videoRef.current || !roomData) return;
-        const player = videoRef.current;
-        const { isPlaying, currentTime, lastSeekTime } = roomData;
+    const handleSubtitleFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        if (file.size > MAX_SUBTITLE_FILE_BYTES) {
+            setError('room.error.subtitleTooLarge');
+            return;
+        }
+        const text = await file.text();
+        addSubtitle({ vtt: toVtt(text), label: file.name.replace(/\.(srt|vtt)$/i, '') });
+    };
 
-        if (roomData.currentVideoUrl && player.src !== roomData.currentVideoUrl) {
-            player.src = roomData.currentVideoUrl;
-            player.load();
+    const handleSubtitleUrl = () => {
+        if (!subtitleUrlInput.trim()) return;
+        addSubtitle({ url: subtitleUrlInput.trim(), label: subtitleUrlInput.trim().split('/').pop() });
+        setSubtitleUrlInput('');
+    };
+
+    const removeSubtitle = async (trackId) => {
+        if (!isRoomHost(roomData, userId)) return;
+        try {
+            await roomStore.deleteItem(roomId, 'subtitles', trackId);
+            if (selectedSubtitleId === trackId) setSelectedSubtitleId('');
+        } catch (e) {
+            console.error("Erro ao remover legenda:", e);
+            setError('room.error.subtitleRemove');
         }
-        
-        if (isPlaying && player.paused) {
-            player.play().catch(e => console.warn("Erro ao tentar dar play automático:", e));
-        } else if (!isPlaying && !player.paused) {
-            player.pause();
+    };
+
+    const changeSubtitleOffset = async (delta) => {
+        if (!isRoomHost(roomData, userId)) return;
+        try {
+            await roomStore.updateRoom(roomId, { subtitleOffset: delta === 0 ? 0 : Math.round((subtitleOffset + delta) * 10) / 10 });
+        } catch (e) {
+            console.error("Erro ao ajustar atraso da legenda:", e);
+            setError('room.error.subtitleOffset');
         }
+    };
+
+    // Pedidos automáticos (moderação, tradução) passam pelos limites da finalidade; uma recusa vira erro com a chave do catálogo em messageKey
+    const generateAiText = async (prompt, purpose) => {
+        const result = await runAiRequest(prompt, { purpose });
+        if (result.error) throw Object.assign(new Error(result.error), { messageKey: result.error });
+        return result.text;
+    };
 
-        const targetTime = lastSeekTime !== undefined ? lastSeekTime : currentTime;
-        if (targetTime !== undefined && Math.abs(player.currentTime - targetTime) > SYNC_THRESHOLD && !isSeeking) {
-             // Apenas sincroniza se não estiver buscando localmente, para evitar conflitos
-            player.currentTime = targetTime;
+    // Classificação opcional pela IA, com os mesmos limites dos demais pedidos; se falhar ou o limite recusar, a mensagem segue só com o filtro local
+    const classifyChatTextWithAi = async (text) => {
+        try {
+            const verdict = parseModerationVerdict(await generateAiText(buildModerationPrompt(text, LANGUAGES[language].promptName)));
+            return verdict && { ...verdict, reason: verdict.reason || t('moderation.defaultAiReason') };
+        } catch (e) {
+            console.error("Erro ao classificar mensagem com IA:", e);
+            return null;
         }
+    };
 
-    }, [roomData, isSeeking]); // Removido videoRef.current, adicionado isSeeking
+    // Passa o texto pelo filtro de termos e pela IA conforme a configuração da sala (ver applyChatModeration).
+    // Quando o backend modera ao aceitar a escrita (moderatesChat), o texto vai como está e uma recusa volta com messageKey
+    const moderateChatText = async (text) => {
+        const { mode = MODERATION_MODES.OFF, aiCheck } = roomData?.moderation || {};
+        if (roomStore.moderatesChat || mode === MODERATION_MODES.OFF) return { text };
+        const aiVerdict = aiCheck ? await classifyChatTextWithAi(text) : null;
+        return applyChatModeration(text, roomData.moderation, aiVerdict);
+    };
 
-    const handlePlayerAction = useCallback(async (action) => {
-        if (!roomData || !videoRef.current) return;
-        const player = videoRef.current;
-        let updatePayload = {};
+    const formatModerationReason = (moderation) => {
+        const reason = describeModerationReason(moderation);
+        return t(reason.key, reason.params);
+    };
+
+    const sendChatMessage = async () => {
+        if (!newMessage.trim() || isModeratingMessage) return;
+        setIsModeratingMessage(true);
+        const moderated = await moderateChatText(newMessage);
+        setIsModeratingMessage(false);
+        if (moderated.blocked) {
+            setError('moderation.blocked', { reason: describeModerationReason(moderated.blocked) });
+            return;
+        }
+        const message = {
+            userId,
+            displayName,
+            text: moderated.text,
+            language: language,
+            timestamp: roomStore.serverTimestamp()
+        };
+        if (currentVideoUrl && playerRef.current) {
+            // Momento do vídeo em que a mensagem foi escrita, para "pular até ele" depois
+            message.videoUrl = currentVideoUrl;
+            message.videoSessionId = videoSessionId;
+            message.videoPosition = Math.round(playerRef.current.getCurrentTime() * 10) / 10;
+        }
+        if (replyingTo) {
+            // Guarda um trecho da original para a citação aparecer mesmo fora do histórico carregado
+            message.replyTo = {
+                id: replyingTo.id,
+                userId: replyingTo.userId,
+                displayName: replyingTo.displayName || replyingTo.userId,
+                text: replyingTo.text.slice(0, CHAT_REPLY_PREVIEW_LENGTH)
+            };
+        }
+        try {
+            chatScrollRef.current.stickToBottom = true;
+            // Retida pela moderação, vai para a fila dos hosts e só chega ao chat se for aprovada
+            if (moderated.flagged) await roomStore.addItem(roomId, 'chatReview', { ...message, moderation: moderated.flagged });
+            else await roomStore.addItem(roomId, 'chat', message);
+            setNewMessage('');
+            setReplyingTo(null);
+            setSuggestedComment(''); // Limpa sugestão após enviar mensagem
+        } catch (e) {
+            console.error("Erro ao enviar mensagem:", e);
+            setError(e.messageKey || 'room.error.chatSend', e.messageParams);
+        }
+    };
 
+    const handleChatAction = async (action) => {
+        const message = action.payload.message;
+        if (message.deleted) return;
+        let updatePayload;
         switch (action.type) {
-            case 'PLAY':
-                updatePayload = { isPlaying: true, currentTime: player.currentTime, hostId: userId };
+            case 'REACT': {
+                const { reaction } = action.payload;
+                const reacted = message.reactions?.[reaction]?.includes(userId);
+                updatePayload = { [`reactions.${reaction}`]: reacted ? roomStore.arrayRemove(userId) : roomStore.arrayUnion(userId) };
+                setReactionPickerId(null);
                 break;
-            case 'PAUSE':
-                updatePayload = { isPlaying: false, currentTime: player.currentTime, hostId: userId };
-                break;
-            case 'SEEK':
-                updatePayload = { currentTime: action.payload.time, lastSeekTime: action.payload.time, isPlaying: !player.paused, hostId: userId };
-                break;
-            case 'CHANGE_VIDEO':
-                if (!action.payload.url.trim()) {
-                    setError("URL do vídeo não pode ser vazia.");
+            }
+            case 'EDIT': {
+                if (message.userId !== userId) return;
+                const text = action.payload.text.trim();
+                if (!text || text === message.text) {
+                    setEditingMessageId(null);
                     return;
                 }
-                updatePayload = { 
-                    currentVideoUrl: action.payload.url, 
-                    isPlaying: false, 
-                    currentTime: 0,
-                    lastSeekTime: 0,
-                    hostId: userId 
-                };
-                setVideoUrlInput('');
+                const moderated = await moderateChatText(text);
+                if (moderated.blocked) {
+                    setError('moderation.editBlocked', { reason: describeModerationReason(moderated.blocked) });
+                    return;
+                }
+                if (moderated.flagged) {
+                    // Edição retida: a mensagem publicada continua com o texto anterior até a aprovação
+                    try {
+                        await roomStore.addItem(roomId, 'chatReview', {
+                            userId,
+                            displayName,
+                            text: moderated.text,
+                            language,
+                            timestamp: roomStore.serverTimestamp(),
+                            editOf: message.id,
+                            moderation: moderated.flagged
+                        });
+                        setEditingMessageId(null);
+                    } catch (e) {
+                        console.error("Erro ao enviar edição para revisão:", e);
+                        setError('room.error.chatUpdate');
+                    }
+                    return;
+                }
+                // Traduções antigas deixam de valer para o novo texto
+                updatePayload = { text: moderated.text, language: language, translations: roomStore.deleteField(), translationClaims: roomStore.deleteField(), editedAt: roomStore.serverTimestamp() };
+                break;
+            }
+            case 'DELETE':
+                // O autor apaga a própria mensagem; dono e co-hosts apagam qualquer uma
+                if (message.userId !== userId && !isRoomHost(roomData, userId)) return;
+                updatePayload = { deleted: true, deletedBy: userId, text: '', reactions: roomStore.deleteField() };
                 break;
             default: return;
         }
-        
-        if (Object.keys(updatePayload).length > 0) {
-            try {
-                await updateDoc(roomRef, updatePayload);
-                setError('');
-            } catch (e) {
-                console.error("Erro ao atualizar estado da sala:", e);
-                setError("Falha ao sincronizar ação. Verifique sua conexão.");
-            }
+        try {
+            await roomStore.updateItem(roomId, 'chat', message.id, updatePayload);
+            if (action.type === 'EDIT') setEditingMessageId(null);
+            if (action.type === 'DELETE' && replyingTo?.id === message.id) setReplyingTo(null);
+        } catch (e) {
+            console.error("Erro ao atualizar mensagem:", e);
+            setError(e.messageKey || 'room.error.chatUpdate', e.messageParams);
         }
-    }, [roomData, userId, roomRef]);
-
+    };
 
-    const onPlay = () => handlePlayerAction({ type: 'PLAY' });
-    const onPause = () => handlePlayerAction({ type: 'PAUSE' });
-    
-    const onSeeked = () => {
-      if (videoRef.current && isSeeking) {
-        handlePlayerAction({ type: 'SEEK', payload: { time: videoRef.current.currentTime } });
-        setIsSeeking(false); 
-      }
+    // Publica uma mensagem retida (ou aplica a edição retida); removê-la da fila primeiro garante que dois hosts não a publiquem duas vezes
+    const approveHeldMessage = async (item) => {
+        if (!isRoomHost(roomData, userId)) return;
+        const { id, editOf, moderation, ...message } = item;
+        try {
+            const claimed = await roomStore.updateRoom(roomId, {}, { deleteItems: [{ collectionName: 'chatReview', id }] });
+            if (!claimed) return;
+            const reviewed = { ...moderation, status: 'approved', reviewedBy: userId };
+            if (editOf) {
+                await roomStore.updateItem(roomId, 'chat', editOf, {
+                    text: message.text,
+                    language: message.language,
+                    translations: roomStore.deleteField(),
+                    translationClaims: roomStore.deleteField(),
+                    editedAt: roomStore.serverTimestamp(),
+                    moderation: reviewed
+                });
+            } else {
+                await roomStore.addItem(roomId, 'chat', { ...message, moderation: reviewed });
+            }
+        } catch (e) {
+            console.error("Erro ao aprovar mensagem:", e);
+            setError('room.error.chatUpdate');
+        }
     };
-    const onSeeking = () => {
-        if (videoRef.current) { // Só marca como seeking se o player existir
-            setIsSeeking(true);
+
+    // Descarta uma mensagem retida: hosts recusam qualquer uma, o autor desiste da própria
+    const discardHeldMessage = async (item) => {
+        if (item.userId !== userId && !isRoomHost(roomData, userId)) return;
+        try {
+            await roomStore.deleteItem(roomId, 'chatReview', item.id);
+        } catch (e) {
+            console.error("Erro ao descartar mensagem retida:", e);
+            setError('room.error.chatUpdate');
         }
     };
-    
-    const onTimeUpdate = () => {
-        if (videoRef.current && roomData && roomData.hostId === userId && !videoRef.current.paused && !isSeeking) {
-            const now = Date.now();
-            if (now - lastFirestoreUpdateTimeRef.current > 5000) { 
-                updateDoc(roomRef, { currentTime: videoRef.current.currentTime })
-                    .then(() => lastFirestoreUpdateTimeRef.current = now)
-                    .catch(e => console.warn("Falha ao atualizar currentTime periodicamente:", e));
+
+    // Traduz para o idioma de quem está vendo e grava na mensagem (translations.<idioma>), para os demais leitores reaproveitarem.
+    // Antes de chamar a IA, reserva a tradução (translationClaims.<idioma>) com escrita condicional: entre leitores do mesmo idioma, só um traduz
+    const translateChatMessage = async (message, { manual = false } = {}) => {
+        const requestKey = `${message.id}:${language}:${message.text}`;
+        if (message.deleted || message.translations?.[language] || translationRequestsRef.current.has(requestKey)) return;
+        const currentClaim = message.translationClaims?.[language];
+        const serverNow = Date.now() + clockOffsetRef.current;
+        if (currentClaim && serverNow - currentClaim.at < TRANSLATION_CLAIM_TIMEOUT_MS) return;
+        translationRequestsRef.current.add(requestKey);
+        setTranslatingMessageIds(previous => [...previous, message.id]);
+        const claimPath = `translationClaims.${language}`;
+        const claimId = crypto.randomUUID();
+        let claimed = false;
+        const prompt = `Traduza a mensagem de chat abaixo para ${LANGUAGES[language].promptName}. Mantenha emojis, nomes e marcações de tempo no formato @m:ss. Se ela já estiver nesse idioma, repita-a sem mudanças. Responda apenas com a tradução, sem aspas nem comentários.\n\n${message.text}`;
+        try {
+            claimed = await roomStore.updateItem(roomId, 'chat', message.id, { [claimPath]: { id: claimId, by: userId, at: serverNow } }, {
+                ifMatch: { [`translations.${language}`]: null, [`${claimPath}.id`]: currentClaim?.id ?? null }
+            });
+            if (!claimed) {
+                // Outro leitor reservou antes; se ele sumir, a reserva expira e a mensagem pode ser tentada de novo
+                translationRequestsRef.current.delete(requestKey);
+                return;
             }
+            const translation = (await generateAiText(prompt, AI_PURPOSES.TRANSLATION)).trim();
+            // Uma edição no meio do caminho apaga a reserva, e a tradução do texto antigo é descartada
+            await roomStore.updateItem(roomId, 'chat', message.id, {
+                [`translations.${language}`]: translation,
+                [claimPath]: roomStore.deleteField()
+            }, { ifMatch: { [`${claimPath}.id`]: claimId } });
+        } catch (e) {
+            console.error("Erro ao traduzir mensagem:", e);
+            translationRequestsRef.current.delete(requestKey);
+            if (claimed) {
+                roomStore.updateItem(roomId, 'chat', message.id, { [claimPath]: roomStore.deleteField() }, { ifMatch: { [`${claimPath}.id`]: claimId } })
+                    .catch(error => console.warn("Falha ao liberar a tradução reservada:", error));
+            }
+            if (manual) setAiError('ai.translateFailed', { message: e.messageKey ? { key: e.messageKey } : e.message });
+            // Na automática, só avisa quando um limite a interrompe (falhas do provedor seguem no console)
+            else if (e.messageKey) setAiError('ai.autoTranslatePaused', { reason: { key: e.messageKey } });
+        } finally {
+            setTranslatingMessageIds(previous => previous.filter(id => id !== message.id));
         }
     };
 
-    const handleVideoUrlChange = () => {
-        if (videoUrlInput) {
-            handlePlayerAction({ type: 'CHANGE_VIDEO', payload: { url: videoUrlInput } });
-        }
+    const toggleAutoTranslate = () => {
+        setAutoTranslate(!autoTranslate);
+        localStorage.setItem(`autoTranslate-${userId}`, String(!autoTranslate));
     };
 
-    const sendChatMessage = async () => {
-        if (!newMessage.trim()) return;
+    // Versão mais recente da tradução, para o efeito abaixo só rodar quando o chat ou o idioma mudarem
+    const translateChatMessageRef = useRef(translateChatMessage);
+    translateChatMessageRef.current = translateChatMessage;
+
+    // Tradução automática das mensagens recentes escritas em outro idioma
+    useEffect(() => {
+        if (!autoTranslate) return;
+        chatMessages
+            .slice(-CHAT_AUTO_TRANSLATE_RECENT)
+            .filter(msg => msg.userId !== userId && msg.language && msg.language !== language)
+            .forEach(msg => translateChatMessageRef.current(msg));
+    }, [autoTranslate, language, chatMessages, userId]);
+
+    const sendVideoReaction = async (reaction) => {
+        if (!videoKey || !playerRef.current) return;
+        if (Date.now() - lastReactionSentAtRef.current < REACTION_COOLDOWN_MS) return;
+        lastReactionSentAtRef.current = Date.now();
         try {
-            await addDoc(chatRef, {
+            await roomStore.addReaction(videoKey, {
+                roomId,
                 userId,
-                displayName,
-                text: newMessage,
-                timestamp: serverTimestamp()
+                reaction,
+                videoUrl: currentVideoUrl,
+                videoSessionId,
+                videoPosition: Math.round(playerRef.current.getCurrentTime() * 10) / 10,
+                timestamp: roomStore.serverTimestamp()
             });
-            setNewMessage('');
-            setSuggestedComment(''); // Limpa sugestão após enviar mensagem
         } catch (e) {
-            console.error("Erro ao enviar mensagem:", e);
-            setError("Falha ao enviar mensagem.");
+            console.error("Erro ao enviar reação:", e);
+            setError('room.error.reaction');
         }
     };
 
-    // Funções Gemini
-    const callGeminiAPI = async (prompt) => {
-        setGeminiError('');
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`;
-        
-        const payload = {
-            contents: [{ role: "user", parts: [{ text: prompt }] }]
-        };
+    // Leva a sala inteira ao momento indicado; as permissões de controle são verificadas em handlePlayerAction
+    const jumpToVideoTime = (seconds) => {
+        const duration = playerRef.current?.getDuration();
+        handlePlayerAction({ type: 'SEEK', payload: { time: duration ? Math.min(seconds, duration) : seconds } });
+    };
+
+    const renderTextWithTimecodes = (text) => splitTimecodes(text).map((part, index) => (part.seconds === undefined ? part.text : (
+        <button
+            key={index}
+            onClick={() => jumpToVideoTime(part.seconds)}
+            disabled={!currentVideoUrl}
+            className="font-mono text-indigo-200 underline hover:text-white disabled:no-underline disabled:text-inherit"
+            title={t('chat.jumpToMoment')}
+        >
+            {part.text}
+        </button>
+    )));
 
+    const hasOlderMessages = !isChatHistoryExhausted && (olderChatMessages.length > 0 || liveChatMessages.length >= CHAT_PAGE_SIZE);
+
+    // Próxima página do histórico, a partir da mensagem mais antiga já carregada
+    const loadOlderMessages = async () => {
+        const container = chatContainerRef.current;
+        const cursor = chatMessages[0]?.timestamp;
+        if (!hasOlderMessages || isLoadingOlderMessages || !cursor || !container || chatScrollRef.current.restoreFrom !== null) return;
+        setIsLoadingOlderMessages(true);
         try {
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-            if (!response.ok) {
-                const errorData = await response.json();
-                console.error("Erro da API Gemini:", errorData);
-                throw new Error(`API Error: ${errorData.error?.message || response.statusText}`);
-            }
-            const result = await response.json();
-            if (result.candidates && result.candidates.length > 0 &&
-                result.candidates[0].content && result.candidates[0].content.parts &&
-                result.candidates[0].content.parts.length > 0) {
-                return result.candidates[0].content.parts[0].text;
-            } else {
-                console.error("Resposta inesperada da API Gemini:", result);
-                throw new Error("Formato de resposta inesperado da API Gemini.");
+            const page = await fetchItems(roomId, 'chat', { orderBy: 'timestamp', direction: 'desc', startAfter: cursor, limit: CHAT_PAGE_SIZE });
+            if (page.length > 0) {
+                chatScrollRef.current.restoreFrom = container.scrollHeight;
+                setOlderChatMessages(older => [...[...page].reverse(), ...older]);
+            }
+            setIsChatHistoryExhausted(page.length < CHAT_PAGE_SIZE);
+        } catch (e) {
+            console.error("Erro ao carregar mensagens anteriores:", e);
+            setError('chat.error.loadOlder');
+        } finally {
+            setIsLoadingOlderMessages(false);
+        }
+    };
+
+    const handleChatScroll = (e) => {
+        const container = e.currentTarget;
+        chatScrollRef.current.stickToBottom = container.scrollHeight - container.scrollTop - container.clientHeight < CHAT_SCROLL_TOP_THRESHOLD;
+        if (container.scrollTop < CHAT_SCROLL_TOP_THRESHOLD) loadOlderMessages();
+    };
+
+    const scrollToChatMessage = (messageId) => {
+        document.getElementById(`chat-${messageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    };
+
+    // Citação de uma resposta: usa a versão atual da original se ela estiver carregada
+    const getReplyPreview = (replyTo) => {
+        const original = chatMessages.find(msg => msg.id === replyTo.id);
+        if (original?.deleted) return t('chat.deleted');
+        return original ? original.text : replyTo.text;
+    };
+
+    // Funções de IA
+    // Reserva vaga e custo estimado antes da chamada; se outro pedido gravou primeiro, relê a sala e tenta de novo
+    const reserveAiUsage = async (estimatedCost, purpose) => {
+        let aiUsage = roomDataRef.current?.aiUsage;
+        for (let attempt = 0; attempt < AI_RESERVATION_ATTEMPTS; attempt++) {
+            const reservation = reserveAiRequest(aiUsage, userId, Date.now() + clockOffsetRef.current, estimatedCost, roomStore, purpose);
+            if (reservation.error) return reservation;
+            if (await roomStore.updateRoom(roomId, reservation.patch, { ifMatch: reservation.ifMatch })) return {};
+            aiUsage = (await roomStore.getRoom(roomId))?.aiUsage;
+        }
+        return { error: 'ai.reservationConflict' };
+    };
+
+    const settleAiUsage = (estimatedCost, usage, purpose) => {
+        roomStore.updateRoom(roomId, buildAiSettlePatch(userId, estimatedCost, usage, aiProvider, roomStore, purpose))
+            .catch(e => console.error("Erro ao registrar uso da IA:", e));
+    };
+
+    // Reserva, chama o provedor e acerta o custo: { text } ou { error } (chave do catálogo) se os limites recusarem; falhas do provedor são lançadas.
+    // Com o servidor de salas, tudo isso acontece lá
+    const runAiRequest = async (prompt, { onToken, purpose = AI_PURPOSES.REQUEST } = {}) => {
+        if (roomStore.requestAi) return roomStore.requestAi(roomId, prompt, { onToken, purpose });
+        const estimatedCost = estimateAiRequestCost(prompt, aiProvider);
+        const reservation = await reserveAiUsage(estimatedCost, purpose);
+        if (reservation.error) return reservation;
+        try {
+            const { text, usage } = await aiProvider.generate(prompt, { onToken });
+            settleAiUsage(estimatedCost, usage, purpose);
+            return { text };
+        } catch (error) {
+            settleAiUsage(estimatedCost, null, purpose);
+            throw error;
+        }
+    };
+
+    // Chamada pedida pelo usuário, com streaming; recusas e falhas aparecem no aviso da IA
+    const callAi = async (prompt, onToken) => {
+        setAiError('');
+        try {
+            const result = await runAiRequest(prompt, { onToken });
+            if (result.error) {
+                setAiError(result.error);
+                return null;
             }
+            return result.text;
         } catch (error) {
-            console.error("Falha ao chamar API Gemini:", error);
-            setGeminiError(`Erro Gemini: ${error.message}`);
+            console.error(`Falha ao chamar ${getAiProviderName()}:`, error);
+            setAiError('ai.providerError', { provider: getAiProviderName(), message: error.message });
             return null;
         }
     };
 
     const handleGenerateSummary = async () => {
         if (chatMessages.length === 0) {
-            setGeminiError("Não há mensagens no chat para resumir.");
+            setAiError('ai.nothingToSummarize');
             return;
         }
         setIsSummarizing(true);
         setSummary('');
+        setShowSummaryModal(true);
         const formattedChatHistory = chatMessages
-            .map(msg => `${msg.displayName || msg.userId}: ${msg.text}`)
+            .filter(msg => !msg.deleted)
+            .map(msg => `${msg.videoUrl === currentVideoUrl && msg.videoPosition !== undefined ? `[@${formatVideoTime(msg.videoPosition)}] ` : ''}${getDisplayName(msg.userId, msg.displayName)}: ${msg.text}`)
             .join("\n");
-        const prompt = `Você é um assistente de resumo de chat. Por favor, resuma a seguinte conversa de uma watch party de forma concisa e informativa em Português Brasileiro:\n\n${formattedChatHistory}\n\nResumo:`;
+        const prompt = `Você é um assistente de resumo de chat. Por favor, resuma a seguinte conversa de uma watch party de forma concisa e informativa em ${LANGUAGES[language].promptName}. As mensagens marcadas com [@m:ss] foram escritas naquele momento do vídeo; ao citar um momento, use o mesmo formato @m:ss (ou @h:mm:ss):\n\n${formattedChatHistory}\n\nResumo:`;
         
-        const result = await callGeminiAPI(prompt);
-        if (result) {
-            setSummary(result);
-            setShowSummaryModal(true);
-        }
+        const result = await callAi(prompt, (token) => setSummary(previous => previous + token));
+        if (result) setSummary(result);
         setIsSummarizing(false);
     };
 
     const handleSuggestComment = async () => {
         setIsSuggestingComment(true);
         setSuggestedComment('');
-        const lastMessages = chatMessages.slice(-5).map(msg => `${msg.displayName || msg.userId}: ${msg.text}`).join("\n");
-        let prompt = `Você é um assistente de chat divertido e criativo para uma watch party. Os usuários estão assistindo a um vídeo juntos. Sugira um comentário curto (1-2 frases), espirituoso e relevante para adicionar à conversa, em Português Brasileiro.`;
+        const lastMessages = chatMessages.filter(msg => !msg.deleted).slice(-5).map(msg => `${getDisplayName(msg.userId, msg.displayName)}: ${msg.text}`).join("\n");
+        let prompt = `Você é um assistente de chat divertido e criativo para uma watch party. Os usuários estão assistindo a um vídeo juntos. Sugira um comentário curto (1-2 frases), espirituoso e relevante para adicionar à conversa, em ${LANGUAGES[language].promptName}.`;
         if (lastMessages) {
             prompt += `\n\nContexto das últimas mensagens (opcional):\n${lastMessages}`;
         }
         prompt += `\n\nSugestão de comentário:`;
 
-        const result = await callGeminiAPI(prompt);
-        if (result) {
-            setSuggestedComment(result);
-        }
+        const result = await callAi(prompt, (token) => setSuggestedComment(previous => previous + token));
+        setSuggestedComment(result ? result.trim() : '');
         setIsSuggestingComment(false);
     };
 
 
     const currentHostId = roomData?.hostId;
     const isCurrentUserHost = userId === currentHostId;
+    // O autor vê as próprias mensagens retidas (novas ou edições) marcadas no chat até a revisão
+    const ownHeldMessages = heldMessages.filter(item => item.userId === userId);
+    const visibleChatMessages = [
+        ...chatMessages.map(msg => {
+            const heldEdit = ownHeldMessages.find(item => item.editOf === msg.id);
+            return heldEdit ? { ...msg, text: heldEdit.text, heldReview: heldEdit } : msg;
+        }),
+        ...ownHeldMessages.filter(item => !item.editOf).map(item => ({ ...item, heldReview: item }))
+    ];
+    const currentUserRole = getUserRole(roomData, userId);
+    const canCurrentUserChangeVideo = canChangeVideo(roomData, userId);
 
-    const participantsArray = roomData?.participants ? Object.entries(roomData.participants)
-        .map(([id, data]) => ({ id, ...data }))
-        .sort((a, b) => (a.displayName || '').localeCompare(b.displayName || '')) : [];
+    const participantsArray = getActiveParticipants(roomData, Date.now() + clockOffsetRef.current)
+        .map(p => ({ ...p, displayName: getDisplayName(p.id, p.displayName) }))
+        .sort((a, b) => a.displayName.localeCompare(b.displayName));
+    const readyCount = participantsArray.filter(p => roomData?.readyCheck && p.readyFor === roomData.readyCheck.id).length;
+    const bufferingParticipants = participantsArray.filter(p => p.status === PRESENCE_STATUS.BUFFERING);
+    const localFileMissing = roomLocalFile ? participantsArray.filter(p => getLocalFileStatus(p, roomLocalFile) === 'missing') : [];
+    const localFileDifferent = roomLocalFile ? participantsArray.filter(p => getLocalFileStatus(p, roomLocalFile) === 'different') : [];
+    const joinRequests = Object.entries(roomData?.joinRequests || {})
+        .map(([id, request]) => ({ id, ...request }))
+        .sort((a, b) => (timestampToMillis(a.requestedAt) || 0) - (timestampToMillis(b.requestedAt) || 0));
+    const reactionDensity = videoDuration ? getReactionDensity(videoReactions, videoDuration) : [];
+    const maxReactionDensity = Math.max(1, ...reactionDensity);
 
     if (!roomData) {
-        return <div className="min-h-screen bg-gray-900 flex items-center justify-center text-white">Carregando dados da sala...</div>;
+        return <div className="min-h-screen bg-gray-900 flex items-center justify-center text-white">{t('room.loading')}</div>;
     }
     
     return (
         <div className="min-h-screen bg-gray-900 text-white flex flex-col p-4 md:p-6 lg:p-8 space-y-6">
             <header className="flex flex-col sm:flex-row justify-between items-center pb-4 border-b border-gray-700">
                 <div>
-                    <h1 className="text-3xl font-bold text-indigo-400">Sala: <span className="text-green-400">{roomId}</span></h1>
-                    <p className="text-sm text-gray-400">Seu ID de Usuário: {userId} ({displayName})</p>
-                    {currentHostId && <p className="text-sm text-gray-500">Host atual: {roomData?.participants?.[currentHostId]?.displayName || currentHostId} {isCurrentUserHost ? "(Você)" : ""}</p>}
+                    <h1 className="text-3xl font-bold text-indigo-400 flex items-center gap-3">
+                        <span>{t('room.title')} <span className="text-green-400">{roomId}</span></span>
+                        {connectionState === CONNECTION_STATES.ONLINE ? (
+                            <span className="text-xs font-normal text-green-400 flex items-center" title={t('connection.online')}><Wifi size={14} className="mr-1" /> {t('connection.online')}</span>
+                        ) : connectionState === CONNECTION_STATES.OFFLINE ? (
+                            <span className="text-xs font-normal text-red-400 flex items-center" title={t('connection.offlineTitle')}>
+                                <WifiOff size={14} className="mr-1" /> {t('connection.offline')}{offlineActionCount > 0 && ` · ${t('connection.queued', { count: offlineActionCount })}`}
+                            </span>
+                        ) : (
+                            <span className="text-xs font-normal text-yellow-300 flex items-center"><Loader2 size={14} className="mr-1 animate-spin" /> {t('connection.resyncing')}</span>
+                        )}
+                    </h1>
+                    {roomData.title && <p className="text-lg text-gray-200">{roomData.title}</p>}
+                    {roomData.currentVideoMeta && (
+                        <p className="text-sm text-gray-400 truncate" title={currentVideoUrl}>
+                            <Film size={12} className="inline mr-1" />
+                            {[roomData.currentVideoMeta.title, formatVideoMeta(roomData.currentVideoMeta, language)].filter(Boolean).join(' · ')}
+                        </p>
+                    )}
+                    {roomData.description && <p className="text-sm text-gray-400">{roomData.description}</p>}
+                    <p className="text-sm text-gray-400 flex items-center gap-1">
+                        {t('lobby.userId', { userId })}
+                        <button onClick={onEditProfile} className="inline-flex items-center gap-1 hover:text-white" title={t('profile.edit')}>
+                            <Avatar userId={userId} profile={profiles[userId]} size={18} /> {displayName} <Pencil size={12} />
+                        </button>
+                    </p>
+                    {currentHostId && <p className="text-sm text-gray-500">{t('room.owner', { name: getDisplayName(currentHostId, roomData?.participants?.[currentHostId]?.displayName) })} {isCurrentUserHost ? t('common.youSuffix') : ""}</p>}
+                    {(roomData.lockPlayback || roomData.lockVideo) && (
+                        <p className="text-xs text-yellow-400 flex items-center mt-1">
+                            <Lock size={12} className="mr-1" />
+                            {t(roomData.lockPlayback && roomData.lockVideo ? 'room.locks.both' : roomData.lockPlayback ? 'room.locks.playback' : 'room.locks.video')}
+                        </p>
+                    )}
+                    {isLiveSource && (
+                        <p className="text-xs text-red-400 flex items-center mt-1">
+                            <span className="inline-block w-2 h-2 rounded-full bg-red-500 animate-pulse mr-1" />
+                            {t('live.sharedBy', { name: getDisplayName(liveShareHostId, roomData.participants?.[liveShareHostId]?.displayName) })}{isSharingHost ? ` ${t('common.youSuffix')}` : ""}
+                        </p>
+                    )}
+                    {(roomData.isPrivate || roomData.hasPassword || roomData.waitingRoom) && (
+                        <p className="text-xs text-sky-300 flex items-center mt-1">
+                            <EyeOff size={12} className="mr-1" />
+                            {[roomData.isPrivate && t('room.access.private'), roomData.hasPassword && t('room.access.password'), roomData.waitingRoom && t('room.access.waitingRoom')].filter(Boolean).join(", ")}
+                        </p>
+                    )}
+                </div>
+                <div className="mt-4 sm:mt-0 flex flex-wrap gap-2">
+                    <button
+                        onClick={() => shareRoomLink(false)}
+                        className="bg-gray-600 hover:bg-gray-500 text-white font-semibold py-2 px-4 rounded-lg flex items-center"
+                        title={t('room.copyLinkTitle')}
+                    >
+                        <Copy size={20} className="mr-2" /> {t('room.copyLink')}
+                    </button>
+                    {currentUserRole !== ROLES.VIEWER && (
+                        <button
+                            onClick={() => shareRoomLink(true)}
+                            className="bg-sky-600 hover:bg-sky-700 text-white font-semibold py-2 px-4 rounded-lg flex items-center"
+                            title={t('room.inviteTitle')}
+                        >
+                            <Ticket size={20} className="mr-2" /> {t('room.invite')}
+                        </button>
+                    )}
+                    <button
+                        onClick={() => setShowExportModal(true)}
+                        className="bg-gray-600 hover:bg-gray-500 text-white font-semibold py-2 px-4 rounded-lg flex items-center"
+                        title={t('export.buttonTitle')}
+                    >
+                        <Download size={20} className="mr-2" /> {t('export.button')}
+                    </button>
+                    {currentUserRole === ROLES.OWNER && (
+                        <button
+                            onClick={handleCloseRoom}
+                            className="bg-red-800 hover:bg-red-900 text-white font-semibold py-2 px-4 rounded-lg flex items-center"
+                            title={t('room.closeTitle')}
+                        >
+                            <Power size={20} className="mr-2" /> {t('room.close')}
+                        </button>
+                    )}
+                    <button
+                        onClick={handleLeaveRoom}
+                        className="bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-4 rounded-lg flex items-center"
+                    >
+                        <XCircle size={20} className="mr-2" /> {t('room.leave')}
+                    </button>
                 </div>
-                <button
-                    onClick={onLeave}
-                    className="mt-4 sm:mt-0 bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-4 rounded-lg flex items-center"
-                >
-                    <XCircle size={20} className="mr-2" /> Sair da Sala
-                </button>
             </header>
 
-            {error && <div className="bg-red-500 text-white p-3 rounded-md text-center mb-4">{error}</div>}
-            {geminiError && <div className="bg-yellow-500 text-black p-3 rounded-md text-center mb-4">{geminiError}</div>}
+            {shareLink && (
+                <div className="bg-gray-800 p-3 rounded-md text-sm flex items-center justify-between gap-2">
+                    <div className="min-w-0">
+                        <p className="text-gray-300">{t(shareLink.copied ? 'room.linkCopied' : 'room.copyBelow')} {shareLink.isInvite && t('room.inviteSingleUse')}</p>
+                        <input type="text" readOnly value={shareLink.url} onFocus={(e) => e.target.select()} className="w-full mt-1 p-1 rounded bg-gray-700 border border-gray-600 text-xs" />
+                    </div>
+                    <button onClick={() => setShareLink(null)} className="text-gray-400 hover:text-white"><XCircle size={18}/></button>
+                </div>
+            )}
+
+            {error && <div className="bg-red-500 text-white p-3 rounded-md text-center mb-4">{t(error.key, error.params)}</div>}
+            {aiError && <div className="bg-yellow-500 text-black p-3 rounded-md text-center mb-4">{t(aiError.key, aiError.params)}</div>}
 
 
             <div className="flex flex-col lg:flex-row gap-6 flex-grow min-h-0">
                 {/* Player e Controles */}
                 <div className="lg:w-2/3 bg-gray-800 p-4 md:p-6 rounded-lg shadow-xl flex flex-col">
-                    <div className="aspect-video bg-black rounded-md overflow-hidden mb-4">
-                        <video
-                            ref={videoRef}
-                            className="w-full h-full"
-                            controls
-                            onPlay={onPlay}
-                            onPause={onPause}
-                            onSeeked={onSeeked}
-                            onSeeking={onSeeking}
-                            onTimeUpdate={onTimeUpdate}
-                            onError={(e) => {
-                                console.error("Erro no player de vídeo:", e);
-                                setError(`Erro ao carregar vídeo. Verifique a URL e o formato. (${e.target.error?.message || 'Detalhes indisponíveis'})`);
-                            }}
-                        >
-                            {roomData?.currentVideoUrl ? 
-                                <source src={roomData.currentVideoUrl} /> : 
-                                <p className="text-center p-4">Nenhum vídeo carregado. Insira uma URL abaixo.</p>
-                            }
-                            Seu navegador não suporta o elemento de vídeo.
-                        </video>
+                    <style>{`@keyframes cinesync-reaction-float { from { bottom: 5%; opacity: 1; } to { bottom: 85%; opacity: 0; } }`}</style>
+                    <div className="relative aspect-video bg-black rounded-md overflow-hidden mb-4">
+                        {scheduledStartAt !== null && (
+                            <div className="absolute inset-0 z-30 flex flex-col items-center justify-center bg-gray-900/95 text-center p-4 space-y-3">
+                                <CalendarClock size={36} className="text-indigo-400" />
+                                {roomData.title && <h2 className="text-2xl font-semibold">{roomData.title}</h2>}
+                                <p className="text-gray-300">{t('schedule.startsAtLabel', { date: new Date(scheduledStartAt).toLocaleString(language, { dateStyle: 'full', timeStyle: 'short' }) })}</p>
+                                <p className="text-5xl font-mono text-green-400">{formatVideoTime(Math.ceil(Math.max(0, scheduledStartAt - scheduleNow) / 1000))}</p>
+                                <p className="text-sm text-gray-400">{t('schedule.waiting', { count: getActiveParticipants(roomData, scheduleNow).length })}</p>
+                                <div className="flex flex-wrap justify-center gap-2">
+                                    <button onClick={downloadRoomIcs} className="bg-gray-600 hover:bg-gray-500 py-2 px-4 rounded-lg flex items-center text-sm">
+                                        <CalendarPlus size={16} className="mr-2" /> {t('schedule.addToCalendar')}
+                                    </button>
+                                    {currentUserRole !== ROLES.VIEWER && (
+                                        <>
+                                            <button onClick={() => startScheduledParty(roomStore.serverTimestamp())} className="bg-green-600 hover:bg-green-700 py-2 px-4 rounded-lg flex items-center text-sm">
+                                                <SkipForward size={16} className="mr-2" /> {t('schedule.startNow')}
+                                            </button>
+                                            <button onClick={cancelSchedule} className="bg-red-600 hover:bg-red-700 py-2 px-4 rounded-lg flex items-center text-sm">
+                                                <XCircle size={16} className="mr-2" /> {t('schedule.cancel')}
+                                            </button>
+                                        </>
+                                    )}
+                                </div>
+                            </div>
+                        )}
+                        {isLiveSource && (
+                            <span className="absolute top-2 left-2 z-20 bg-red-600 text-white text-xs font-bold px-2 py-0.5 rounded flex items-center pointer-events-none">
+                                <span className="inline-block w-2 h-2 rounded-full bg-white animate-pulse mr-1" /> {t('live.badge')}
+                            </span>
+                        )}
+                        {isLiveSource && !liveStream && (
+                            <div className="absolute inset-0 z-20 flex items-center justify-center text-gray-300 bg-gray-900/80">
+                                <Loader2 size={20} className="animate-spin mr-2" /> {t('live.connecting')}
+                            </div>
+                        )}
+                        {isLocalSource && !playbackUrl && roomLocalFile && (
+                            <div className="absolute inset-0 z-20 flex flex-col items-center justify-center gap-3 p-4 text-center bg-gray-900/90">
+                                {localFileCheck ? (
+                                    <>
+                                        <p className="text-yellow-300 flex items-center"><AlertTriangle size={18} className="mr-2" /> {t('localFile.mismatch', { differences: localFileCheck.differences.map(difference => t(`localFile.difference.${difference}`)).join(', ') })}</p>
+                                        <p className="text-xs text-gray-400">
+                                            {t('localFile.yours', { name: localFileCheck.fingerprint.name })} · {formatFileSize(localFileCheck.fingerprint.size, language)}{localFileCheck.fingerprint.duration ? ` · ${formatDuration(localFileCheck.fingerprint.duration, language)}` : ''}
+                                        </p>
+                                        <div className="flex gap-2">
+                                            <button onClick={() => applyLocalFile(localFileCheck.objectUrl, localFileCheck.fingerprint, roomLocalFile.hash)} className="bg-yellow-600 hover:bg-yellow-700 py-1 px-3 rounded-lg text-sm">{t('localFile.useAnyway')}</button>
+                                            <button onClick={discardLocalFileCheck} className="bg-gray-600 hover:bg-gray-500 py-1 px-3 rounded-lg text-sm">{t('localFile.chooseAnother')}</button>
+                                        </div>
+                                    </>
+                                ) : (
+                                    <>
+                                        <p>{t('localFile.pickPrompt')}</p>
+                                        <p className="text-sm text-gray-300 flex items-center">
+                                            <FileVideo size={16} className="mr-1" />
+                                            {roomLocalFile.name} · {formatFileSize(roomLocalFile.size, language)}{roomLocalFile.duration ? ` · ${formatDuration(roomLocalFile.duration, language)}` : ''}
+                                        </p>
+                                        <label className="bg-indigo-500 hover:bg-indigo-600 py-2 px-4 rounded-lg flex items-center cursor-pointer">
+                                            {isReadingLocalFile ? <Loader2 size={18} className="mr-2 animate-spin" /> : <Upload size={18} className="mr-2" />} {t('localFile.choose')}
+                                            <input type="file" accept="video/*,audio/*" onChange={handleLocalFilePick} disabled={isReadingLocalFile} className="hidden" />
+                                        </label>
+                                    </>
+                                )}
+                            </div>
+                        )}
+                        <div className="absolute inset-0 pointer-events-none z-10">
+                            {floatingReactions.map(item => (
+                                <span
+                                    key={item.id}
+                                    className="absolute text-3xl"
+                                    style={{ left: `${item.left}%`, animation: `cinesync-reaction-float ${REACTION_FLOAT_MS}ms ease-out forwards` }}
+                                >
+                                    {item.emoji}
+                                </span>
+                            ))}
+                            {replayFeed.length > 0 && (
+                                <div className="absolute bottom-12 left-2 max-w-[60%] space-y-1">
+                                    {replayFeed.map(({ key, item }) => (
+                                        <p key={key} className="bg-black/60 text-white text-sm px-2 py-1 rounded">
+                                            {item.kind === 'chat'
+                                                ? <><span className="font-semibold" style={{ color: getProfileColor(item.userId, profiles[item.userId]) }}>{getDisplayName(item.userId, item.displayName)}:</span> {item.text}</>
+                                                : <span className="italic text-gray-300 flex items-center"><History size={12} className="mr-1 shrink-0" /> {describeSessionEvent(item, t)}</span>}
+                                        </p>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                        {isEmbedSource ? (
+                            <div ref={embedContainerRef} className="w-full h-full" />
+                        ) : (
+                            <video
+                                ref={videoRef}
+                                className="w-full h-full"
+                                controls
+                            >
+                                {currentSubtitles.filter(track => subtitleBlobUrls[track.id]).map(track => (
+                                    <track
+                                        key={track.id}
+                                        kind="subtitles"
+                                        src={subtitleBlobUrls[track.id]}
+                                        srcLang={track.language}
+                                        label={track.label}
+                                        data-subtitle-id={track.id}
+                                    />
+                                ))}
+                                {!currentVideoUrl && <p className="text-center p-4">{t('player.empty')}</p>}
+                                {t('player.unsupported')}
+                            </video>
+                        )}
                     </div>
+                    {roomLocalFile && (localFileMissing.length > 0 || localFileDifferent.length > 0) && (
+                        <div className="mb-4 p-2 bg-yellow-900/60 rounded-md text-sm space-y-1">
+                            {localFileDifferent.length > 0 && (
+                                <p className="flex items-center text-yellow-300">
+                                    <AlertTriangle size={16} className="mr-2 shrink-0" />
+                                    {t('localFile.differentParticipants', { names: localFileDifferent.map(p => p.displayName || p.id).join(', ') })}
+                                </p>
+                            )}
+                            {localFileMissing.length > 0 && (
+                                <p className="flex items-center text-gray-300">
+                                    <FileVideo size={16} className="mr-2 shrink-0" />
+                                    {t('localFile.missingParticipants', { names: localFileMissing.map(p => p.displayName || p.id).join(', ') })}
+                                </p>
+                            )}
+                        </div>
+                    )}
+                    {currentVideoUrl && (
+                        <div className="mb-4">
+                            {reactionDensity.some(count => count > 0) && (
+                                <div className="flex items-end gap-px h-8 mb-2" title={t('reactions.densityTitle')}>
+                                    {reactionDensity.map((count, index) => (
+                                        <button
+                                            key={index}
+                                            onClick={() => jumpToVideoTime(index * videoDuration / REACTION_DENSITY_BUCKETS)}
+                                            className="flex-1 bg-pink-500/70 hover:bg-pink-400 rounded-t-sm"
+                                            style={{ height: `${Math.max(count ? 10 : 2, count / maxReactionDensity * 100)}%` }}
+                                            title={`${formatVideoTime(index * videoDuration / REACTION_DENSITY_BUCKETS)} · ${t('reactions.count', { count })}`}
+                                        />
+                                    ))}
+                                </div>
+                            )}
+                            <div className="flex flex-wrap items-center gap-2">
+                                {Object.entries(CHAT_REACTIONS).map(([key, emoji]) => (
+                                    <button key={key} onClick={() => sendVideoReaction(key)} className="text-2xl hover:scale-125 transition-transform" title={t('reactions.reactNow')}>{emoji}</button>
+                                ))}
+                                <label className="ml-auto flex items-center gap-2 text-sm text-gray-300 cursor-pointer" title={t('reactions.replayTitle')}>
+                                    <input type="checkbox" checked={replayReactions} onChange={(e) => setReplayReactions(e.target.checked)} />
+                                    {t('reactions.replay')}
+                                </label>
+                                <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer" title={t('replay.sessionTitle')}>
+                                    <input type="checkbox" checked={isSessionReplayOn} onChange={(e) => setIsSessionReplayOn(e.target.checked)} />
+                                    {t('replay.session')}
+                                </label>
+                            </div>
+                            {isSessionReplayOn && (
+                                <div className="flex justify-end mt-2 text-sm text-gray-300">
+                                    {replaySessions === null ? (
+                                        <span className="flex items-center"><Loader2 size={14} className="mr-1 animate-spin" /> {t('replay.loading')}</span>
+                                    ) : replaySessions.length === 0 ? (
+                                        <span>{t('replay.noSessions')}</span>
+                                    ) : (
+                                        <select value={replaySessionId ?? ''} onChange={(e) => setReplaySessionId(e.target.value)} className="p-1 rounded bg-gray-700 border border-gray-600">
+                                            {replaySessions.map(session => (
+                                                <option key={session.id} value={session.id}>
+                                                    {t('replay.sessionOption', {
+                                                        date: session.startedAt !== null ? new Date(session.startedAt).toLocaleString(language, { dateStyle: 'short', timeStyle: 'short' }) : '?',
+                                                        count: session.items.length
+                                                    })}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    )}
                     <div className="flex flex-col sm:flex-row gap-2 items-center mb-4">
                         <input
                             type="text"
                             value={videoUrlInput}
                             onChange={(e) => setVideoUrlInput(e.target.value)}
-                            placeholder="URL do vídeo (.mp4, .webm, etc.)"
+                            placeholder={t(canCurrentUserChangeVideo ? 'player.urlPlaceholder' : 'player.urlPlaceholderQueueOnly')}
                             className="flex-grow p-2 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
                         />
                         <button
-                            onClick={handleVideoUrlChange}
-                            className="w-full sm:w-auto bg-indigo-500 hover:bg-indigo-600 text-white font-semibold py-2 px-4 rounded-lg flex items-center justify-center"
+                            onClick={() => previewVideoSource('room')}
+                            disabled={!canCurrentUserChangeVideo || videoProbe?.status === 'probing'}
+                            className="w-full sm:w-auto bg-indigo-500 hover:bg-indigo-600 disabled:bg-gray-600 text-white font-semibold py-2 px-4 rounded-lg flex items-center justify-center"
+                        >
+                            <LinkIcon size={18} className="mr-2" /> {t('player.load')}
+                        </button>
+                        {isSharingHost ? (
+                            <button
+                                onClick={() => stopScreenShare(liveShareSessionId)}
+                                className="w-full sm:w-auto bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-4 rounded-lg flex items-center justify-center"
+                            >
+                                <ScreenShareOff size={18} className="mr-2" /> {t('live.stop')}
+                            </button>
+                        ) : canCurrentUserChangeVideo && (
+                            <button
+                                onClick={startScreenShare}
+                                className="w-full sm:w-auto bg-gray-600 hover:bg-gray-500 text-white font-semibold py-2 px-4 rounded-lg flex items-center justify-center"
+                                title={t('live.startTitle')}
+                            >
+                                <ScreenShare size={18} className="mr-2" /> {t('live.start')}
+                            </button>
+                        )}
+                        {canCurrentUserChangeVideo && (
+                            <label className="w-full sm:w-auto bg-gray-600 hover:bg-gray-500 text-white font-semibold py-2 px-4 rounded-lg flex items-center justify-center cursor-pointer" title={t('localFile.buttonTitle')}>
+                                {isReadingLocalFile ? <Loader2 size={18} className="mr-2 animate-spin" /> : <FileVideo size={18} className="mr-2" />} {t('localFile.button')}
+                                <input type="file" accept="video/*,audio/*" onChange={handleLocalFileDeclare} disabled={isReadingLocalFile} className="hidden" />
+                            </label>
+                        )}
+                        <button
+                            onClick={() => previewVideoSource('queue')}
+                            disabled={videoProbe?.status === 'probing'}
+                            className="w-full sm:w-auto bg-gray-600 hover:bg-gray-500 disabled:bg-gray-700 text-white font-semibold py-2 px-4 rounded-lg flex items-center justify-center"
                         >
-                            <LinkIcon size={18} className="mr-2" /> Carregar Vídeo
+                            <ListVideo size={18} className="mr-2" /> {t('queue.add')}
                         </button>
                     </div>
+                    {videoProbe && (
+                        <div className="bg-gray-700 p-3 rounded-lg mb-4 flex gap-3 items-start text-sm">
+                            <div className="w-32 aspect-video bg-gray-800 rounded overflow-hidden flex items-center justify-center shrink-0">
+                                {videoProbe.status === 'probing' && <Loader2 size={24} className="animate-spin text-gray-400" />}
+                                {videoProbe.status === 'error' && <AlertTriangle size={24} className="text-red-400" />}
+                                {videoProbe.status === 'ready' && (videoProbe.metadata.thumbnailUrl
+                                    ? <img src={videoProbe.metadata.thumbnailUrl} alt="" className="w-full h-full object-cover" />
+                                    : <Film size={24} className="text-gray-500" />)}
+                            </div>
+                            <div className="flex-grow min-w-0">
+                                <p className="font-semibold truncate" title={videoProbe.url}>{videoProbe.metadata?.title || videoProbe.url}</p>
+                                {videoProbe.status === 'probing' && <p className="text-gray-400">{t('probe.checking')}</p>}
+                                {videoProbe.status === 'error' && <p className="text-red-300">{t('probe.failed', { details: videoProbe.details || t('room.error.noDetails') })}</p>}
+                                {videoProbe.status === 'ready' && (
+                                    <>
+                                        {formatVideoMeta(videoProbe.metadata, language) && <p className="text-gray-300">{formatVideoMeta(videoProbe.metadata, language)}</p>}
+                                        {videoProbe.metadata.codecs && (
+                                            <p className="text-xs text-gray-400">{t('probe.codecs', { codecs: [videoProbe.metadata.codecs.video, videoProbe.metadata.codecs.audio].filter(Boolean).join(', ') })}</p>
+                                        )}
+                                        {!EMBED_SOURCE_TYPES.includes(detectSourceType(videoProbe.url).type) && !videoProbe.metadata.width && (
+                                            <p className="text-xs text-yellow-300">{t('probe.audioOnly')}</p>
+                                        )}
+                                        {!videoProbe.metadata.duration && <p className="text-xs text-gray-400">{t('probe.noDuration')}</p>}
+                                    </>
+                                )}
+                                <div className="flex flex-wrap gap-2 mt-2">
+                                    {videoProbe.status !== 'probing' && (
+                                        <button
+                                            onClick={confirmVideoProbe}
+                                            className={`py-1 px-3 rounded-lg flex items-center ${videoProbe.status === 'ready' ? 'bg-indigo-500 hover:bg-indigo-600' : 'bg-gray-600 hover:bg-gray-500'}`}
+                                        >
+                                            {videoProbe.status === 'error'
+                                                ? t('probe.useAnyway')
+                                                : <><CheckCircle size={14} className="mr-1" /> {t(videoProbe.destination === 'queue' ? 'queue.add' : 'player.load')}</>}
+                                        </button>
+                                    )}
+                                    <button onClick={cancelVideoProbe} className="py-1 px-3 rounded-lg bg-gray-600 hover:bg-gray-500">{t('common.cancel')}</button>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+                    {currentUserRole !== ROLES.VIEWER && (
+                        <div className="flex flex-wrap gap-2 items-center text-sm">
+                            <span className="text-gray-400">{t('controls.title')}</span>
+                            {[
+                                { lock: 'lockPlayback', label: t('controls.playback') },
+                                { lock: 'lockVideo', label: t('controls.video') }
+                            ].map(({ lock, label }) => (
+                                <button
+                                    key={lock}
+                                    onClick={() => handleModerationAction({ type: 'TOGGLE_SETTING', payload: { setting: lock } })}
+                                    className={`py-1 px-3 rounded-lg flex items-center ${roomData[lock] ? 'bg-yellow-600 hover:bg-yellow-700' : 'bg-gray-600 hover:bg-gray-500'}`}
+                                    title={t(roomData[lock] ? 'controls.unlock' : 'controls.lock')}
+                                >
+                                    {roomData[lock] ? <Lock size={14} className="mr-1" /> : <Unlock size={14} className="mr-1" />} {label}
+                                </button>
+                            ))}
+                            <button
+                                onClick={() => handleModerationAction({ type: 'TOGGLE_SETTING', payload: { setting: 'waitForBuffering' } })}
+                                className={`py-1 px-3 rounded-lg flex items-center ${roomData.waitForBuffering ? 'bg-teal-600 hover:bg-teal-700' : 'bg-gray-600 hover:bg-gray-500'}`}
+                                title={t('controls.waitForBufferingTitle')}
+                            >
+                                <Hourglass size={14} className="mr-1" /> {t('controls.waitForBuffering')}
+                            </button>
+                            <button
+                                onClick={() => handleModerationAction({ type: 'TOGGLE_SETTING', payload: { setting: 'isPrivate' } })}
+                                className={`py-1 px-3 rounded-lg flex items-center ${roomData.isPrivate ? 'bg-sky-600 hover:bg-sky-700' : 'bg-gray-600 hover:bg-gray-500'}`}
+                                title={t('controls.privateTitle')}
+                            >
+                                <EyeOff size={14} className="mr-1" /> {t('controls.private')}
+                            </button>
+                            <button
+                                onClick={() => handleModerationAction({ type: 'TOGGLE_SETTING', payload: { setting: 'waitingRoom' } })}
+                                className={`py-1 px-3 rounded-lg flex items-center ${roomData.waitingRoom ? 'bg-sky-600 hover:bg-sky-700' : 'bg-gray-600 hover:bg-gray-500'}`}
+                                title={t('controls.waitingRoomTitle')}
+                            >
+                                <DoorOpen size={14} className="mr-1" /> {t('controls.waitingRoom')}
+                            </button>
+                            <button
+                                onClick={() => handleModerationAction({ type: 'TOGGLE_SETTING', payload: { setting: 'isPublic' } })}
+                                className={`py-1 px-3 rounded-lg flex items-center ${roomData.isPublic ? 'bg-sky-600 hover:bg-sky-700' : 'bg-gray-600 hover:bg-gray-500'}`}
+                                title={t(roomData.isPrivate ? 'controls.publicHiddenTitle' : 'controls.publicTitle')}
+                            >
+                                <Globe size={14} className="mr-1" /> {t('controls.public')}
+                            </button>
+                            <span className="flex items-center gap-1 w-full">
+                                <input
+                                    type="text"
+                                    value={roomTitleInput}
+                                    onChange={(e) => setRoomTitleInput(e.target.value)}
+                                    placeholder={t('controls.roomTitlePlaceholder')}
+                                    maxLength={80}
+                                    className="w-40 p-1 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
+                                />
+                                <input
+                                    type="text"
+                                    value={roomDescriptionInput}
+                                    onChange={(e) => setRoomDescriptionInput(e.target.value)}
+                                    placeholder={t('controls.roomDescriptionPlaceholder')}
+                                    maxLength={200}
+                                    className="flex-grow p-1 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
+                                />
+                                <button
+                                    onClick={() => handleModerationAction({ type: 'UPDATE_DETAILS', payload: { title: roomTitleInput, description: roomDescriptionInput } })}
+                                    disabled={roomTitleInput === roomTitle && roomDescriptionInput === roomDescription}
+                                    className="py-1 px-3 rounded-lg bg-gray-600 hover:bg-gray-500 disabled:opacity-50"
+                                >
+                                    {t('controls.saveDetails')}
+                                </button>
+                            </span>
+                            <span className="flex items-center gap-1">
+                                <input
+                                    type="password"
+                                    value={roomPasswordInput}
+                                    onChange={(e) => setRoomPasswordInput(e.target.value)}
+                                    placeholder={t(roomData.hasPassword ? 'controls.newPassword' : 'lobby.passwordPlaceholder')}
+                                    className="w-28 p-1 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
+                                />
+                                <button
+                                    onClick={() => handleModerationAction({ type: 'SET_PASSWORD', payload: { password: roomPasswordInput } })}
+                                    disabled={!roomPasswordInput}
+                                    className="py-1 px-2 rounded-lg flex items-center bg-gray-600 hover:bg-gray-500 disabled:opacity-50"
+                                    title={t('controls.setPassword')}
+                                >
+                                    <KeyRound size={14} />
+                                </button>
+                                {roomData.hasPassword && (
+                                    <button
+                                        onClick={() => handleModerationAction({ type: 'SET_PASSWORD', payload: { password: '' } })}
+                                        className="py-1 px-2 rounded-lg bg-gray-600 hover:bg-gray-500"
+                                        title={t('controls.removePassword')}
+                                    >
+                                        <XCircle size={14} />
+                                    </button>
+                                )}
+                            </span>
+                            <span className="flex items-center gap-1" title={t('moderation.title')}>
+                                <Shield size={14} className="text-gray-400" />
+                                <select
+                                    value={roomData.moderation?.mode || MODERATION_MODES.OFF}
+                                    onChange={(e) => handleModerationAction({ type: 'SET_MODERATION', payload: { mode: e.target.value } })}
+                                    className="p-1 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
+                                >
+                                    {Object.values(MODERATION_MODES).map(mode => <option key={mode} value={mode}>{t(`moderation.mode.${mode}`)}</option>)}
+                                </select>
+                                <label className="flex items-center gap-1 text-gray-300" title={t('moderation.aiCheckTitle', { provider: getAiProviderName() })}>
+                                    <input
+                                        type="checkbox"
+                                        checked={!!roomData.moderation?.aiCheck}
+                                        onChange={(e) => handleModerationAction({ type: 'SET_MODERATION', payload: { aiCheck: e.target.checked } })}
+                                    />
+                                    {t('moderation.aiCheck')}
+                                </label>
+                            </span>
+                            {(roomData.moderation?.mode || MODERATION_MODES.OFF) !== MODERATION_MODES.OFF && (
+                                <span className="flex items-center gap-1 w-full">
+                                    <textarea
+                                        value={moderationTermsInput}
+                                        onChange={(e) => setModerationTermsInput(e.target.value)}
+                                        placeholder={t('moderation.termsPlaceholder')}
+                                        rows={2}
+                                        className="flex-grow p-1 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500 font-mono text-xs"
+                                    />
+                                    <button
+                                        onClick={() => handleModerationAction({ type: 'SET_MODERATION', payload: { terms: moderationTermsInput } })}
+                                        disabled={moderationTermsInput === moderationTermsText}
+                                        className="py-1 px-3 rounded-lg bg-gray-600 hover:bg-gray-500 disabled:opacity-50"
+                                    >
+                                        {t('moderation.saveTerms')}
+                                    </button>
+                                </span>
+                            )}
+                            {currentVideoUrl && !isLiveSource && !roomData.readyCheck && (
+                                <button
+                                    onClick={() => handlePlayerAction({ type: 'READY_CHECK' })}
+                                    className="py-1 px-3 rounded-lg flex items-center bg-gray-600 hover:bg-gray-500"
+                                    title={t('readyCheck.startTitle')}
+                                >
+                                    <CheckCircle size={14} className="mr-1" /> {t('readyCheck.start')}
+                                </button>
+                            )}
+                        </div>
+                    )}
+
+                    {roomData.readyCheck && (
+                        <div className="mt-3 p-2 bg-indigo-900 rounded-md text-sm flex items-center justify-between">
+                            <span className="flex items-center">
+                                <Loader2 size={16} className="animate-spin mr-2" />
+                                {t('readyCheck.waiting', { ready: readyCount, count: participantsArray.length })}
+                            </span>
+                            {currentUserRole !== ROLES.VIEWER && (
+                                <button onClick={() => handlePlayerAction({ type: 'START_NOW' })} className="bg-indigo-500 hover:bg-indigo-600 py-1 px-2 rounded">
+                                    {t('readyCheck.startNow')}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                    {roomData.pausedForBuffering && (
+                        <div className="mt-3 p-2 bg-yellow-800 rounded-md text-sm flex items-center">
+                            <Hourglass size={16} className="mr-2" />
+                            {t('buffering.paused', { names: bufferingParticipants.map(p => p.displayName || p.id).join(', ') || t('buffering.someone') })}
+                        </div>
+                    )}
+
+                    {/* Legendas */}
+                    {currentVideoUrl && (
+                        <div className="mt-4 text-sm space-y-2">
+                            <div className="flex flex-wrap gap-2 items-center">
+                                <Subtitles size={18} className="text-indigo-400" />
+                                {isEmbedSource ? (
+                                    <span className="text-gray-400">{t('subtitles.unavailable')}</span>
+                                ) : (
+                                    <select
+                                        value={selectedSubtitleId}
+                                        onChange={(e) => selectSubtitle(e.target.value)}
+                                        className="p-1 rounded bg-gray-700 border border-gray-600"
+                                    >
+                                        <option value="">{t('subtitles.off')}</option>
+                                        {currentSubtitles.map(track => (
+                                            <option key={track.id} value={track.id}>{track.label} ({track.language})</option>
+                                        ))}
+                                    </select>
+                                )}
+                                {subtitleOffset !== 0 && <span className="text-gray-400">{t('subtitles.offset', { offset: `${subtitleOffset > 0 ? '+' : ''}${subtitleOffset}` })}</span>}
+                                {currentUserRole !== ROLES.VIEWER && !isEmbedSource && (
+                                    <>
+                                        <button onClick={() => changeSubtitleOffset(-SUBTITLE_OFFSET_STEP)} className="bg-gray-600 hover:bg-gray-500 p-1 rounded" title={t('subtitles.earlier')}><Minus size={14} /></button>
+                                        <button onClick={() => changeSubtitleOffset(SUBTITLE_OFFSET_STEP)} className="bg-gray-600 hover:bg-gray-500 p-1 rounded" title={t('subtitles.later')}><Plus size={14} /></button>
+                                        {subtitleOffset !== 0 && <button onClick={() => changeSubtitleOffset(0)} className="text-xs text-gray-300 hover:text-white underline">{t('subtitles.reset')}</button>}
+                                        {selectedSubtitleId && <button onClick={() => removeSubtitle(selectedSubtitleId)} className="text-red-300 hover:text-red-200" title={t('subtitles.remove')}><Trash2 size={14} /></button>}
+                                    </>
+                                )}
+                            </div>
+                            {currentUserRole !== ROLES.VIEWER && !isEmbedSource && (
+                                <div className="flex flex-wrap gap-2 items-center">
+                                    <input
+                                        type="text"
+                                        value={subtitleLabelInput}
+                                        onChange={(e) => setSubtitleLabelInput(e.target.value)}
+                                        placeholder={t('subtitles.labelPlaceholder')}
+                                        className="w-32 p-1 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
+                                    />
+                                    <input
+                                        type="text"
+                                        value={subtitleLanguageInput}
+                                        onChange={(e) => setSubtitleLanguageInput(e.target.value)}
+                                        placeholder={t('subtitles.languagePlaceholder')}
+                                        className="w-32 p-1 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
+                                    />
+                                    <label className="bg-gray-600 hover:bg-gray-500 py-1 px-2 rounded flex items-center cursor-pointer">
+                                        <Upload size={14} className="mr-1" /> {t('subtitles.file')}
+                                        <input type="file" accept=".srt,.vtt" onChange={handleSubtitleFile} className="hidden" />
+                                    </label>
+                                    <input
+                                        type="text"
+                                        value={subtitleUrlInput}
+                                        onChange={(e) => setSubtitleUrlInput(e.target.value)}
+                                        placeholder={t('subtitles.urlPlaceholder')}
+                                        className="flex-grow p-1 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
+                                    />
+                                    <button onClick={handleSubtitleUrl} className="bg-gray-600 hover:bg-gray-500 py-1 px-2 rounded">{t('subtitles.add')}</button>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Fila de vídeos */}
+                    <div className="mt-4">
+                        <h3 className="text-lg font-semibold mb-2 flex items-center"><ListVideo size={20} className="mr-2 text-indigo-400"/>{t('queue.title', { count: queueItems.length })}</h3>
+                        {queueItems.length === 0 && <p className="text-gray-400 text-sm">{t('queue.empty')}</p>}
+                        <div className="max-h-48 overflow-y-auto space-y-1">
+                            {queueItems.map((item, index) => {
+                                const voteCount = item.votes?.length || 0;
+                                const canMoveUp = index > 0 && (queueItems[index - 1].votes?.length || 0) === voteCount;
+                                const canMoveDown = index < queueItems.length - 1 && (queueItems[index + 1].votes?.length || 0) === voteCount;
+                                return (
+                                    <div key={item.id} className={`text-sm p-2 rounded flex items-center gap-2 ${index === 0 ? 'bg-gray-600' : 'bg-gray-700'}`}>
+                                        <div className="flex flex-col">
+                                            <button onClick={() => handleQueueAction({ type: 'MOVE', payload: { item, direction: -1 } })} disabled={!canMoveUp} className="disabled:opacity-30" title={t('queue.moveUp')}><ChevronUp size={14} /></button>
+                                            <button onClick={() => handleQueueAction({ type: 'MOVE', payload: { item, direction: 1 } })} disabled={!canMoveDown} className="disabled:opacity-30" title={t('queue.moveDown')}><ChevronDown size={14} /></button>
+                                        </div>
+                                        {(item.metadata?.thumbnailUrl || videoThumbnails[item.url] || getVideoThumbnailUrl(item.url)) && (
+                                            <img src={item.metadata?.thumbnailUrl || videoThumbnails[item.url] || getVideoThumbnailUrl(item.url)} alt="" className="w-16 aspect-video object-cover rounded shrink-0" />
+                                        )}
+                                        <div className="flex-grow min-w-0">
+                                            <p className="truncate" title={item.url}>{item.metadata?.title || item.url}</p>
+                                            {formatVideoMeta(item.metadata, language) && <p className="text-xs text-gray-300">{formatVideoMeta(item.metadata, language)}</p>}
+                                            <p className="text-xs text-gray-400">{index === 0 ? `${t('queue.next')} · ` : ''}{t('queue.addedBy', { name: getDisplayName(item.addedBy, item.addedByName) })}</p>
+                                        </div>
+                                        <button
+                                            onClick={() => handleQueueAction({ type: 'VOTE', payload: { item } })}
+                                            className={`flex items-center py-1 px-2 rounded ${item.votes?.includes(userId) ? 'bg-indigo-500' : 'bg-gray-500 hover:bg-gray-400'}`}
+                                            title={t('queue.vote')}
+                                        >
+                                            <ThumbsUp size={14} className="mr-1" /> {voteCount}
+                                        </button>
+                                        {canCurrentUserChangeVideo && (
+                                            <button onClick={() => advanceQueue(item)} className="opacity-75 hover:opacity-100" title={t('queue.playNow')}><SkipForward size={16} /></button>
+                                        )}
+                                        {currentUserRole !== ROLES.VIEWER && (
+                                            <button onClick={() => handleQueueAction({ type: 'REMOVE', payload: { item } })} className="opacity-75 hover:opacity-100 text-red-300" title={t('queue.remove')}><Trash2 size={16} /></button>
+                                        )}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
                 </div>
 
                 {/* Chat e Participantes */}
                 <div className="lg:w-1/3 bg-gray-800 p-4 md:p-6 rounded-lg shadow-xl flex flex-col min-h-0 h-[60vh] lg:h-auto">
+                    {currentUserRole !== ROLES.VIEWER && joinRequests.length > 0 && (
+                        <div className="mb-4">
+                            <h3 className="text-lg font-semibold mb-2 flex items-center"><DoorOpen size={20} className="mr-2 text-sky-400"/>{t('waitingRoom.title', { count: joinRequests.length })}</h3>
+                            <div className="max-h-32 overflow-y-auto bg-gray-700 p-2 rounded-md space-y-1">
+                                {joinRequests.map(request => (
+                                    <div key={request.id} className="flex items-center justify-between text-sm">
+                                        <span className="truncate">{request.displayName || request.id}</span>
+                                        <span className="flex items-center gap-1">
+                                            <button onClick={() => handleModerationAction({ type: 'APPROVE_JOIN', payload: { targetId: request.id } })} className="text-green-400 hover:text-green-300" title={t('waitingRoom.approve')}><CheckCircle size={16}/></button>
+                                            <button onClick={() => handleModerationAction({ type: 'DENY_JOIN', payload: { targetId: request.id } })} className="text-red-400 hover:text-red-300" title={t('waitingRoom.deny')}><XCircle size={16}/></button>
+                                        </span>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                    {canReviewMessages && heldMessages.length > 0 && (
+                        <div className="mb-4">
+                            <h3 className="text-lg font-semibold mb-2 flex items-center"><AlertTriangle size={20} className="mr-2 text-yellow-400"/>{t('moderation.reviewTitle', { count: heldMessages.length })}</h3>
+                            <div className="max-h-40 overflow-y-auto bg-gray-700 p-2 rounded-md space-y-2">
+                                {heldMessages.map(msg => (
+                                    <div key={msg.id} className="text-sm">
+                                        <div className="flex items-start justify-between gap-2">
+                                            <p className="break-words min-w-0"><strong>{getDisplayName(msg.userId, msg.displayName)}:</strong> {msg.text}{msg.editOf && <span className="text-xs opacity-60"> {t('moderation.heldEdit')}</span>}</p>
+                                            <span className="flex items-center gap-1 shrink-0">
+                                                <button onClick={() => approveHeldMessage(msg)} className="text-green-400 hover:text-green-300" title={t('moderation.approve')}><CheckCircle size={16}/></button>
+                                                <button onClick={() => discardHeldMessage(msg)} className="text-red-400 hover:text-red-300" title={t('moderation.delete')}><Trash2 size={16}/></button>
+                                            </span>
+                                        </div>
+                                        <p className="text-xs text-yellow-300">{formatModerationReason(msg.moderation)}</p>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                    <div className="mb-4">
+                        <div className="flex justify-between items-center mb-2">
+                            <h3 className="text-lg font-semibold flex items-center"><Headphones size={20} className="mr-2 text-indigo-400"/>{t('call.title')}</h3>
+                            {callSessionId ? (
+                                <button onClick={leaveCall} className="bg-red-600 hover:bg-red-700 text-white py-1 px-3 rounded-lg text-sm flex items-center">
+                                    <PhoneOff size={16} className="mr-1" /> {t('call.leave')}
+                                </button>
+                            ) : (
+                                <button onClick={joinCall} className="bg-green-600 hover:bg-green-700 text-white py-1 px-3 rounded-lg text-sm flex items-center">
+                                    <Headphones size={16} className="mr-1" /> {t('call.join')}
+                                </button>
+                            )}
+                        </div>
+                        {callSessionId && (
+                            <>
+                                <div className="flex flex-wrap gap-2 items-center text-sm mb-2">
+                                    <button
+                                        onClick={() => setIsMicMuted(!isMicMuted)}
+                                        className={`p-2 rounded-lg ${isMicMuted ? 'bg-red-600 hover:bg-red-700' : 'bg-gray-600 hover:bg-gray-500'}`}
+                                        title={t(isMicMuted ? 'call.unmuteMic' : 'call.muteMic')}
+                                    >
+                                        {isMicMuted ? <MicOff size={16} /> : <Mic size={16} />}
+                                    </button>
+                                    <button
+                                        onClick={toggleCamera}
+                                        className={`p-2 rounded-lg ${isCameraOn ? 'bg-indigo-600 hover:bg-indigo-700' : 'bg-gray-600 hover:bg-gray-500'}`}
+                                        title={t(isCameraOn ? 'call.cameraOff' : 'call.cameraOn')}
+                                    >
+                                        {isCameraOn ? <VideoIcon size={16} /> : <VideoOff size={16} />}
+                                    </button>
+                                    <label className="flex items-center gap-1 cursor-pointer" title={t('call.pushToTalkTitle')}>
+                                        <input type="checkbox" checked={isPushToTalk} onChange={(e) => setIsPushToTalk(e.target.checked)} />
+                                        {t('call.pushToTalk')}
+                                    </label>
+                                    {isPushToTalk && (
+                                        <button
+                                            onPointerDown={() => setIsTalkKeyHeld(true)}
+                                            onPointerUp={() => setIsTalkKeyHeld(false)}
+                                            onPointerLeave={() => setIsTalkKeyHeld(false)}
+                                            className={`py-1 px-2 rounded-lg select-none ${isTalkKeyHeld ? 'bg-green-600' : 'bg-gray-600 hover:bg-gray-500'}`}
+                                        >
+                                            {t('call.holdToTalk')}
+                                        </button>
+                                    )}
+                                    <label className="flex items-center gap-1 cursor-pointer" title={t('call.duckingTitle')}>
+                                        <input type="checkbox" checked={isDuckingEnabled} onChange={(e) => setIsDuckingEnabled(e.target.checked)} />
+                                        {t('call.ducking')}
+                                    </label>
+                                </div>
+                                <div className="flex flex-wrap gap-2">
+                                    <VoiceTile stream={localStream} label={`${displayName} ${t('common.youSuffix')}`} showVideo={isCameraOn} muted mirrored />
+                                    {participantsArray.filter(p => p.id !== userId && p.call?.sessionId).map(p => (
+                                        <VoiceTile
+                                            key={p.id}
+                                            stream={remoteStreams[p.id] || null}
+                                            label={p.displayName || p.id}
+                                            showVideo={Boolean(p.call.camera && remoteStreams[p.id])}
+                                            muted={mutedPeerIds.includes(p.id)}
+                                            speaking={speakingPeerIds.includes(p.id) && !mutedPeerIds.includes(p.id)}
+                                        >
+                                            <button
+                                                onClick={() => togglePeerMuted(p.id)}
+                                                className="absolute top-1 right-1 p-0.5 rounded bg-black/60 hover:bg-black/80"
+                                                title={t(mutedPeerIds.includes(p.id) ? 'call.unmutePeer' : 'call.mutePeer')}
+                                            >
+                                                {mutedPeerIds.includes(p.id) ? <VolumeX size={12} className="text-red-400" /> : <Volume2 size={12} />}
+                                            </button>
+                                            {!remoteStreams[p.id] && <Loader2 size={14} className="absolute top-1 left-1 animate-spin text-gray-300" />}
+                                        </VoiceTile>
+                                    ))}
+                                </div>
+                            </>
+                        )}
+                    </div>
                     <div className="mb-4">
-                        <h3 className="text-xl font-semibold mb-2 flex items-center"><Users size={22} className="mr-2 text-indigo-400"/>Participantes ({participantsArray.length})</h3>
+                        <h3 className="text-xl font-semibold mb-2 flex items-center"><Users size={22} className="mr-2 text-indigo-400"/>{t('participants.title', { count: participantsArray.length })}</h3>
                         <div className="max-h-32 overflow-y-auto bg-gray-700 p-2 rounded-md space-y-1">
                             {participantsArray.map(p => (
-                                <div key={p.id} className={`text-sm p-1 rounded ${p.id === userId ? 'bg-indigo-600 text-white' : 'bg-gray-600'}`}>
-                                    {p.displayName || p.id} {p.id === currentHostId ? <span className="text-xs opacity-75">(Host)</span> : ''}
+                                <div key={p.id} className={`text-sm p-1 rounded flex items-center justify-between ${p.id === userId ? 'bg-indigo-600 text-white' : 'bg-gray-600'}`}>
+                                    <span className="flex items-center">
+                                        <Avatar userId={p.id} profile={profiles[p.id]} size={18} className="mr-1" />
+                                        <span
+                                            className={`inline-block w-2 h-2 rounded-full mr-2 ${(PRESENCE_STATUS_DISPLAY[p.status] || PRESENCE_STATUS_DISPLAY[PRESENCE_STATUS.PAUSED]).color}`}
+                                            title={t((PRESENCE_STATUS_DISPLAY[p.status] || PRESENCE_STATUS_DISPLAY[PRESENCE_STATUS.PAUSED]).label)}
+                                        />
+                                        {p.displayName || p.id}
+                                        {getUserRole(roomData, p.id) === ROLES.OWNER && <span title={t('participants.owner')} className="ml-1 text-yellow-300"><Crown size={12} /></span>}
+                                        {getUserRole(roomData, p.id) === ROLES.COHOST && <span title={t('participants.cohost')} className="ml-1 text-teal-300"><Shield size={12} /></span>}
+                                        {roomData.readyCheck && p.readyFor === roomData.readyCheck.id && <span title={t('participants.ready')} className="ml-1 text-green-300"><CheckCircle size={12} /></span>}
+                                        {p.call?.sessionId && <span title={t('participants.inCall')} className="ml-1 text-sky-300"><Headphones size={12} /></span>}
+                                        {roomLocalFile && getLocalFileStatus(p, roomLocalFile) === 'different' && <span title={t('participants.localFileDifferent')} className="ml-1 text-yellow-300"><AlertTriangle size={12} /></span>}
+                                        {roomLocalFile && getLocalFileStatus(p, roomLocalFile) === 'missing' && <span title={t('participants.localFileMissing')} className="ml-1 text-gray-400"><FileVideo size={12} /></span>}
+                                    </span>
+                                    <span className="flex items-center gap-1">
+                                        {currentUserRole === ROLES.OWNER && p.id !== userId && (
+                                            <>
+                                                {getUserRole(roomData, p.id) === ROLES.COHOST ? (
+                                                    <button onClick={() => handleModerationAction({ type: 'DEMOTE_COHOST', payload: { targetId: p.id } })} className="opacity-75 hover:opacity-100" title={t('participants.demote')}><ShieldOff size={14} /></button>
+                                                ) : (
+                                                    <button onClick={() => handleModerationAction({ type: 'PROMOTE_COHOST', payload: { targetId: p.id } })} className="opacity-75 hover:opacity-100" title={t('participants.promote')}><Shield size={14} /></button>
+                                                )}
+                                                <button onClick={() => handleModerationAction({ type: 'TRANSFER_OWNERSHIP', payload: { targetId: p.id } })} className="opacity-75 hover:opacity-100" title={t('participants.transfer')}><Crown size={14} /></button>
+                                            </>
+                                        )}
+                                        {canModerate(roomData, userId, p.id) && (
+                                            <>
+                                                <button onClick={() => handleModerationAction({ type: 'KICK', payload: { targetId: p.id } })} className="opacity-75 hover:opacity-100" title={t('participants.kick')}><UserMinus size={14} /></button>
+                                                <button onClick={() => handleModerationAction({ type: 'BAN', payload: { targetId: p.id } })} className="opacity-75 hover:opacity-100 text-red-300" title={t('participants.ban')}><Ban size={14} /></button>
+                                            </>
+                                        )}
+                                    </span>
                                 </div>
                             ))}
                         </div>
                     </div>
 
                     <div className="flex justify-between items-center mb-2">
-                        <h3 className="text-xl font-semibold flex items-center"><MessageSquare size={22} className="mr-2 text-indigo-400"/>Chat</h3>
+                        <h3 className="text-xl font-semibold flex items-center"><MessageSquare size={22} className="mr-2 text-indigo-400"/>{t('chat.title')}</h3>
+                        <span className="text-xs text-gray-400 ml-auto mr-2" title={t('ai.providerTitle', { provider: getAiProviderName() })}>
+                            {t('ai.usage', { provider: getAiProviderName(), room: formatCost(roomData?.aiUsage?.totalCost || 0, language), user: formatCost(roomData?.aiUsage?.users?.[userId]?.cost || 0, language) })}
+                        </span>
                         <button
                             onClick={handleGenerateSummary}
                             disabled={isSummarizing || chatMessages.length === 0}
                             className="bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 text-white font-semibold py-1 px-3 rounded-lg text-sm flex items-center"
-                            title="Gerar resumo da conversa com IA"
+                            title={t('ai.summaryTitle')}
                         >
                             {isSummarizing ? <Loader2 size={18} className="animate-spin mr-1" /> : <BotMessageSquare size={18} className="mr-1" />}
-                            Resumo ✨
+                            {t('ai.summary')}
                         </button>
                     </div>
-                    <div className="flex-grow bg-gray-700 p-3 rounded-md overflow-y-auto mb-3 min-h-[150px] lg:min-h-0">
-                        {chatMessages.length === 0 && <p className="text-gray-400 text-sm text-center">Nenhuma mensagem ainda.</p>}
-                        {chatMessages.map(msg => (
-                            <div key={msg.id} className={`mb-2 p-2 rounded-lg max-w-[85%] ${msg.userId === userId ? 'bg-indigo-600 ml-auto text-right' : 'bg-gray-600 mr-auto text-left'}`}>
-                                <p className="font-semibold text-xs opacity-80">{msg.displayName || msg.userId}{msg.userId === userId ? ' (Você)' : ''}</p>
-                                <p className="text-sm break-words">{msg.text}</p>
-                                <p className="text-xs opacity-60 mt-1">
-                                    {msg.timestamp?.toDate ? new Date(msg.timestamp.toDate()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : 'Enviando...'}
-                                </p>
-                            </div>
-                        ))}
+                    <div className="flex items-center gap-2 mb-2 text-xs text-gray-300">
+                        <Languages size={14} className="text-indigo-400" />
+                        <select
+                            value={language}
+                            onChange={(e) => onLanguageChange(e.target.value)}
+                            className="p-1 rounded bg-gray-700 border border-gray-600 focus:outline-none focus:border-indigo-500"
+                            title={t('chat.languageTitle')}
+                        >
+                            {Object.entries(LANGUAGES).map(([code, { label }]) => <option key={code} value={code}>{label}</option>)}
+                        </select>
+                        <label className="flex items-center gap-1">
+                            <input type="checkbox" checked={autoTranslate} onChange={toggleAutoTranslate} />
+                            {t('chat.autoTranslate')}
+                        </label>
                     </div>
+                    <div ref={chatContainerRef} onScroll={handleChatScroll} className="flex-grow bg-gray-700 p-3 rounded-md overflow-y-auto mb-3 min-h-[150px] lg:min-h-0">
+                        {hasOlderMessages && (
+                            <button onClick={loadOlderMessages} disabled={isLoadingOlderMessages} className="block mx-auto mb-2 text-xs text-indigo-300 hover:text-indigo-200 disabled:opacity-50">
+                                {t('chat.loadOlder')}
+                            </button>
+                        )}
+                        {visibleChatMessages.length === 0 && <p className="text-gray-400 text-sm text-center">{t('chat.empty')}</p>}
+                        {visibleChatMessages.map(msg => {
+                            const isOwnMessage = msg.userId === userId;
+                            const canTranslate = !isOwnMessage && !msg.deleted && msg.language !== language;
+                            const translation = canTranslate ? msg.translations?.[language] : undefined;
+                            const reactions = Object.entries(msg.reactions || {}).filter(([key, reactedIds]) => CHAT_REACTIONS[key] && reactedIds.length > 0);
+                            return (
+                                <div key={msg.id} id={`chat-${msg.id}`} className={`group mb-2 p-2 rounded-lg max-w-[85%] ${isOwnMessage ? 'bg-indigo-600 ml-auto text-right' : 'bg-gray-600 mr-auto text-left'} ${msg.heldReview ? 'border border-dashed border-yellow-400' : ''}`}>
+                                    <p className={`font-semibold text-xs flex items-center gap-1 ${isOwnMessage ? 'justify-end' : ''}`}>
+                                        <Avatar userId={msg.userId} profile={profiles[msg.userId]} size={16} />
+                                        <span style={{ color: isOwnMessage ? undefined : getProfileColor(msg.userId, profiles[msg.userId]) }} className={isOwnMessage ? 'opacity-80' : ''}>
+                                            {getDisplayName(msg.userId, msg.displayName)}{isOwnMessage ? ` ${t('common.youSuffix')}` : ''}
+                                        </span>
+                                    </p>
+                                    {msg.replyTo && (
+                                        <button
+                                            onClick={() => scrollToChatMessage(msg.replyTo.id)}
+                                            className="block w-full text-left text-xs border-l-2 border-gray-300 pl-2 my-1 opacity-75 hover:opacity-100 truncate"
+                                            title={t('chat.goToOriginal')}
+                                        >
+                                            <span className="font-semibold">{getDisplayName(msg.replyTo.userId, msg.replyTo.displayName)}:</span> {getReplyPreview(msg.replyTo)}
+                                        </button>
+                                    )}
+                                    {editingMessageId === msg.id ? (
+                                        <div className="flex gap-1 mt-1">
+                                            <input
+                                                type="text"
+                                                value={editingText}
+                                                onChange={(e) => setEditingText(e.target.value)}
+                                                onKeyDown={(e) => {
+                                                    if (e.key === 'Enter') handleChatAction({ type: 'EDIT', payload: { message: msg, text: editingText } });
+                                                    if (e.key === 'Escape') setEditingMessageId(null);
+                                                }}
+                                                autoFocus
+                                                className="flex-grow min-w-0 p-1 rounded bg-gray-700 border border-gray-500 text-sm text-left focus:outline-none focus:border-indigo-300"
+                                            />
+                                            <button onClick={() => handleChatAction({ type: 'EDIT', payload: { message: msg, text: editingText } })} className="text-green-300 hover:text-green-200" title={t('common.save')}><CheckCircle size={16}/></button>
+                                            <button onClick={() => setEditingMessageId(null)} className="text-gray-300 hover:text-white" title={t('common.cancel')}><XCircle size={16}/></button>
+                                        </div>
+                                    ) : msg.deleted ? (
+                                        <p className="text-sm italic opacity-60">{t('chat.deleted')}</p>
+                                    ) : (
+                                        <p className="text-sm break-words" title={translation !== undefined ? t('chat.original', { text: msg.text }) : undefined}>{renderTextWithTimecodes(translation ?? msg.text)}</p>
+                                    )}
+                                    {reactions.length > 0 && (
+                                        <div className={`flex flex-wrap gap-1 mt-1 ${isOwnMessage ? 'justify-end' : 'justify-start'}`}>
+                                            {reactions.map(([key, reactedIds]) => (
+                                                <button
+                                                    key={key}
+                                                    onClick={() => handleChatAction({ type: 'REACT', payload: { message: msg, reaction: key } })}
+                                                    className={`text-xs px-1.5 rounded-full border ${reactedIds.includes(userId) ? 'bg-indigo-400/40 border-indigo-300' : 'bg-gray-700/60 border-gray-500'}`}
+                                                    title={t(reactedIds.includes(userId) ? 'chat.removeReaction' : 'chat.react')}
+                                                >
+                                                    {CHAT_REACTIONS[key]} {reactedIds.length}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    )}
+                                    {reactionPickerId === msg.id && (
+                                        <div className={`flex gap-1 mt-1 ${isOwnMessage ? 'justify-end' : 'justify-start'}`}>
+                                            {Object.entries(CHAT_REACTIONS).map(([key, emoji]) => (
+                                                <button key={key} onClick={() => handleChatAction({ type: 'REACT', payload: { message: msg, reaction: key } })} className="hover:scale-125 transition-transform">{emoji}</button>
+                                            ))}
+                                        </div>
+                                    )}
+                                    <div className={`flex items-center gap-2 mt-1 ${isOwnMessage ? 'justify-end' : 'justify-start'}`}>
+                                        {msg.videoPosition !== undefined && (
+                                            msg.videoUrl === currentVideoUrl ? (
+                                                <button onClick={() => jumpToVideoTime(msg.videoPosition)} className="text-xs font-mono opacity-75 hover:opacity-100 hover:underline flex items-center" title={t('chat.jumpToMoment')}>
+                                                    <Film size={12} className="mr-0.5"/>{formatVideoTime(msg.videoPosition)}
+                                                </button>
+                                            ) : (
+                                                <span className="text-xs font-mono opacity-40 flex items-center" title={t('chat.otherVideo')}>
+                                                    <Film size={12} className="mr-0.5"/>{formatVideoTime(msg.videoPosition)}
+                                                </span>
+                                            )
+                                        )}
+                                        <p className="text-xs opacity-60">
+                                            {timestampToMillis(msg.timestamp) !== null ? formatClockTime(timestampToMillis(msg.timestamp), language) : t('chat.sending')}
+                                            {msg.editedAt && !msg.deleted ? ` ${t('chat.edited')}` : ''}
+                                        </p>
+                                        {translation !== undefined && (
+                                            <span className="text-xs opacity-60 flex items-center" title={t('chat.original', { text: msg.text })}>
+                                                <Languages size={12} className="mr-0.5"/>{t('chat.translated')}
+                                            </span>
+                                        )}
+                                        {(translatingMessageIds.includes(msg.id) || (canTranslate && msg.translationClaims?.[language])) && <Loader2 size={12} className="animate-spin opacity-60" />}
+                                        {msg.heldReview && (
+                                            <span className="text-xs text-yellow-300 flex items-center gap-1" title={formatModerationReason(msg.heldReview.moderation)}>
+                                                <AlertTriangle size={12}/>{t('moderation.awaitingReview')}
+                                                <button onClick={() => discardHeldMessage(msg.heldReview)} className="hover:text-red-300" title={t('moderation.discardHeld')}><Trash2 size={12}/></button>
+                                            </span>
+                                        )}
+                                        {!msg.deleted && !msg.heldReview && editingMessageId !== msg.id && (
+                                            <div className="hidden group-hover:flex items-center gap-1 opacity-75">
+                                                <button onClick={() => setReplyingTo(msg)} className="hover:opacity-100" title={t('chat.reply')}><Reply size={14}/></button>
+                                                <button onClick={() => setReactionPickerId(reactionPickerId === msg.id ? null : msg.id)} className="hover:opacity-100" title={t('chat.react')}><SmilePlus size={14}/></button>
+                                                {canTranslate && translation === undefined && (
+                                                    <button onClick={() => translateChatMessage(msg, { manual: true })} className="hover:opacity-100" title={t('chat.translateTo', { language: LANGUAGES[language].label })}><Languages size={14}/></button>
+                                                )}
+                                                {isOwnMessage && (
+                                                    <button onClick={() => { setEditingMessageId(msg.id); setEditingText(msg.text); }} className="hover:opacity-100" title={t('chat.edit')}><Pencil size={14}/></button>
+                                                )}
+                                                {(isOwnMessage || isRoomHost(roomData, userId)) && (
+                                                    <button onClick={() => handleChatAction({ type: 'DELETE', payload: { message: msg } })} className="hover:text-red-300" title={t('chat.delete')}><Trash2 size={14}/></button>
+                                                )}
+                                            </div>
+                                        )}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+
+                    {replyingTo && (
+                        <div className="mb-2 px-2 py-1 bg-gray-700 border-l-2 border-indigo-400 rounded text-xs flex justify-between items-center gap-2">
+                            <span className="truncate">{t('chat.replyingTo')} <strong>{getDisplayName(replyingTo.userId, replyingTo.displayName)}</strong>: {replyingTo.text}</span>
+                            <button onClick={() => setReplyingTo(null)} className="text-gray-400 hover:text-white" title={t('chat.cancelReply')}><XCircle size={14}/></button>
+                        </div>
+                    )}
                     
                     {suggestedComment && (
                         <div className="mb-2 p-2 bg-green-700 rounded-md text-sm">
                             <div className="flex justify-between items-start">
                                 <div>
-                                    <strong className="flex items-center"><Lightbulb size={16} className="mr-1 text-yellow-300"/> Sugestão IA:</strong>
-                                    <p className="italic ml-1">{suggestedComment}</p>
+                                    <strong className="flex items-center"><Lightbulb size={16} className="mr-1 text-yellow-300"/> {t('ai.suggestion')}</strong>
+                                    <p className="italic ml-1">{suggestedComment}{isSuggestingComment && <Loader2 size={12} className="inline animate-spin ml-1" />}</p>
                                 </div>
                                 <button onClick={() => setSuggestedComment('')} className="text-green-200 hover:text-white text-xs"><XCircle size={16}/></button>
                             </div>
                              <button 
                                 onClick={() => { setNewMessage(suggestedComment); setSuggestedComment(''); }}
+                                disabled={isSuggestingComment}
                                 className="mt-1 text-xs bg-green-500 hover:bg-green-400 px-2 py-0.5 rounded"
                             >
-                                Usar esta sugestão
+                                {t('ai.useSuggestion')}
                             </button>
                         </div>
                     )}
@@ -650,24 +6609,25 @@ function Room({ roomId, userId, displayName, onLeave }) {
                             value={newMessage}
                             onChange={(e) => setNewMessage(e.target.value)}
                             onKeyPress={(e) => e.key === 'Enter' && sendChatMessage()}
-                            placeholder="Digite sua mensagem..."
+                            placeholder={t('chat.placeholder')}
                             className="flex-grow p-2 rounded bg-gray-600 border border-gray-500 focus:outline-none focus:border-indigo-500"
                         />
                          <button
                             onClick={handleSuggestComment}
                             disabled={isSuggestingComment}
                             className="bg-teal-500 hover:bg-teal-600 disabled:bg-gray-600 text-white font-semibold p-2 rounded-lg flex items-center justify-center"
-                            title="Sugerir comentário com IA"
-                            aria-label="Sugerir comentário"
+                            title={t('ai.suggestTitle')}
+                            aria-label={t('ai.suggest')}
                         >
                             {isSuggestingComment ? <Loader2 size={20} className="animate-spin" /> : <Sparkles size={20} />}
                         </button>
                         <button
                             onClick={sendChatMessage}
-                            className="bg-indigo-500 hover:bg-indigo-600 text-white font-semibold p-2 rounded-lg"
-                            aria-label="Enviar mensagem"
+                            disabled={isModeratingMessage}
+                            className="bg-indigo-500 hover:bg-indigo-600 disabled:bg-gray-600 text-white font-semibold p-2 rounded-lg"
+                            aria-label={t('chat.send')}
                         >
-                            <Send size={20} />
+                            {isModeratingMessage ? <Loader2 size={20} className="animate-spin" /> : <Send size={20} />}
                         </button>
                     </div>
                 </div>
@@ -676,10 +6636,27 @@ function Room({ roomId, userId, displayName, onLeave }) {
                 <p>App ID: {appId}</p>
             </footer>
 
-            <Modal isOpen={showSummaryModal} onClose={() => setShowSummaryModal(false)} title="✨ Resumo da Conversa (IA)" size="lg">
-                {isSummarizing && <div className="flex justify-center items-center p-4"><Loader2 size={32} className="animate-spin text-indigo-400"/> <span className="ml-2">Gerando resumo...</span></div>}
-                {!isSummarizing && summary && <div className="whitespace-pre-wrap max-h-[60vh] overflow-y-auto p-2 bg-gray-700 rounded">{summary}</div>}
-                {!isSummarizing && !summary && <p>Não foi possível gerar o resumo.</p>}
+            <Modal isOpen={showExportModal} onClose={() => setShowExportModal(false)} title={t('export.title')}>
+                <p className="text-gray-300 mb-4">{t('export.description')}</p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                    {['json', 'markdown', 'srt', 'ass'].map(format => (
+                        <button
+                            key={format}
+                            onClick={() => exportSession(format)}
+                            disabled={isExportingSession || (['srt', 'ass'].includes(format) && !currentVideoUrl)}
+                            className="bg-indigo-500 hover:bg-indigo-600 text-white py-2 px-4 rounded-lg disabled:opacity-50"
+                        >
+                            {t(`export.${format}`)}
+                        </button>
+                    ))}
+                </div>
+                {isExportingSession && <p className="mt-3 text-sm text-gray-400 flex items-center"><Loader2 size={14} className="mr-1 animate-spin" /> {t('export.preparing')}</p>}
+            </Modal>
+
+            <Modal isOpen={showSummaryModal} onClose={() => setShowSummaryModal(false)} title={t('ai.summaryModalTitle')} size="lg">
+                {isSummarizing && !summary && <div className="flex justify-center items-center p-4"><Loader2 size={32} className="animate-spin text-indigo-400"/> <span className="ml-2">{t('ai.summarizing')}</span></div>}
+                {summary && <div className="whitespace-pre-wrap max-h-[60vh] overflow-y-auto p-2 bg-gray-700 rounded">{renderTextWithTimecodes(summary)}</div>}
+                {!isSummarizing && !summary && <p>{t('ai.summaryFailed')}</p>}
             </Modal>
         </div>
     );
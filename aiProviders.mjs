@@ -0,0 +1,198 @@
+/*
+ * Provedores de IA do CineSync e os limites de uso por sala, compartilhados pelo App.jsx (backends sem servidor)
+ * e pelo servidor de salas (server.mjs), que chama o provedor no lugar dos clientes.
+ */
+
+export const AI_RATE_WINDOW_MS = 60000; // Janela dos limites de pedidos à IA
+export const AI_USER_REQUESTS_PER_WINDOW = 4; // Pedidos à IA por participante em cada janela
+export const AI_ROOM_REQUESTS_PER_WINDOW = 15; // Pedidos à IA pela sala inteira em cada janela
+export const AI_ROOM_COST_LIMIT_USD = 0.5; // Gasto máximo estimado com IA por sala
+export const AI_RESERVED_OUTPUT_TOKENS = 1000; // Saída presumida ao reservar o custo de um pedido (acertado depois com o uso real)
+export const AI_ROOM_TRANSLATIONS_PER_WINDOW = 30; // Traduções pela sala inteira em cada janela, fora dos limites de pedidos
+export const AI_TRANSLATION_COST_LIMIT_USD = 0.2; // Parte do teto da sala que as traduções podem gastar
+
+// Finalidade de um pedido: os pedidos feitos pelo usuário (resumo, sugestão, moderação) e as traduções têm limites separados
+export const AI_PURPOSES = { REQUEST: 'request', TRANSLATION: 'translation' };
+
+/*
+ * AiProvider: interface única dos modelos de linguagem usados pelo chat (resumo, sugestões de comentário...).
+ *   name: nome exibido na interface
+ *   costPerMillionTokens: { input, output } em US$ (zero para modelos locais e para o mock)
+ *   generate(prompt, { onToken }): Promise<{ text, usage: { inputTokens, outputTokens } }>
+ *       onToken(trecho) recebe a resposta aos pedaços, conforme o modelo gera (streaming)
+ */
+
+// Tokens estimados quando o provedor não informa o uso (~4 caracteres por token)
+export const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Lê uma resposta text/event-stream e entrega o JSON de cada linha "data:" (para em "[DONE]")
+const readServerSentEvents = async (response, onData) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') return;
+            if (payload) onData(JSON.parse(payload));
+        }
+    }
+};
+
+const throwResponseError = async (response, providerName) => {
+    const errorData = await response.json().catch(() => ({}));
+    console.error(`Erro da API ${providerName}:`, errorData);
+    throw new Error(`API Error: ${errorData.error?.message || response.statusText}`);
+};
+
+const createGeminiProvider = ({ apiKey = '', model = 'gemini-2.0-flash', costPerMillionTokens = { input: 0.1, output: 0.4 } } = {}) => ({
+    name: `Gemini (${model})`,
+    costPerMillionTokens,
+    generate: async (prompt, { onToken } = {}) => {
+        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ contents: [{ role: "user", parts: [{ text: prompt }] }] })
+        });
+        if (!response.ok) await throwResponseError(response, 'Gemini');
+        let text = '';
+        let usage = null;
+        await readServerSentEvents(response, (chunk) => {
+            const token = chunk.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '';
+            if (token) {
+                text += token;
+                onToken?.(token);
+            }
+            if (chunk.usageMetadata) usage = { inputTokens: chunk.usageMetadata.promptTokenCount || 0, outputTokens: chunk.usageMetadata.candidatesTokenCount || 0 };
+        });
+        if (!text) throw new Error("Formato de resposta inesperado da API Gemini.");
+        return { text, usage: usage || { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) } };
+    }
+});
+
+// Servidores com a API de chat da OpenAI (llama.cpp, Ollama, vLLM, LM Studio...)
+const createOpenAiCompatibleProvider = ({ baseUrl = 'http://localhost:8080/v1', model = 'local', apiKey = '', costPerMillionTokens = { input: 0, output: 0 } } = {}) => ({
+    name: `Local (${model})`,
+    costPerMillionTokens,
+    generate: async (prompt, { onToken } = {}) => {
+        const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+            body: JSON.stringify({ model, messages: [{ role: 'user', content: prompt }], stream: true, stream_options: { include_usage: true } })
+        });
+        if (!response.ok) await throwResponseError(response, 'local');
+        let text = '';
+        let usage = null;
+        await readServerSentEvents(response, (chunk) => {
+            const token = chunk.choices?.[0]?.delta?.content || '';
+            if (token) {
+                text += token;
+                onToken?.(token);
+            }
+            if (chunk.usage) usage = { inputTokens: chunk.usage.prompt_tokens || 0, outputTokens: chunk.usage.completion_tokens || 0 };
+        });
+        return { text, usage: usage || { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) } };
+    }
+});
+
+// Provedor determinístico para desenvolvimento offline: a mesma pergunta sempre gera a mesma resposta, em pedaços
+const createMockAiProvider = ({ tokenDelayMs = 30 } = {}) => ({
+    name: 'Mock',
+    costPerMillionTokens: { input: 0, output: 0 },
+    generate: async (prompt, { onToken } = {}) => {
+        const lastLine = prompt.trim().split('\n').filter(Boolean).slice(-2, -1)[0] || prompt.trim();
+        const text = `[mock] Resposta simulada para ${prompt.length} caracteres de pergunta. Último trecho: "${lastLine.slice(0, 80)}"`;
+        for (const token of text.match(/\S+\s*/g)) {
+            await new Promise(resolve => setTimeout(resolve, tokenDelayMs));
+            onToken?.(token);
+        }
+        return { text, usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) } };
+    }
+});
+
+// __ai_provider_config escolhe o provedor: { type: 'gemini' | 'openai' | 'mock', ...opções do provedor }
+export const createAiProvider = ({ type = 'gemini', ...options } = {}) => {
+    switch (type) {
+        case 'openai': return createOpenAiCompatibleProvider(options);
+        case 'mock': return createMockAiProvider(options);
+        default: return createGeminiProvider(options);
+    }
+};
+
+// Custo estimado (US$) de um pedido, pela tabela de preços do provedor
+export const getAiRequestCost = (usage, provider) =>
+    (usage.inputTokens * provider.costPerMillionTokens.input + usage.outputTokens * provider.costPerMillionTokens.output) / 1e6;
+
+// Janelas de pedidos que cada finalidade consome (path dentro da sala): os pedidos do usuário contam na sala e no participante;
+// as traduções automáticas de todos os leitores têm uma janela só delas, para não gastarem a vez de ninguém
+const getAiRateWindows = (uid, purpose) => (purpose === AI_PURPOSES.TRANSLATION
+    ? [{ path: 'aiUsage.translations', limit: AI_ROOM_TRANSLATIONS_PER_WINDOW, error: 'ai.translationRateLimit' }]
+    : [
+        { path: 'aiUsage', limit: AI_ROOM_REQUESTS_PER_WINDOW, error: 'ai.roomRateLimit' },
+        { path: `aiUsage.users.${uid}`, limit: AI_USER_REQUESTS_PER_WINDOW, error: 'ai.userRateLimit' }
+    ]);
+
+const getUsageAt = (aiUsage, path) => path.split('.').slice(1).reduce((node, key) => node?.[key], aiUsage);
+
+// Reserva um pedido nas janelas da finalidade e o custo estimado no teto da sala (aiUsage na sala); as traduções também
+// reservam na parte do teto que é delas. O ifMatch cobre contadores, janelas e custos (null = campo ainda inexistente):
+// de pedidos simultâneos, só um grava a reserva, inclusive ao abrir uma janela nova. Em caso de recusa, error é uma chave
+// do catálogo de mensagens. sentinels: increment do store. Só o servidor de salas garante os limites (ele chama o provedor
+// e é o único a escrever em aiUsage); nos demais backends a conta é feita pelos clientes e qualquer participante pode reescrevê-la.
+export const reserveAiRequest = (aiUsage, uid, serverNow, estimatedCost, sentinels, purpose = AI_PURPOSES.REQUEST) => {
+    const totalCost = aiUsage?.totalCost || 0;
+    if (totalCost >= AI_ROOM_COST_LIMIT_USD || totalCost + estimatedCost > AI_ROOM_COST_LIMIT_USD) return { error: 'ai.costLimit' };
+    const translationCost = aiUsage?.translations?.cost || 0;
+    if (purpose === AI_PURPOSES.TRANSLATION && translationCost + estimatedCost > AI_TRANSLATION_COST_LIMIT_USD) {
+        return { error: 'ai.translationCostLimit' };
+    }
+    const windows = getAiRateWindows(uid, purpose).map(window => {
+        const usage = getUsageAt(aiUsage, window.path);
+        return { ...window, usage, isOpen: usage?.windowStart !== undefined && serverNow - usage.windowStart < AI_RATE_WINDOW_MS };
+    });
+    const fullWindow = windows.find(({ usage, isOpen, limit }) => isOpen && usage.windowCount >= limit);
+    if (fullWindow) return { error: fullWindow.error };
+    const patch = {
+        'aiUsage.totalCost': totalCost + estimatedCost,
+        [`aiUsage.users.${uid}.cost`]: sentinels.increment(estimatedCost)
+    };
+    const ifMatch = { 'aiUsage.totalCost': aiUsage?.totalCost ?? null };
+    if (purpose === AI_PURPOSES.TRANSLATION) {
+        patch['aiUsage.translations.cost'] = translationCost + estimatedCost;
+        ifMatch['aiUsage.translations.cost'] = aiUsage?.translations?.cost ?? null;
+    }
+    windows.forEach(({ path, usage, isOpen }) => {
+        patch[`${path}.windowStart`] = isOpen ? usage.windowStart : serverNow;
+        patch[`${path}.windowCount`] = isOpen ? usage.windowCount + 1 : 1;
+        ifMatch[`${path}.windowStart`] = usage?.windowStart ?? null;
+        ifMatch[`${path}.windowCount`] = usage?.windowCount ?? null;
+    });
+    return { patch, ifMatch };
+};
+
+// Troca o custo reservado pelo real; sem usage (pedido que falhou), só devolve a reserva
+export const buildAiSettlePatch = (uid, estimatedCost, usage, provider, sentinels, purpose = AI_PURPOSES.REQUEST) => {
+    const cost = usage ? getAiRequestCost(usage, provider) : 0;
+    const patch = {
+        'aiUsage.totalCost': sentinels.increment(cost - estimatedCost),
+        [`aiUsage.users.${uid}.cost`]: sentinels.increment(cost - estimatedCost)
+    };
+    if (purpose === AI_PURPOSES.TRANSLATION) patch['aiUsage.translations.cost'] = sentinels.increment(cost - estimatedCost);
+    if (usage) {
+        const tokens = usage.inputTokens + usage.outputTokens;
+        patch['aiUsage.totalTokens'] = sentinels.increment(tokens);
+        patch[`aiUsage.users.${uid}.tokens`] = sentinels.increment(tokens);
+        patch[`aiUsage.users.${uid}.requests`] = sentinels.increment(1);
+    }
+    return patch;
+};
+
+// Custo reservado antes de um pedido: a pergunta inteira mais uma saída presumida
+export const estimateAiRequestCost = (prompt, provider) =>
+    getAiRequestCost({ inputTokens: estimateTokens(prompt), outputTokens: AI_RESERVED_OUTPUT_TOKENS }, provider);
@@ -0,0 +1,158 @@
+/*
+ * Permissões do servidor de salas (server.mjs): quem pode ler e escrever o quê em cada sala. As regras de papel,
+ * presença e entrada vêm de roomRules.mjs, as mesmas que o App.jsx usa para decidir o que mostrar.
+ * Cada função recebe o id de quem fez a operação (ligado à conexão na identificação) e o estado antes e depois dela.
+ */
+import {
+    ROOM_STATUS, PRESENCE_PRUNE_MS, ROOM_TOGGLE_SETTINGS, ROLES, timestampToMillis, isParticipant,
+    getUserRole, isRoomHost, canControlPlayback, canChangeVideo, canModerate, getActingHostId
+} from './roomRules.mjs';
+
+// Campos que nunca saem do servidor: quem lê a sala só sabe que há senha (hasPassword)
+const ROOM_SECRET_FIELDS = ['passwordKey', 'passwordSalt', 'inviteTokens'];
+
+const VIDEO_FIELDS = ['currentVideoUrl', 'currentSourceType', 'currentVideoMeta', 'localFile', 'liveShare', 'videoSessionId', 'subtitleOffset'];
+const PLAYBACK_FIELDS = ['isPlaying', 'currentTime', 'anchorAt', 'playbackRate', 'pausedForBuffering', 'readyCheck', 'lastActionBy'];
+const HOST_FIELDS = [...ROOM_TOGGLE_SETTINGS, 'title', 'description', 'moderation', 'inviteTokens']; // A senha só por setRoomPassword
+const MEMBER_FIELDS = ['lastActivityAt']; // Gravado por qualquer participante (automação do host responsável); aiUsage só pelo servidor
+const SCHEDULE_START_TOLERANCE_MS = 5000; // Folga para o relógio estimado de quem inicia a sessão agendada
+
+export const getRoomView = (room) => room && Object.fromEntries(Object.entries(room).filter(([field]) => !ROOM_SECRET_FIELDS.includes(field)));
+
+const isSame = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+const changedKeys = (before, after) => [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+    .filter(key => !isSame(before?.[key], after?.[key]));
+
+// Entrada que já pode ser limpa por qualquer participante: incompleta ou sem heartbeat há PRESENCE_PRUNE_MS
+const isPrunable = (room, id, now) => !isParticipant(room, id)
+    || now - (timestampToMillis(room.participants[id].lastSeen) ?? 0) > PRESENCE_PRUNE_MS;
+
+// Patch de updateRoom já aplicado sobre uma cópia (after): confere campo a campo o que mudou
+export const canUpdateRoom = (before, after, uid, now) => {
+    const fields = changedKeys(before, after);
+    if (fields.length === 0) return true;
+    const isHost = isRoomHost(before, uid);
+    // Encerrar é dos hosts (salas inativas o próprio servidor encerra); reabrir só pela entrada do dono (joinRoom)
+    if (before.status === ROOM_STATUS.CLOSED) return false;
+    if (after.status === ROOM_STATUS.CLOSED) return isHost;
+    if (!isParticipant(before, uid)) {
+        // Fora da sala, só dá para desistir do próprio pedido de entrada
+        return fields.every(field => field === 'joinRequests')
+            && changedKeys(before.joinRequests, after.joinRequests).every(id => id === uid && !after.joinRequests?.[id]);
+    }
+
+    const participantChanges = changedKeys(before.participants, after.participants);
+    const removedIds = participantChanges.filter(id => before.participants?.[id] && !after.participants?.[id]);
+    const participantsAllowed = participantChanges.every(id => {
+        if (id === uid) return !after.participants?.[id] || after.participants[id].id === uid || !before.participants?.[id]?.id;
+        if (removedIds.includes(id)) return canModerate(before, uid, id) || isPrunable(before, id, now);
+        // Entrar só pela aprovação de um pedido da sala de espera
+        return isHost && !before.participants?.[id] && before.joinRequests?.[id] && after.participants[id].id === id;
+    });
+    const joinRequestsAllowed = changedKeys(before.joinRequests, after.joinRequests)
+        .every(id => !after.joinRequests?.[id] && (isHost || id === uid));
+    // Sem o dono, a posse passa junto com a saída dele (buildLeavePayload), para um participante que continua na sala
+    const hostLeft = removedIds.includes(before.hostId);
+    const hostIdAllowed = getUserRole(before, uid) === ROLES.OWNER || (hostLeft && isParticipant(after, after.hostId));
+    const coHostIdsAllowed = getUserRole(before, uid) === ROLES.OWNER || ((after.coHostIds || []).every(id => before.coHostIds?.includes(id))
+        && (before.coHostIds || []).filter(id => !after.coHostIds?.includes(id)).every(id => removedIds.includes(id) || id === uid || id === after.hostId));
+    const bannedIdsAllowed = isHost && (after.bannedIds || []).filter(id => !before.bannedIds?.includes(id)).every(id => canModerate(before, uid, id));
+    // A transmissão de tela acaba com quem compartilha, mesmo sem permissão para trocar o vídeo
+    const liveShareEnded = before.liveShare && !after.liveShare && (before.liveShare.hostId === uid || removedIds.includes(before.liveShare.hostId));
+    const videoChanged = VIDEO_FIELDS.some(field => fields.includes(field));
+    const videoAllowed = (canChangeVideo(before, uid) && (!after.liveShare || isSame(before.liveShare, after.liveShare) || after.liveShare.hostId === uid))
+        || liveShareEnded;
+    const scheduleStarted = before.scheduledStartAt && !after.scheduledStartAt && now + SCHEDULE_START_TOLERANCE_MS >= before.scheduledStartAt;
+    const playbackAllowed = canControlPlayback(before, uid) || getActingHostId(before, now) === uid || (videoChanged && videoAllowed) || scheduleStarted;
+
+    return fields.every(field => {
+        if (field === 'participants') return participantsAllowed;
+        if (field === 'joinRequests') return joinRequestsAllowed;
+        if (field === 'hostId') return hostIdAllowed;
+        if (field === 'coHostIds') return coHostIdsAllowed;
+        if (field === 'bannedIds') return bannedIdsAllowed;
+        if (field === 'scheduledStartAt') return isHost || scheduleStarted;
+        if (VIDEO_FIELDS.includes(field)) return videoAllowed;
+        if (PLAYBACK_FIELDS.includes(field)) return playbackAllowed;
+        if (MEMBER_FIELDS.includes(field)) return true;
+        if (HOST_FIELDS.includes(field)) return isHost;
+        return false; // id, createdAt, status e demais campos do ciclo de vida da sala
+    });
+};
+
+// Escopo de reações de um vídeo (fora de qualquer sala): 'videos/<chave>'
+const isVideoScope = (roomId) => roomId.startsWith('videos/');
+
+// Leitura de uma coleção: participantes da sala; sinais só os próprios e mensagens retidas só para hosts ou o autor
+export const canReadItems = (room, roomId, collectionName, options, uid) => {
+    if (isVideoScope(roomId)) return collectionName === 'reactions';
+    if (!isParticipant(room, uid)) return false;
+    if (collectionName === 'signals') return options.where?.to === uid;
+    if (collectionName === 'chatReview') return isRoomHost(room, uid) || options.where?.userId === uid;
+    return true;
+};
+
+// Campo que identifica o autor de um item novo em cada coleção
+const ITEM_AUTHOR_FIELDS = { chat: 'userId', chatReview: 'userId', events: 'userId', queue: 'addedBy', signals: 'from' };
+
+export const canAddItem = (room, roomId, collectionName, data, uid) => {
+    if (isVideoScope(roomId)) return collectionName === 'reactions' && data.userId === uid;
+    if (!isParticipant(room, uid)) return false;
+    // Mensagem retida e aprovada: o host publica em nome do autor
+    if (collectionName === 'chat' && data.moderation?.status === 'approved') return isRoomHost(room, uid) && data.moderation.reviewedBy === uid;
+    if (ITEM_AUTHOR_FIELDS[collectionName]) return data[ITEM_AUTHOR_FIELDS[collectionName]] === uid && !data.moderation?.status;
+    if (collectionName === 'thumbnails') return true;
+    if (collectionName === 'subtitles') return isRoomHost(room, uid);
+    return false; // chatArchive só por moveItems
+};
+
+// Só quem está na lista pode ter mudado: o próprio id entrando ou saindo
+const onlyOwnIdToggled = (before, after, uid) => {
+    const added = (after || []).filter(id => !(before || []).includes(id));
+    const removed = (before || []).filter(id => !(after || []).includes(id));
+    return [...added, ...removed].every(id => id === uid);
+};
+
+export const canUpdateItem = (room, collectionName, before, after, uid) => {
+    if (!isParticipant(room, uid)) return false;
+    const isHost = isRoomHost(room, uid);
+    const fields = changedKeys(before, after);
+    if (collectionName === 'queue') {
+        return fields.every(field => (field === 'votes' && onlyOwnIdToggled(before.votes, after.votes, uid)) || field === 'position' || isHost);
+    }
+    if (collectionName === 'chat') {
+        const isAuthor = before.userId === uid;
+        const deleting = !before.deleted && after.deleted;
+        return fields.every(field => {
+            // Traduções são feitas e reservadas por qualquer leitor
+            if (field === 'translations' || field === 'translationClaims') return true;
+            if (field === 'reactions') {
+                if (deleting) return isAuthor || isHost;
+                return changedKeys(before.reactions, after.reactions).every(reaction => onlyOwnIdToggled(before.reactions?.[reaction], after.reactions?.[reaction], uid));
+            }
+            if (field === 'deletedBy') return after.deletedBy === uid && (isAuthor || isHost);
+            if (['text', 'language', 'editedAt', 'deleted'].includes(field)) return isAuthor || isHost;
+            if (field === 'moderation') return isHost;
+            return false;
+        });
+    }
+    return isHost;
+};
+
+export const canDeleteItem = (room, collectionName, item, uid) => {
+    if (!isParticipant(room, uid)) return false;
+    if (collectionName === 'signals') return item.to === uid || item.from === uid;
+    if (collectionName === 'chatReview') return isRoomHost(room, uid) || item.userId === uid;
+    if (collectionName === 'queue') return isRoomHost(room, uid) || item.addedBy === uid || canChangeVideo(room, uid);
+    return isRoomHost(room, uid);
+};
+
+// Senha: hosts de uma sala aberta, pela operação própria (o servidor gera o sal e a chave)
+export const canSetRoomPassword = (room, uid) => room?.status === ROOM_STATUS.OPEN && isParticipant(room, uid) && isRoomHost(room, uid);
+
+// Arquivamento do chat: só quem acabou de encerrar a sala (e já não é participante dela)
+export const canMoveItems = (room, fromCollection, toCollection, uid) => room?.status === ROOM_STATUS.CLOSED
+    && room.closedBy === uid && fromCollection === 'chat' && toCollection === 'chatArchive';
+
+// Diretório: participantes mantêm a entrada; o dono a reabre e quem encerrou a fecha
+export const canWriteDirectoryEntry = (room, uid) => Boolean(room) && (isParticipant(room, uid) || room.hostId === uid || room.closedBy === uid);
@@ -0,0 +1,256 @@
+/*
+ * Regras das salas do CineSync que o cliente (App.jsx) e o servidor de salas (server.mjs) precisam aplicar igual:
+ * presença e papéis dos participantes, entrada, inatividade e encerramento da sala, e a moderação do chat.
+ */
+
+export const ROOM_STATUS = { OPEN: 'open', CLOSED: 'closed' };
+export const ROOM_INACTIVE_CLOSE_MS = 30 * 60 * 1000; // Sala vazia por esse tempo é encerrada (e o chat arquivado)
+export const HEARTBEAT_INTERVAL_MS = 30000; // Intervalo de atualização do lastSeen
+export const PRESENCE_STALE_MS = 3 * HEARTBEAT_INTERVAL_MS; // Sem heartbeat por esse tempo, o participante some da lista
+export const PRESENCE_PRUNE_MS = 5 * 60 * 1000; // Após esse tempo sem heartbeat, a entrada é removida da sala
+
+// Converte um Timestamp do Firestore em milissegundos (null se ainda não houver valor)
+export const timestampToMillis = (timestamp) => {
+    if (!timestamp) return null;
+    if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+    return typeof timestamp === 'number' ? timestamp : null;
+};
+
+// Calcula a posição esperada do vídeo a partir da âncora de reprodução da sala (posição + horário do servidor + velocidade)
+export const getExpectedPosition = (roomData, serverNow) => {
+    const position = roomData.currentTime || 0;
+    const anchorAt = timestampToMillis(roomData.anchorAt);
+    if (!roomData.isPlaying || anchorAt === null) return position;
+    const rate = roomData.playbackRate || 1;
+    return position + (Math.max(0, serverNow - anchorAt) / 1000) * rate;
+};
+
+// Identificador de cada vídeo carregado na sala, usado para evitar que vários participantes avancem a fila ao mesmo tempo
+export const createVideoSessionId = () => crypto.randomUUID().slice(0, 8);
+
+// Só a entrada completa (com id) conta como participante: um heartbeat que chegue depois de uma remoção deixa apenas lastSeen
+export const isParticipant = (roomData, uid) => roomData?.participants?.[uid]?.id === uid;
+
+// Participantes com heartbeat recente; sem lastSeen (escritas pendentes já vêm estimadas) a entrada é considerada abandonada
+export const getActiveParticipants = (roomData, serverNow) => Object.entries(roomData?.participants || {})
+    .filter(([id]) => isParticipant(roomData, id))
+    .map(([id, data]) => ({ id, ...data }))
+    .filter(p => {
+        const lastSeen = timestampToMillis(p.lastSeen);
+        return lastSeen !== null && serverNow - lastSeen <= PRESENCE_STALE_MS;
+    });
+
+// Último sinal de vida da sala: atividade registrada pelo host (lastActivityAt), heartbeat de um participante, criação ou reabertura
+export const getRoomLastActivity = (roomData) => Math.max(
+    roomData.lastActivityAt ?? 0,
+    timestampToMillis(roomData.createdAt) ?? 0,
+    timestampToMillis(roomData.reopenedAt) ?? 0,
+    ...Object.values(roomData.participants || {}).filter(p => p.id).map(p => timestampToMillis(p.lastSeen) ?? 0)
+);
+
+// Sala aberta e sem atividade há tempo demais; sessões agendadas não fecham antes do horário marcado
+export const isRoomInactive = (roomData, now) => roomData.status !== ROOM_STATUS.CLOSED
+    && !(roomData.scheduledStartAt > now)
+    && now - Math.max(getRoomLastActivity(roomData), roomData.scheduledStartAt || 0) > ROOM_INACTIVE_CLOSE_MS;
+
+// Encerramento da sala: todos saem e a reprodução para. A condição troca o videoSessionId, então só o primeiro a encerrar
+// arquiva o chat; ela também exige a sala aberta e sem atividade nova do host desde a leitura, para um encerramento por
+// inatividade nunca valer contra uma sala que voltou a ser usada. sentinels: serverTimestamp e deleteField do store.
+export const buildCloseUpdate = (roomData, { reason, closedBy, serverNow }, sentinels) => ({
+    patch: {
+        status: ROOM_STATUS.CLOSED,
+        closedAt: sentinels.serverTimestamp(),
+        closedReason: reason,
+        closedBy,
+        participants: {},
+        joinRequests: sentinels.deleteField(),
+        isPlaying: false,
+        currentTime: roomData.liveShare ? 0 : getExpectedPosition(roomData, serverNow),
+        anchorAt: sentinels.serverTimestamp(),
+        readyCheck: sentinels.deleteField(),
+        scheduledStartAt: sentinels.deleteField(),
+        pausedForBuffering: false,
+        videoSessionId: createVideoSessionId(),
+        ...(roomData.liveShare && { liveShare: sentinels.deleteField(), currentVideoUrl: '', currentVideoMeta: sentinels.deleteField() })
+    },
+    ifMatch: { videoSessionId: roomData.videoSessionId, status: ROOM_STATUS.OPEN, lastActivityAt: roomData.lastActivityAt ?? null }
+});
+
+// Campos da entrada do diretório de uma sala encerrada
+export const CLOSED_DIRECTORY_PATCH = { status: ROOM_STATUS.CLOSED, participantCount: 0, isLive: false, nowPlaying: null, scheduledStartAt: null };
+
+// Papéis dentro da sala: o dono é o criador (hostId), co-hosts ficam em coHostIds e os demais são espectadores
+export const ROLES = {
+    OWNER: 'owner',
+    COHOST: 'cohost',
+    VIEWER: 'viewer'
+};
+
+export const getUserRole = (roomData, uid) => {
+    if (!roomData || !uid) return ROLES.VIEWER;
+    if (roomData.hostId === uid) return ROLES.OWNER;
+    if (roomData.coHostIds?.includes(uid)) return ROLES.COHOST;
+    return ROLES.VIEWER;
+};
+
+export const isRoomHost = (roomData, uid) => getUserRole(roomData, uid) !== ROLES.VIEWER;
+
+// Com o bloqueio ativo, apenas dono e co-hosts podem controlar a reprodução ou trocar o vídeo
+export const canControlPlayback = (roomData, uid) => !roomData?.lockPlayback || isRoomHost(roomData, uid);
+export const canChangeVideo = (roomData, uid) => !roomData?.lockVideo || isRoomHost(roomData, uid);
+
+// Co-hosts só podem remover espectadores; o dono pode remover qualquer outro participante
+export const canModerate = (roomData, uid, targetId) => {
+    if (!uid || uid === targetId) return false;
+    const role = getUserRole(roomData, uid);
+    if (role === ROLES.OWNER) return true;
+    return role === ROLES.COHOST && getUserRole(roomData, targetId) === ROLES.VIEWER;
+};
+
+// Cliente que executa as automações da sala (pausa por buffering, fim da verificação de prontos):
+// o dono se estiver ativo, senão o co-host ativo de menor ID, senão o participante ativo de menor ID
+export const getActingHostId = (roomData, serverNow) => {
+    const activeIds = getActiveParticipants(roomData, serverNow).map(p => p.id).sort();
+    if (activeIds.includes(roomData?.hostId)) return roomData.hostId;
+    return activeIds.find(id => roomData?.coHostIds?.includes(id)) || activeIds[0] || null;
+};
+
+// Configurações da sala que os hosts podem ligar e desligar
+export const ROOM_TOGGLE_SETTINGS = ['lockPlayback', 'lockVideo', 'waitForBuffering', 'isPrivate', 'waitingRoom', 'isPublic'];
+
+// Entrada de um participante no mapa participants da sala; o id repetido serve de condição para as escritas aninhadas
+export const createParticipant = (uid, displayName, sentinels) => ({
+    id: uid,
+    displayName,
+    joinedAt: sentinels.serverTimestamp(),
+    lastSeen: sentinels.serverTimestamp()
+});
+
+export const PASSWORD_KDF_ITERATIONS = 600000; // Iterações do PBKDF2: cada tentativa de adivinhar a senha custa o mesmo que uma entrada
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+export const sha256Hex = async (text) => toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+
+// Sal novo a cada senha definida: a mesma senha em outra sala (ou de novo nesta) gera outra chave
+export const createPasswordSalt = () => toHex(crypto.getRandomValues(new Uint8Array(16)));
+
+// Chave da senha da sala (PBKDF2-SHA-256); a senha em si nunca é gravada
+export const derivePasswordKey = async (password, salt) => {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: new TextEncoder().encode(salt), iterations: PASSWORD_KDF_ITERATIONS },
+        baseKey,
+        256
+    );
+    return toHex(bits);
+};
+
+// Convites ficam na sala só como hash: quem lê o documento (participantes, diretório) não consegue montar um link válido
+export const hashInviteToken = (roomId, inviteToken) => sha256Hex(`${roomId}:invite:${inviteToken}`);
+
+// Decide a entrada de uid na sala (request: { displayName, password, inviteToken }). Devolve a escrita a fazer,
+// { result: 'joined' | 'reopened' | 'waiting', patch, ifMatch }, ou { error } com a chave da mensagem
+// (passwordRequired indica que a tela deve pedir a senha). Os convites são de uso único e só o dono reabre a sala.
+// verifyPassword(senha): Promise<boolean> confere a senha onde a chave estiver guardada (fora do documento da sala).
+export const planJoin = async (room, roomId, uid, { displayName, password, inviteToken }, sentinels, verifyPassword) => {
+    if (!room) return { error: 'lobby.error.roomNotFound' };
+    if (room.bannedIds?.includes(uid)) return { error: 'room.leave.banned' };
+    const participantPatch = { [`participants.${uid}`]: createParticipant(uid, displayName, sentinels) };
+    if (room.status === ROOM_STATUS.CLOSED) {
+        if (room.hostId !== uid) return { error: 'lobby.error.roomClosed' };
+        // O dono volta como único participante
+        return {
+            result: 'reopened',
+            patch: {
+                ...participantPatch,
+                status: ROOM_STATUS.OPEN,
+                reopenedAt: sentinels.serverTimestamp(),
+                closedAt: sentinels.deleteField(),
+                closedReason: sentinels.deleteField(),
+                closedBy: sentinels.deleteField()
+            },
+            ifMatch: { status: ROOM_STATUS.CLOSED }
+        };
+    }
+    const joinPatch = { ...participantPatch, [`joinRequests.${uid}`]: sentinels.deleteField() };
+    if (inviteToken) {
+        const tokenHash = await hashInviteToken(roomId, inviteToken);
+        if (!room.inviteTokens?.[tokenHash]) return { error: 'lobby.error.invalidInvite' };
+        // A escrita só vale se o hash do token ainda estiver na sala
+        return {
+            result: 'joined',
+            patch: { ...joinPatch, [`inviteTokens.${tokenHash}`]: sentinels.deleteField() },
+            ifMatch: { [`inviteTokens.${tokenHash}.id`]: tokenHash }
+        };
+    }
+    // Sala privada sem senha só aceita convites, nem mesmo pedidos na sala de espera
+    if (room.isPrivate && !room.hasPassword) return { error: 'lobby.error.privateRoom' };
+    if (room.hasPassword && !(password && await verifyPassword(password))) {
+        return { error: password ? 'lobby.error.wrongPassword' : 'lobby.error.passwordRequired', passwordRequired: true };
+    }
+    if (room.waitingRoom) {
+        return { result: 'waiting', patch: { [`joinRequests.${uid}`]: { displayName, requestedAt: sentinels.serverTimestamp() } } };
+    }
+    return { result: 'joined', patch: joinPatch };
+};
+
+export const MODERATION_MODES = { OFF: 'off', BLOCK: 'block', MASK: 'mask', FLAG: 'flag' }; // O que acontece com uma mensagem barrada pela moderação
+
+// Termos do filtro de moderação: palavras inteiras (sem diferenciar maiúsculas) ou expressões no formato /padrão/flags
+export const compileModerationTerms = (terms) => (terms || []).flatMap(term => {
+    const regexMatch = term.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+        if (regexMatch) return [new RegExp(regexMatch[1], regexMatch[2].includes('g') ? regexMatch[2] : `${regexMatch[2]}g`)];
+        const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return escaped ? [new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu')] : [];
+    } catch (e) {
+        console.warn("Termo de moderação inválido ignorado:", term, e.message);
+        return [];
+    }
+});
+
+export const findModerationMatches = (text, patterns) => [...new Set(patterns.flatMap(pattern => [...text.matchAll(pattern)].map(match => match[0]).filter(Boolean)))];
+
+// Troca cada ocorrência dos trechos por asteriscos do mesmo tamanho
+export const maskModeratedText = (text, matches) => matches.reduce(
+    (masked, match) => masked.split(match).join('*'.repeat(match.length)),
+    text
+);
+
+// Pergunta da classificação opcional pela IA; languageName é o idioma em que o motivo deve vir
+export const buildModerationPrompt = (text, languageName) => `Você modera o chat de uma watch party. Classifique a mensagem abaixo: ela é ofensiva, discurso de ódio, assédio, spam ou conteúdo sexual explícito? Responda apenas com JSON no formato {"flagged": true|false, "reason": "motivo curto em ${languageName}", "terms": ["trechos exatos problemáticos"]}.\n\nMensagem: ${JSON.stringify(text)}`;
+
+// Veredito da IA: { reason, terms } se ela barrou a mensagem (reason pode vir vazio), senão null
+export const parseModerationVerdict = (answer) => {
+    const verdict = JSON.parse(answer.match(/\{[\s\S]*\}/)?.[0] || 'null');
+    if (!verdict?.flagged) return null;
+    return { reason: verdict.reason || null, terms: Array.isArray(verdict.terms) ? verdict.terms.filter(term => typeof term === 'string') : [] };
+};
+
+// Aplica a configuração da sala (moderation: { mode, terms }) ao texto, com o veredito da IA se houve checagem:
+// { text } liberado (talvez mascarado), { blocked } ou { text, flagged } para revisão. blocked e flagged trazem o motivo:
+// { terms } do filtro e/ou aiReason
+export const applyChatModeration = (text, moderation, aiVerdict) => {
+    const { mode = MODERATION_MODES.OFF, terms } = moderation || {};
+    if (mode === MODERATION_MODES.OFF) return { text };
+    const localMatches = findModerationMatches(text, compileModerationTerms(terms));
+    if (localMatches.length === 0 && !aiVerdict) return { text };
+    const reason = { terms: localMatches, ...(aiVerdict ? { aiReason: aiVerdict.reason } : {}) };
+    switch (mode) {
+        case MODERATION_MODES.BLOCK: return { blocked: reason };
+        case MODERATION_MODES.MASK: {
+            const matches = [...localMatches, ...findModerationMatches(text, compileModerationTerms(aiVerdict?.terms))];
+            // Sem trechos apontados pela IA, a mensagem inteira é mascarada
+            return { text: matches.length > 0 ? maskModeratedText(text, matches) : text.replace(/\S/g, '*') };
+        }
+        default: return { text, flagged: reason };
+    }
+};
+
+// Motivo do bloqueio como mensagem do catálogo, para acompanhar o idioma de quem lê o erro
+export const describeModerationReason = ({ terms, aiReason }) => {
+    const termList = terms?.length > 0 ? terms.join(', ') : null;
+    if (termList && aiReason) return { key: 'moderation.reason.both', params: { terms: termList, reason: aiReason } };
+    return termList ? { key: 'moderation.reason.terms', params: { terms: termList } } : { key: 'moderation.reason.ai', params: { reason: aiReason } };
+};
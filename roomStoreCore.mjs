@@ -0,0 +1,163 @@
+/*
+ * Núcleo dos backends do CineSync que guardam tudo em JSON: o store em memória (App.jsx) e o servidor de salas
+ * (server.mjs) usam as mesmas funções, para que patches, condições e consultas tenham exatamente a mesma semântica.
+ */
+
+// Sentinelas em JSON (mesma semântica dos FieldValue do Firestore)
+export const jsonPatchSentinels = {
+    serverTimestamp: () => ({ __op: 'serverTimestamp' }),
+    deleteField: () => ({ __op: 'delete' }),
+    arrayUnion: (...values) => ({ __op: 'arrayUnion', values }),
+    arrayRemove: (...values) => ({ __op: 'arrayRemove', values }),
+    increment: (value) => ({ __op: 'increment', value })
+};
+
+// Resolve sentinelas em um valor (inclusive em mapas aninhados)
+export const resolvePatchValue = (current, value, now) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+    switch (value.__op) {
+        case 'serverTimestamp': return now;
+        case 'arrayUnion': return [...(current || []), ...value.values.filter(v => !(current || []).includes(v))];
+        case 'arrayRemove': return (current || []).filter(v => !value.values.includes(v));
+        case 'increment': return (typeof current === 'number' ? current : 0) + value.value;
+        default: return Object.fromEntries(Object.entries(value)
+            .filter(([, nested]) => nested?.__op !== 'delete')
+            .map(([key, nested]) => [key, resolvePatchValue(undefined, nested, now)]));
+    }
+};
+
+export const getPathValue = (target, path) => path.split('.').reduce((node, key) => node?.[key], target);
+
+export const applyPatch = (target, patch, now) => {
+    Object.entries(patch).forEach(([path, value]) => {
+        const keys = path.split('.');
+        const lastKey = keys.pop();
+        const parent = keys.reduce((node, key) => {
+            if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+            return node[key];
+        }, target);
+        if (value?.__op === 'delete') delete parent[lastKey];
+        else parent[lastKey] = resolvePatchValue(parent[lastKey], value, now);
+    });
+    return target;
+};
+
+// Condição do ifMatch: todos os caminhos com exatamente esses valores (null também aceita o campo inexistente)
+export const matchesFields = (target, fields) => Object.entries(fields || {}).every(([path, value]) => (getPathValue(target, path) ?? null) === (value ?? null));
+
+// startAfter: cursor sobre o campo de orderBy; só entram os itens depois desse valor na ordem pedida
+export const queryItems = (items, { where: filters, orderBy: orderField, direction = 'asc', startAfter: cursor, limit: maxItems } = {}) => {
+    let result = [...items].filter(item => matchesFields(item, filters));
+    if (orderField) {
+        const sign = direction === 'desc' ? -1 : 1;
+        result.sort((a, b) => (a[orderField] > b[orderField] ? 1 : a[orderField] < b[orderField] ? -1 : 0) * sign);
+        if (cursor !== undefined) result = result.filter(item => (direction === 'desc' ? item[orderField] < cursor : item[orderField] > cursor));
+    }
+    return maxItems ? result.slice(0, maxItems) : result;
+};
+
+// Salas, coleções, diretório e perfis em memória com as operações do RoomStore; quem usa decide como avisar os inscritos
+// (onRoomChange(roomId, coleção | null, ids dos itens alterados; sem ids, qualquer item pode ter mudado),
+// onDirectoryChange(roomId) e onProfileChange(userId)).
+// Os valores devolvidos são os próprios objetos guardados.
+export const createRoomState = ({ onRoomChange, onDirectoryChange, onProfileChange }) => {
+    const rooms = new Map(); // roomId -> dados da sala
+    const directory = new Map(); // roomId -> entrada pública da sala no diretório
+    const collections = new Map(); // `${roomId}/${coleção}` -> Map(id -> item)
+    const profiles = new Map(); // userId -> perfil
+
+    const getItems = (roomId, collectionName) => {
+        const key = `${roomId}/${collectionName}`;
+        if (!collections.has(key)) collections.set(key, new Map());
+        return collections.get(key);
+    };
+    const updateExistingItem = (roomId, collectionName, id, patch) => {
+        const item = getItems(roomId, collectionName).get(id);
+        if (!item) throw new Error(`Item ${id} não encontrado.`);
+        applyPatch(item, patch, Date.now());
+    };
+
+    return {
+        getRoom: (roomId) => rooms.get(roomId) ?? null,
+        getRoomIds: () => [...rooms.keys()],
+        getItem: (roomId, collectionName, id) => getItems(roomId, collectionName).get(id) ?? null,
+        getDirectoryEntry: (roomId) => directory.get(roomId) ?? null,
+        queryDirectory: (options) => queryItems(directory.values(), options),
+        queryItems: (roomId, collectionName, options) => queryItems(getItems(roomId, collectionName).values(), options),
+        getProfiles: (userIds) => Object.fromEntries(userIds.filter(id => profiles.has(id)).map(id => [id, profiles.get(id)])),
+        createRoom: (roomId, data) => {
+            rooms.set(roomId, resolvePatchValue(undefined, data, Date.now()));
+            onRoomChange(roomId, null);
+        },
+        // deleteItems ([{ collectionName, id }]) remove itens junto com a atualização; se algum já não existir, nada é aplicado.
+        // Como no Firestore, uma sala inexistente só é erro na escrita sem condição: com ifMatch ou deleteItems, a condição falha
+        updateRoom: (roomId, patch, { ifMatch, deleteItems = [] } = {}) => {
+            const room = rooms.get(roomId);
+            if (!room) {
+                if (ifMatch || deleteItems.length > 0) return false;
+                throw new Error("Sala não encontrada.");
+            }
+            if (!matchesFields(room, ifMatch)) return false;
+            if (deleteItems.some(({ collectionName, id }) => !getItems(roomId, collectionName).has(id))) return false;
+            applyPatch(room, patch, Date.now());
+            deleteItems.forEach(({ collectionName, id }) => getItems(roomId, collectionName).delete(id));
+            onRoomChange(roomId, null);
+            new Set(deleteItems.map(({ collectionName }) => collectionName)).forEach(collectionName => onRoomChange(
+                roomId,
+                collectionName,
+                deleteItems.filter(item => item.collectionName === collectionName).map(({ id }) => id)
+            ));
+            return true;
+        },
+        addItem: (roomId, collectionName, data) => {
+            const id = crypto.randomUUID();
+            getItems(roomId, collectionName).set(id, { ...resolvePatchValue(undefined, data, Date.now()), id });
+            onRoomChange(roomId, collectionName, [id]);
+            return id;
+        },
+        updateItem: (roomId, collectionName, id, patch, { ifMatch } = {}) => {
+            const item = getItems(roomId, collectionName).get(id);
+            if (ifMatch && (!item || !matchesFields(item, ifMatch))) return false;
+            updateExistingItem(roomId, collectionName, id, patch);
+            onRoomChange(roomId, collectionName, [id]);
+            return true;
+        },
+        updateItems: (roomId, collectionName, updates) => {
+            const items = getItems(roomId, collectionName);
+            if (updates.some(({ id }) => !items.has(id))) throw new Error("Item não encontrado.");
+            updates.forEach(({ id, patch }) => updateExistingItem(roomId, collectionName, id, patch));
+            onRoomChange(roomId, collectionName, updates.map(({ id }) => id));
+        },
+        deleteItem: (roomId, collectionName, id) => {
+            getItems(roomId, collectionName).delete(id);
+            onRoomChange(roomId, collectionName, [id]);
+        },
+        // Move todos os itens de uma vez, com o mesmo id e os campos extras
+        moveItems: (roomId, fromCollection, toCollection, extraFields = {}) => {
+            const source = getItems(roomId, fromCollection);
+            const target = getItems(roomId, toCollection);
+            const extra = resolvePatchValue(undefined, extraFields, Date.now());
+            source.forEach((item, id) => target.set(id, { ...item, ...extra }));
+            const count = source.size;
+            source.clear();
+            onRoomChange(roomId, fromCollection);
+            onRoomChange(roomId, toCollection);
+            return count;
+        },
+        setDirectoryEntry: (roomId, data) => {
+            directory.set(roomId, { ...resolvePatchValue(undefined, data, Date.now()), id: roomId });
+            onDirectoryChange(roomId);
+        },
+        updateDirectoryEntry: (roomId, patch, { ifMatch } = {}) => {
+            const entry = directory.get(roomId);
+            if (!entry || !matchesFields(entry, ifMatch)) return false;
+            applyPatch(entry, patch, Date.now());
+            onDirectoryChange(roomId);
+            return true;
+        },
+        saveProfile: (userId, data) => {
+            profiles.set(userId, { ...profiles.get(userId), ...resolvePatchValue(undefined, data, Date.now()) });
+            onProfileChange(userId);
+        }
+    };
+};
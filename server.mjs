@@ -0,0 +1,377 @@
+/*
+ * Servidor de salas do CineSync via WebSocket, para rodar tudo sem Firebase (por exemplo, na rede interna).
+ * Mantém salas, chat, fila, legendas e perfis em memória (roomStoreCore.mjs e roomRules.mjs, compartilhados com o App.jsx)
+ * e atende o protocolo de createWebSocketRoomStore (App.jsx). Cada conexão se identifica primeiro ('hello', com o id local
+ * e o segredo do navegador) e toda leitura e escrita é conferida contra o papel desse usuário na sala (roomPolicy.mjs);
+ * senhas e convites nunca saem do servidor. Os pedidos à IA também passam por aqui: o servidor chama o provedor
+ * (AI_PROVIDER_CONFIG, mesmo formato do __ai_provider_config do front-end) e é o único a escrever os contadores de uso.
+ *
+ * Uso:  npm install && PORT=8787 AI_PROVIDER_CONFIG='{"type":"openai","baseUrl":"http://localhost:8080/v1"}' npm start
+ * No front-end, defina __room_server_url = 'ws://<host>:8787'.
+ */
+import { createHash } from 'node:crypto';
+import { WebSocketServer } from 'ws';
+import { createRoomState, matchesFields, jsonPatchSentinels, applyPatch } from './roomStoreCore.mjs';
+import { AI_PURPOSES, createAiProvider, reserveAiRequest, buildAiSettlePatch, estimateAiRequestCost } from './aiProviders.mjs';
+import {
+    ROOM_STATUS, CLOSED_DIRECTORY_PATCH, MODERATION_MODES, isParticipant, buildModerationPrompt, parseModerationVerdict, applyChatModeration,
+    describeModerationReason, getActiveParticipants, isRoomInactive, buildCloseUpdate, planJoin, createPasswordSalt, derivePasswordKey
+} from './roomRules.mjs';
+import {
+    getRoomView, canUpdateRoom, canSetRoomPassword, canReadItems, canAddItem, canUpdateItem, canDeleteItem, canMoveItems, canWriteDirectoryEntry
+} from './roomPolicy.mjs';
+
+const PORT = Number(process.env.PORT) || 8787;
+const ROOM_SWEEP_INTERVAL_MS = 60 * 1000; // Frequência com que o servidor procura salas inativas
+const aiProvider = createAiProvider(JSON.parse(process.env.AI_PROVIDER_CONFIG || '{}'));
+const IDENTITY_REJECTED_CODE = 4401; // Fechamento da conexão quando o segredo não confere com o do id (o cliente não reconecta)
+
+const subscribers = new Set(); // { socket, subscriptionId, roomId, collectionName (null para a sala), options, sentIds };
+// o diretório usa directory: true e os perfis usam userIds no lugar da sala
+
+// Quem saiu ou foi removido da sala para de receber as coleções dela (a sala em si continua visível, sem os segredos)
+const canRead = (subscriber) => canReadItems(state.getRoom(subscriber.roomId), subscriber.roomId, subscriber.collectionName, subscriber.options, subscriber.socket.userId);
+
+const sendSnapshot = (subscriber) => {
+    let data;
+    if (subscriber.userIds) data = state.getProfiles(subscriber.userIds);
+    else if (subscriber.directory) data = state.queryDirectory(subscriber.options);
+    else if (subscriber.collectionName === null) data = getRoomView(state.getRoom(subscriber.roomId));
+    else if (!canRead(subscriber)) return;
+    else {
+        data = state.queryItems(subscriber.roomId, subscriber.collectionName, subscriber.options);
+        subscriber.sentIds = new Set(data.map(item => item.id));
+    }
+    subscriber.socket.send(JSON.stringify({ type: 'snapshot', subscriptionId: subscriber.subscriptionId, data }));
+};
+
+// O diretório vai inteiro só na inscrição; depois cada inscrito recebe apenas a entrada que mudou
+// (null quando ela deixou de atender ao filtro, para o cliente removê-la da lista)
+const sendDirectoryChange = (subscriber, roomId) => {
+    const entry = state.getDirectoryEntry(roomId);
+    const visibleEntry = entry && matchesFields(entry, subscriber.options.where) ? entry : null;
+    subscriber.socket.send(JSON.stringify({ type: 'directoryChange', subscriptionId: subscriber.subscriptionId, id: roomId, entry: visibleEntry }));
+};
+
+// Coleções, como o diretório, vão inteiras só na inscrição: depois cada inscrito recebe os itens alterados que continuam
+// na consulta, os que entraram nela (por exemplo, ao sair outro do limite) e, com item null, os que saíram
+const sendItemChanges = (subscriber, itemIds) => {
+    if (!canRead(subscriber)) return;
+    const result = state.queryItems(subscriber.roomId, subscriber.collectionName, subscriber.options);
+    const resultIds = new Set(result.map(item => item.id));
+    const changes = [
+        ...result.filter(item => itemIds.includes(item.id) || !subscriber.sentIds.has(item.id)).map(item => ({ id: item.id, item })),
+        ...[...subscriber.sentIds].filter(id => !resultIds.has(id)).map(id => ({ id, item: null }))
+    ];
+    subscriber.sentIds = resultIds;
+    if (changes.length > 0) subscriber.socket.send(JSON.stringify({ type: 'itemChange', subscriptionId: subscriber.subscriptionId, changes }));
+};
+
+// Salas, coleções, diretório e perfis em memória, com a mesma semântica do store em memória do App.jsx
+const state = createRoomState({
+    onRoomChange: (roomId, collectionName, itemIds) => subscribers.forEach(subscriber => {
+        if (subscriber.userIds || subscriber.directory) return;
+        if (subscriber.roomId !== roomId || subscriber.collectionName !== collectionName) return;
+        // Sem a lista de ids (moveItems), a coleção inteira pode ter mudado
+        if (collectionName !== null && itemIds && subscriber.sentIds) sendItemChanges(subscriber, itemIds);
+        else sendSnapshot(subscriber);
+    }),
+    onDirectoryChange: (roomId) => subscribers.forEach(subscriber => {
+        if (subscriber.directory) sendDirectoryChange(subscriber, roomId);
+    }),
+    onProfileChange: (userId) => subscribers.forEach(subscriber => {
+        if (subscriber.userIds?.includes(userId)) sendSnapshot(subscriber);
+    })
+});
+
+const credentials = new Map(); // userId -> hash do segredo apresentado na primeira identificação com esse id
+
+const assertAllowed = (allowed) => {
+    if (!allowed) throw new Error("Operação não permitida.");
+};
+
+// Aplica o patch numa cópia, para as permissões compararem o antes e o depois (inclusive com sentinelas)
+const previewPatch = (target, patch, now) => applyPatch(structuredClone(target), patch, now);
+
+// Reserva nos limites da sala (os da finalidade), chama o provedor e acerta o custo real: { text } ou { error } se os limites recusarem
+const runAiRequest = async (roomId, userId, prompt, { onToken, purpose = AI_PURPOSES.REQUEST } = {}) => {
+    const estimatedCost = estimateAiRequestCost(prompt, aiProvider);
+    const reservation = reserveAiRequest(state.getRoom(roomId).aiUsage, userId, Date.now(), estimatedCost, jsonPatchSentinels, purpose);
+    if (reservation.error) return { error: reservation.error };
+    state.updateRoom(roomId, reservation.patch);
+    const settle = (usage) => {
+        try {
+            state.updateRoom(roomId, buildAiSettlePatch(userId, estimatedCost, usage, aiProvider, jsonPatchSentinels, purpose));
+        } catch (error) {
+            console.warn("Falha ao registrar uso da IA:", error.message);
+        }
+    };
+    try {
+        const { text, usage } = await aiProvider.generate(prompt, { onToken });
+        settle(usage);
+        return { text };
+    } catch (error) {
+        settle(null);
+        throw error;
+    }
+};
+
+// Moderação do chat no momento em que a escrita é aceita, com a configuração atual da sala (ver applyChatModeration).
+// A checagem pela IA conta no uso de quem escreveu; se falhar ou o limite recusar, vale só o filtro de termos
+const moderateChatText = async (roomId, userId, text, language) => {
+    const moderation = state.getRoom(roomId).moderation;
+    if ((moderation?.mode || MODERATION_MODES.OFF) === MODERATION_MODES.OFF) return { text };
+    let aiVerdict = null;
+    if (moderation.aiCheck) {
+        try {
+            const result = await runAiRequest(roomId, userId, buildModerationPrompt(text, language || 'pt-BR'));
+            aiVerdict = result.text ? parseModerationVerdict(result.text) : null;
+        } catch (error) {
+            console.warn("Falha ao classificar mensagem com IA:", error.message);
+        }
+    }
+    if (aiVerdict && !aiVerdict.reason) aiVerdict.reason = { key: 'moderation.defaultAiReason' };
+    return applyChatModeration(text, moderation, aiVerdict);
+};
+
+// Recusa com a mensagem do catálogo, que o cliente mostra no idioma de quem escreveu
+const moderationError = (messageKey, reason) => Object.assign(new Error("Mensagem bloqueada pela moderação."), {
+    messageKey,
+    messageParams: { reason: describeModerationReason(reason) }
+});
+
+// Cada operação recebe o id de quem a fez, ligado à conexão pela mensagem 'hello'
+const handlers = {
+    getRoom: ({ roomId }) => getRoomView(state.getRoom(roomId)),
+    createRoom: ({ roomId, data }, userId) => {
+        if (state.getRoom(roomId)) throw new Error("Já existe uma sala com esse ID.");
+        assertAllowed(data.hostId === userId && Object.keys(data.participants || {}).every(id => id === userId));
+        state.createRoom(roomId, data);
+    },
+    updateRoom: ({ roomId, patch, ifMatch, deleteItems = [] }, userId) => {
+        const room = state.getRoom(roomId);
+        if (room) {
+            const now = Date.now();
+            assertAllowed(canUpdateRoom(room, previewPatch(room, patch, now), userId, now));
+            deleteItems.forEach(({ collectionName, id }) => {
+                const item = state.getItem(roomId, collectionName, id);
+                if (item) assertAllowed(canDeleteItem(room, collectionName, item, userId));
+            });
+        }
+        return state.updateRoom(roomId, patch, { ifMatch, deleteItems });
+    },
+    // A chave e o sal ficam só no servidor (getRoomView os remove); a senha chega em texto só para ser derivada
+    setRoomPassword: async ({ roomId, password }, userId) => {
+        assertAllowed(canSetRoomPassword(state.getRoom(roomId), userId));
+        if (!password) {
+            const { deleteField } = jsonPatchSentinels;
+            return state.updateRoom(roomId, { hasPassword: deleteField(), passwordSalt: deleteField(), passwordKey: deleteField() });
+        }
+        const passwordSalt = createPasswordSalt();
+        const passwordKey = await derivePasswordKey(password, passwordSalt);
+        return state.updateRoom(roomId, { hasPassword: true, passwordSalt, passwordKey });
+    },
+    // Senha, convite, sala de espera e reabertura conferidos aqui: o cliente só informa o que tem
+    joinRoom: async ({ roomId, request }, userId) => {
+        const room = state.getRoom(roomId);
+        const verifyPassword = async (password) => await derivePasswordKey(password, room.passwordSalt) === room.passwordKey;
+        const plan = await planJoin(room, roomId, userId, request, jsonPatchSentinels, verifyPassword);
+        if (plan.error) return plan;
+        if (state.updateRoom(roomId, plan.patch, { ifMatch: plan.ifMatch })) return { result: plan.result };
+        return { error: plan.result === 'reopened' ? 'lobby.error.roomClosed' : 'lobby.error.invalidInvite' };
+    },
+    // Mensagens passam pela moderação (as aprovadas por um host já passaram): retidas vão para a fila dos hosts
+    addItem: async ({ roomId, collectionName, data }, userId) => {
+        assertAllowed(canAddItem(state.getRoom(roomId), roomId, collectionName, data, userId));
+        if (collectionName !== 'chat' || data.moderation?.status === 'approved') return state.addItem(roomId, collectionName, data);
+        const moderated = await moderateChatText(roomId, userId, String(data.text ?? ''), data.language);
+        if (moderated.blocked) throw moderationError('moderation.blocked', moderated.blocked);
+        if (moderated.flagged) return state.addItem(roomId, 'chatReview', { ...data, text: moderated.text, moderation: moderated.flagged });
+        return state.addItem(roomId, 'chat', { ...data, text: moderated.text });
+    },
+    // Edições do texto passam pela moderação, menos a aprovação de uma edição retida (só hosts mudam moderation)
+    updateItem: async ({ roomId, collectionName, id, patch, ifMatch }, userId) => {
+        const item = state.getItem(roomId, collectionName, id);
+        if (!item) return state.updateItem(roomId, collectionName, id, patch, { ifMatch });
+        const after = previewPatch(item, patch, Date.now());
+        assertAllowed(canUpdateItem(state.getRoom(roomId), collectionName, item, after, userId));
+        const isTextEdit = collectionName === 'chat' && !after.deleted && after.text !== item.text;
+        if (!isTextEdit || JSON.stringify(after.moderation) !== JSON.stringify(item.moderation)) {
+            return state.updateItem(roomId, collectionName, id, patch, { ifMatch });
+        }
+        const moderated = await moderateChatText(roomId, userId, String(after.text ?? ''), after.language);
+        if (moderated.blocked) throw moderationError('moderation.editBlocked', moderated.blocked);
+        if (moderated.flagged) {
+            // Edição retida: a mensagem publicada continua com o texto anterior até a aprovação
+            state.addItem(roomId, 'chatReview', {
+                userId: item.userId,
+                displayName: item.displayName,
+                text: moderated.text,
+                language: after.language,
+                timestamp: Date.now(),
+                editOf: id,
+                moderation: moderated.flagged
+            });
+            return true;
+        }
+        return state.updateItem(roomId, collectionName, id, { ...patch, text: moderated.text }, { ifMatch });
+    },
+    updateItems: ({ roomId, collectionName, updates }, userId) => {
+        // Edições de mensagens só uma a uma, por updateItem, que aplica a moderação
+        assertAllowed(collectionName !== 'chat');
+        updates.forEach(({ id, patch }) => {
+            const item = state.getItem(roomId, collectionName, id);
+            if (item) assertAllowed(canUpdateItem(state.getRoom(roomId), collectionName, item, previewPatch(item, patch, Date.now()), userId));
+        });
+        return state.updateItems(roomId, collectionName, updates);
+    },
+    deleteItem: ({ roomId, collectionName, id }, userId) => {
+        const item = state.getItem(roomId, collectionName, id);
+        if (item) assertAllowed(canDeleteItem(state.getRoom(roomId), collectionName, item, userId));
+        return state.deleteItem(roomId, collectionName, id);
+    },
+    moveItems: ({ roomId, fromCollection, toCollection, extraFields }, userId) => {
+        assertAllowed(canMoveItems(state.getRoom(roomId), fromCollection, toCollection, userId));
+        return state.moveItems(roomId, fromCollection, toCollection, extraFields);
+    },
+    setDirectoryEntry: ({ roomId, data }, userId) => {
+        assertAllowed(canWriteDirectoryEntry(state.getRoom(roomId), userId));
+        return state.setDirectoryEntry(roomId, data);
+    },
+    updateDirectoryEntry: ({ roomId, patch, ifMatch }, userId) => {
+        assertAllowed(canWriteDirectoryEntry(state.getRoom(roomId), userId));
+        return state.updateDirectoryEntry(roomId, patch, { ifMatch });
+    },
+    // Reserva nos limites da sala, chama o provedor e acerta o custo real; os trechos da resposta vão como aiToken
+    requestAi: ({ requestId, roomId, prompt, purpose }, userId, socket) => {
+        assertAllowed(isParticipant(state.getRoom(roomId), userId) && typeof prompt === 'string');
+        assertAllowed(purpose === undefined || Object.values(AI_PURPOSES).includes(purpose));
+        const onToken = (token) => socket.send(JSON.stringify({ type: 'aiToken', requestId, token }));
+        return runAiRequest(roomId, userId, prompt, { onToken, purpose });
+    },
+    saveProfile: ({ userId: profileId, data }, userId) => {
+        assertAllowed(profileId === userId);
+        return state.saveProfile(profileId, data);
+    }
+};
+
+const hashSecret = (secret) => createHash('sha256').update(String(secret)).digest('hex');
+
+// O primeiro segredo apresentado para um id passa a ser o dele: outra conexão com o mesmo id e outro segredo é recusada
+const identify = (socket, { userId, secret }) => {
+    const known = credentials.get(userId);
+    if (!userId || !secret || (known && known !== hashSecret(secret))) {
+        socket.close(IDENTITY_REJECTED_CODE, "Identidade recusada.");
+        return;
+    }
+    credentials.set(userId, hashSecret(secret));
+    socket.userId = userId;
+    socket.send(JSON.stringify({ type: 'welcome', aiProviderName: aiProvider.name }));
+};
+
+const handleMessage = (socket, message) => {
+    const { type } = message;
+    if (type === 'hello') {
+        identify(socket, message);
+        return;
+    }
+    if (!socket.userId) {
+        const error = "Conexão não identificada.";
+        if (message.subscriptionId) socket.send(JSON.stringify({ type: 'subscriptionError', subscriptionId: message.subscriptionId, error }));
+        else socket.send(JSON.stringify({ requestId: message.requestId, error }));
+        return;
+    }
+    if (type === 'subscribeRoom' || type === 'subscribeItems') {
+        const subscriber = {
+            socket,
+            subscriptionId: message.subscriptionId,
+            roomId: message.roomId,
+            collectionName: type === 'subscribeItems' ? message.collectionName : null,
+            options: message.options || {}
+        };
+        if (subscriber.collectionName !== null && !canRead(subscriber)) {
+            socket.send(JSON.stringify({ type: 'subscriptionError', subscriptionId: subscriber.subscriptionId, error: "Operação não permitida." }));
+            return;
+        }
+        subscribers.add(subscriber);
+        sendSnapshot(subscriber);
+        return;
+    }
+    if (type === 'subscribeDirectory') {
+        const subscriber = { socket, subscriptionId: message.subscriptionId, directory: true, options: message.options || {} };
+        subscribers.add(subscriber);
+        sendSnapshot(subscriber);
+        return;
+    }
+    if (type === 'subscribeProfiles') {
+        const subscriber = { socket, subscriptionId: message.subscriptionId, userIds: message.userIds || [] };
+        subscribers.add(subscriber);
+        sendSnapshot(subscriber);
+        return;
+    }
+    if (type === 'unsubscribe') {
+        subscribers.forEach(subscriber => {
+            if (subscriber.socket === socket && subscriber.subscriptionId === message.subscriptionId) subscribers.delete(subscriber);
+        });
+        return;
+    }
+    if (!handlers[type]) {
+        socket.send(JSON.stringify({ requestId: message.requestId, error: `Operação desconhecida: ${type}` }));
+        return;
+    }
+    // Algumas operações são assíncronas (joinRoom confere a senha com crypto.subtle, requestAi espera o provedor)
+    Promise.resolve()
+        .then(() => handlers[type](message, socket.userId, socket))
+        .then(result => socket.send(JSON.stringify({ requestId: message.requestId, result })))
+        .catch(error => socket.send(JSON.stringify({
+            requestId: message.requestId,
+            error: error.message,
+            messageKey: error.messageKey,
+            messageParams: error.messageParams
+        })));
+};
+
+// Encerra as salas inativas (arquivando o chat) e corrige no diretório a contagem de salas cujos participantes sumiram
+// sem sair: com o servidor, isso não depende de alguém passar pelo lobby nem de o host regravar a entrada
+const sweepInactiveRooms = () => {
+    const now = Date.now();
+    state.getRoomIds().forEach(roomId => {
+        const room = state.getRoom(roomId);
+        if (room.status === ROOM_STATUS.CLOSED) return;
+        if (isRoomInactive(room, now)) {
+            const { patch, ifMatch } = buildCloseUpdate(room, { reason: 'inactive', closedBy: null, serverNow: now }, jsonPatchSentinels);
+            if (!state.updateRoom(roomId, patch, { ifMatch })) return;
+            state.updateDirectoryEntry(roomId, CLOSED_DIRECTORY_PATCH);
+            state.moveItems(roomId, 'chat', 'chatArchive', { archiveId: crypto.randomUUID() });
+            return;
+        }
+        const participantCount = getActiveParticipants(room, now).length;
+        if (state.getDirectoryEntry(roomId)?.participantCount !== participantCount) {
+            state.updateDirectoryEntry(roomId, { participantCount }, { ifMatch: { status: ROOM_STATUS.OPEN } });
+        }
+    });
+};
+
+setInterval(sweepInactiveRooms, ROOM_SWEEP_INTERVAL_MS);
+
+const wss = new WebSocketServer({ port: PORT });
+
+wss.on('connection', (socket) => {
+    socket.on('message', (raw) => {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            console.warn("Mensagem inválida ignorada:", error.message);
+            return;
+        }
+        handleMessage(socket, message);
+    });
+    socket.on('close', () => {
+        subscribers.forEach(subscriber => {
+            if (subscriber.socket === socket) subscribers.delete(subscriber);
+        });
+    });
+});
+
+console.log(`Servidor de salas do CineSync ouvindo em ws://localhost:${PORT}`);